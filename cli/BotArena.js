@@ -0,0 +1,297 @@
+/**
+ * BotArena module for Hard Wordle
+ * Plays bots against each other on the same seeded targets and ranks them
+ */
+
+// Import required modules
+const Bots = require('../src/Bots');
+const GameController = require('../src/GameController');
+const Random = require('../src/Random');
+const StrategyBenchmark = require('./StrategyBenchmark');
+
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Guesses a lost game counts for in the score
+ */
+const LOSS_SCORE = MAX_ATTEMPTS + 1;
+
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+const FORMATS = ['text', 'json'];
+
+/**
+ * ArenaRound type definition
+ * @typedef {Object} ArenaRound
+ * @property {number} seed - Seed the target was picked from; replays as a practice game
+ * @property {string} word - The target word
+ * @property {Object<string, number|null>} guesses - Guesses each bot took, keyed by name, or null if it lost
+ */
+
+/**
+ * LeaderboardEntry type definition
+ * @typedef {Object} LeaderboardEntry
+ * @property {number} rank - Position, shared by bots with the same score and wins
+ * @property {string} name - Name of the bot
+ * @property {number} score - Mean guesses per round, counting a loss as LOSS_SCORE; lower is better
+ * @property {number} wins - Rounds in which no other bot took as few guesses
+ * @property {number} solved - Rounds won
+ * @property {number} failed - Rounds lost
+ * @property {number|null} averageGuesses - Mean guesses per won round, or null if none were won
+ */
+
+/**
+ * ArenaResult type definition
+ * @typedef {Object} ArenaResult
+ * @property {number} seed - Seed the rounds were drawn from
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier the targets came from
+ * @property {boolean} hardMode - Whether Hard Mode was on
+ * @property {LeaderboardEntry[]} leaderboard - Bots, best first
+ * @property {ArenaRound[]} rounds - Every round, in the order played
+ */
+
+/**
+ * BotArena class
+ * Provides static methods to play several strategies on the same targets.
+ * Targets are picked the way practice games pick them, from seeds drawn from
+ * the arena's seed, so the same seed and word list always give the same
+ * rounds. The command line entry point (cli/arena.js) handles options,
+ * output and exit codes.
+ */
+class BotArena {
+  /**
+   * Read command line options
+   * @param {string[]} args - Command line arguments after the script name
+   * @returns {{bots: string[], seed: number|null, rounds: number, wordLength: number, difficulty: string,
+   *   hardMode: boolean, format: string, help: boolean}} The options
+   * @throws {Error} If an option is unknown or its value is invalid
+   */
+  static parseArgs(args) {
+    const options = {
+      bots: [...Bots.NAMES],
+      seed: null,
+      rounds: 100,
+      wordLength: 5,
+      difficulty: 'normal',
+      hardMode: false,
+      format: 'text',
+      help: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const valueOf = name => {
+        if (i + 1 >= args.length) {
+          throw new Error(`${name} needs a value`);
+        }
+        return args[++i];
+      };
+      
+      switch (arg) {
+        case '--bots':
+          options.bots = valueOf(arg).split(',').filter(Boolean);
+          if (options.bots.length < 2) {
+            throw new Error('--bots needs at least two bots');
+          }
+          break;
+        case '--seed': {
+          const seed = Random.parseSeed(valueOf(arg));
+          if (seed === null) {
+            throw new Error(`--seed must be an integer from 0 to ${Random.MAX_SEED}`);
+          }
+          options.seed = seed;
+          break;
+        }
+        case '--rounds': {
+          const rounds = Number(valueOf(arg));
+          if (!Number.isInteger(rounds) || rounds < 1) {
+            throw new Error('--rounds must be a positive whole number');
+          }
+          options.rounds = rounds;
+          break;
+        }
+        case '--length': {
+          const length = Number(valueOf(arg));
+          if (!Number.isInteger(length)) {
+            throw new Error('--length must be a whole number');
+          }
+          options.wordLength = length;
+          break;
+        }
+        case '--difficulty': {
+          const difficulty = valueOf(arg);
+          if (!DIFFICULTIES.includes(difficulty)) {
+            throw new Error(`--difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+          }
+          options.difficulty = difficulty;
+          break;
+        }
+        case '--hard':
+          options.hardMode = true;
+          break;
+        case '--format': {
+          const format = valueOf(arg);
+          if (!FORMATS.includes(format)) {
+            throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+          }
+          options.format = format;
+          break;
+        }
+        case '-h':
+        case '--help':
+          options.help = true;
+          break;
+        default:
+          throw new Error(`Unknown option ${arg}`);
+      }
+    }
+    
+    return options;
+  }
+
+  /**
+   * Pick the targets for a series of rounds
+   * @param {Dictionary} dictionary - The Dictionary to draw from
+   * @param {number} seed - Seed for the whole series
+   * @param {number} rounds - Number of rounds
+   * @param {TargetOptions} [options] - Length and difficulty of the targets
+   * @returns {Array<{seed: number, word: string}>} Each round's seed and target
+   */
+  static pickRounds(dictionary, seed, rounds, options = {}) {
+    const random = Random.mulberry32(seed);
+    return Array.from({ length: rounds }, () => {
+      const roundSeed = Random.createSeed(random);
+      return { seed: roundSeed, word: GameController.getWordForSeed(dictionary, roundSeed, options) };
+    });
+  }
+
+  /**
+   * Play every bot on the same rounds and rank them
+   * Each bot plays each round's target once, in a fresh game
+   * @param {Strategy[]} strategies - The bots, with unique names
+   * @param {Dictionary} dictionary - Words to draw targets from and check guesses against
+   * @param {Object} options - Arena settings
+   * @param {number} options.seed - Seed the rounds are drawn from
+   * @param {number} [options.rounds] - Number of rounds (default: 100)
+   * @param {number} [options.wordLength] - Letters per word (default: 5)
+   * @param {'easy'|'normal'|'hard'} [options.difficulty] - Difficulty tier to draw targets from (default: 'normal')
+   * @param {boolean} [options.hardMode] - Whether revealed hints must be reused (default: false)
+   * @returns {ArenaResult} The leaderboard and every round
+   * @throws {Error} If two bots share a name, or a bot makes a guess the game rejects
+   */
+  static play(strategies, dictionary, options) {
+    const { seed, rounds = 100, wordLength = 5, difficulty = 'normal', hardMode = false } = options;
+    const settings = { wordLength, difficulty, hardMode };
+    
+    const names = strategies.map(strategy => strategy.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(`Bot names must be unique: ${duplicate}`);
+    }
+    
+    if (dictionary.getTargetCount({ length: wordLength, difficulty }) === 0) {
+      throw new Error(`Dictionary has no ${wordLength}-letter words`);
+    }
+    
+    const results = {};
+    names.forEach(name => {
+      results[name] = [];
+    });
+    const playedRounds = BotArena.pickRounds(dictionary, seed, rounds, { length: wordLength, difficulty }).map(round => {
+      const guesses = {};
+      strategies.forEach(strategy => {
+        const result = StrategyBenchmark.playGame(strategy, dictionary, round.word, settings);
+        results[strategy.name].push(result);
+        guesses[strategy.name] = result.solved ? result.guesses : null;
+      });
+      return { ...round, guesses };
+    });
+    
+    return {
+      seed,
+      ...settings,
+      leaderboard: BotArena.rank(names, results, playedRounds),
+      rounds: playedRounds
+    };
+  }
+
+  /**
+   * Rank bots by score, then by wins, then by name
+   * @param {string[]} names - Names of the bots
+   * @param {Object<string, GameResult[]>} results - Each bot's games, keyed by name
+   * @param {ArenaRound[]} rounds - The rounds the games were played in
+   * @returns {LeaderboardEntry[]} Bots, best first
+   */
+  static rank(names, results, rounds) {
+    const wins = {};
+    names.forEach(name => {
+      wins[name] = 0;
+    });
+    rounds.forEach(round => {
+      const scores = names.map(name => round.guesses[name] === null ? LOSS_SCORE : round.guesses[name]);
+      const best = Math.min(...scores);
+      const winners = names.filter((name, index) => scores[index] === best);
+      if (winners.length === 1) {
+        wins[winners[0]]++;
+      }
+    });
+    
+    const entries = names.map(name => {
+      const games = results[name];
+      const won = games.filter(game => game.solved);
+      const wonGuesses = won.reduce((sum, game) => sum + game.guesses, 0);
+      const lostGuesses = (games.length - won.length) * LOSS_SCORE;
+      return {
+        name,
+        score: games.length === 0 ? 0 : (wonGuesses + lostGuesses) / games.length,
+        wins: wins[name],
+        solved: won.length,
+        failed: games.length - won.length,
+        averageGuesses: won.length === 0 ? null : wonGuesses / won.length
+      };
+    });
+    
+    entries.sort((a, b) => (a.score - b.score) || (b.wins - a.wins) || a.name.localeCompare(b.name));
+    
+    let rank = 0;
+    return entries.map((entry, index) => {
+      const previous = entries[index - 1];
+      if (!previous || previous.score !== entry.score || previous.wins !== entry.wins) {
+        rank = index + 1;
+      }
+      return { rank, ...entry };
+    });
+  }
+
+  /**
+   * Format an arena result as a leaderboard table
+   * @param {ArenaResult} result - The result
+   * @returns {string} A heading line and one row per bot
+   */
+  static formatLeaderboard(result) {
+    const { leaderboard, rounds, wordLength, difficulty, hardMode, seed } = result;
+    const nameWidth = Math.max(3, ...leaderboard.map(entry => entry.name.length));
+    const lines = [
+      `${rounds.length} rounds of ${wordLength}-letter ${difficulty} words${hardMode ? ' in Hard Mode' : ''}, seed ${seed}`,
+      '',
+      `Rank  ${'Bot'.padEnd(nameWidth)}  Score  Average  Solved  Failed  Wins`
+    ];
+    
+    leaderboard.forEach(entry => {
+      const average = entry.averageGuesses === null ? '-' : entry.averageGuesses.toFixed(2);
+      lines.push(`${String(entry.rank).padStart(4)}  ${entry.name.padEnd(nameWidth)}  ${entry.score.toFixed(2).padStart(5)}  ` +
+        `${average.padStart(7)}  ${String(entry.solved).padStart(6)}  ${String(entry.failed).padStart(6)}  ${String(entry.wins).padStart(4)}`);
+    });
+    
+    lines.push('', `Score counts a lost round as ${LOSS_SCORE} guesses. A win is a round a bot solved in fewer guesses than every other bot.`);
+    return lines.join('\n');
+  }
+}
+
+BotArena.LOSS_SCORE = LOSS_SCORE;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BotArena;
+}
@@ -0,0 +1,299 @@
+/**
+ * StrategyBenchmark module for Hard Wordle
+ * Plays a guessing strategy against every answer and reports how it did
+ */
+
+// Import required modules
+const path = require('path');
+const Bots = require('../src/Bots');
+const GameController = require('../src/GameController');
+const GameState = require('../src/GameState');
+
+const MAX_ATTEMPTS = 6;
+
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+const FORMATS = ['json', 'csv'];
+
+/**
+ * GameResult type definition
+ * @typedef {Object} GameResult
+ * @property {string} word - The target word
+ * @property {boolean} solved - Whether the strategy found it
+ * @property {number} guesses - Number of guesses made
+ * @property {string[]} history - The guesses, in order
+ */
+
+/**
+ * BenchmarkReport type definition
+ * @typedef {Object} BenchmarkReport
+ * @property {string} strategy - Name of the strategy
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier the targets came from
+ * @property {boolean} hardMode - Whether Hard Mode was on
+ * @property {number} games - Number of targets played
+ * @property {number} solved - Games won
+ * @property {number} failed - Games lost
+ * @property {number} failureRate - Fraction of games lost, from 0 to 1
+ * @property {number|null} averageGuesses - Mean guesses per won game, or null if none were won
+ * @property {Object<number, number>} distribution - Wins keyed by the number of guesses they took
+ * @property {GameResult[]} worst - Hardest targets: losses first, then most guesses
+ */
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {*} value - The field
+ * @returns {string} The field as CSV text
+ */
+function csvField(value) {
+  const text = value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * StrategyBenchmark class
+ * Provides static methods to play strategies (see src/Bots.js) headlessly
+ * through GameController and summarize the results. The command line entry point
+ * (cli/benchmark.js) handles options, output and exit codes.
+ */
+class StrategyBenchmark {
+  /**
+   * Read command line options
+   * @param {string[]} args - Command line arguments after the script name
+   * @returns {{strategy: string, wordLength: number, difficulty: string, hardMode: boolean,
+   *   format: string, worst: number, help: boolean}} The options
+   * @throws {Error} If an option is unknown or its value is invalid
+   */
+  static parseArgs(args) {
+    const options = {
+      strategy: 'entropy',
+      wordLength: 5,
+      difficulty: 'normal',
+      hardMode: false,
+      format: 'json',
+      worst: 10,
+      help: false
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const valueOf = name => {
+        if (i + 1 >= args.length) {
+          throw new Error(`${name} needs a value`);
+        }
+        return args[++i];
+      };
+      
+      switch (arg) {
+        case '--strategy':
+          options.strategy = valueOf(arg);
+          break;
+        case '--length': {
+          const length = Number(valueOf(arg));
+          if (!Number.isInteger(length)) {
+            throw new Error('--length must be a whole number');
+          }
+          options.wordLength = length;
+          break;
+        }
+        case '--difficulty': {
+          const difficulty = valueOf(arg);
+          if (!DIFFICULTIES.includes(difficulty)) {
+            throw new Error(`--difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+          }
+          options.difficulty = difficulty;
+          break;
+        }
+        case '--hard':
+          options.hardMode = true;
+          break;
+        case '--format': {
+          const format = valueOf(arg);
+          if (!FORMATS.includes(format)) {
+            throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+          }
+          options.format = format;
+          break;
+        }
+        case '--worst': {
+          const worst = Number(valueOf(arg));
+          if (!Number.isInteger(worst) || worst < 0) {
+            throw new Error('--worst must be a whole number');
+          }
+          options.worst = worst;
+          break;
+        }
+        case '-h':
+        case '--help':
+          options.help = true;
+          break;
+        default:
+          throw new Error(`Unknown option ${arg}`);
+      }
+    }
+    
+    return options;
+  }
+
+  /**
+   * Get a strategy: a reference bot by name, or a module that exports one
+   * @param {string} spec - A name from Bots.NAMES, or a path relative to the working directory
+   * @param {BotOptions} [options] - Settings for reference bots
+   * @returns {Strategy} The strategy (see src/Bots.js for the interface)
+   * @throws {Error} If there is no such bot or module, or the module doesn't export a strategy
+   */
+  static loadStrategy(spec, options = {}) {
+    if (Bots.NAMES.includes(spec)) {
+      return Bots.create(spec, options);
+    }
+    
+    let file;
+    try {
+      file = require.resolve(path.resolve(spec));
+    } catch (error) {
+      throw new Error(`${spec} is neither a bot (${Bots.NAMES.join(', ')}) nor a strategy module`);
+    }
+    
+    const strategy = require(file);
+    if (!strategy || typeof strategy.nextGuess !== 'function') {
+      throw new Error(`${spec} must export an object with a nextGuess function`);
+    }
+    return { name: strategy.name || path.basename(spec, '.js'), nextGuess: strategy.nextGuess.bind(strategy) };
+  }
+
+  /**
+   * Play one game against a known target
+   * @param {Strategy} strategy - The strategy to play
+   * @param {Dictionary} dictionary - Words the game accepts
+   * @param {string} target - The target word
+   * @param {GameSettings} settings - Length, difficulty and Hard Mode
+   * @returns {GameResult} How the game went
+   * @throws {Error} If the strategy makes a guess the game rejects
+   */
+  static playGame(strategy, dictionary, target, settings) {
+    const { wordLength, difficulty, hardMode } = settings;
+    const gameController = new GameController(dictionary);
+    const gameState = gameController.resumeGame(
+      new GameState(target, MAX_ATTEMPTS, { hardMode, wordLength, difficulty })
+    );
+    
+    while (!gameState.isGameOver()) {
+      const word = strategy.nextGuess(gameState.getGuesses(), dictionary, { ...settings });
+      const result = gameController.submitGuess(word);
+      if (!result.success) {
+        throw new Error(`Strategy ${strategy.name} guessed "${word}" against "${target}": ${result.error}`);
+      }
+    }
+    
+    const history = gameState.getGuesses().map(guess => guess.getWord());
+    return {
+      word: target,
+      solved: gameState.getGameStatus() === 'won',
+      guesses: history.length,
+      history
+    };
+  }
+
+  /**
+   * Play a strategy against every target of a length and difficulty
+   * @param {Strategy} strategy - The strategy to play
+   * @param {Dictionary} dictionary - Words to draw targets from and check guesses against
+   * @param {Object} [options] - Benchmark settings
+   * @param {number} [options.wordLength] - Letters per word (default: 5)
+   * @param {'easy'|'normal'|'hard'} [options.difficulty] - Difficulty tier to draw targets from (default: 'normal')
+   * @param {boolean} [options.hardMode] - Whether revealed hints must be reused (default: false)
+   * @param {string[]} [options.targets] - Play these targets instead of the whole tier
+   * @param {number} [options.worst] - Number of hardest targets to report (default: 10)
+   * @param {function(number, number): void} [options.onProgress] - Called with games played and total after each game
+   * @returns {BenchmarkReport} The results
+   */
+  static run(strategy, dictionary, options = {}) {
+    const {
+      wordLength = 5,
+      difficulty = 'normal',
+      hardMode = false,
+      worst = 10,
+      onProgress = () => {}
+    } = options;
+    const settings = { wordLength, difficulty, hardMode };
+    const targets = options.targets || dictionary.getTargetWords({ length: wordLength, difficulty });
+    
+    if (targets.length === 0) {
+      throw new Error(`Dictionary has no ${wordLength}-letter words`);
+    }
+    
+    const results = targets.map((target, index) => {
+      const result = StrategyBenchmark.playGame(strategy, dictionary, target, settings);
+      onProgress(index + 1, targets.length);
+      return result;
+    });
+    
+    return StrategyBenchmark.summarize(strategy.name, settings, results, worst);
+  }
+
+  /**
+   * Summarize game results
+   * @param {string} name - Name of the strategy
+   * @param {GameSettings} settings - Settings the games were played with
+   * @param {GameResult[]} results - One result per target
+   * @param {number} [worst] - Number of hardest targets to report (default: 10)
+   * @returns {BenchmarkReport} The summary
+   */
+  static summarize(name, settings, results, worst = 10) {
+    const distribution = {};
+    for (let guesses = 1; guesses <= MAX_ATTEMPTS; guesses++) {
+      distribution[guesses] = 0;
+    }
+    
+    let totalGuesses = 0;
+    const wins = results.filter(result => result.solved);
+    wins.forEach(result => {
+      distribution[result.guesses]++;
+      totalGuesses += result.guesses;
+    });
+    
+    const hardest = [...results].sort((a, b) =>
+      (Number(a.solved) - Number(b.solved)) ||
+      (b.guesses - a.guesses) ||
+      a.word.localeCompare(b.word)
+    );
+    
+    return {
+      strategy: name,
+      wordLength: settings.wordLength,
+      difficulty: settings.difficulty,
+      hardMode: settings.hardMode,
+      games: results.length,
+      solved: wins.length,
+      failed: results.length - wins.length,
+      failureRate: results.length === 0 ? 0 : (results.length - wins.length) / results.length,
+      averageGuesses: wins.length === 0 ? null : totalGuesses / wins.length,
+      distribution,
+      worst: hardest.slice(0, worst)
+    };
+  }
+
+  /**
+   * Format a report as CSV: a header line and one row
+   * Rows from different runs share the header, so they can be collected in
+   * one file to compare strategies over time
+   * @param {BenchmarkReport} report - The report
+   * @returns {string} CSV text
+   */
+  static formatCSV(report) {
+    const guessCounts = Object.keys(report.distribution);
+    const header = ['strategy', 'wordLength', 'difficulty', 'hardMode', 'games', 'solved', 'failed',
+      'failureRate', 'averageGuesses', ...guessCounts.map(guesses => `guesses${guesses}`), 'worst'];
+    const row = [report.strategy, report.wordLength, report.difficulty, report.hardMode, report.games,
+      report.solved, report.failed, report.failureRate, report.averageGuesses,
+      ...guessCounts.map(guesses => report.distribution[guesses]),
+      report.worst.map(result => result.word).join(' ')];
+    
+    return [header, row].map(fields => fields.map(csvField).join(',')).join('\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StrategyBenchmark;
+}
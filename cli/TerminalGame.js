@@ -0,0 +1,342 @@
+/**
+ * TerminalGame module for Hard Wordle
+ * Reads command line options and draws games for the hard-wordle terminal game
+ */
+
+// Import required modules
+const Random = require('../src/Random');
+
+/**
+ * ANSI escape sequences
+ */
+const RESET = '\x1b[0m';
+const BOLD = '\x1b[1m';
+const RED = '\x1b[31m';
+
+/**
+ * Tile colors for each feedback status: white text on the site's colors
+ */
+const STATUS_STYLE = {
+  correct: '\x1b[1;97;42m',
+  present: '\x1b[1;97;43m',
+  absent: '\x1b[1;97;100m'
+};
+
+/**
+ * Brackets standing in for colors when color is off, e.g. [A] (B) -C-
+ */
+const STATUS_MARKS = {
+  correct: ['[', ']'],
+  present: ['(', ')'],
+  absent: ['-', '-']
+};
+
+/**
+ * Ranks used to keep the most informative status per keyboard letter
+ */
+const STATUS_RANK = { absent: 1, present: 2, correct: 3 };
+
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+/**
+ * TerminalOptions type definition
+ * @typedef {Object} TerminalOptions
+ * @property {'practice'|'daily'} mode - Game mode
+ * @property {number|null} seed - Seed to pick the practice target from, or null for a new one
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier
+ * @property {boolean} hardMode - Whether revealed hints must be reused
+ * @property {boolean} json - Play the given guesses and print the result as JSON
+ * @property {boolean|null} color - Force color on or off, or null to detect it
+ * @property {boolean} help - Show usage and exit
+ * @property {string[]} guesses - Guesses given on the command line
+ */
+
+/**
+ * Draw one letter as a tile
+ * @param {string} letter - The letter, or a space for an empty tile
+ * @param {'correct'|'present'|'absent'|null} status - Feedback for the letter, if any
+ * @param {boolean} color - Whether to use ANSI colors
+ * @returns {string} The tile, three columns wide
+ */
+function drawTile(letter, status, color) {
+  const upper = letter.toUpperCase();
+  if (!status) {
+    return color ? ` ${BOLD}${upper}${RESET} ` : ` ${upper} `;
+  }
+  if (color) {
+    return `${STATUS_STYLE[status]} ${upper} ${RESET}`;
+  }
+  const [open, close] = STATUS_MARKS[status];
+  return `${open}${upper}${close}`;
+}
+
+/**
+ * TerminalGame class
+ * Provides static methods for the terminal game. They work on plain values
+ * and GameState objects; the command line entry point (cli/hard-wordle.js)
+ * handles input, output and exit codes.
+ */
+class TerminalGame {
+  /**
+   * Read command line options
+   * @param {string[]} args - Command line arguments after the script name
+   * @returns {TerminalOptions} The options
+   * @throws {Error} If an option is unknown or its value is invalid
+   */
+  static parseArgs(args) {
+    const options = {
+      mode: 'practice',
+      seed: null,
+      wordLength: 5,
+      difficulty: 'normal',
+      hardMode: false,
+      json: false,
+      color: null,
+      help: false,
+      guesses: []
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      const valueOf = name => {
+        if (i + 1 >= args.length) {
+          throw new Error(`${name} needs a value`);
+        }
+        return args[++i];
+      };
+      
+      switch (arg) {
+        case '--daily':
+          options.mode = 'daily';
+          break;
+        case '--practice':
+          options.mode = 'practice';
+          break;
+        case '--seed': {
+          const seed = Random.parseSeed(valueOf(arg));
+          if (seed === null) {
+            throw new Error(`--seed must be an integer from 0 to ${Random.MAX_SEED}`);
+          }
+          options.seed = seed;
+          break;
+        }
+        case '--length': {
+          const length = Number(valueOf(arg));
+          if (!Number.isInteger(length)) {
+            throw new Error('--length must be a whole number');
+          }
+          options.wordLength = length;
+          break;
+        }
+        case '--difficulty': {
+          const difficulty = valueOf(arg);
+          if (!DIFFICULTIES.includes(difficulty)) {
+            throw new Error(`--difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+          }
+          options.difficulty = difficulty;
+          break;
+        }
+        case '--hard':
+          options.hardMode = true;
+          break;
+        case '--json':
+          options.json = true;
+          break;
+        case '--color':
+          options.color = true;
+          break;
+        case '--no-color':
+          options.color = false;
+          break;
+        case '-h':
+        case '--help':
+          options.help = true;
+          break;
+        default:
+          if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+          }
+          options.guesses.push(arg);
+      }
+    }
+    
+    if (options.mode === 'daily' && options.seed !== null) {
+      throw new Error('--seed only applies to practice games');
+    }
+    
+    return options;
+  }
+
+  /**
+   * Draw the board: one row per attempt, guesses first, then empty rows
+   * @param {GameState} gameState - The game to draw
+   * @param {Object} [options] - Drawing settings
+   * @param {boolean} [options.color] - Whether to use ANSI colors (default: true)
+   * @returns {string} The board, one line per row
+   */
+  static renderBoard(gameState, options = {}) {
+    const { color = true } = options;
+    const guesses = gameState.getGuesses();
+    const rows = guesses.map(guess =>
+      guess.getFeedback().map(({ letter, status }) => drawTile(letter, status, color)).join(' ')
+    );
+    
+    const emptyRow = Array.from({ length: gameState.getWordLength() }, () => (color ? ' · ' : ' . ')).join(' ');
+    for (let i = guesses.length; i < gameState.maxAttempts; i++) {
+      rows.push(emptyRow);
+    }
+    
+    return rows.join('\n');
+  }
+
+  /**
+   * Work out the best status each letter has earned so far
+   * @param {Guess[]} guesses - Guesses made so far
+   * @returns {Object<string, 'correct'|'present'|'absent'>} Status keyed by lowercase letter
+   */
+  static getKeyboardStatus(guesses) {
+    const status = {};
+    guesses.forEach(guess => {
+      guess.getFeedback().forEach(({ letter, status: letterStatus }) => {
+        if (!status[letter] || STATUS_RANK[letterStatus] > STATUS_RANK[status[letter]]) {
+          status[letter] = letterStatus;
+        }
+      });
+    });
+    return status;
+  }
+
+  /**
+   * Draw the keyboard with each letter colored by what the guesses revealed
+   * @param {Guess[]} guesses - Guesses made so far
+   * @param {Object} [options] - Drawing settings
+   * @param {boolean} [options.color] - Whether to use ANSI colors (default: true)
+   * @returns {string} Three indented rows of keys
+   */
+  static renderKeyboard(guesses, options = {}) {
+    const { color = true } = options;
+    const status = TerminalGame.getKeyboardStatus(guesses);
+    
+    return KEYBOARD_ROWS.map((row, index) => {
+      const keys = row.split('').map(letter => drawTile(letter, status[letter] || null, color)).join('');
+      return ' '.repeat(index * 2) + keys;
+    }).join('\n');
+  }
+
+  /**
+   * Draw the whole screen: title, board, keyboard and, once over, the result
+   * @param {GameState} gameState - The game to draw
+   * @param {Object} [options] - Drawing settings
+   * @param {boolean} [options.color] - Whether to use ANSI colors (default: true)
+   * @returns {string} The screen
+   */
+  static render(gameState, options = {}) {
+    const lines = [TerminalGame.formatTitle(gameState), '', TerminalGame.renderBoard(gameState, options), '',
+      TerminalGame.renderKeyboard(gameState.getGuesses(), options)];
+    
+    if (gameState.isGameOver()) {
+      lines.push('', TerminalGame.formatResult(gameState));
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Describe the game, e.g. "Hard Wordle - Daily #42 (Hard Mode)"
+   * @param {GameState} gameState - The game
+   * @returns {string} The title line
+   */
+  static formatTitle(gameState) {
+    const label = gameState.getMode() === 'daily'
+      ? `Daily #${gameState.getPuzzleNumber()}`
+      : `Practice, seed ${gameState.getSeed()}`;
+    const settings = [`${gameState.getWordLength()} letters`, gameState.getDifficulty()];
+    if (gameState.isHardMode()) {
+      settings.push('Hard Mode');
+    }
+    return `Hard Wordle - ${label} (${settings.join(', ')})`;
+  }
+
+  /**
+   * Describe how a finished game ended
+   * @param {GameState} gameState - The finished game
+   * @returns {string} The outcome, the word and how to replay a practice game
+   */
+  static formatResult(gameState) {
+    const word = gameState.getTargetWord().toUpperCase();
+    const outcome = gameState.getGameStatus() === 'won'
+      ? `Solved in ${gameState.getGuesses().length}/${gameState.maxAttempts}: ${word}`
+      : `Out of guesses. The word was ${word}`;
+    
+    if (gameState.getSeed() === null) {
+      return outcome;
+    }
+    return `${outcome}\nReplay with --seed ${gameState.getSeed()}`;
+  }
+
+  /**
+   * Format an error message for the terminal
+   * @param {string} message - The message
+   * @param {Object} [options] - Drawing settings
+   * @param {boolean} [options.color] - Whether to use ANSI colors (default: true)
+   * @returns {string} The message, in red when color is on
+   */
+  static formatError(message, options = {}) {
+    const { color = true } = options;
+    return color ? `${RED}${message}${RESET}` : message;
+  }
+
+  /**
+   * Summarize a game for --json output
+   * The target is withheld until the game is over, so scripts can't peek
+   * @param {GameState} gameState - The game
+   * @param {Array<{word: string, error: string}>} [rejected] - Guesses that were not accepted
+   * @returns {Object} Plain object ready for JSON.stringify
+   */
+  static toJSON(gameState, rejected = []) {
+    return {
+      mode: gameState.getMode(),
+      puzzleNumber: gameState.getPuzzleNumber(),
+      seed: gameState.getSeed(),
+      wordLength: gameState.getWordLength(),
+      difficulty: gameState.getDifficulty(),
+      hardMode: gameState.isHardMode(),
+      gameStatus: gameState.getGameStatus(),
+      remainingAttempts: gameState.getRemainingAttempts(),
+      guesses: gameState.getGuesses().map(guess => ({
+        word: guess.getWord(),
+        feedback: guess.getFeedback().map(({ status }) => status)
+      })),
+      rejected,
+      targetWord: gameState.isGameOver() ? gameState.getTargetWord() : null
+    };
+  }
+
+  /**
+   * Play a list of guesses
+   * Guesses after the game ends are rejected like any other invalid guess
+   * @param {GameController} gameController - Controller with a game in progress
+   * @param {string[]} words - Guesses to make, in order
+   * @returns {Array<{word: string, error: string}>} Guesses that were rejected, with why
+   */
+  static playGuesses(gameController, words) {
+    const rejected = [];
+    for (const word of words) {
+      const result = gameController.submitGuess(word);
+      if (!result.success) {
+        rejected.push({ word, error: result.error });
+      }
+    }
+    return rejected;
+  }
+}
+
+TerminalGame.STATUS_MARKS = STATUS_MARKS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TerminalGame;
+}
@@ -0,0 +1,309 @@
+/**
+ * WordListTool module for Hard Wordle
+ * Checks, cleans and summarizes words.json for the words command line tool
+ */
+
+// Import required modules
+const Dictionary = require('../src/Dictionary');
+
+/**
+ * Word lists a words.json file may contain, in the order they are checked
+ */
+const LIST_NAMES = ['answers', 'allowed', 'words'];
+
+/**
+ * Problem type definition
+ * @typedef {Object} Problem
+ * @property {'format'|'characters'|'length'|'duplicate'} type - Kind of problem
+ * @property {string|null} list - List the word is in ('answers', 'allowed' or 'words')
+ * @property {number|null} length - Length group the word is filed under, or null for flat lists
+ * @property {string|null} word - The word as written in the file
+ * @property {string} message - Description of the problem
+ */
+
+/**
+ * List every entry in words.json data with the list and length group it is filed under
+ * @param {Object} data - Parsed words.json contents
+ * @returns {Array<{list: string, length: number|null, word: *}>} Entries in file order
+ */
+function listEntries(data) {
+  const entries = [];
+  LIST_NAMES.forEach(list => {
+    const value = data[list];
+    if (Array.isArray(value)) {
+      value.forEach(word => entries.push({ list, length: null, word }));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(length => {
+        if (Array.isArray(value[length])) {
+          value[length].forEach(word => entries.push({ list, length: Number(length), word }));
+        }
+      });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Sort a word list, keeping its shape (flat or grouped by length)
+ * @param {string[]|Object<string, string[]>} list - The list to sort
+ * @returns {string[]|Object<string, string[]>} A sorted copy
+ */
+function sortList(list) {
+  if (Array.isArray(list)) {
+    return [...list].sort();
+  }
+  const sorted = {};
+  Object.keys(list).forEach(length => {
+    sorted[length] = [...list[length]].sort();
+  });
+  return sorted;
+}
+
+/**
+ * Count how often each letter appears in a list of words
+ * @param {string[]} words - Words to count
+ * @returns {Array<{letter: string, count: number, share: number}>} One entry per
+ *   letter a-z, most frequent first; share is the fraction of words containing it
+ */
+function letterFrequencies(words) {
+  const counts = {};
+  const containing = {};
+  'abcdefghijklmnopqrstuvwxyz'.split('').forEach(letter => {
+    counts[letter] = 0;
+    containing[letter] = 0;
+  });
+
+  words.forEach(word => {
+    word.split('').forEach(letter => {
+      if (counts[letter] !== undefined) {
+        counts[letter]++;
+      }
+    });
+    new Set(word).forEach(letter => {
+      if (containing[letter] !== undefined) {
+        containing[letter]++;
+      }
+    });
+  });
+
+  return Object.keys(counts)
+    .map(letter => ({
+      letter,
+      count: counts[letter],
+      share: words.length === 0 ? 0 : containing[letter] / words.length
+    }))
+    .sort((a, b) => b.count - a.count || a.letter.localeCompare(b.letter));
+}
+
+/**
+ * Describe where a word is filed, e.g. 'answers[5]'
+ * @param {string} list - List name
+ * @param {number|null} length - Length group, or null for flat lists
+ * @returns {string} The location
+ */
+function locationOf(list, length) {
+  return length === null ? list : `${list}[${length}]`;
+}
+
+/**
+ * WordListTool class
+ * Provides static methods for each words command. They take parsed
+ * words.json data and return plain results; the command line entry point
+ * (cli/words.js) handles files, printing and exit codes.
+ */
+class WordListTool {
+  /**
+   * Find everything wrong with a word list
+   * Reports words with characters other than a-z, words filed under the wrong
+   * length, and words that appear more than once after lowercasing (which
+   * Dictionary would silently merge)
+   * @param {Object} data - Parsed words.json contents
+   * @returns {Problem[]} Problems in file order, empty if the list is clean
+   */
+  static validate(data) {
+    try {
+      Dictionary.fromJSON(data);
+    } catch (error) {
+      return [{ type: 'format', list: null, length: null, word: null, message: error.message }];
+    }
+    
+    const problems = [];
+    const seen = new Map();
+    
+    listEntries(data).forEach(({ list, length, word }) => {
+      const location = locationOf(list, length);
+      
+      if (typeof word !== 'string' || !/^[a-z]+$/i.test(word)) {
+        problems.push({ type: 'characters', list, length, word, message: `${location}: "${word}" contains characters other than a-z` });
+        return;
+      }
+      
+      if (length !== null && word.length !== length) {
+        problems.push({ type: 'length', list, length, word, message: `${location}: "${word}" has ${word.length} letters` });
+      }
+      
+      const normalizedWord = word.toLowerCase();
+      if (seen.has(normalizedWord)) {
+        const first = seen.get(normalizedWord);
+        problems.push({ type: 'duplicate', list, length, word, message: `${location}: "${word}" duplicates "${first.word}" in ${first.location}` });
+      } else {
+        seen.set(normalizedWord, { word, location });
+      }
+    });
+    
+    return problems;
+  }
+
+  /**
+   * Remove duplicate words
+   * The data goes through Dictionary, so words are lowercased, the first
+   * occurrence is kept (answers before allowed guesses), and words filed
+   * under the wrong length are moved to their own length
+   * @param {Object} data - Parsed words.json contents
+   * @returns {{data: Object, removed: Problem[]}} The cleaned data and the duplicates removed
+   */
+  static dedupe(data) {
+    const removed = WordListTool.validate(data).filter(problem => problem.type === 'duplicate');
+    return {
+      data: Dictionary.fromJSON(data).toJSON(),
+      removed
+    };
+  }
+
+  /**
+   * Sort every word list alphabetically
+   * Sorting changes the order daily puzzles draw from, so which word each
+   * date gets changes too
+   * @param {Object} data - Parsed words.json contents
+   * @returns {{data: Object, changed: boolean}} The sorted data and whether any list moved
+   */
+  static sort(data) {
+    const sorted = { ...data };
+    LIST_NAMES.forEach(list => {
+      if (data[list] !== undefined) {
+        sorted[list] = sortList(data[list]);
+      }
+    });
+    
+    return {
+      data: sorted,
+      changed: JSON.stringify(sorted) !== JSON.stringify(data)
+    };
+  }
+
+  /**
+   * Compare two word lists
+   * @param {Object} oldData - Parsed contents of the old words.json
+   * @param {Object} newData - Parsed contents of the new words.json
+   * @returns {{answers: {added: string[], removed: string[]}, allowed: {added: string[], removed: string[]}}}
+   *   Words added to and removed from each list, alphabetically; a word that
+   *   became an answer counts as removed from allowed and added to answers
+   */
+  static diff(oldData, newData) {
+    const before = Dictionary.fromJSON(oldData);
+    const after = Dictionary.fromJSON(newData);
+    const allowedOf = dictionary => dictionary.getWords().filter(word => !dictionary.isAnswer(word));
+    
+    const compare = (oldWords, newWords) => {
+      const oldSet = new Set(oldWords);
+      const newSet = new Set(newWords);
+      return {
+        added: newWords.filter(word => !oldSet.has(word)).sort(),
+        removed: oldWords.filter(word => !newSet.has(word)).sort()
+      };
+    };
+    
+    return {
+      answers: compare(before.getAnswers(), after.getAnswers()),
+      allowed: compare(allowedOf(before), allowedOf(after))
+    };
+  }
+
+  /**
+   * Find which words a blocklist keeps from being the target
+   * @param {Object} data - Parsed words.json contents
+   * @param {string[]} blocklist - Parsed blocklist.json contents
+   * @returns {{blocked: Array<{word: string, list: string, length: number|null}>, missing: string[]}}
+   *   Blocked entries in file order (only those in answers change which
+   *   targets can be picked), and blocklist words the list doesn't contain
+   */
+  static blocked(data, blocklist) {
+    const dictionary = Dictionary.fromJSON(data, { blocked: blocklist });
+    const blocked = listEntries(data)
+      .filter(({ word }) => typeof word === 'string' && dictionary.isBlocked(word))
+      .map(({ list, length, word }) => ({ word: word.toLowerCase(), list, length }));
+    
+    return {
+      blocked,
+      missing: blocklist.filter(word => !dictionary.isBlocked(word))
+    };
+  }
+
+  /**
+   * Summarize a word list
+   * @param {Object} data - Parsed words.json contents
+   * @param {string[]} [blocklist] - Parsed blocklist.json contents
+   * @returns {{lengths: Array<{length: number, answers: number, allowed: number, blocked: number}>, letters: Array, answerLetters: Array}}
+   *   Word counts per length (blocked words counted apart from answers and
+   *   allowed guesses), and letter frequencies over every word and over the answers
+   */
+  static stats(data, blocklist = []) {
+    const dictionary = Dictionary.fromJSON(data, { blocked: blocklist });
+    const lengths = Object.keys(dictionary.wordsByLength).map(Number).sort((a, b) => a - b);
+    
+    return {
+      lengths: lengths.map(length => {
+        const answers = dictionary.getAnswerCount(length);
+        const blocked = dictionary.getBlockedWords(length).length;
+        return { length, answers, allowed: dictionary.size(length) - answers - blocked, blocked };
+      }),
+      letters: letterFrequencies(dictionary.getWords()),
+      answerLetters: letterFrequencies(dictionary.getAnswers())
+    };
+  }
+
+  /**
+   * Format stats as text
+   * @param {Object} stats - Result of WordListTool.stats
+   * @returns {string} A table of word counts and one of letter frequencies
+   */
+  static formatStats(stats) {
+    const lines = ['Length  Answers  Allowed  Blocked'];
+    stats.lengths.forEach(({ length, answers, allowed, blocked }) => {
+      lines.push(`${String(length).padStart(6)}  ${String(answers).padStart(7)}  ${String(allowed).padStart(7)}  ${String(blocked).padStart(7)}`);
+    });
+    
+    const total = stats.lengths.reduce((sum, entry) => sum + entry.answers + entry.allowed + entry.blocked, 0);
+    lines.push(`Total: ${total} words`, '', 'Letter  Count  In answers');
+    
+    const answerShares = {};
+    stats.answerLetters.forEach(entry => {
+      answerShares[entry.letter] = entry.share;
+    });
+    stats.letters.forEach(({ letter, count }) => {
+      const percent = `${(answerShares[letter] * 100).toFixed(1)}%`;
+      lines.push(`${letter.padStart(6)}  ${String(count).padStart(5)}  ${percent.padStart(10)}`);
+    });
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a diff as text
+   * @param {Object} diff - Result of WordListTool.diff
+   * @returns {string} One line per added (+) or removed (-) word, or a note that nothing changed
+   */
+  static formatDiff(diff) {
+    const lines = [];
+    ['answers', 'allowed'].forEach(list => {
+      diff[list].removed.forEach(word => lines.push(`- ${list}: ${word}`));
+      diff[list].added.forEach(word => lines.push(`+ ${list}: ${word}`));
+    });
+    return lines.length === 0 ? 'No differences' : lines.join('\n');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WordListTool;
+}
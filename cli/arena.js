@@ -0,0 +1,71 @@
+// Hard Wordle - Bot Arena
+// Plays bots against each other on the same targets: npm run arena -- [options]
+
+const fs = require('fs');
+const path = require('path');
+const Dictionary = require('../src/Dictionary');
+const Random = require('../src/Random');
+const BotArena = require('./BotArena');
+const StrategyBenchmark = require('./StrategyBenchmark');
+
+const WORDS_PATH = path.join(__dirname, '..', 'public', 'words.json');
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'public', 'blocklist.json');
+
+const USAGE = `Usage: npm run arena -- [options]
+
+Options:
+  --bots <list>         Comma-separated bots (random, frequency, entropy) or strategy modules
+                        (default: random,frequency,entropy)
+  --seed <n>            Seed the rounds are drawn from (default: a new one, shown in the output)
+  --rounds <n>          Number of rounds (default: 100)
+  --length <n>          Letters per word (default: 5)
+  --difficulty <tier>   Tier to take the targets from: easy, normal or hard (default: normal)
+  --hard                Play in Hard Mode
+  --format <format>     text (default) or json
+  -h, --help            Show this help`;
+
+/**
+ * Run the arena
+ * @param {string[]} args - Command line arguments after the script name
+ * @returns {number} Exit code
+ */
+function run(args) {
+  let options;
+  try {
+    options = BotArena.parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const dictionary = Dictionary.fromJSON(JSON.parse(fs.readFileSync(WORDS_PATH, 'utf8')), {
+    blocked: JSON.parse(fs.readFileSync(BLOCKLIST_PATH, 'utf8'))
+  });
+  const seed = options.seed === null ? Random.createSeed() : options.seed;
+
+  // Random bots draw from the arena's seed too, so a seed replays the whole arena
+  const strategies = options.bots.map(spec => StrategyBenchmark.loadStrategy(spec, { random: Random.mulberry32(seed) }));
+
+  const result = BotArena.play(strategies, dictionary, {
+    seed,
+    rounds: options.rounds,
+    wordLength: options.wordLength,
+    difficulty: options.difficulty,
+    hardMode: options.hardMode
+  });
+
+  console.log(options.format === 'json' ? JSON.stringify(result, null, 2) : BotArena.formatLeaderboard(result));
+  return 0;
+}
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,70 @@
+// Hard Wordle - Strategy Benchmark
+// Plays a strategy against every answer: npm run benchmark -- [options]
+
+const fs = require('fs');
+const path = require('path');
+const Dictionary = require('../src/Dictionary');
+const StrategyBenchmark = require('./StrategyBenchmark');
+
+const WORDS_PATH = path.join(__dirname, '..', 'public', 'words.json');
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'public', 'blocklist.json');
+
+const USAGE = `Usage: npm run benchmark -- [options]
+
+Options:
+  --strategy <name|file>  A bot (random, frequency or entropy; default: entropy), or a module
+                          exporting { name, nextGuess(history, dictionary, settings) }
+  --length <n>            Letters per word (default: 5)
+  --difficulty <tier>     Tier to take the targets from: easy, normal or hard (default: normal)
+  --hard                  Play in Hard Mode
+  --format <format>       json (default) or csv
+  --worst <n>             Number of hardest words to report (default: 10)
+  -h, --help              Show this help`;
+
+/**
+ * Run the benchmark
+ * @param {string[]} args - Command line arguments after the script name
+ * @returns {number} Exit code
+ */
+function run(args) {
+  let options;
+  try {
+    options = StrategyBenchmark.parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const dictionary = Dictionary.fromJSON(JSON.parse(fs.readFileSync(WORDS_PATH, 'utf8')), {
+    blocked: JSON.parse(fs.readFileSync(BLOCKLIST_PATH, 'utf8'))
+  });
+  const strategy = StrategyBenchmark.loadStrategy(options.strategy);
+
+  // Progress goes to stderr, so it never ends up in redirected output
+  const onProgress = process.stderr.isTTY
+    ? (played, total) => process.stderr.write(`\r${played}/${total}${played === total ? '\n' : ''}`)
+    : undefined;
+
+  const report = StrategyBenchmark.run(strategy, dictionary, {
+    wordLength: options.wordLength,
+    difficulty: options.difficulty,
+    hardMode: options.hardMode,
+    worst: options.worst,
+    onProgress
+  });
+
+  console.log(options.format === 'csv' ? StrategyBenchmark.formatCSV(report) : JSON.stringify(report, null, 2));
+  return 0;
+}
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Hard Wordle - Terminal Game
+// Plays the game in a terminal: npm run play -- [options] [guesses...]
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Dictionary = require('../src/Dictionary');
+const GameController = require('../src/GameController');
+const TerminalGame = require('./TerminalGame');
+
+const WORDS_PATH = path.join(__dirname, '..', 'public', 'words.json');
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'public', 'blocklist.json');
+
+// Time zone in which the daily puzzle rolls over to the next word
+const DAILY_TIME_ZONE = process.env.DAILY_TIME_ZONE || 'UTC';
+
+const USAGE = `Usage: hard-wordle [options] [guesses...]
+
+Options:
+  --daily              Play today's daily puzzle
+  --practice           Play a random practice game (default)
+  --seed <n>           Replay the practice game picked from seed n
+  --length <n>         Letters per word (default: 5)
+  --difficulty <tier>  easy, normal or hard (default: normal)
+  --hard               Hard Mode: revealed hints must be reused
+  --json               Play the guesses given (or read from stdin, one per line),
+                       print the game as JSON and exit (with 1 if any guess was rejected)
+  --color, --no-color  Force colored tiles on or off (default: on in a terminal unless NO_COLOR is set)
+  -h, --help           Show this help
+
+Guesses given on the command line are played before the first prompt.`;
+
+/**
+ * Load the word list with the blocklist applied, as the game server does
+ * @returns {Dictionary} The dictionary
+ */
+function loadDictionary() {
+  return Dictionary.fromJSON(JSON.parse(fs.readFileSync(WORDS_PATH, 'utf8')), {
+    blocked: JSON.parse(fs.readFileSync(BLOCKLIST_PATH, 'utf8'))
+  });
+}
+
+/**
+ * Read every non-empty line of a stream
+ * @param {NodeJS.ReadableStream} stream - The stream to read
+ * @returns {Promise<string[]>} Trimmed lines
+ */
+async function readLines(stream) {
+  const lines = [];
+  for await (const line of readline.createInterface({ input: stream })) {
+    if (line.trim()) {
+      lines.push(line.trim());
+    }
+  }
+  return lines;
+}
+
+/**
+ * Play until the game ends or input runs out, redrawing after every guess
+ * @param {GameController} gameController - Controller with a game in progress
+ * @param {string[]} guesses - Guesses to play before the first prompt
+ * @param {boolean} color - Whether to use ANSI colors
+ */
+async function playInteractive(gameController, guesses, color) {
+  const draw = () => console.log(`\n${TerminalGame.render(gameController.getGameState(), { color })}`);
+
+  TerminalGame.playGuesses(gameController, guesses).forEach(({ word, error }) => {
+    console.log(TerminalGame.formatError(`${word}: ${error}`, { color }));
+  });
+  draw();
+  if (gameController.getGameState().isGameOver()) {
+    return;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  prompt.setPrompt('Guess: ');
+  prompt.prompt();
+
+  for await (const line of prompt) {
+    const word = line.trim();
+    if (word) {
+      const result = gameController.submitGuess(word);
+      if (result.success) {
+        draw();
+      } else {
+        console.log(TerminalGame.formatError(result.error, { color }));
+      }
+      if (result.gameStatus !== 'in-progress') {
+        break;
+      }
+    }
+    prompt.prompt();
+  }
+
+  // Input ended mid-game: finish the prompt line
+  if (!gameController.getGameState().isGameOver()) {
+    console.log();
+  }
+  prompt.close();
+}
+
+/**
+ * Run the game
+ * @param {string[]} args - Command line arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function run(args) {
+  let options;
+  try {
+    options = TerminalGame.parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const gameController = new GameController(loadDictionary(), { dailyTimeZone: DAILY_TIME_ZONE });
+  gameController.startNewGame({
+    mode: options.mode,
+    hardMode: options.hardMode,
+    wordLength: options.wordLength,
+    difficulty: options.difficulty,
+    ...(options.seed === null ? {} : { seed: options.seed })
+  });
+
+  if (options.json) {
+    const guesses = options.guesses.length > 0 || process.stdin.isTTY ? options.guesses : await readLines(process.stdin);
+    const rejected = TerminalGame.playGuesses(gameController, guesses);
+    console.log(JSON.stringify(TerminalGame.toJSON(gameController.getGameState(), rejected), null, 2));
+    return rejected.length > 0 ? 1 : 0;
+  }
+
+  const color = options.color === null ? Boolean(process.stdout.isTTY) && !process.env.NO_COLOR : options.color;
+  await playInteractive(gameController, options.guesses, color);
+  return 0;
+}
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+// Hard Wordle - Word List Tool
+// Checks and tidies public/words.json: npm run words -- <command>
+
+const fs = require('fs');
+const path = require('path');
+const WordListTool = require('./WordListTool');
+
+const DEFAULT_WORDS_PATH = path.join(__dirname, '..', 'public', 'words.json');
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'public', 'blocklist.json');
+
+const USAGE = `Usage: npm run words -- <command> [file]
+
+Commands:
+  validate [file]   Report malformed, misfiled and duplicate words (exits with 1 if any)
+  dedupe [file]     Remove duplicate words and rewrite the file
+  sort [file]       Sort every list alphabetically and rewrite the file
+  diff <old> <new>  List words added to and removed from each list
+  stats [file]      Word counts per length and letter frequencies
+  blocked [file]    List words public/blocklist.json keeps from being the target
+
+file defaults to public/words.json`;
+
+/**
+ * Read and parse a words.json file
+ * @param {string} file - Path of the file
+ * @returns {Object} Parsed contents
+ */
+function readWords(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write words.json data in the same layout as the checked-in file
+ * @param {string} file - Path of the file
+ * @param {Object} data - Data to write
+ */
+function writeWords(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Run a command
+ * @param {string[]} args - Command line arguments after the script name
+ * @returns {number} Exit code
+ */
+function run(args) {
+  const [command, ...files] = args;
+  const file = files[0] || DEFAULT_WORDS_PATH;
+
+  switch (command) {
+    case 'validate': {
+      const problems = WordListTool.validate(readWords(file));
+      problems.forEach(problem => console.error(problem.message));
+      if (problems.length > 0) {
+        console.error(`${file}: ${problems.length} problem(s) found`);
+        return 1;
+      }
+      console.log(`${file}: no problems found`);
+      return 0;
+    }
+    
+    case 'dedupe': {
+      const { data, removed } = WordListTool.dedupe(readWords(file));
+      removed.forEach(problem => console.log(`Removed ${problem.message}`));
+      writeWords(file, data);
+      console.log(`${file}: removed ${removed.length} duplicate(s)`);
+      return 0;
+    }
+    
+    case 'sort': {
+      const { data, changed } = WordListTool.sort(readWords(file));
+      if (changed) {
+        writeWords(file, data);
+        console.log(`${file}: sorted (daily puzzles will now pick different words)`);
+      } else {
+        console.log(`${file}: already sorted`);
+      }
+      return 0;
+    }
+    
+    case 'diff': {
+      if (files.length !== 2) {
+        console.error(USAGE);
+        return 2;
+      }
+      console.log(WordListTool.formatDiff(WordListTool.diff(readWords(files[0]), readWords(files[1]))));
+      return 0;
+    }
+    
+    case 'stats':
+      console.log(WordListTool.formatStats(WordListTool.stats(readWords(file), readWords(BLOCKLIST_PATH))));
+      return 0;
+    
+    case 'blocked': {
+      const { blocked, missing } = WordListTool.blocked(readWords(file), readWords(BLOCKLIST_PATH));
+      blocked.forEach(({ word, list, length }) => console.log(`${length === null ? list : `${list}[${length}]`}: ${word}`));
+      missing.forEach(word => console.log(`not in ${file}: ${word}`));
+      console.log(`${file}: ${blocked.length} blocked word(s), ${blocked.filter(entry => entry.list !== 'allowed').length} of them answers`);
+      return 0;
+    }
+    
+    default:
+      console.error(USAGE);
+      return 2;
+  }
+}
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -5,7 +5,14 @@ module.exports = {
   passWithNoTests: true,
   collectCoverageFrom: [
     'src/**/*.js',
+    'server/**/*.js',
+    'cli/**/*.js',
     '!src/main.js',
+    '!server/index.js',
+    '!cli/words.js',
+    '!cli/hard-wordle.js',
+    '!cli/benchmark.js',
+    '!cli/arena.js',
     '!**/node_modules/**'
   ],
   coverageThreshold: {
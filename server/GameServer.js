@@ -0,0 +1,243 @@
+/**
+ * GameServer module for the Hard Wordle server
+ * Exposes a GameService as a small JSON REST API over Node's http module
+ *
+ *   GET  /api/health              -> 200 { status: 'ok' }
+ *   POST /api/games               -> 201 GameView
+ *   GET  /api/games/:id           -> 200 GameView
+ *   POST /api/games/:id/guesses   -> 200 ServiceGuessResult, or 422 if the guess was rejected
+ */
+
+// Import required modules
+const http = require('http');
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_SIZE = 10 * 1024;
+
+const GAME_PATH = /^\/games\/([^/]+)$/;
+const GUESS_PATH = /^\/games\/([^/]+)\/guesses$/;
+
+/**
+ * Error that is reported to the client with an HTTP status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ * An empty body is treated as an empty object
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<Object>} The parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Keep draining the request so the error response can still be sent
+      if (size <= MAX_BODY_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+    
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, 'Request body is too large'));
+        return;
+      }
+      
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.trim() === '') {
+        resolve({});
+        return;
+      }
+      
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('not an object');
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, 'Request body must be a JSON object'));
+      }
+    });
+    
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+}
+
+/**
+ * GameServer class
+ * Routes HTTP requests to a GameService
+ */
+class GameServer {
+  /**
+   * Create a GameServer instance
+   * @param {GameService} service - The service holding the games
+   * @param {Object} [options] - Server settings
+   * @param {string} [options.basePath] - Path prefix of every route (default: '/api')
+   */
+  constructor(service, options = {}) {
+    if (!service) {
+      throw new Error('Game service is required');
+    }
+    
+    const { basePath = '/api' } = options;
+    
+    this.service = service;
+    this.basePath = basePath;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+  }
+
+  /**
+   * Start listening for requests
+   * @param {number} [port] - Port to listen on (default: 0, any free port)
+   * @param {string} [host] - Interface to bind (default: all)
+   * @returns {Promise<number>} The port the server is listening on
+   */
+  listen(port = 0, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests
+   * @returns {Promise<void>} Resolves once open connections are closed
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>} Resolves once the response is sent
+   */
+  async handleRequest(req, res) {
+    try {
+      const { status, body, headers } = await this.route(req);
+      sendJson(res, status, body, headers);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      
+      console.error('Unhandled server error:', error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Work out the response for a request
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<{status: number, body: Object, headers?: Object}>} The response to send
+   */
+  async route(req) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    if (!pathname.startsWith(`${this.basePath}/`)) {
+      throw new HttpError(404, 'Not found');
+    }
+    
+    const path = pathname.slice(this.basePath.length);
+    const allow = (methods) => {
+      if (!methods.includes(req.method)) {
+        return { status: 405, body: { error: 'Method not allowed' }, headers: { Allow: methods.join(', ') } };
+      }
+      return null;
+    };
+    
+    if (path === '/health') {
+      return allow(['GET']) || { status: 200, body: { status: 'ok' } };
+    }
+    
+    if (path === '/games') {
+      const notAllowed = allow(['POST']);
+      if (notAllowed) return notAllowed;
+      
+      const options = await readJsonBody(req);
+      try {
+        return { status: 201, body: this.service.createGame(options) };
+      } catch (error) {
+        // The game settings are checked by GameController and GameState
+        throw new HttpError(400, error.message);
+      }
+    }
+    
+    const gameMatch = path.match(GAME_PATH);
+    if (gameMatch) {
+      const notAllowed = allow(['GET']);
+      if (notAllowed) return notAllowed;
+      
+      const game = this.service.getGame(gameMatch[1]);
+      if (!game) {
+        throw new HttpError(404, 'Game not found');
+      }
+      return { status: 200, body: game };
+    }
+    
+    const guessMatch = path.match(GUESS_PATH);
+    if (guessMatch) {
+      const notAllowed = allow(['POST']);
+      if (notAllowed) return notAllowed;
+      
+      const { word } = await readJsonBody(req);
+      const result = this.service.submitGuess(guessMatch[1], word);
+      if (!result) {
+        throw new HttpError(404, 'Game not found');
+      }
+      return { status: result.success ? 200 : 422, body: result };
+    }
+    
+    throw new HttpError(404, 'Not found');
+  }
+}
+
+GameServer.MAX_BODY_SIZE = MAX_BODY_SIZE;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameServer;
+}
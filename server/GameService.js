@@ -0,0 +1,205 @@
+/**
+ * GameService module for the Hard Wordle server
+ * Keeps games in memory behind opaque IDs so the target never reaches the browser
+ */
+
+// Import required modules
+const crypto = require('crypto');
+const GameController = require('../src/GameController');
+
+/**
+ * Most games kept in memory before the least recently used ones are dropped
+ */
+const DEFAULT_MAX_GAMES = 10000;
+
+/**
+ * GameView type definition
+ * The serialized game (see GameStateData) with an ID, and the target
+ * withheld until the game is over
+ * @typedef {Object} GameView
+ * @property {string} id - Opaque game ID
+ * @property {string|null} targetWord - The target word once the game is over, otherwise null
+ * @property {null} seed - Always null: the seed gives the target away, and
+ *   server games can't be replayed from one
+ * @property {GuessData[]} guesses - Guesses in chronological order; in Fibble
+ *   games their true feedback is withheld until the game is over
+ */
+
+/**
+ * ServiceGuessResult type definition
+ * @typedef {Object} ServiceGuessResult
+ * @property {boolean} success - Whether the guess was accepted
+ * @property {string} [error] - Error message if the guess was rejected
+ * @property {GuessData} [guess] - The guess and its feedback if accepted, without its true
+ *   feedback while the game is in progress
+ * @property {'in-progress'|'won'|'lost'} gameStatus - Current game status
+ * @property {GameView} game - The game after the guess
+ */
+
+/**
+ * GameService class
+ * Runs one GameController per game, so the rules are exactly those of the local game
+ */
+class GameService {
+  /**
+   * Create a GameService instance
+   * @param {Dictionary} dictionary - The Dictionary instance shared by every game
+   * @param {Object} [options] - Service settings
+   * @param {string} [options.dailyTimeZone] - IANA time zone in which the daily puzzle rolls over (default: 'UTC')
+   * @param {number} [options.maxGames] - Games kept in memory (default: DEFAULT_MAX_GAMES)
+   * @param {Function} [options.generateId] - Returns a new unguessable game ID (default: random UUID)
+   */
+  constructor(dictionary, options = {}) {
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+    
+    const {
+      dailyTimeZone = 'UTC',
+      maxGames = DEFAULT_MAX_GAMES,
+      generateId = () => crypto.randomUUID()
+    } = options;
+    
+    if (!Number.isInteger(maxGames) || maxGames < 1) {
+      throw new Error('Max games must be a positive integer');
+    }
+    
+    this.dictionary = dictionary;
+    this.dailyTimeZone = dailyTimeZone;
+    this.maxGames = maxGames;
+    this.generateId = generateId;
+    // Map preserves insertion order, so the first entry is the least recently used
+    this.games = new Map();
+  }
+
+  /**
+   * Start a new game
+   * Only the player-facing settings are accepted; the daily puzzle always
+   * uses the server's date
+   * @param {Object} [options] - Settings for the new game
+   * @param {'practice'|'daily'} [options.mode] - Game mode (default: 'practice')
+   * @param {boolean} [options.hardMode] - Require guesses to reuse revealed hints (default: false)
+   * @param {number} [options.wordLength] - Number of letters per word (default: 5)
+   * @param {'easy'|'normal'|'hard'} [options.difficulty] - Tier to draw the target from (default: 'normal')
+   * @param {boolean} [options.fibble] - Make one tile of each row's feedback lie (default: false)
+   * @returns {GameView} The new game
+   */
+  createGame(options = {}) {
+    const { mode, hardMode, wordLength, difficulty, fibble } = options;
+    
+    if (hardMode !== undefined && typeof hardMode !== 'boolean') {
+      throw new Error('hardMode must be a boolean');
+    }
+    
+    if (fibble !== undefined && typeof fibble !== 'boolean') {
+      throw new Error('fibble must be a boolean');
+    }
+    
+    const controller = new GameController(this.dictionary, { dailyTimeZone: this.dailyTimeZone });
+    const gameState = controller.startNewGame({ mode, hardMode, wordLength, difficulty, fibble });
+    
+    const id = this.generateId();
+    this.games.set(id, controller);
+    
+    while (this.games.size > this.maxGames) {
+      this.games.delete(this.games.keys().next().value);
+    }
+    
+    return GameService.toView(id, gameState);
+  }
+
+  /**
+   * Get a game
+   * @param {string} id - Game ID
+   * @returns {GameView|null} The game, or null if the ID is unknown or expired
+   */
+  getGame(id) {
+    const controller = this.touch(id);
+    return controller ? GameService.toView(id, controller.getGameState()) : null;
+  }
+
+  /**
+   * Submit a guess to a game
+   * @param {string} id - Game ID
+   * @param {string} word - The word to guess
+   * @returns {ServiceGuessResult|null} Result of the guess, or null if the ID is unknown or expired
+   */
+  submitGuess(id, word) {
+    const controller = this.touch(id);
+    if (!controller) {
+      return null;
+    }
+    
+    const { guess, ...result } = controller.submitGuess(word);
+    const gameState = controller.getGameState();
+    return {
+      ...result,
+      ...(guess ? { guess: GameService.toGuessView(guess.toJSON(), gameState) } : {}),
+      game: GameService.toView(id, gameState)
+    };
+  }
+
+  /**
+   * Get the number of games in memory
+   * @returns {number} Number of games
+   */
+  getGameCount() {
+    return this.games.size;
+  }
+
+  /**
+   * Look up a game and mark it as recently used
+   * @param {string} id - Game ID
+   * @returns {GameController|null} The game's controller, or null if unknown
+   */
+  touch(id) {
+    const controller = this.games.get(id);
+    if (!controller) {
+      return null;
+    }
+    
+    this.games.delete(id);
+    this.games.set(id, controller);
+    return controller;
+  }
+
+  /**
+   * Build the public view of a game
+   * @param {string} id - Game ID
+   * @param {GameState} gameState - The game
+   * @returns {GameView} Serialized game without the target while it is in progress
+   */
+  static toView(id, gameState) {
+    const { targetWord, guesses, ...data } = gameState.toJSON();
+    return {
+      id,
+      ...data,
+      guesses: guesses.map(guess => GameService.toGuessView(guess, gameState)),
+      targetWord: gameState.isGameOver() ? targetWord : null,
+      seed: null
+    };
+  }
+
+  /**
+   * Build the public view of a guess
+   * @param {GuessData} guess - Serialized guess
+   * @param {GameState} gameState - The game it belongs to
+   * @returns {GuessData} The guess without its true feedback while the game is in progress,
+   *   since that would give away which tile lied
+   */
+  static toGuessView(guess, gameState) {
+    if (gameState.isGameOver()) {
+      return guess;
+    }
+    
+    const { trueFeedback, ...view } = guess;
+    return view;
+  }
+}
+
+GameService.DEFAULT_MAX_GAMES = DEFAULT_MAX_GAMES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameService;
+}
@@ -0,0 +1,44 @@
+// Hard Wordle - Game Server Entry Point
+// Serves the game API so targets are chosen and checked on the server
+
+const fs = require('fs');
+const path = require('path');
+const Dictionary = require('../src/Dictionary');
+const GameService = require('./GameService');
+const GameServer = require('./GameServer');
+
+const PORT = Number(process.env.PORT) || 3001;
+const HOST = process.env.HOST || undefined;
+
+// Time zone in which the daily puzzle rolls over to the next word
+const DAILY_TIME_ZONE = process.env.DAILY_TIME_ZONE || 'UTC';
+
+const WORDS_PATH = path.join(__dirname, '..', 'public', 'words.json');
+const BLOCKLIST_PATH = path.join(__dirname, '..', 'public', 'blocklist.json');
+
+/**
+ * Load the dictionary and start serving requests
+ */
+async function startServer() {
+  const dictionary = Dictionary.fromJSON(JSON.parse(fs.readFileSync(WORDS_PATH, 'utf8')), {
+    blocked: JSON.parse(fs.readFileSync(BLOCKLIST_PATH, 'utf8'))
+  });
+  console.log(`Dictionary loaded: ${dictionary.getAnswerCount()} answers, ${dictionary.size()} valid guesses, ${dictionary.getBlockedWords().length} blocked`);
+
+  const service = new GameService(dictionary, { dailyTimeZone: DAILY_TIME_ZONE });
+  const server = new GameServer(service);
+  const port = await server.listen(PORT, HOST);
+  console.log(`Hard Wordle game server listening on port ${port}`);
+
+  // Let in-flight requests finish when the process is asked to stop
+  const shutdown = () => {
+    server.close().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+startServer().catch(error => {
+  console.error('Failed to start game server:', error);
+  process.exit(1);
+});
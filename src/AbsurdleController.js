@@ -0,0 +1,194 @@
+/**
+ * AbsurdleController module for Hard Wordle
+ * Adversarial variant where the target is only fixed once the player corners it
+ */
+
+// Import required modules
+const GameState = require('./GameState');
+const FeedbackGenerator = require('./FeedbackGenerator');
+const Guess = require('./Guess');
+const HardModeValidator = require('./HardModeValidator');
+const Solver = require('./Solver');
+
+/**
+ * AbsurdleGuessResult type definition
+ * @typedef {Object} AbsurdleGuessResult
+ * @property {boolean} success - Whether the guess was accepted
+ * @property {string} [error] - Error message if the guess was rejected
+ * @property {Guess} [guess] - The Guess object if successful
+ * @property {number} remaining - Number of words still consistent with every guess
+ * @property {'in-progress'|'won'} gameStatus - Current game status
+ */
+
+/**
+ * Count the digits in a pattern equal to a value
+ * @param {string} pattern - Feedback pattern
+ * @param {string} digit - '2' for correct, '1' for present
+ * @returns {number} Number of matching letters
+ */
+function countDigit(pattern, digit) {
+  return pattern.split('').filter(d => d === digit).length;
+}
+
+/**
+ * AbsurdleController class
+ * Keeps every answer that fits the feedback so far and, after each guess,
+ * answers with the feedback that leaves the most words alive
+ */
+class AbsurdleController {
+  /**
+   * Create an AbsurdleController instance
+   * @param {Dictionary} dictionary - The Dictionary instance for word validation
+   */
+  constructor(dictionary) {
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+    
+    this.dictionary = dictionary;
+    this.candidates = [];
+    this.gameState = null;
+  }
+
+  /**
+   * Start a new game
+   * There is no attempt limit: the game ends only when the word is cornered
+   * @param {Object} [options] - Settings for the new game
+   * @param {boolean} [options.hardMode] - Require guesses to reuse revealed hints (default: false)
+   * @param {number} [options.wordLength] - Number of letters per word (default: 5)
+   * @param {'easy'|'normal'|'hard'} [options.difficulty] - Tier the candidates come from (default: 'normal')
+   * @returns {GameState} The new game state
+   */
+  startNewGame(options = {}) {
+    const { hardMode = false, wordLength = 5, difficulty = 'normal' } = options;
+    const candidates = this.dictionary.getTargetWords({ length: wordLength, difficulty });
+    
+    if (candidates.length === 0) {
+      throw new Error(`Dictionary has no ${wordLength}-letter words`);
+    }
+    
+    this.candidates = candidates;
+    // The target is provisional until a single candidate is left
+    this.gameState = new GameState(candidates[0], Infinity, { hardMode, wordLength, difficulty });
+    return this.gameState;
+  }
+
+  /**
+   * Submit a guess
+   * Candidates are grouped by the feedback they would give, and the largest
+   * group survives. Ties go to the group revealing fewer correct, then fewer
+   * present letters, so the win is only conceded when nothing else is left.
+   * @param {string} word - The word to guess
+   * @returns {AbsurdleGuessResult} Result of the guess attempt
+   */
+  submitGuess(word) {
+    if (!this.gameState) {
+      return {
+        success: false,
+        error: 'No game in progress. Start a new game first.',
+        remaining: 0,
+        gameStatus: 'in-progress'
+      };
+    }
+    
+    const reject = (error) => ({
+      success: false,
+      error,
+      remaining: this.candidates.length,
+      gameStatus: this.gameState.getGameStatus()
+    });
+    
+    if (this.gameState.isGameOver()) {
+      return reject('Game is over. Start a new game!');
+    }
+    
+    if (typeof word !== 'string') {
+      return reject('Please enter a word');
+    }
+    
+    const normalizedWord = word.toLowerCase();
+    const wordLength = this.gameState.getWordLength();
+    
+    if (normalizedWord.length !== wordLength) {
+      return reject(`Word must be exactly ${wordLength} letters`);
+    }
+    
+    if (!this.dictionary.isValidWord(normalizedWord)) {
+      return reject('Not a valid word');
+    }
+    
+    if (this.gameState.isHardMode()) {
+      const hardModeError = HardModeValidator.validateGuess(normalizedWord, this.gameState.getGuesses());
+      if (hardModeError) {
+        return reject(hardModeError);
+      }
+    }
+    
+    let bestPattern = null;
+    let bestGroup = [];
+    Solver.groupByPattern(normalizedWord, this.candidates).forEach((group, pattern) => {
+      if (bestPattern === null || AbsurdleController.compareGroups(group, pattern, bestGroup, bestPattern) < 0) {
+        bestPattern = pattern;
+        bestGroup = group;
+      }
+    });
+    
+    this.candidates = bestGroup;
+    
+    // Point the game at a surviving word so it is won exactly when the guess is the last one left
+    this.gameState.targetWord = bestGroup[0];
+    const guess = new Guess(normalizedWord, FeedbackGenerator.generateFeedback(normalizedWord, bestGroup[0]));
+    this.gameState.addGuess(guess);
+    
+    return {
+      success: true,
+      guess,
+      remaining: this.candidates.length,
+      gameStatus: this.gameState.getGameStatus()
+    };
+  }
+
+  /**
+   * Order two candidate groups by how much the adversary prefers keeping them
+   * @param {string[]} groupA - First group
+   * @param {string} patternA - Feedback pattern of the first group
+   * @param {string[]} groupB - Second group
+   * @param {string} patternB - Feedback pattern of the second group
+   * @returns {number} Negative if group A is preferred, positive if group B is, 0 if tied
+   */
+  static compareGroups(groupA, patternA, groupB, patternB) {
+    return (groupB.length - groupA.length) ||
+      (countDigit(patternA, '2') - countDigit(patternB, '2')) ||
+      (countDigit(patternA, '1') - countDigit(patternB, '1'));
+  }
+
+  /**
+   * Get the words that are still consistent with every guess
+   * @returns {string[]} Remaining candidates
+   */
+  getCandidates() {
+    return [...this.candidates]; // Return a copy to prevent external modification
+  }
+
+  /**
+   * Get the number of words still consistent with every guess
+   * @returns {number} Number of remaining candidates
+   */
+  getRemainingCount() {
+    return this.candidates.length;
+  }
+
+  /**
+   * Get the current game state
+   * Its target word is provisional until the game is won
+   * @returns {GameState|null} The current game state, or null if no game started
+   */
+  getGameState() {
+    return this.gameState;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AbsurdleController;
+}
@@ -0,0 +1,183 @@
+/**
+ * AnswerHistory module for Hard Wordle
+ * Remembers recent practice targets so the same word doesn't come up again too soon
+ */
+
+const Random = require('./Random');
+
+const DEFAULT_KEY = 'hardWordle.answerHistory';
+
+/**
+ * Version of the stored history format
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Seeds to try before giving up on finding an unused target
+ * Even when one word of a 16,000-word pool is left, running out is
+ * vanishingly unlikely
+ */
+const MAX_SEED_ATTEMPTS = 1000000;
+
+/**
+ * Name the target pool a set of options draws from, e.g. '5:normal'
+ * Each pool keeps its own history, since a word can only repeat within its pool
+ * @param {TargetOptions} [options] - Length and difficulty of the target
+ * @returns {string} The pool name ('any' stands for every length)
+ */
+function poolKey(options = {}) {
+  const { length, difficulty = 'normal' } = options;
+  return `${length === undefined ? 'any' : length}:${difficulty}`;
+}
+
+/**
+ * AnswerHistory class
+ * Picks practice targets without repeats and persists the picks to a Web
+ * Storage-compatible backend (e.g. localStorage), so they carry over between
+ * visits. Targets are picked by drawing seeds until one gives an unused
+ * word, so every game can still be replayed from its seed. A word is not
+ * picked again until `window` more games have been started from its pool,
+ * or until every word in the pool has been used (whichever comes first);
+ * then the bag refills. The default window never runs out, giving plain
+ * shuffle-bag behaviour.
+ */
+class AnswerHistory {
+  /**
+   * Create an AnswerHistory instance
+   * @param {Storage} storage - Object with getItem, setItem and removeItem (e.g. window.localStorage)
+   * @param {Object} [options] - History settings
+   * @param {string} [options.key] - Storage key for the history
+   * @param {number} [options.window] - Games that must pass before a word may repeat (default: Infinity)
+   */
+  constructor(storage, options = {}) {
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function' ||
+        typeof storage.removeItem !== 'function') {
+      throw new Error('Storage must provide getItem, setItem and removeItem');
+    }
+    
+    const { key = DEFAULT_KEY, window = Infinity } = options;
+    
+    if (window !== Infinity && (!Number.isInteger(window) || window < 1)) {
+      throw new Error('Window must be a positive integer');
+    }
+    
+    this.storage = storage;
+    this.key = key;
+    this.window = window;
+  }
+
+  /**
+   * Pick a seed whose target hasn't been used recently and remember the target
+   * @param {Dictionary} dictionary - The Dictionary to draw from
+   * @param {TargetOptions} [options] - Length and difficulty of the target
+   * @param {function(): number} [random] - Random source seeds are drawn from (default: Math.random)
+   * @returns {{seed: number, word: string}} The seed and the target it picks
+   *   (see GameController.getWordForSeed)
+   */
+  pickSeed(dictionary, options = {}, random = Math.random) {
+    const pool = dictionary.getTargetWords(options);
+    
+    if (pool.length === 0) {
+      throw new Error(`Dictionary has no ${options.length}-letter words`);
+    }
+    
+    const pools = this.load();
+    const name = poolKey(options);
+    let recent = pools[name] || [];
+    const recentSet = new Set(recent.slice(-this.window));
+    let candidates = pool.filter(word => !recentSet.has(word));
+    
+    // Every word has been used: refill the bag, but don't repeat the last
+    // word straight away
+    if (candidates.length === 0) {
+      const last = recent[recent.length - 1];
+      recent = [];
+      candidates = pool.length > 1 ? pool.filter(word => word !== last) : pool;
+    }
+    
+    const candidateSet = new Set(candidates);
+    for (let attempt = 0; attempt < MAX_SEED_ATTEMPTS; attempt++) {
+      const seed = Random.createSeed(random);
+      const word = dictionary.getRandomWord({ ...options, random: Random.mulberry32(seed) });
+      
+      if (candidateSet.has(word)) {
+        recent.push(word);
+        pools[name] = recent.slice(-Math.min(this.window, pool.length));
+        this.save(pools);
+        return { seed, word };
+      }
+    }
+    
+    throw new Error('Could not find a seed for an unused target');
+  }
+
+  /**
+   * Get the words picked from a pool since its bag was last refilled
+   * @param {TargetOptions} [options] - Length and difficulty of the pool
+   * @returns {string[]} Words in the order they were picked, oldest first
+   */
+  getRecent(options = {}) {
+    return this.load()[poolKey(options)] || [];
+  }
+
+  /**
+   * Read every pool's history
+   * Unreadable history is treated as empty
+   * @returns {Object<string, string[]>} Recent words keyed by pool name
+   */
+  load() {
+    let raw;
+    try {
+      raw = this.storage.getItem(this.key);
+    } catch (error) {
+      console.error('Failed to read answer history:', error);
+      return {};
+    }
+    
+    if (raw === null || raw === undefined) {
+      return {};
+    }
+    
+    try {
+      const data = JSON.parse(raw);
+      if (!data || data.version !== HISTORY_VERSION || !data.pools || typeof data.pools !== 'object') {
+        throw new Error('unrecognized answer history format');
+      }
+      return data.pools;
+    } catch (error) {
+      console.warn('Ignoring invalid answer history:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Write every pool's history
+   * @param {Object<string, string[]>} pools - Recent words keyed by pool name
+   */
+  save(pools) {
+    try {
+      this.storage.setItem(this.key, JSON.stringify({ version: HISTORY_VERSION, pools }));
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.error('Failed to save answer history:', error);
+    }
+  }
+
+  /**
+   * Forget every recent word
+   */
+  clear() {
+    try {
+      this.storage.removeItem(this.key);
+    } catch (error) {
+      console.error('Failed to clear answer history:', error);
+    }
+  }
+}
+
+AnswerHistory.DEFAULT_KEY = DEFAULT_KEY;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnswerHistory;
+}
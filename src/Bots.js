@@ -0,0 +1,181 @@
+/**
+ * Bots module for Hard Wordle
+ * The guessing strategy interface and the reference bots that implement it
+ */
+
+// Import required modules
+const HardModeValidator = require('./HardModeValidator');
+const Solver = require('./Solver');
+
+/**
+ * Names of the reference bots, weakest first
+ */
+const BOT_NAMES = ['random', 'frequency', 'entropy'];
+
+/**
+ * GameSettings type definition
+ * @typedef {Object} GameSettings
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier the target is drawn from
+ * @property {boolean} hardMode - Whether revealed hints must be reused
+ */
+
+/**
+ * Strategy type definition
+ * A strategy (or bot) plays a game one guess at a time. nextGuess is called
+ * before every guess with the game's Guess objects so far, oldest first,
+ * exactly as GameState.getGuesses() returns them to the UI, along with the
+ * Dictionary and the game's settings. It returns the word to guess next,
+ * which must be valid for the game's length and, in Hard Mode, reuse the
+ * revealed hints. Strategies may keep state between calls, but should not
+ * assume they see every game from the first guess.
+ * @typedef {Object} Strategy
+ * @property {string} name - Name shown in reports and leaderboards
+ * @property {function(Guess[], Dictionary, GameSettings): string} nextGuess - Pick the next guess
+ */
+
+/**
+ * BotOptions type definition
+ * @typedef {Object} BotOptions
+ * @property {function(): number} [random] - Random source for bots that pick at random (default: Math.random)
+ */
+
+/**
+ * Get the words that could still be the target
+ * Targets normally come from the settings' tier; if none of those fit the
+ * feedback (the target came from elsewhere), every valid word is considered
+ * @param {Guess[]} history - Guesses so far
+ * @param {Dictionary} dictionary - The Dictionary to search
+ * @param {GameSettings} settings - Length and difficulty of the game
+ * @returns {string[]} Consistent words, in word list order
+ */
+function getCandidates(history, dictionary, settings) {
+  const { wordLength, difficulty } = settings;
+  const candidates = Solver.filterCandidates(dictionary.getTargetWords({ length: wordLength, difficulty }), history);
+  return candidates.length > 0 ? candidates : Solver.filterCandidates(dictionary.getWords(wordLength), history);
+}
+
+/**
+ * Bots class
+ * Provides static factories for the reference bots. Each call creates a
+ * fresh bot, so bots that cache work or draw random numbers never share it.
+ */
+class Bots {
+  /**
+   * Create a bot that guesses a random word that could still be the answer
+   * @param {BotOptions} [options] - Bot settings
+   * @returns {Strategy} The bot
+   */
+  static createRandomBot(options = {}) {
+    const { random = Math.random } = options;
+    
+    return {
+      name: 'random',
+      nextGuess(history, dictionary, settings) {
+        const candidates = getCandidates(history, dictionary, settings);
+        return candidates[Math.floor(random() * candidates.length)];
+      }
+    };
+  }
+
+  /**
+   * Create a bot that guesses the candidate whose letters are most common
+   * Each candidate scores the number of remaining candidates that contain each
+   * of its distinct letters, so repeated letters aren't counted twice. Ties go
+   * to the more common word, then to word list order.
+   * @returns {Strategy} The bot
+   */
+  static createFrequencyBot() {
+    return {
+      name: 'frequency',
+      nextGuess(history, dictionary, settings) {
+        const candidates = getCandidates(history, dictionary, settings);
+        const letterCounts = {};
+        candidates.forEach(word => {
+          new Set(word).forEach(letter => {
+            letterCounts[letter] = (letterCounts[letter] || 0) + 1;
+          });
+        });
+        
+        let best = null;
+        let bestScore = -1;
+        candidates.forEach(word => {
+          let score = 0;
+          new Set(word).forEach(letter => {
+            score += letterCounts[letter];
+          });
+          if (score > bestScore || (score === bestScore && dictionary.getFrequency(word) > dictionary.getFrequency(best))) {
+            best = word;
+            bestScore = score;
+          }
+        });
+        return best;
+      }
+    };
+  }
+
+  /**
+   * Create a bot that plays the Solver's top-ranked guess
+   * It guesses whichever valid word reveals the most about the candidates,
+   * as the in-game suggestions do, and once one or two candidates remain it
+   * guesses one of them. Openings only depend on the settings, so each is
+   * ranked once and reused.
+   * @returns {Strategy} The bot
+   */
+  static createEntropyBot() {
+    const openings = new Map();
+    
+    return {
+      name: 'entropy',
+      nextGuess(history, dictionary, settings) {
+        const { wordLength, difficulty, hardMode } = settings;
+        const candidates = getCandidates(history, dictionary, settings);
+        if (candidates.length <= 2) {
+          return candidates[0];
+        }
+        
+        const key = `${wordLength}:${difficulty}`;
+        if (history.length === 0 && openings.has(key)) {
+          return openings.get(key);
+        }
+        
+        let guessWords = dictionary.getWords(wordLength).filter(word => !dictionary.isBlocked(word));
+        if (hardMode) {
+          guessWords = guessWords.filter(word => HardModeValidator.validateGuess(word, history) === null);
+        }
+        const [best] = Solver.rankGuesses(guessWords, candidates, { limit: 1 });
+        if (history.length === 0) {
+          openings.set(key, best.word);
+        }
+        return best.word;
+      }
+    };
+  }
+
+  /**
+   * Create a reference bot by name
+   * @param {string} name - One of Bots.NAMES
+   * @param {BotOptions} [options] - Bot settings
+   * @returns {Strategy} The bot
+   * @throws {Error} If there is no bot with that name
+   */
+  static create(name, options = {}) {
+    switch (name) {
+      case 'random':
+        return Bots.createRandomBot(options);
+      case 'frequency':
+        return Bots.createFrequencyBot();
+      case 'entropy':
+        return Bots.createEntropyBot();
+      default:
+        throw new Error(`Unknown bot ${name}. Bots: ${BOT_NAMES.join(', ')}`);
+    }
+  }
+}
+
+Bots.NAMES = BOT_NAMES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bots;
+}
@@ -0,0 +1,110 @@
+/**
+ * DailyPuzzle module for Hard Wordle
+ * Derives a deterministic puzzle number and target word from the calendar date
+ */
+
+/**
+ * Calendar date of puzzle #1 (YYYY-MM-DD)
+ */
+const DAILY_EPOCH = '2025-01-01';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * DailyPuzzle class
+ * Provides static methods so every player gets the same word on the same day
+ */
+class DailyPuzzle {
+  /**
+   * Get the calendar date in the given time zone
+   * The puzzle rolls over at local midnight of that time zone
+   *
+   * @param {Date} [date] - The moment to convert (default: now)
+   * @param {string} [timeZone] - IANA time zone name (default: 'UTC')
+   * @returns {string} The date formatted as YYYY-MM-DD
+   */
+  static getDateKey(date = new Date(), timeZone = 'UTC') {
+    if (!(date instanceof Date) || isNaN(date.getTime())) {
+      throw new Error('Date must be a valid Date object');
+    }
+    
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      }).formatToParts(date);
+    } catch (error) {
+      throw new Error(`Invalid time zone: ${timeZone}`);
+    }
+    
+    const lookup = {};
+    parts.forEach(part => {
+      lookup[part.type] = part.value;
+    });
+    
+    return `${lookup.year}-${lookup.month}-${lookup.day}`;
+  }
+
+  /**
+   * Get the puzzle number for a date
+   * Puzzle #1 is DAILY_EPOCH; numbers increase by one each day
+   *
+   * @param {Date} [date] - The moment to convert (default: now)
+   * @param {string} [timeZone] - IANA time zone name (default: 'UTC')
+   * @returns {number} The puzzle number
+   */
+  static getPuzzleNumber(date = new Date(), timeZone = 'UTC') {
+    const dateKey = DailyPuzzle.getDateKey(date, timeZone);
+    const elapsed = Date.parse(`${dateKey}T00:00:00Z`) - Date.parse(`${DAILY_EPOCH}T00:00:00Z`);
+    return Math.round(elapsed / MS_PER_DAY) + 1;
+  }
+
+  /**
+   * Map a puzzle number onto an index in a word pool
+   * Scrambles the number so consecutive days don't walk the list alphabetically
+   *
+   * @param {number} puzzleNumber - The puzzle number
+   * @param {number} poolSize - Number of words to choose from
+   * @returns {number} An index in the range [0, poolSize)
+   */
+  static getWordIndex(puzzleNumber, poolSize) {
+    if (!Number.isInteger(puzzleNumber)) {
+      throw new Error('Puzzle number must be an integer');
+    }
+    
+    if (!Number.isInteger(poolSize) || poolSize <= 0) {
+      throw new Error('Pool size must be a positive integer');
+    }
+    
+    // 32-bit integer hash (murmur3 finalizer)
+    let hash = puzzleNumber >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    hash = (hash ^ (hash >>> 16)) >>> 0;
+    
+    return hash % poolSize;
+  }
+
+  /**
+   * Get the target word for a puzzle number
+   * @param {Dictionary} dictionary - The Dictionary to choose from
+   * @param {number} puzzleNumber - The puzzle number
+   * @param {TargetOptions} [options] - Length and difficulty of the puzzle
+   * @returns {string} The daily target word
+   */
+  static getWordForPuzzle(dictionary, puzzleNumber, options = {}) {
+    const pool = dictionary.getTargetWords(options);
+    const index = DailyPuzzle.getWordIndex(puzzleNumber, pool.length);
+    return pool[index];
+  }
+}
+
+DailyPuzzle.DAILY_EPOCH = DAILY_EPOCH;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DailyPuzzle;
+}
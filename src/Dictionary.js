@@ -3,27 +3,425 @@
  * Manages the word dictionary and provides validation and selection methods
  */
 
+/**
+ * Group words by their length
+ * @param {string[]} words - Words to group
+ * @returns {Object<number, string[]>} Map of word length to words
+ */
+function groupByLength(words) {
+  const groups = {};
+  words.forEach(word => {
+    if (!groups[word.length]) {
+      groups[word.length] = [];
+    }
+    groups[word.length].push(word);
+  });
+  return groups;
+}
+
+/**
+ * Flatten a words.json list, which is either an array or arrays grouped by length
+ * @param {string[]|Object<string, string[]>} list - The list to flatten
+ * @param {string} name - Name of the list, used in error messages
+ * @returns {string[]} Flat array of words
+ */
+function flattenWordList(list, name) {
+  if (Array.isArray(list)) {
+    return list;
+  }
+
+  if (list && typeof list === 'object') {
+    const groups = Object.values(list);
+
+    if (!groups.every(Array.isArray)) {
+      throw new Error(`Invalid dictionary format: each word length in "${name}" must map to an array`);
+    }
+
+    return [].concat(...groups);
+  }
+
+  throw new Error(`Invalid dictionary format: expected "${name}" array or object grouped by length`);
+}
+
+/**
+ * First line of a packed dictionary, naming the format and its version
+ */
+const PACKED_HEADER = 'hard-wordle-words 1';
+
+/**
+ * Packed section header: which list follows and the length of its words
+ */
+const PACKED_SECTION = /^(answers|allowed|blocked) (\d+)$/;
+
+/**
+ * Packed entry: letters shared with the previous word, the remaining
+ * letters, and an optional frequency score in hundredths
+ */
+const PACKED_ENTRY = /^(\d+)([a-z]+)(?:,(\d+))?$/;
+
+/**
+ * Front-code a word list for the packed format
+ * Each word is stored as the number of leading letters it shares with the
+ * word before it followed by the rest of the word, e.g. "apple", "apply"
+ * becomes "0apple", "4y". The list keeps its order, sorted or not.
+ * @param {string[]} words - Words of one length, in order
+ * @param {Object<string, number>} frequencies - Commonness score per word
+ * @returns {string[]} One packed line per word
+ */
+function packWords(words, frequencies) {
+  let previous = '';
+  return words.map(word => {
+    if (!/^[a-z]+$/.test(word)) {
+      throw new Error(`Cannot pack "${word}": words may only contain the letters a-z`);
+    }
+
+    let shared = 0;
+    while (shared < previous.length && word[shared] === previous[shared]) {
+      shared++;
+    }
+    previous = word;
+
+    const entry = `${shared}${word.slice(shared)}`;
+    const frequency = frequencies[word];
+    return frequency ? `${entry},${Math.round(frequency * 100)}` : entry;
+  });
+}
+
+/**
+ * Find the first index in a sorted array whose word is not before the prefix
+ * @param {string[]} sorted - Words in ascending order
+ * @param {string} prefix - The prefix to search for
+ * @returns {number} Index of the first word >= prefix
+ */
+function lowerBound(sorted, prefix) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sorted[middle] < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Look up (and cache) the valid words in alphabetical order
+ * @param {Dictionary} dictionary - The Dictionary to read
+ * @param {number} [length] - Word length, or undefined for every word
+ * @returns {string[]} The sorted words
+ */
+function sortedWords(dictionary, length) {
+  const key = length === undefined ? 'all' : length;
+  if (!dictionary.sortedCache[key]) {
+    const words = length === undefined ? dictionary.wordArray : (dictionary.wordsByLength[length] || []);
+    dictionary.sortedCache[key] = [...words].sort();
+  }
+  return dictionary.sortedCache[key];
+}
+
+/**
+ * Difficulty tiers, from most to least forgiving
+ * - easy: the more common half of the answers, by frequency score
+ * - normal: every answer
+ * - hard: any valid word, including allowed guesses
+ */
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+/**
+ * Share of the answers (most frequent first) that make up the easy tier
+ */
+const EASY_FRACTION = 0.5;
+
+/**
+ * Look up the internal answer list for a length without copying it
+ * @param {Dictionary} dictionary - The Dictionary to read
+ * @param {number} [length] - Word length, or undefined for every answer
+ * @returns {string[]} The internal answer array
+ */
+function answersOfLength(dictionary, length) {
+  if (length === undefined) {
+    return dictionary.answerArray;
+  }
+  return dictionary.answersByLength[length] || [];
+}
+
+/**
+ * Get the words of one length that are accepted as guesses but never chosen
+ * @param {Dictionary} dictionary - The Dictionary to read
+ * @param {number} length - Word length
+ * @returns {string[]} Allowed words, in source order
+ */
+function allowedOfLength(dictionary, length) {
+  return (dictionary.wordsByLength[length] || []).filter(word => !dictionary.answerSet.has(word) && !dictionary.blockedSet.has(word));
+}
+
+/**
+ * Look up (and cache) the words a target may be drawn from
+ * @param {Dictionary} dictionary - The Dictionary to read
+ * @param {TargetOptions} options - Length and difficulty of the target
+ * @returns {string[]} The internal target pool
+ */
+function targetPool(dictionary, options) {
+  const { length, difficulty = 'normal' } = options;
+
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const key = `${length}:${difficulty}`;
+  if (dictionary.poolCache[key]) {
+    return dictionary.poolCache[key];
+  }
+
+  let pool;
+  if (difficulty === 'hard') {
+    const words = length === undefined ? dictionary.wordArray : (dictionary.wordsByLength[length] || []);
+    pool = dictionary.blockedSet.size === 0 ? words : words.filter(word => !dictionary.blockedSet.has(word));
+  } else if (difficulty === 'normal') {
+    pool = answersOfLength(dictionary, length);
+  } else {
+    // Keep the source order, but only the most frequent EASY_FRACTION of answers
+    const answers = answersOfLength(dictionary, length);
+    const scores = answers.map(word => dictionary.getFrequency(word)).sort((a, b) => b - a);
+    const cutoff = scores[Math.max(0, Math.ceil(answers.length * EASY_FRACTION) - 1)];
+    pool = answers.filter(word => dictionary.getFrequency(word) >= cutoff);
+  }
+
+  dictionary.poolCache[key] = pool;
+  return pool;
+}
+
+/**
+ * TargetOptions type definition
+ * @typedef {Object} TargetOptions
+ * @property {number} [length] - Only pick words of this length (default: any length)
+ * @property {'easy'|'normal'|'hard'} [difficulty] - Difficulty tier (default: 'normal')
+ */
+
 class Dictionary {
   /**
    * Create a Dictionary instance
-   * @param {string[]} words - Array of valid 5-letter words
+   * @param {string[]} answers - Words that can be chosen as the target (any supported length)
+   * @param {string[]} [allowed] - Additional words accepted as guesses but never chosen as the target
+   * @param {Object} [options] - Additional word metadata
+   * @param {Object<string, number>} [options.frequencies] - Commonness score per word
+   *   (Zipf scale: higher is more common; missing words score 0)
+   * @param {string[]} [options.blocked] - Words never chosen as the target at any
+   *   difficulty, such as slurs; they are still accepted as guesses if listed above
+   * @param {function(): number} [options.random] - Random source for getRandomWord,
+   *   returning numbers in [0, 1) (default: Math.random; see Random.mulberry32)
    */
-  constructor(words) {
-    if (!Array.isArray(words)) {
+  constructor(answers, allowed = [], options = {}) {
+    if (!Array.isArray(answers)) {
       throw new Error('Dictionary constructor requires an array of words');
     }
-    
-    if (words.length === 0) {
+
+    if (answers.length === 0) {
       throw new Error('Dictionary cannot be empty');
     }
+
+    if (!Array.isArray(allowed)) {
+      throw new Error('Allowed words must be an array');
+    }
+
+    const { frequencies = {}, blocked = [], random = Math.random } = options;
+    
+    if (!Array.isArray(blocked)) {
+      throw new Error('Blocked words must be an array');
+    }
+    
+    if (typeof random !== 'function') {
+      throw new Error('Random source must be a function');
+    }
     
+    const blockedWords = new Set(blocked.map(word => word.toLowerCase()));
+    const normalizedAnswers = answers.map(word => word.toLowerCase());
+
     // Store words in a Set for O(1) lookup performance
-    this.wordSet = new Set(words.map(word => word.toLowerCase()));
+    this.answerSet = new Set(normalizedAnswers.filter(word => !blockedWords.has(word)));
+    this.answerArray = Array.from(this.answerSet);
+    this.wordSet = new Set([...this.answerArray, ...normalizedAnswers, ...allowed.map(word => word.toLowerCase())]);
     this.wordArray = Array.from(this.wordSet);
+    
+    // Only remember blocked words that are in the dictionary
+    this.blockedSet = new Set(this.wordArray.filter(word => blockedWords.has(word)));
+
+    // Group words by length so games can pick a target of a chosen length
+    this.answersByLength = groupByLength(this.answerArray);
+    this.wordsByLength = groupByLength(this.wordArray);
+    
+    if (typeof frequencies !== 'object' || frequencies === null || Array.isArray(frequencies)) {
+      throw new Error('Frequencies must be an object mapping words to scores');
+    }
+    
+    this.frequencies = {};
+    Object.keys(frequencies).forEach(word => {
+      this.frequencies[word.toLowerCase()] = frequencies[word];
+    });
+    this.random = random;
+    this.poolCache = {};
+    this.sortedCache = {};
+  }
+
+  /**
+   * Create a Dictionary from parsed words.json data
+   * Accepts the split format { "answers": ..., "allowed": ... } as well as the
+   * older single "words" list, in which case every word can be the answer.
+   * Each list is either a flat array or arrays grouped by length,
+   * e.g. { "answers": { "5": ["apple", ...] }, "allowed": { "5": ["aahed", ...] } }.
+   * An optional "frequencies" object maps words to commonness scores.
+   * @param {Object} data - Parsed words.json contents
+   * @param {Object} [options] - Settings that aren't part of words.json
+   * @param {string[]} [options.blocked] - Words never chosen as the target (e.g. from blocklist.json)
+   * @param {function(): number} [options.random] - Random source for getRandomWord
+   * @returns {Dictionary} A new Dictionary instance
+   */
+  static fromJSON(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid dictionary format: expected an object');
+    }
+
+    if (data.answers !== undefined) {
+      const answers = flattenWordList(data.answers, 'answers');
+      const allowed = data.allowed === undefined ? [] : flattenWordList(data.allowed, 'allowed');
+      return new Dictionary(answers, allowed, { ...options, frequencies: data.frequencies });
+    }
+
+    return new Dictionary(flattenWordList(data.words, 'words'), [], { ...options, frequencies: data.frequencies });
+  }
+
+  /**
+   * Create a Dictionary from a packed dictionary (see toPacked)
+   * @param {string} text - Contents of a packed dictionary file
+   * @returns {Dictionary} A new Dictionary instance
+   */
+  static fromPacked(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid packed dictionary: expected a string');
+    }
+
+    const lines = text.split('\n');
+    if (lines[0].trim() !== PACKED_HEADER) {
+      throw new Error(`Invalid packed dictionary: expected the header "${PACKED_HEADER}"`);
+    }
+
+    const answers = [];
+    const allowed = [];
+    const blocked = [];
+    const frequencies = {};
+    let list = null;
+    let length = 0;
+    let previous = '';
+
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (line === '') {
+        continue;
+      }
+
+      const section = PACKED_SECTION.exec(line);
+      if (section) {
+        list = { answers, allowed, blocked }[section[1]];
+        length = Number(section[2]);
+        previous = '';
+        continue;
+      }
+
+      const entry = PACKED_ENTRY.exec(line);
+      const shared = entry ? Number(entry[1]) : 0;
+      const word = entry ? previous.slice(0, shared) + entry[2] : '';
+      if (!entry || list === null || shared > previous.length || word.length !== length) {
+        throw new Error(`Invalid packed dictionary: unexpected "${line}" on line ${i + 1}`);
+      }
+
+      list.push(word);
+      if (entry[3] !== undefined) {
+        frequencies[word] = Number(entry[3]) / 100;
+      }
+      previous = word;
+    }
+
+    return new Dictionary(answers, [...allowed, ...blocked], { frequencies, blocked });
+  }
+
+  /**
+   * Encode the dictionary in the packed format
+   * A text file of one line per word, grouped into "answers N", "allowed N"
+   * and "blocked N" sections per word length. Each word is front-coded against the
+   * word before it (see packWords), with its frequency score in hundredths
+   * after a comma. The order of the words of each length is kept, so daily
+   * puzzles don't change.
+   * @returns {string} The packed dictionary
+   */
+  toPacked() {
+    const lines = [PACKED_HEADER];
+    const lengths = Object.keys(this.wordsByLength).map(Number).sort((a, b) => a - b);
+
+    lengths.forEach(length => {
+      const answers = this.answersByLength[length] || [];
+      const allowed = allowedOfLength(this, length);
+
+      if (answers.length > 0) {
+        lines.push(`answers ${length}`, ...packWords(answers, this.frequencies));
+      }
+      if (allowed.length > 0) {
+        lines.push(`allowed ${length}`, ...packWords(allowed, this.frequencies));
+      }
+      const blocked = this.getBlockedWords(length);
+      if (blocked.length > 0) {
+        lines.push(`blocked ${length}`, ...packWords(blocked, this.frequencies));
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Copy the dictionary without telling its answers apart from other guesses
+   * Every valid word becomes a possible answer, in alphabetical order and
+   * without frequency scores, so the copy can check guesses but doesn't give
+   * away which words can be the target (e.g. for games hosted by the server)
+   * @returns {Dictionary} A new Dictionary of the same valid words
+   */
+  withoutAnswers() {
+    return new Dictionary([...this.wordArray].sort());
+  }
+
+  /**
+   * Convert the dictionary to words.json data
+   * Every word appears once, in lowercase, grouped by its length: under
+   * "answers" if it can be the target, otherwise under "allowed" (blocked
+   * words included, since the blocklist is kept in its own file)
+   * @returns {Object} Data that fromJSON turns back into the same dictionary
+   */
+  toJSON() {
+    const answers = {};
+    const allowed = {};
+    const lengths = Object.keys(this.wordsByLength).map(Number).sort((a, b) => a - b);
+
+    lengths.forEach(length => {
+      if (this.answersByLength[length]) {
+        answers[length] = [...this.answersByLength[length]];
+      }
+      const allowedWords = [...allowedOfLength(this, length), ...this.getBlockedWords(length)];
+      if (allowedWords.length > 0) {
+        allowed[length] = allowedWords;
+      }
+    });
+
+    const data = { answers, allowed };
+    if (Object.keys(this.frequencies).length > 0) {
+      data.frequencies = { ...this.frequencies };
+    }
+    return data;
   }
 
   /**
    * Check if a word exists in the dictionary
+   * Both answers and allowed guesses are valid
    * @param {string} word - The word to validate
    * @returns {boolean} True if the word exists in the dictionary
    */
@@ -35,23 +433,164 @@ class Dictionary {
   }
 
   /**
-   * Get a random word from the dictionary
-   * @returns {string} A random 5-letter word
+   * Check if a word can be chosen as the target
+   * @param {string} word - The word to check
+   * @returns {boolean} True if the word is in the answer list
+   */
+  isAnswer(word) {
+    if (typeof word !== 'string') {
+      return false;
+    }
+    return this.answerSet.has(word.toLowerCase());
+  }
+
+  /**
+   * Check if a word is blocked from ever being the target
+   * @param {string} word - The word to check
+   * @returns {boolean} True if the word is in the dictionary and blocked
+   */
+  isBlocked(word) {
+    if (typeof word !== 'string') {
+      return false;
+    }
+    return this.blockedSet.has(word.toLowerCase());
+  }
+
+  /**
+   * Get the dictionary words that are blocked from being the target
+   * @param {number} [length] - Only return words of this length (default: any length)
+   * @returns {string[]} Blocked words, in source order
    */
-  getRandomWord() {
-    const randomIndex = Math.floor(Math.random() * this.wordArray.length);
-    return this.wordArray[randomIndex];
+  getBlockedWords(length) {
+    const words = length === undefined ? this.wordArray : (this.wordsByLength[length] || []);
+    return words.filter(word => this.blockedSet.has(word));
   }
 
   /**
-   * Get the total number of words in the dictionary
+   * Get a random target word
+   * Draws one number from the random source, so a seeded source picks the
+   * same word from the same word list every time
+   * @param {TargetOptions} [options] - Length and difficulty of the target
+   * @param {function(): number} [options.random] - Random source for this pick (default: the dictionary's)
+   * @returns {string} A random word from the target pool
+   */
+  getRandomWord(options = {}) {
+    const pool = targetPool(this, options);
+
+    if (pool.length === 0) {
+      throw new Error(`Dictionary has no ${options.length}-letter words`);
+    }
+
+    const random = options.random || this.random;
+    const randomIndex = Math.floor(random() * pool.length);
+    return pool[randomIndex];
+  }
+
+  /**
+   * Get every word a target may be drawn from
+   * Order follows the source word list, so the same list always yields the same pool
+   * @param {TargetOptions} [options] - Length and difficulty of the target
+   * @returns {string[]} Array of candidate target words
+   */
+  getTargetWords(options = {}) {
+    return [...targetPool(this, options)]; // Return a copy to prevent external modification
+  }
+
+  /**
+   * Get the number of words a target may be drawn from
+   * @param {TargetOptions} [options] - Length and difficulty of the target
+   * @returns {number} Size of the target pool
+   */
+  getTargetCount(options = {}) {
+    return targetPool(this, options).length;
+  }
+
+  /**
+   * Get the commonness score of a word
+   * @param {string} word - The word to look up
+   * @returns {number} Zipf-scale score (higher is more common), or 0 if unknown
+   */
+  getFrequency(word) {
+    if (typeof word !== 'string') {
+      return 0;
+    }
+    return this.frequencies[word.toLowerCase()] || 0;
+  }
+
+  /**
+   * Get all answer words, optionally restricted to one length
+   * @param {number} [length] - Only return words of this length (default: any length)
+   * @returns {string[]} Array of answer words
+   */
+  getAnswers(length) {
+    return [...answersOfLength(this, length)]; // Return a copy to prevent external modification
+  }
+
+  /**
+   * Get the number of answer words
+   * @param {number} [length] - Only count words of this length (default: any length)
+   * @returns {number} The number of answers
+   */
+  getAnswerCount(length) {
+    return answersOfLength(this, length).length;
+  }
+
+  /**
+   * Get all valid words (answers and allowed guesses), optionally restricted to one length
+   * @param {number} [length] - Only return words of this length (default: any length)
+   * @returns {string[]} Array of words
+   */
+  getWords(length) {
+    const words = length === undefined ? this.wordArray : (this.wordsByLength[length] || []);
+    return [...words]; // Return a copy to prevent external modification
+  }
+
+  /**
+   * Get every valid word that starts with a prefix
+   * @param {string} prefix - The letters the words must start with
+   * @param {number} [length] - Only return words of this length (default: any length)
+   * @returns {string[]} Matching words in alphabetical order
+   */
+  getWordsWithPrefix(prefix, length) {
+    if (typeof prefix !== 'string') {
+      return [];
+    }
+
+    const normalizedPrefix = prefix.toLowerCase();
+    const sorted = sortedWords(this, length);
+    const start = lowerBound(sorted, normalizedPrefix);
+
+    let end = start;
+    while (end < sorted.length && sorted[end].startsWith(normalizedPrefix)) {
+      end++;
+    }
+    return sorted.slice(start, end);
+  }
+
+  /**
+   * Get the word lengths that have at least one answer
+   * @returns {number[]} Word lengths in ascending order
+   */
+  getAvailableLengths() {
+    return Object.keys(this.answersByLength).map(Number).sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the total number of valid words in the dictionary
+   * @param {number} [length] - Only count words of this length (default: any length)
    * @returns {number} The number of words
    */
-  size() {
-    return this.wordArray.length;
+  size(length) {
+    if (length === undefined) {
+      return this.wordArray.length;
+    }
+    return (this.wordsByLength[length] || []).length;
   }
 }
 
+Dictionary.DIFFICULTIES = DIFFICULTIES;
+Dictionary.PACKED_HEADER = PACKED_HEADER;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Dictionary;
@@ -3,6 +3,11 @@
  * Generates feedback for guesses compared to the target word
  */
 
+/**
+ * Pattern digit for each feedback status
+ */
+const PATTERN_DIGITS = { correct: '2', present: '1', absent: '0' };
+
 /**
  * FeedbackGenerator class
  * Provides static methods to generate feedback for word guesses
@@ -75,6 +80,28 @@ class FeedbackGenerator {
     
     return feedback;
   }
+
+  /**
+   * Encode feedback as a compact pattern string
+   * One digit per letter: '2' correct, '1' present, '0' absent,
+   * so guesses that reveal the same information share a pattern
+   * 
+   * @param {LetterFeedback[]} feedback - Feedback from generateFeedback
+   * @returns {string} The pattern, e.g. "20100"
+   */
+  static toPattern(feedback) {
+    return feedback.map(letterFeedback => PATTERN_DIGITS[letterFeedback.status]).join('');
+  }
+
+  /**
+   * Get the feedback pattern for a guess against a target word
+   * @param {string} guess - The guessed word
+   * @param {string} targetWord - The target word to compare against
+   * @returns {string} The pattern (see toPattern)
+   */
+  static getPattern(guess, targetWord) {
+    return FeedbackGenerator.toPattern(FeedbackGenerator.generateFeedback(guess, targetWord));
+  }
 }
 
 // Export for use in other modules
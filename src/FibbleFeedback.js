@@ -0,0 +1,113 @@
+/**
+ * FibbleFeedback module for Hard Wordle
+ * Feedback for the Fibble variant, where one tile of every row lies
+ */
+
+// Import required modules
+const Random = require('./Random');
+
+const STATUSES = ['correct', 'present', 'absent'];
+
+/**
+ * Mixed into every seed, so the lies don't follow the draws that picked the target
+ */
+const LIE_SALT = 0x9E3779B9;
+
+/**
+ * Lie type definition
+ * @typedef {Object} Lie
+ * @property {number} index - Position of the tile that lies
+ * @property {'correct'|'present'|'absent'} status - Status it shows instead of the true one
+ */
+
+/**
+ * FibbledFeedback type definition
+ * @typedef {Object} FibbledFeedback
+ * @property {LetterFeedback[]} feedback - Feedback shown to the player
+ * @property {LetterFeedback[]} trueFeedback - Feedback the guess really earned
+ */
+
+/**
+ * FibbleFeedback class
+ * Provides static methods to make feedback lie. Where and how each row lies
+ * only depends on the game's seed and the row, so everyone playing the same
+ * daily puzzle, or replaying the same practice game, is lied to the same way.
+ */
+class FibbleFeedback {
+  /**
+   * Wrap a feedback generator so one tile of each row shows a wrong status
+   * The row that solves the game is shown truthfully, since the game ends there
+   * @param {function(string, string): LetterFeedback[]} generateFeedback - The generator to wrap,
+   *   e.g. FeedbackGenerator.generateFeedback
+   * @param {number} seed - Seed the lies are drawn from (see getSeed)
+   * @returns {function(string, string, number): FibbledFeedback} Takes the guess, the target word
+   *   and the row (0 for the first guess) and returns the shown and true feedback
+   */
+  static decorate(generateFeedback, seed) {
+    return (guess, targetWord, row) => {
+      const trueFeedback = generateFeedback(guess, targetWord);
+      const solved = trueFeedback.every(letterFeedback => letterFeedback.status === 'correct');
+      
+      return {
+        feedback: solved ? trueFeedback : FibbleFeedback.lie(trueFeedback, seed, row),
+        trueFeedback
+      };
+    };
+  }
+
+  /**
+   * Copy feedback with one tile's status changed
+   * @param {LetterFeedback[]} feedback - The true feedback
+   * @param {number} seed - Seed the lies are drawn from
+   * @param {number} row - Row of the guess, 0 for the first guess
+   * @returns {LetterFeedback[]} The feedback to show
+   */
+  static lie(feedback, seed, row) {
+    const { index, status } = FibbleFeedback.getLie(feedback, seed, row);
+    return feedback.map((letterFeedback, i) => ({ letter: letterFeedback.letter, status: i === index ? status : letterFeedback.status }));
+  }
+
+  /**
+   * Pick which tile of a row lies and what it shows
+   * Each row takes the next two draws from the seed: one for the tile and
+   * one for which of the two wrong statuses it shows
+   * @param {LetterFeedback[]} feedback - The true feedback
+   * @param {number} seed - Seed the lies are drawn from
+   * @param {number} row - Row of the guess, 0 for the first guess
+   * @returns {Lie} The lie
+   */
+  static getLie(feedback, seed, row) {
+    if (!Number.isInteger(row) || row < 0) {
+      throw new Error('Row must be a non-negative integer');
+    }
+    
+    const random = Random.mulberry32((seed ^ LIE_SALT) >>> 0);
+    for (let i = 0; i < row * 2; i++) {
+      random();
+    }
+    
+    const index = Math.floor(random() * feedback.length);
+    const wrongStatuses = STATUSES.filter(status => status !== feedback[index].status);
+    return { index, status: wrongStatuses[Math.floor(random() * wrongStatuses.length)] };
+  }
+
+  /**
+   * Get the seed a game's lies are drawn from
+   * Daily games use the puzzle number, so every player is lied to alike;
+   * practice games use the seed their target was picked with, so a replay
+   * lies the same way. Games with neither lie as if seeded with 0.
+   * @param {GameState} gameState - The game
+   * @returns {number} The seed
+   */
+  static getSeed(gameState) {
+    if (gameState.getMode() === 'daily' && gameState.getPuzzleNumber() !== null) {
+      return gameState.getPuzzleNumber();
+    }
+    return gameState.getSeed() === null ? 0 : gameState.getSeed();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FibbleFeedback;
+}
@@ -0,0 +1,130 @@
+/**
+ * GameAnalyzer module for Hard Wordle
+ * Rates every guess of a finished game for skill and luck
+ */
+
+// Import required modules
+const GameState = require('./GameState');
+const Solver = require('./Solver');
+
+/**
+ * GuessAnalysis type definition
+ * @typedef {Object} GuessAnalysis
+ * @property {string} word - The guessed word
+ * @property {number} candidatesBefore - Words that could be the target before the guess
+ * @property {number} candidatesAfter - Words that could be the target after its feedback
+ * @property {number} bitsGained - Information the actual feedback gave, in bits
+ * @property {number} expectedBits - Information the guess was expected to give, in bits
+ * @property {string|null} bestWord - The most informative guess available, if any
+ * @property {number} bestBits - Information the best guess was expected to give, in bits
+ * @property {number} skill - Expected information as a percentage of the best guess's
+ * @property {number} luck - Bits gained beyond what was expected (negative when unlucky)
+ */
+
+/**
+ * Rate the guesses of a game one at a time
+ * @param {Dictionary} dictionary - The Dictionary the game was played with
+ * @param {GameState} gameState - The game to analyze
+ * @param {number} sampleSize - Candidates scored per guess
+ * @yields {GuessAnalysis} The analysis of each guess, in the order they were made
+ */
+function* analyzeGuesses(dictionary, gameState, sampleSize) {
+  const wordLength = gameState.getWordLength();
+  const difficulty = gameState.getDifficulty();
+
+  // Replay the guesses one at a time so each is judged on what was known when it was made
+  const replay = new GameState(gameState.getTargetWord(), gameState.maxAttempts, {
+    hardMode: gameState.isHardMode(),
+    wordLength,
+    difficulty,
+    startedAt: null
+  });
+  let candidates = dictionary.getTargetWords({ length: wordLength, difficulty });
+
+  for (const guess of gameState.getGuesses()) {
+    const word = guess.getWord();
+    const [best] = Solver.suggestGuesses(dictionary, replay, { limit: 1, sampleSize });
+    const [actual] = Solver.rankGuesses([word], candidates, { sampleSize });
+    const remaining = Solver.filterCandidates(candidates, [guess]);
+    
+    const expectedBits = actual ? actual.entropy : 0;
+    const bestBits = best ? best.entropy : 0;
+    // A target outside the word lists leaves no candidates; count it as one
+    const bitsGained = candidates.length === 0 ? 0 : Math.log2(candidates.length / Math.max(remaining.length, 1));
+    
+    yield {
+      word,
+      candidatesBefore: candidates.length,
+      candidatesAfter: remaining.length,
+      bitsGained,
+      expectedBits,
+      bestWord: best ? best.word : null,
+      bestBits,
+      skill: bestBits === 0 ? 100 : Math.round((expectedBits / bestBits) * 100),
+      luck: bitsGained - expectedBits
+    };
+    
+    replay.addGuess(guess);
+    candidates = remaining;
+  }
+}
+
+/**
+ * GameAnalyzer class
+ * Provides static methods to replay a game and score each guess.
+ * Candidates are the words of the game's difficulty tier, as for Solver.suggestGuesses,
+ * so skill compares each guess with the suggestion the player could have asked for.
+ */
+class GameAnalyzer {
+  /**
+   * Analyze every guess of a game
+   * @param {Dictionary} dictionary - The Dictionary the game was played with
+   * @param {GameState} gameState - The game to analyze
+   * @param {Object} [options] - Scoring settings
+   * @param {number} [options.sampleSize] - Candidates scored per guess (default: Solver.SAMPLE_SIZE)
+   * @returns {GuessAnalysis[]} One entry per guess, in the order they were made
+   */
+  static analyze(dictionary, gameState, options = {}) {
+    if (!gameState) {
+      throw new Error('Game state is required');
+    }
+    
+    const { sampleSize = Solver.SAMPLE_SIZE } = options;
+    return [...analyzeGuesses(dictionary, gameState, sampleSize)];
+  }
+
+  /**
+   * Analyze every guess of a game, letting the page respond between guesses
+   * Rating one guess can still take a moment, so the app prefers to run
+   * analyze in a worker (see WorkerGameAnalyzer) and only falls back to this
+   * @param {Dictionary} dictionary - The Dictionary the game was played with
+   * @param {GameState} gameState - The game to analyze
+   * @param {Object} [options] - Scoring settings
+   * @param {number} [options.sampleSize] - Candidates scored per guess (default: Solver.SAMPLE_SIZE)
+   * @returns {Promise<GuessAnalysis[]>} One entry per guess, in the order they were made
+   */
+  static async analyzeGradually(dictionary, gameState, options = {}) {
+    if (!gameState) {
+      throw new Error('Game state is required');
+    }
+    
+    const { sampleSize = Solver.SAMPLE_SIZE } = options;
+    const steps = analyzeGuesses(dictionary, gameState, sampleSize);
+    const analysis = [];
+    for (;;) {
+      // Yield before every guess, so even the first one waits for the page to paint
+      await new Promise(resolve => setTimeout(resolve, 0));
+      
+      const { value, done } = steps.next();
+      if (done) {
+        return analysis;
+      }
+      analysis.push(value);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameAnalyzer;
+}
@@ -0,0 +1,147 @@
+/**
+ * GameApiClient module for Hard Wordle
+ * Talks to the game server's REST API (see server/GameServer.js)
+ */
+
+/**
+ * ApiGuessResult type definition
+ * @typedef {Object} ApiGuessResult
+ * @property {boolean} success - Whether the guess was accepted
+ * @property {string} [error] - Error message if the guess was rejected
+ * @property {GuessData} [guess] - The guess and its feedback if accepted
+ * @property {'in-progress'|'won'|'lost'} gameStatus - Current game status
+ * @property {GameView} [game] - The game after the guess
+ */
+
+/**
+ * GameApiClient class
+ * Thin wrapper around fetch; failed requests reject with an Error whose
+ * `status` is the HTTP status, or 0 if the server could not be reached
+ */
+class GameApiClient {
+  /**
+   * Create a GameApiClient instance
+   * @param {string} baseUrl - URL the API is mounted at (e.g. '/api')
+   * @param {Function} [fetchImpl] - fetch-compatible function (default: the global fetch)
+   */
+  constructor(baseUrl, fetchImpl = typeof fetch === 'function' ? fetch.bind(globalThis) : null) {
+    if (typeof baseUrl !== 'string' || baseUrl === '') {
+      throw new Error('API base URL is required');
+    }
+    
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('A fetch implementation is required');
+    }
+    
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  /**
+   * Check whether the server is up
+   * @returns {Promise<boolean>} True if the server answered its health check
+   */
+  async checkHealth() {
+    try {
+      const { status } = await this.request('GET', '/health');
+      return status === 200;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Start a new game on the server
+   * @param {Object} [options] - mode, hardMode, wordLength and difficulty (see NewGameOptions)
+   * @returns {Promise<GameView>} The new game, without its target
+   */
+  async createGame(options = {}) {
+    const { status, body } = await this.request('POST', '/games', options);
+    return GameApiClient.expect(status, body, 201);
+  }
+
+  /**
+   * Get a game from the server
+   * @param {string} id - Game ID
+   * @returns {Promise<GameView>} The game, with its target only once it is over
+   */
+  async getGame(id) {
+    const { status, body } = await this.request('GET', `/games/${encodeURIComponent(id)}`);
+    return GameApiClient.expect(status, body, 200);
+  }
+
+  /**
+   * Submit a guess
+   * A rejected guess (e.g. not a valid word) resolves with success false
+   * @param {string} id - Game ID
+   * @param {string} word - The word to guess
+   * @returns {Promise<ApiGuessResult>} Result of the guess
+   */
+  async submitGuess(id, word) {
+    const { status, body } = await this.request('POST', `/games/${encodeURIComponent(id)}/guesses`, { word });
+    if (status === 422) {
+      return body;
+    }
+    return GameApiClient.expect(status, body, 200);
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the base URL
+   * @param {Object} [body] - JSON body to send
+   * @returns {Promise<{status: number, body: Object}>} Status and parsed body
+   */
+  async request(method, path, body) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw GameApiClient.createError('Could not reach the game server', 0);
+    }
+    
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw GameApiClient.createError(`Unexpected response from the game server (${response.status})`, response.status);
+    }
+    
+    return { status: response.status, body: data };
+  }
+
+  /**
+   * Return a response body if its status is the expected one
+   * @param {number} status - Actual HTTP status
+   * @param {Object} body - Parsed response body
+   * @param {number} expected - Expected HTTP status
+   * @returns {Object} The body
+   */
+  static expect(status, body, expected) {
+    if (status !== expected) {
+      throw GameApiClient.createError((body && body.error) || `Request failed with status ${status}`, status);
+    }
+    return body;
+  }
+
+  /**
+   * Create an Error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status, or 0 if the server could not be reached
+   * @returns {Error} The error
+   */
+  static createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameApiClient;
+}
@@ -6,7 +6,11 @@
 // Import required modules
 const GameState = require('./GameState');
 const FeedbackGenerator = require('./FeedbackGenerator');
+const FibbleFeedback = require('./FibbleFeedback');
 const Guess = require('./Guess');
+const DailyPuzzle = require('./DailyPuzzle');
+const HardModeValidator = require('./HardModeValidator');
+const Random = require('./Random');
 
 /**
  * GuessResult type definition
@@ -17,6 +21,18 @@ const Guess = require('./Guess');
  * @property {'in-progress'|'won'|'lost'} gameStatus - Current game status
  */
 
+/**
+ * NewGameOptions type definition
+ * @typedef {Object} NewGameOptions
+ * @property {'practice'|'daily'} [mode] - Game mode (default: 'practice')
+ * @property {Date} [date] - Date used to pick the daily puzzle (default: now)
+ * @property {boolean} [hardMode] - Require guesses to reuse revealed hints (default: false)
+ * @property {number} [wordLength] - Number of letters per word (default: 5)
+ * @property {'easy'|'normal'|'hard'} [difficulty] - Tier to draw the target from (default: 'normal')
+ * @property {number} [seed] - Pick the practice target from this seed, to replay a game (default: a new seed)
+ * @property {boolean} [fibble] - Make one tile of each row's feedback lie (default: false)
+ */
+
 /**
  * GameController class
  * Manages game lifecycle, validates guesses, and coordinates game components
@@ -25,27 +41,114 @@ class GameController {
   /**
    * Create a GameController instance
    * @param {Dictionary} dictionary - The Dictionary instance for word validation
+   * @param {Object} [options] - Controller settings
+   * @param {string} [options.dailyTimeZone] - IANA time zone in which the daily puzzle rolls over (default: 'UTC')
+   * @param {AnswerHistory} [options.answerHistory] - Picks practice targets without repeating recent ones
+   * @param {function(): number} [options.random] - Random source new seeds are drawn from (default: Math.random)
    */
-  constructor(dictionary) {
+  constructor(dictionary, options = {}) {
     if (!dictionary) {
       throw new Error('Dictionary is required');
     }
     
+    const { dailyTimeZone = 'UTC', answerHistory = null, random = Math.random } = options;
+    
+    if (typeof random !== 'function') {
+      throw new Error('Random source must be a function');
+    }
+    
+    // Fail early on a bad time zone rather than on the first daily game
+    DailyPuzzle.getDateKey(new Date(), dailyTimeZone);
+    
     this.dictionary = dictionary;
+    this.dailyTimeZone = dailyTimeZone;
+    this.answerHistory = answerHistory;
+    this.random = random;
     this.gameState = null;
   }
 
   /**
    * Start a new game
-   * Selects a random target word and initializes game state
+   * Practice games pick the target from a seed, which is kept in the game
+   * state so the game can be replayed. A new seed is drawn unless one is
+   * given, skipping seeds for recent targets when the controller has an
+   * answer history. Daily games select the word for the current date so
+   * every player gets the same puzzle
+   * @param {NewGameOptions} [options] - Settings for the new game
    * @returns {GameState} The new game state
    */
-  startNewGame() {
-    const targetWord = this.dictionary.getRandomWord();
-    this.gameState = new GameState(targetWord, 6);
+  startNewGame(options = {}) {
+    const {
+      mode = 'practice',
+      date = new Date(),
+      hardMode = false,
+      wordLength = 5,
+      difficulty = 'normal',
+      seed = null,
+      fibble = false
+    } = options;
+    const targetOptions = { length: wordLength, difficulty };
+    
+    if (this.dictionary.getTargetCount(targetOptions) === 0) {
+      throw new Error(`Dictionary has no ${wordLength}-letter words`);
+    }
+    
+    if (mode === 'daily') {
+      const puzzleNumber = this.getDailyPuzzleNumber(date);
+      const targetWord = DailyPuzzle.getWordForPuzzle(this.dictionary, puzzleNumber, targetOptions);
+      this.gameState = new GameState(targetWord, 6, { mode, puzzleNumber, hardMode, wordLength, difficulty, fibble });
+      return this.gameState;
+    }
+    
+    let pick;
+    if (seed !== null) {
+      pick = { seed, word: GameController.getWordForSeed(this.dictionary, seed, targetOptions) };
+    } else if (this.answerHistory) {
+      pick = this.answerHistory.pickSeed(this.dictionary, targetOptions, this.random);
+    } else {
+      const newSeed = Random.createSeed(this.random);
+      pick = { seed: newSeed, word: GameController.getWordForSeed(this.dictionary, newSeed, targetOptions) };
+    }
+    
+    this.gameState = new GameState(pick.word, 6, { mode, hardMode, wordLength, difficulty, seed: pick.seed, fibble });
     return this.gameState;
   }
 
+  /**
+   * Pick the target a seed stands for
+   * The same seed, word list and target options always give the same word
+   * @param {Dictionary} dictionary - The Dictionary to draw from
+   * @param {number} seed - Unsigned 32-bit integer seed
+   * @param {TargetOptions} [options] - Length and difficulty of the target
+   * @returns {string} The target word
+   */
+  static getWordForSeed(dictionary, seed, options = {}) {
+    return dictionary.getRandomWord({ ...options, random: Random.mulberry32(seed) });
+  }
+
+  /**
+   * Resume a previously saved game
+   * @param {GameState} gameState - The game to continue
+   * @returns {GameState} The resumed game state
+   */
+  resumeGame(gameState) {
+    if (!(gameState instanceof GameState)) {
+      throw new Error('Can only resume a GameState');
+    }
+    
+    this.gameState = gameState;
+    return this.gameState;
+  }
+
+  /**
+   * Get the daily puzzle number for a date in this controller's time zone
+   * @param {Date} [date] - The moment to check (default: now)
+   * @returns {number} The puzzle number
+   */
+  getDailyPuzzleNumber(date = new Date()) {
+    return DailyPuzzle.getPuzzleNumber(date, this.dailyTimeZone);
+  }
+
   /**
    * Submit a guess
    * Validates the guess and updates game state if valid
@@ -84,10 +187,11 @@ class GameController {
     const normalizedWord = word.toLowerCase();
 
     // Validate length (Requirement 2.1)
-    if (normalizedWord.length !== 5) {
+    const wordLength = this.gameState.getWordLength();
+    if (normalizedWord.length !== wordLength) {
       return {
         success: false,
-        error: 'Word must be exactly 5 letters',
+        error: `Word must be exactly ${wordLength} letters`,
         gameStatus: this.gameState.getGameStatus()
       };
     }
@@ -101,14 +205,43 @@ class GameController {
       };
     }
 
-    // Generate feedback for the guess
-    const feedback = FeedbackGenerator.generateFeedback(
-      normalizedWord,
-      this.gameState.getTargetWord()
-    );
+    // Enforce reuse of revealed hints in Hard Mode
+    if (this.gameState.isHardMode()) {
+      const hardModeError = HardModeValidator.validateGuess(
+        normalizedWord,
+        this.gameState.getGuesses()
+      );
+      
+      if (hardModeError) {
+        return {
+          success: false,
+          error: hardModeError,
+          gameStatus: this.gameState.getGameStatus()
+        };
+      }
+    }
 
-    // Create Guess object
-    const guess = new Guess(normalizedWord, feedback);
+    // Generate feedback for the guess and create the Guess object
+    let guess;
+    if (this.gameState.isFibble()) {
+      // Fibble games show feedback with one lie and keep the truth for the reveal at the end
+      const generateFeedback = FibbleFeedback.decorate(
+        FeedbackGenerator.generateFeedback,
+        FibbleFeedback.getSeed(this.gameState)
+      );
+      const { feedback, trueFeedback } = generateFeedback(
+        normalizedWord,
+        this.gameState.getTargetWord(),
+        this.gameState.getGuesses().length
+      );
+      guess = new Guess(normalizedWord, feedback, trueFeedback);
+    } else {
+      const feedback = FeedbackGenerator.generateFeedback(
+        normalizedWord,
+        this.gameState.getTargetWord()
+      );
+      guess = new Guess(normalizedWord, feedback);
+    }
 
     // Add guess to game state (this will update game status if needed)
     this.gameState.addGuess(guess);
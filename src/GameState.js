@@ -3,6 +3,38 @@
  * Manages the state of a single game session
  */
 
+const Guess = require('./Guess');
+const Random = require('./Random');
+
+const MIN_WORD_LENGTH = 4;
+const MAX_WORD_LENGTH = 8;
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+/**
+ * Version of the serialized format produced by toJSON()
+ * Bump when the format changes so old saves are rejected instead of misread
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Serialized GameState type definition
+ * @typedef {Object} GameStateData
+ * @property {number} version - Schema version (SCHEMA_VERSION)
+ * @property {string} targetWord - The target word
+ * @property {number} maxAttempts - Maximum number of attempts
+ * @property {'practice'|'daily'} mode - Game mode
+ * @property {number|null} puzzleNumber - Daily puzzle number, if any
+ * @property {boolean} hardMode - Whether Hard Mode rules apply
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier
+ * @property {'in-progress'|'won'|'lost'} gameStatus - Game status
+ * @property {GuessData[]} guesses - Guesses in chronological order
+ * @property {number|null} [startedAt] - When the game started (ms since epoch)
+ * @property {number|null} [completedAt] - When the game ended (ms since epoch)
+ * @property {number|null} [seed] - Seed the target was picked with, if any
+ * @property {boolean} [fibble] - Whether one tile of each row lies
+ */
+
 /**
  * GameState class
  * Tracks the target word, guesses, attempts, and game status
@@ -10,26 +42,80 @@
 class GameState {
   /**
    * Create a GameState instance
-   * @param {string} targetWord - The target word to guess (5 letters)
+   * @param {string} targetWord - The target word to guess
    * @param {number} maxAttempts - Maximum number of attempts allowed (default: 6)
+   * @param {Object} [options] - Additional game settings
+   * @param {'practice'|'daily'} [options.mode] - Game mode (default: 'practice')
+   * @param {number|null} [options.puzzleNumber] - Daily puzzle number, if any
+   * @param {boolean} [options.hardMode] - Whether revealed hints must be reused (default: false)
+   * @param {number} [options.wordLength] - Number of letters per word (default: 5)
+   * @param {'easy'|'normal'|'hard'} [options.difficulty] - Tier the target was drawn from (default: 'normal')
+   * @param {number|null} [options.startedAt] - When the game started, in ms since epoch (default: now)
+   * @param {number|null} [options.seed] - Seed the target was picked with, so the game can be replayed
+   * @param {boolean} [options.fibble] - Whether one tile of each row lies (default: false)
    */
-  constructor(targetWord, maxAttempts = 6) {
+  constructor(targetWord, maxAttempts = 6, options = {}) {
     if (typeof targetWord !== 'string') {
       throw new Error('Target word must be a string');
     }
     
-    if (targetWord.length !== 5) {
-      throw new Error('Target word must be exactly 5 letters');
+    const {
+      mode = 'practice',
+      puzzleNumber = null,
+      hardMode = false,
+      wordLength = 5,
+      difficulty = 'normal',
+      startedAt = Date.now(),
+      seed = null,
+      fibble = false
+    } = options;
+    
+    if (!Number.isInteger(wordLength) || wordLength < MIN_WORD_LENGTH || wordLength > MAX_WORD_LENGTH) {
+      throw new Error(`Word length must be between ${MIN_WORD_LENGTH} and ${MAX_WORD_LENGTH}`);
+    }
+    
+    if (targetWord.length !== wordLength) {
+      throw new Error(`Target word must be exactly ${wordLength} letters`);
     }
     
     if (typeof maxAttempts !== 'number' || maxAttempts <= 0) {
       throw new Error('Max attempts must be a positive number');
     }
     
+    if (mode !== 'practice' && mode !== 'daily') {
+      throw new Error('Mode must be "practice" or "daily"');
+    }
+    
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+    
+    if (startedAt !== null && !Number.isFinite(startedAt)) {
+      throw new Error('Start time must be a timestamp or null');
+    }
+    
+    if (seed !== null && !Random.isSeed(seed)) {
+      throw new Error(`Seed must be an integer from 0 to ${Random.MAX_SEED} or null`);
+    }
+    
+    // Hard Mode would make players reuse hints that may be lies
+    if (fibble && hardMode) {
+      throw new Error('Hard Mode cannot be combined with Fibble');
+    }
+
     this.targetWord = targetWord.toLowerCase();
     this.guesses = [];
     this.maxAttempts = maxAttempts;
     this.gameStatus = 'in-progress';
+    this.mode = mode;
+    this.puzzleNumber = puzzleNumber;
+    this.hardMode = Boolean(hardMode);
+    this.wordLength = wordLength;
+    this.difficulty = difficulty;
+    this.startedAt = startedAt;
+    this.completedAt = null;
+    this.seed = seed;
+    this.fibble = Boolean(fibble);
   }
 
   /**
@@ -57,6 +143,10 @@ class GameState {
     else if (this.guesses.length >= this.maxAttempts) {
       this.gameStatus = 'lost';
     }
+    
+    if (this.gameStatus !== 'in-progress') {
+      this.completedAt = Date.now();
+    }
   }
 
   /**
@@ -91,6 +181,63 @@ class GameState {
     return this.gameStatus;
   }
 
+  /**
+   * Get the game mode
+   * @returns {'practice'|'daily'} The game mode
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get the daily puzzle number
+   * @returns {number|null} The puzzle number, or null for practice games
+   */
+  getPuzzleNumber() {
+    return this.puzzleNumber;
+  }
+
+  /**
+   * Check if Hard Mode rules apply to this game
+   * @returns {boolean} True if revealed hints must be reused
+   */
+  isHardMode() {
+    return this.hardMode;
+  }
+
+  /**
+   * Check if this is a Fibble game
+   * @returns {boolean} True if one tile of each row's feedback lies
+   */
+  isFibble() {
+    return this.fibble;
+  }
+
+  /**
+   * Get the number of letters per word in this game
+   * @returns {number} The word length
+   */
+  getWordLength() {
+    return this.wordLength;
+  }
+
+  /**
+   * Get the difficulty tier the target word was drawn from
+   * @returns {'easy'|'normal'|'hard'} The difficulty
+   */
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  /**
+   * Get the seed the target word was picked with
+   * Starting a game with the same seed, length and difficulty picks the same word
+   * @returns {number|null} The seed, or null if the target wasn't picked from one
+   */
+  getSeed() {
+    return this.seed;
+  }
+
   /**
    * Get the target word (for revealing after game ends)
    * @returns {string} The target word
@@ -98,8 +245,121 @@ class GameState {
   getTargetWord() {
     return this.targetWord;
   }
+
+  /**
+   * Get how long the game took from start to finish
+   * @returns {number|null} Duration in milliseconds, or null if the game is
+   *   unfinished or its start time is unknown
+   */
+  getDuration() {
+    if (this.startedAt === null || this.completedAt === null) {
+      return null;
+    }
+    return Math.max(0, this.completedAt - this.startedAt);
+  }
+
+  /**
+   * Serialize the game to a plain object (used by JSON.stringify)
+   * @returns {GameStateData} Plain object snapshot of the game
+   */
+  toJSON() {
+    return {
+      version: SCHEMA_VERSION,
+      targetWord: this.targetWord,
+      maxAttempts: this.maxAttempts,
+      mode: this.mode,
+      puzzleNumber: this.puzzleNumber,
+      hardMode: this.hardMode,
+      wordLength: this.wordLength,
+      difficulty: this.difficulty,
+      gameStatus: this.gameStatus,
+      guesses: this.guesses.map(guess => guess.toJSON()),
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      seed: this.seed,
+      fibble: this.fibble
+    };
+  }
+
+  /**
+   * Restore a game from serialized data
+   * Settings are validated by the constructor and guesses are replayed,
+   * so the restored status must agree with the saved one
+   * @param {GameStateData} data - Data previously produced by toJSON()
+   * @returns {GameState} The restored GameState
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid game data: expected an object');
+    }
+    
+    if (data.version !== SCHEMA_VERSION) {
+      throw new Error(`Invalid game data: unsupported version ${data.version}`);
+    }
+    
+    if (!Array.isArray(data.guesses)) {
+      throw new Error('Invalid game data: guesses must be an array');
+    }
+    
+    if (data.puzzleNumber !== null && !Number.isInteger(data.puzzleNumber)) {
+      throw new Error('Invalid game data: puzzle number must be an integer or null');
+    }
+    
+    if (typeof data.hardMode !== 'boolean') {
+      throw new Error('Invalid game data: hardMode must be a boolean');
+    }
+    
+    // Fibble was added after the first saves were written, so it may be missing
+    const fibble = data.fibble === undefined ? false : data.fibble;
+    
+    if (typeof fibble !== 'boolean') {
+      throw new Error('Invalid game data: fibble must be a boolean');
+    }
+
+    // Timestamps were added after the first saves were written, so they may be missing
+    const startedAt = data.startedAt === undefined ? null : data.startedAt;
+    const completedAt = data.completedAt === undefined ? null : data.completedAt;
+    
+    if (completedAt !== null && !Number.isFinite(completedAt)) {
+      throw new Error('Invalid game data: completion time must be a timestamp or null');
+    }
+    
+    const gameState = new GameState(data.targetWord, data.maxAttempts, {
+      mode: data.mode,
+      puzzleNumber: data.puzzleNumber,
+      hardMode: data.hardMode,
+      wordLength: data.wordLength,
+      difficulty: data.difficulty,
+      startedAt,
+      // Seeds were added after the first saves were written, so they may be missing
+      seed: data.seed === undefined ? null : data.seed,
+      fibble
+    });
+    
+    data.guesses.forEach(guessData => {
+      const guess = Guess.fromJSON(guessData);
+      
+      if (guess.getWord().length !== gameState.wordLength) {
+        throw new Error('Invalid game data: guess length does not match word length');
+      }
+      
+      gameState.addGuess(guess);
+    });
+    
+    if (gameState.gameStatus !== data.gameStatus) {
+      throw new Error('Invalid game data: game status does not match guesses');
+    }
+    
+    gameState.completedAt = gameState.isGameOver() ? completedAt : null;
+    
+    return gameState;
+  }
 }
 
+GameState.SCHEMA_VERSION = SCHEMA_VERSION;
+GameState.MIN_WORD_LENGTH = MIN_WORD_LENGTH;
+GameState.MAX_WORD_LENGTH = MAX_WORD_LENGTH;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GameState;
@@ -0,0 +1,216 @@
+/**
+ * GameStats module for Hard Wordle
+ * Records finished games and summarizes the player's history
+ */
+
+const DEFAULT_KEY = 'hardWordle.stats';
+
+/**
+ * Version of the stored stats format
+ */
+const STATS_VERSION = 1;
+
+/**
+ * GameRecord type definition
+ * @typedef {Object} GameRecord
+ * @property {'practice'|'daily'} mode - Game mode
+ * @property {number|null} puzzleNumber - Daily puzzle number, if any
+ * @property {string} targetWord - The word that had to be guessed
+ * @property {number} wordLength - Number of letters in the target
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier
+ * @property {boolean} hardMode - Whether Hard Mode rules applied
+ * @property {boolean} fibble - Whether it was a Fibble game, where one tile of every row lied
+ * @property {number} guesses - Number of guesses made
+ * @property {number} maxAttempts - Number of guesses allowed
+ * @property {boolean} won - Whether the target was found
+ * @property {number|null} duration - Time taken in milliseconds, if known
+ * @property {number} completedAt - When the game ended (ms since epoch)
+ * @property {GuessAnalysis[]|null} analysis - Skill and luck of each guess, if analyzed
+ */
+
+/**
+ * StatsSummary type definition
+ * @typedef {Object} StatsSummary
+ * @property {number} played - Number of finished games
+ * @property {number} wins - Number of games won
+ * @property {number} winPercentage - Share of games won, rounded to a whole percent
+ * @property {number} currentStreak - Wins in a row up to the latest game
+ * @property {number} maxStreak - Longest run of wins
+ * @property {Object<number, number>} distribution - Wins keyed by the number of guesses they took
+ * @property {number|null} averageDuration - Mean duration in milliseconds of games with a known duration
+ */
+
+/**
+ * Summarize a list of game records
+ * @param {GameRecord[]} records - Records in the order the games finished
+ * @returns {StatsSummary} Totals, streaks and guess distribution
+ */
+function summarize(records) {
+  const maxAttempts = records.reduce((max, record) => Math.max(max, record.maxAttempts), 6);
+  const distribution = {};
+  for (let guesses = 1; guesses <= maxAttempts; guesses++) {
+    distribution[guesses] = 0;
+  }
+
+  let wins = 0;
+  let streak = 0;
+  let maxStreak = 0;
+  let totalDuration = 0;
+  let timedGames = 0;
+
+  records.forEach(record => {
+    if (record.won) {
+      wins++;
+      streak++;
+      maxStreak = Math.max(maxStreak, streak);
+      distribution[record.guesses]++;
+    } else {
+      streak = 0;
+    }
+    
+    if (record.duration !== null) {
+      totalDuration += record.duration;
+      timedGames++;
+    }
+  });
+
+  return {
+    played: records.length,
+    wins,
+    winPercentage: records.length === 0 ? 0 : Math.round((wins / records.length) * 100),
+    currentStreak: streak,
+    maxStreak,
+    distribution,
+    averageDuration: timedGames === 0 ? null : Math.round(totalDuration / timedGames)
+  };
+}
+
+/**
+ * GameStats class
+ * Persists finished games to a Web Storage-compatible backend (e.g. localStorage)
+ */
+class GameStats {
+  /**
+   * Create a GameStats instance
+   * @param {Storage} storage - Object with getItem, setItem and removeItem (e.g. window.localStorage)
+   * @param {string} [key] - Storage key for the game history
+   */
+  constructor(storage, key = DEFAULT_KEY) {
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function' ||
+        typeof storage.removeItem !== 'function') {
+      throw new Error('Storage must provide getItem, setItem and removeItem');
+    }
+    
+    this.storage = storage;
+    this.key = key;
+  }
+
+  /**
+   * Record a finished game
+   * Each daily puzzle is recorded once, so replaying it can't add wins or
+   * extend a streak
+   * @param {GameState} gameState - The game to record
+   * @param {GuessAnalysis[]|null} [analysis] - Per-guess breakdown from GameAnalyzer to keep with it
+   * @returns {GameRecord} The stored record, or the earlier record of the same daily puzzle
+   */
+  recordGame(gameState, analysis = null) {
+    if (!gameState || !gameState.isGameOver()) {
+      throw new Error('Only finished games can be recorded');
+    }
+    
+    const records = this.getRecords();
+    
+    if (gameState.getMode() === 'daily') {
+      const recorded = records.find(record => record.mode === 'daily' && record.puzzleNumber === gameState.getPuzzleNumber());
+      if (recorded) {
+        return recorded;
+      }
+    }
+    
+    const record = {
+      mode: gameState.getMode(),
+      puzzleNumber: gameState.getPuzzleNumber(),
+      targetWord: gameState.getTargetWord(),
+      wordLength: gameState.getWordLength(),
+      difficulty: gameState.getDifficulty(),
+      hardMode: gameState.isHardMode(),
+      fibble: gameState.isFibble(),
+      guesses: gameState.getGuesses().length,
+      maxAttempts: gameState.maxAttempts,
+      won: gameState.getGameStatus() === 'won',
+      duration: gameState.getDuration(),
+      completedAt: gameState.completedAt === null ? Date.now() : gameState.completedAt,
+      analysis
+    };
+    
+    records.push(record);
+    
+    try {
+      this.storage.setItem(this.key, JSON.stringify({ version: STATS_VERSION, games: records }));
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.error('Failed to save stats:', error);
+    }
+    
+    return record;
+  }
+
+  /**
+   * Get every recorded game
+   * Unreadable history is treated as empty
+   * @returns {GameRecord[]} Records in the order the games finished
+   */
+  getRecords() {
+    let raw;
+    try {
+      raw = this.storage.getItem(this.key);
+    } catch (error) {
+      console.error('Failed to read stats:', error);
+      return [];
+    }
+    
+    if (raw === null || raw === undefined) {
+      return [];
+    }
+    
+    try {
+      const data = JSON.parse(raw);
+      if (!data || data.version !== STATS_VERSION || !Array.isArray(data.games)) {
+        throw new Error('unrecognized stats format');
+      }
+      return data.games;
+    } catch (error) {
+      console.warn('Ignoring invalid stats:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Summarize the recorded games
+   * Fibble games are left out, since their lies make them a different game
+   * and would skew the win rate, streaks and distribution
+   * @returns {StatsSummary} Totals, streaks and guess distribution
+   */
+  getSummary() {
+    return summarize(this.getRecords().filter(record => !record.fibble));
+  }
+
+  /**
+   * Remove every recorded game
+   */
+  clear() {
+    try {
+      this.storage.removeItem(this.key);
+    } catch (error) {
+      console.error('Failed to clear stats:', error);
+    }
+  }
+}
+
+GameStats.DEFAULT_KEY = DEFAULT_KEY;
+GameStats.summarize = summarize;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameStats;
+}
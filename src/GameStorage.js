@@ -0,0 +1,126 @@
+/**
+ * GameStorage module for Hard Wordle
+ * Saves the current game so it survives a page reload
+ */
+
+// Import required modules
+const GameState = require('./GameState');
+
+const DEFAULT_KEY = 'hardWordle.currentGame';
+
+/**
+ * GameStorage class
+ * Persists a GameState to a Web Storage-compatible backend (e.g. localStorage).
+ * The latest daily game is also kept in a slot of its own, so a finished
+ * daily puzzle can be reopened after practice games have replaced it.
+ */
+class GameStorage {
+  /**
+   * Create a GameStorage instance
+   * @param {Storage} storage - Object with getItem, setItem and removeItem (e.g. window.localStorage)
+   * @param {string} [key] - Storage key for the saved game; the daily game is kept under `${key}.daily`
+   */
+  constructor(storage, key = DEFAULT_KEY) {
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function' ||
+        typeof storage.removeItem !== 'function') {
+      throw new Error('Storage must provide getItem, setItem and removeItem');
+    }
+    
+    this.storage = storage;
+    this.key = key;
+    this.dailyKey = `${key}.daily`;
+  }
+
+  /**
+   * Save a game, replacing any previously saved game
+   * Daily games also replace the saved daily game
+   * @param {GameState} gameState - The game to save
+   * @returns {boolean} True if the game was written, false if storage refused it
+   */
+  save(gameState) {
+    try {
+      const data = JSON.stringify(gameState);
+      this.storage.setItem(this.key, data);
+      if (gameState.getMode() === 'daily') {
+        this.storage.setItem(this.dailyKey, data);
+      }
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled (e.g. private browsing)
+      console.error('Failed to save game:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the saved game
+   * A save that can't be parsed or fails validation is discarded
+   * @returns {GameState|null} The restored game, or null if there is none
+   */
+  load() {
+    return this.read(this.key);
+  }
+
+  /**
+   * Load the latest saved daily game, finished or not
+   * @returns {GameState|null} The restored game, or null if there is none
+   */
+  loadDaily() {
+    return this.read(this.dailyKey);
+  }
+
+  /**
+   * Read a game from one storage key
+   * A save that can't be parsed or fails validation is removed
+   * @param {string} key - The storage key
+   * @returns {GameState|null} The restored game, or null if there is none
+   */
+  read(key) {
+    let raw;
+    try {
+      raw = this.storage.getItem(key);
+    } catch (error) {
+      console.error('Failed to read saved game:', error);
+      return null;
+    }
+    
+    if (raw === null || raw === undefined) {
+      return null;
+    }
+    
+    try {
+      return GameState.fromJSON(JSON.parse(raw));
+    } catch (error) {
+      console.warn('Discarding invalid saved game:', error.message);
+      this.remove(key);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the saved game
+   * The saved daily game is kept, so a finished puzzle still can't be replayed
+   */
+  clear() {
+    this.remove(this.key);
+  }
+
+  /**
+   * Remove one storage key
+   * @param {string} key - The storage key
+   */
+  remove(key) {
+    try {
+      this.storage.removeItem(key);
+    } catch (error) {
+      console.error('Failed to clear saved game:', error);
+    }
+  }
+}
+
+GameStorage.DEFAULT_KEY = DEFAULT_KEY;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameStorage;
+}
@@ -10,6 +10,16 @@
  * @property {'correct'|'present'|'absent'} status - The feedback status
  */
 
+const STATUSES = ['correct', 'present', 'absent'];
+
+/**
+ * Serialized Guess type definition
+ * @typedef {Object} GuessData
+ * @property {string} word - The guessed word
+ * @property {LetterFeedback[]} feedback - Feedback for each letter
+ * @property {LetterFeedback[]} [trueFeedback] - Feedback the guess really earned, if the shown feedback may lie
+ */
+
 /**
  * Guess class
  * Represents a player's guess with feedback for each letter
@@ -19,8 +29,10 @@ class Guess {
    * Create a Guess instance
    * @param {string} word - The guessed word (5 letters)
    * @param {LetterFeedback[]} feedback - Array of feedback for each letter
+   * @param {LetterFeedback[]|null} [trueFeedback] - Feedback the guess really earned, when the
+   *   feedback shown may lie (Fibble games); null when the shown feedback is the truth
    */
-  constructor(word, feedback) {
+  constructor(word, feedback, trueFeedback = null) {
     if (typeof word !== 'string') {
       throw new Error('Guess word must be a string');
     }
@@ -33,8 +45,13 @@ class Guess {
       throw new Error('Feedback array length must match word length');
     }
     
+    if (trueFeedback !== null && (!Array.isArray(trueFeedback) || trueFeedback.length !== word.length)) {
+      throw new Error('True feedback must be an array with one entry per letter');
+    }
+    
     this.word = word.toLowerCase();
     this.feedback = feedback;
+    this.trueFeedback = trueFeedback;
   }
 
   /**
@@ -52,6 +69,86 @@ class Guess {
   getFeedback() {
     return this.feedback;
   }
+
+  /**
+   * Get the feedback the guess really earned
+   * @returns {LetterFeedback[]} The true feedback, which is the shown feedback unless it lies
+   */
+  getTrueFeedback() {
+    return this.trueFeedback || this.feedback;
+  }
+
+  /**
+   * Check if the shown feedback lies
+   * @returns {boolean} True if any tile shows a status other than the true one
+   */
+  hasLie() {
+    return this.getLieIndex() !== null;
+  }
+
+  /**
+   * Get the position of the tile whose shown status lies
+   * @returns {number|null} Index of the first lying tile, or null if the feedback is true
+   */
+  getLieIndex() {
+    const trueFeedback = this.getTrueFeedback();
+    const index = this.feedback.findIndex((letterFeedback, i) => letterFeedback.status !== trueFeedback[i].status);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Serialize the guess to a plain object (used by JSON.stringify)
+   * @returns {GuessData} Plain object copy of the guess
+   */
+  toJSON() {
+    const data = {
+      word: this.word,
+      feedback: this.feedback.map(({ letter, status }) => ({ letter, status }))
+    };
+    
+    if (this.trueFeedback !== null) {
+      data.trueFeedback = this.trueFeedback.map(({ letter, status }) => ({ letter, status }));
+    }
+    
+    return data;
+  }
+
+  /**
+   * Restore a guess from serialized data
+   * Validates the data so a corrupted save can't produce an inconsistent guess
+   * @param {GuessData} data - Data previously produced by toJSON()
+   * @returns {Guess} The restored Guess
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid guess data: expected an object');
+    }
+    
+    const { word, feedback, trueFeedback } = data;
+    
+    if (typeof word !== 'string' || !/^[a-z]+$/i.test(word)) {
+      throw new Error('Invalid guess data: word must contain only letters');
+    }
+    
+    if (!Array.isArray(feedback) || feedback.length !== word.length) {
+      throw new Error('Invalid guess data: feedback must have one entry per letter');
+    }
+    
+    // Only guesses whose feedback may lie have true feedback
+    if (trueFeedback !== undefined && (!Array.isArray(trueFeedback) || trueFeedback.length !== word.length)) {
+      throw new Error('Invalid guess data: true feedback must have one entry per letter');
+    }
+    
+    const normalizedWord = word.toLowerCase();
+    const restore = entries => entries.map((entry, index) => {
+      if (!entry || entry.letter !== normalizedWord[index] || !STATUSES.includes(entry.status)) {
+        throw new Error(`Invalid guess data: bad feedback for letter ${index + 1}`);
+      }
+      return { letter: entry.letter, status: entry.status };
+    });
+    
+    return new Guess(normalizedWord, restore(feedback), trueFeedback === undefined ? null : restore(trueFeedback));
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,106 @@
+/**
+ * HardModeValidator module for Hard Wordle
+ * Enforces that guesses reuse every hint revealed by earlier feedback
+ */
+
+/**
+ * HardModeValidator class
+ * Provides static methods to check a guess against Hard Mode rules
+ */
+class HardModeValidator {
+  /**
+   * Check a guess against the hints revealed by previous guesses
+   * Every green letter must stay in its position and every revealed letter
+   * must be reused. Duplicate letters follow FeedbackGenerator: if an earlier
+   * row marked a letter correct or present N times, the guess needs it N times.
+   *
+   * @param {string} word - The word being guessed
+   * @param {Guess[]} previousGuesses - Guesses already made this game
+   * @returns {string|null} An error message, or null if the guess is allowed
+   */
+  static validateGuess(word, previousGuesses) {
+    if (typeof word !== 'string') {
+      throw new Error('Guess word must be a string');
+    }
+    
+    if (!Array.isArray(previousGuesses)) {
+      throw new Error('Previous guesses must be an array');
+    }
+    
+    const normalizedWord = word.toLowerCase();
+    const requiredPositions = {};
+    const requiredCounts = {};
+    const letterOrder = [];
+    
+    previousGuesses.forEach(guess => {
+      const countsInGuess = {};
+      
+      guess.getFeedback().forEach((letterFeedback, index) => {
+        const { letter, status } = letterFeedback;
+        
+        if (status === 'correct') {
+          requiredPositions[index] = letter;
+        }
+        
+        if (status === 'correct' || status === 'present') {
+          countsInGuess[letter] = (countsInGuess[letter] || 0) + 1;
+          if (!letterOrder.includes(letter)) {
+            letterOrder.push(letter);
+          }
+        }
+      });
+      
+      Object.keys(countsInGuess).forEach(letter => {
+        requiredCounts[letter] = Math.max(requiredCounts[letter] || 0, countsInGuess[letter]);
+      });
+    });
+    
+    // Green letters must stay where they were found
+    const positions = Object.keys(requiredPositions).map(Number).sort((a, b) => a - b);
+    for (const index of positions) {
+      if (normalizedWord[index] !== requiredPositions[index]) {
+        const letter = requiredPositions[index].toUpperCase();
+        return `${HardModeValidator.ordinal(index + 1)} letter must be ${letter}`;
+      }
+    }
+    
+    // Every revealed letter must be reused, as many times as it was revealed
+    for (const letter of letterOrder) {
+      const required = requiredCounts[letter];
+      const actual = normalizedWord.split('').filter(c => c === letter).length;
+      
+      if (actual < required) {
+        const upper = letter.toUpperCase();
+        return required === 1
+          ? `Guess must contain ${upper}`
+          : `Guess must contain ${required} ${upper}'s`;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Format a 1-based position as an English ordinal
+   * @param {number} n - The position
+   * @returns {string} e.g. "1st", "2nd", "3rd", "4th"
+   */
+  static ordinal(n) {
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) {
+      return `${n}th`;
+    }
+    
+    switch (n % 10) {
+      case 1: return `${n}st`;
+      case 2: return `${n}nd`;
+      case 3: return `${n}rd`;
+      default: return `${n}th`;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HardModeValidator;
+}
@@ -0,0 +1,127 @@
+/**
+ * LocalDefinitionProvider module for Hard Wordle
+ * Looks up definitions in the bundled definitions files, without any network service
+ */
+
+/**
+ * Meaning type definition
+ * @typedef {Object} Meaning
+ * @property {string} partOfSpeech - e.g. 'noun', 'verb', 'adjective', 'adverb'
+ * @property {string} definition - What the word means
+ * @property {string[]} examples - Example sentences, possibly none
+ */
+
+/**
+ * Definition type definition
+ * Every definition provider resolves getDefinition(word) to one of these, or
+ * to null when it has no entry for the word. It rejects only when its source
+ * could not be read.
+ * @typedef {Object} Definition
+ * @property {string} word - The word that was looked up
+ * @property {string|null} baseForm - The word whose meanings are given, if the word is an inflection (e.g. 'apple' for 'apples')
+ * @property {Meaning[]} meanings - Meanings, most common first
+ * @property {'local'|'remote'} source - Where the definition came from
+ */
+
+/**
+ * Convert a stored entry to a Definition
+ * @param {string} word - The word that was looked up
+ * @param {Object} entry - Entry from a definitions file
+ * @returns {Definition} The definition
+ */
+function toDefinition(word, entry) {
+  return {
+    word,
+    baseForm: entry.baseForm || null,
+    meanings: entry.meanings.map(meaning => ({
+      partOfSpeech: meaning.partOfSpeech,
+      definition: meaning.definition,
+      examples: meaning.examples || []
+    })),
+    source: 'local'
+  };
+}
+
+/**
+ * LocalDefinitionProvider class
+ * Definitions come in one file per word length, grouped like words.json
+ * ({ definitions: { "5": { "apple": { meanings: [...] } } } }). Each file is
+ * only loaded the first time a word of its length is looked up.
+ */
+class LocalDefinitionProvider {
+  /**
+   * Create a LocalDefinitionProvider instance
+   * @param {function(number): (Object|Promise<Object>)} loadData - Takes a word length and returns the
+   *   parsed definitions file of that length, or a promise of it
+   * @param {Object} [options] - Provider settings
+   * @param {Object} [options.fallback] - Provider to ask when a word is missing or the file can't be loaded (default: none)
+   */
+  constructor(loadData, options = {}) {
+    if (typeof loadData !== 'function') {
+      throw new Error('A definitions loader is required');
+    }
+    
+    const { fallback = null } = options;
+    
+    this.loadData = loadData;
+    this.fallback = fallback;
+    this.definitionsPromises = {};
+  }
+
+  /**
+   * Look up a word
+   * @param {string} word - The word to define
+   * @returns {Promise<Definition|null>} The definition, or null if no provider has one
+   */
+  async getDefinition(word) {
+    const normalizedWord = word.toLowerCase();
+    
+    let entry;
+    try {
+      const definitions = await this.load(normalizedWord.length);
+      const group = definitions[normalizedWord.length];
+      entry = group && Object.prototype.hasOwnProperty.call(group, normalizedWord) ? group[normalizedWord] : null;
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      console.warn('Local definitions unavailable, asking the fallback provider:', error.message);
+      entry = null;
+    }
+    
+    if (entry) {
+      return toDefinition(normalizedWord, entry);
+    }
+    
+    return this.fallback ? this.fallback.getDefinition(normalizedWord) : null;
+  }
+
+  /**
+   * Load the definitions file of a word length once
+   * A failed load is retried on the next lookup
+   * @param {number} length - Word length
+   * @returns {Promise<Object>} Entries grouped by word length
+   */
+  load(length) {
+    if (!this.definitionsPromises[length]) {
+      this.definitionsPromises[length] = Promise.resolve()
+        .then(() => this.loadData(length))
+        .then(data => {
+          if (!data || typeof data !== 'object' || !data.definitions || typeof data.definitions !== 'object') {
+            throw new Error('Invalid definitions format: expected an object with definitions');
+          }
+          return data.definitions;
+        })
+        .catch(error => {
+          delete this.definitionsPromises[length];
+          throw error;
+        });
+    }
+    return this.definitionsPromises[length];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalDefinitionProvider;
+}
@@ -0,0 +1,263 @@
+/**
+ * MultiBoardController module for Hard Wordle
+ * Plays one guess against several target words at once (Dordle/Quordle style)
+ */
+
+// Import required modules
+const GameState = require('./GameState');
+const FeedbackGenerator = require('./FeedbackGenerator');
+const Guess = require('./Guess');
+
+/**
+ * Supported numbers of simultaneous boards
+ */
+const BOARD_COUNTS = [2, 4, 8];
+
+/**
+ * Ranking used to keep the most informative status per keyboard letter
+ */
+const STATUS_RANK = { absent: 1, present: 2, correct: 3 };
+
+/**
+ * MultiGuessResult type definition
+ * @typedef {Object} MultiGuessResult
+ * @property {boolean} success - Whether the guess was accepted
+ * @property {string} [error] - Error message if the guess was rejected
+ * @property {Array<Guess|null>} [guesses] - The Guess added to each board, or null for boards already solved
+ * @property {'in-progress'|'won'|'lost'} gameStatus - Overall game status
+ */
+
+/**
+ * MultiBoardOptions type definition
+ * @typedef {Object} MultiBoardOptions
+ * @property {number} [boards] - Number of boards: 2, 4 or 8 (default: 4)
+ * @property {number} [wordLength] - Number of letters per word (default: 5)
+ * @property {'easy'|'normal'|'hard'} [difficulty] - Tier to draw the targets from (default: 'normal')
+ */
+
+/**
+ * MultiBoardController class
+ * Manages one GameState per board and applies every guess to each unsolved board
+ */
+class MultiBoardController {
+  /**
+   * Create a MultiBoardController instance
+   * @param {Dictionary} dictionary - The Dictionary instance for word validation
+   */
+  constructor(dictionary) {
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+    
+    this.dictionary = dictionary;
+    this.boards = [];
+  }
+
+  /**
+   * Get the attempt limit for a number of boards
+   * One extra guess per additional board: 7 for 2, 9 for 4, 13 for 8
+   * @param {number} boards - Number of boards
+   * @returns {number} Maximum guesses allowed
+   */
+  static getMaxAttempts(boards) {
+    return boards + 5;
+  }
+
+  /**
+   * Start a new game with a distinct random target on each board
+   * @param {MultiBoardOptions} [options] - Settings for the new game
+   * @returns {GameState[]} One game state per board
+   */
+  startNewGame(options = {}) {
+    const { boards = 4, wordLength = 5, difficulty = 'normal' } = options;
+    
+    if (!BOARD_COUNTS.includes(boards)) {
+      throw new Error(`Board count must be one of: ${BOARD_COUNTS.join(', ')}`);
+    }
+    
+    const pool = this.dictionary.getTargetWords({ length: wordLength, difficulty });
+    
+    if (pool.length < boards) {
+      throw new Error(`Dictionary needs at least ${boards} ${wordLength}-letter words for ${boards} boards`);
+    }
+    
+    // Partial Fisher-Yates shuffle so no target repeats
+    for (let i = 0; i < boards; i++) {
+      const j = i + Math.floor(Math.random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    
+    const maxAttempts = MultiBoardController.getMaxAttempts(boards);
+    this.boards = pool.slice(0, boards).map(targetWord =>
+      new GameState(targetWord, maxAttempts, { wordLength, difficulty })
+    );
+    return this.getBoards();
+  }
+
+  /**
+   * Submit a guess to every unsolved board
+   * @param {string} word - The word to guess
+   * @returns {MultiGuessResult} Result of the guess attempt
+   */
+  submitGuess(word) {
+    if (this.boards.length === 0) {
+      return {
+        success: false,
+        error: 'No game in progress. Start a new game first.',
+        gameStatus: 'in-progress'
+      };
+    }
+    
+    if (this.isGameOver()) {
+      return {
+        success: false,
+        error: 'Game is over. Start a new game!',
+        gameStatus: this.getGameStatus()
+      };
+    }
+    
+    if (typeof word !== 'string') {
+      return {
+        success: false,
+        error: 'Please enter a word',
+        gameStatus: this.getGameStatus()
+      };
+    }
+    
+    const normalizedWord = word.toLowerCase();
+    const wordLength = this.boards[0].getWordLength();
+    
+    if (normalizedWord.length !== wordLength) {
+      return {
+        success: false,
+        error: `Word must be exactly ${wordLength} letters`,
+        gameStatus: this.getGameStatus()
+      };
+    }
+    
+    if (!this.dictionary.isValidWord(normalizedWord)) {
+      return {
+        success: false,
+        error: 'Not a valid word',
+        gameStatus: this.getGameStatus()
+      };
+    }
+    
+    // Solved boards stop taking guesses
+    const guesses = this.boards.map(board => {
+      if (board.isGameOver()) {
+        return null;
+      }
+      
+      const feedback = FeedbackGenerator.generateFeedback(normalizedWord, board.getTargetWord());
+      const guess = new Guess(normalizedWord, feedback);
+      board.addGuess(guess);
+      return guess;
+    });
+    
+    return {
+      success: true,
+      guesses,
+      gameStatus: this.getGameStatus()
+    };
+  }
+
+  /**
+   * Get the overall game status
+   * Won once every board is solved; lost as soon as any board runs out of attempts
+   * @returns {'in-progress'|'won'|'lost'} The game status
+   */
+  getGameStatus() {
+    if (this.boards.some(board => board.getGameStatus() === 'lost')) {
+      return 'lost';
+    }
+    
+    if (this.boards.length > 0 && this.boards.every(board => board.getGameStatus() === 'won')) {
+      return 'won';
+    }
+    
+    return 'in-progress';
+  }
+
+  /**
+   * Check if the game is over
+   * @returns {boolean} True if every board is solved or attempts ran out
+   */
+  isGameOver() {
+    return this.getGameStatus() !== 'in-progress';
+  }
+
+  /**
+   * Get the game state of each board
+   * @returns {GameState[]} Boards in display order
+   */
+  getBoards() {
+    return [...this.boards]; // Return a copy to prevent external modification
+  }
+
+  /**
+   * Get the number of boards in the current game
+   * @returns {number} Number of boards, or 0 if no game started
+   */
+  getBoardCount() {
+    return this.boards.length;
+  }
+
+  /**
+   * Get the number of boards solved so far
+   * @returns {number} Number of solved boards
+   */
+  getSolvedCount() {
+    return this.boards.filter(board => board.getGameStatus() === 'won').length;
+  }
+
+  /**
+   * Get the attempt limit of the current game
+   * @returns {number} Maximum guesses allowed, or 0 if no game started
+   */
+  getMaxAttempts() {
+    return this.boards.length === 0 ? 0 : this.boards[0].maxAttempts;
+  }
+
+  /**
+   * Get the number of guesses made so far
+   * The board that took guesses the longest has seen every guess
+   * @returns {number} Number of guesses made
+   */
+  getAttemptsUsed() {
+    return this.boards.reduce((max, board) => Math.max(max, board.getGuesses().length), 0);
+  }
+
+  /**
+   * Get each letter's best status on every board, for the shared keyboard
+   * @returns {Object<string, Array<string|null>>} Map of lowercase letter to one status per board
+   *   ('correct', 'present', 'absent', or null if the letter hasn't been tried on that board)
+   */
+  getKeyboardStatus() {
+    const status = {};
+    
+    this.boards.forEach((board, boardIndex) => {
+      board.getGuesses().forEach(guess => {
+        guess.getFeedback().forEach(({ letter, status: letterStatus }) => {
+          if (!status[letter]) {
+            status[letter] = this.boards.map(() => null);
+          }
+          
+          const current = status[letter][boardIndex];
+          if (!current || STATUS_RANK[letterStatus] > STATUS_RANK[current]) {
+            status[letter][boardIndex] = letterStatus;
+          }
+        });
+      });
+    });
+    
+    return status;
+  }
+}
+
+MultiBoardController.BOARD_COUNTS = BOARD_COUNTS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MultiBoardController;
+}
@@ -0,0 +1,76 @@
+/**
+ * Random module for Hard Wordle
+ * Seeded pseudo-random numbers, so a game can be replayed from its seed
+ */
+
+/**
+ * Largest seed; seeds are unsigned 32-bit integers
+ */
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Random class
+ * Provides static methods for making and reading seeds. A random source is
+ * any function that returns numbers in [0, 1), like Math.random.
+ */
+class Random {
+  /**
+   * Create a seeded random source (mulberry32)
+   * The same seed always produces the same sequence
+   * @param {number} seed - Unsigned 32-bit integer seed
+   * @returns {function(): number} Random source returning numbers in [0, 1)
+   */
+  static mulberry32(seed) {
+    if (!Random.isSeed(seed)) {
+      throw new Error(`Seed must be an integer from 0 to ${MAX_SEED}`);
+    }
+    
+    let state = seed;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draw a new seed
+   * @param {function(): number} [random] - Random source to draw from (default: Math.random)
+   * @returns {number} Unsigned 32-bit integer seed
+   */
+  static createSeed(random = Math.random) {
+    return Math.floor(random() * (MAX_SEED + 1));
+  }
+
+  /**
+   * Check if a value is a valid seed
+   * @param {*} value - The value to check
+   * @returns {boolean} True for integers from 0 to MAX_SEED
+   */
+  static isSeed(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+  }
+
+  /**
+   * Read a seed from text, e.g. the seed parameter of a URL
+   * @param {string|null} text - Decimal digits
+   * @returns {number|null} The seed, or null if the text isn't one
+   */
+  static parseSeed(text) {
+    if (typeof text !== 'string' || !/^\d{1,10}$/.test(text)) {
+      return null;
+    }
+    
+    const seed = Number(text);
+    return Random.isSeed(seed) ? seed : null;
+  }
+}
+
+Random.MAX_SEED = MAX_SEED;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Random;
+}
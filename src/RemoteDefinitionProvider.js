@@ -0,0 +1,116 @@
+/**
+ * RemoteDefinitionProvider module for Hard Wordle
+ * Looks up definitions in an online dictionary with the dictionaryapi.dev response format
+ */
+
+/**
+ * Default dictionary service; every lookup sends it the word
+ */
+const DEFAULT_BASE_URL = 'https://api.dictionaryapi.dev/api/v2/entries/en';
+
+/**
+ * Most meanings kept per word, matching the bundled definitions
+ */
+const MAX_MEANINGS = 3;
+
+/**
+ * RemoteDefinitionProvider class
+ * Answers are cached per word, including words the service doesn't know,
+ * so each word is requested at most once. Failed requests are not cached.
+ */
+class RemoteDefinitionProvider {
+  /**
+   * Create a RemoteDefinitionProvider instance
+   * @param {Object} [options] - Provider settings
+   * @param {string} [options.baseUrl] - URL the word is appended to (default: DEFAULT_BASE_URL)
+   * @param {Function} [options.fetchImpl] - fetch-compatible function (default: the global fetch)
+   */
+  constructor(options = {}) {
+    const {
+      baseUrl = DEFAULT_BASE_URL,
+      fetchImpl = typeof fetch === 'function' ? fetch.bind(globalThis) : null
+    } = options;
+    
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('A fetch implementation is required');
+    }
+    
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+    this.cache = new Map();
+  }
+
+  /**
+   * Look up a word
+   * @param {string} word - The word to define
+   * @returns {Promise<Definition|null>} The definition, or null if the service has none
+   */
+  async getDefinition(word) {
+    const normalizedWord = word.toLowerCase();
+    
+    if (this.cache.has(normalizedWord)) {
+      return this.cache.get(normalizedWord);
+    }
+    
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}/${encodeURIComponent(normalizedWord)}`);
+    } catch (error) {
+      throw new Error('Could not reach the dictionary service');
+    }
+    
+    if (response.status === 404) {
+      this.cache.set(normalizedWord, null);
+      return null;
+    }
+    
+    if (!response.ok) {
+      throw new Error(`Dictionary service error (${response.status})`);
+    }
+    
+    const definition = RemoteDefinitionProvider.parseResponse(normalizedWord, await response.json());
+    this.cache.set(normalizedWord, definition);
+    return definition;
+  }
+
+  /**
+   * Convert a dictionaryapi.dev response to a Definition
+   * @param {string} word - The word that was looked up
+   * @param {Object[]} data - Parsed response body
+   * @returns {Definition|null} The definition, or null if the response has no meanings
+   */
+  static parseResponse(word, data) {
+    if (!Array.isArray(data)) {
+      return null;
+    }
+    
+    const meanings = [];
+    data.forEach(entry => {
+      (entry.meanings || []).forEach(meaning => {
+        (meaning.definitions || []).forEach(item => {
+          if (meanings.length < MAX_MEANINGS && item.definition) {
+            meanings.push({
+              partOfSpeech: meaning.partOfSpeech || '',
+              definition: item.definition,
+              examples: item.example ? [item.example] : []
+            });
+          }
+        });
+      });
+    });
+    
+    if (meanings.length === 0) {
+      return null;
+    }
+    
+    return { word, baseForm: null, meanings, source: 'remote' };
+  }
+}
+
+RemoteDefinitionProvider.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+RemoteDefinitionProvider.MAX_MEANINGS = MAX_MEANINGS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RemoteDefinitionProvider;
+}
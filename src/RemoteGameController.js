@@ -0,0 +1,134 @@
+/**
+ * RemoteGameController module for Hard Wordle
+ * Plays games hosted by the game server, so the target stays out of the browser
+ */
+
+// Import required modules
+const GameState = require('./GameState');
+
+/**
+ * Letter standing in for each letter of the unknown target
+ * Guesses only contain a-z, so they never match the placeholder
+ */
+const PLACEHOLDER_LETTER = '?';
+
+/**
+ * RemoteGameController class
+ * Same interface as GameController, except that startNewGame and submitGuess
+ * return promises. The local GameState mirrors the server's game: it carries
+ * a placeholder target until the server reveals the word at the end.
+ */
+class RemoteGameController {
+  /**
+   * Create a RemoteGameController instance
+   * @param {GameApiClient} client - Client for the game server
+   * @param {Dictionary} dictionary - Valid guesses, e.g. for the word lengths on offer. The answers
+   *   stay on the server, so it is usually Dictionary.withoutAnswers of the server's dictionary
+   */
+  constructor(client, dictionary) {
+    if (!client) {
+      throw new Error('Game API client is required');
+    }
+    
+    if (!dictionary) {
+      throw new Error('Dictionary is required');
+    }
+    
+    this.client = client;
+    this.dictionary = dictionary;
+    this.gameId = null;
+    this.gameState = null;
+  }
+
+  /**
+   * Start a new game on the server
+   * @param {NewGameOptions} [options] - Settings for the new game (date is decided by the server)
+   * @returns {Promise<GameState>} The new game state, with a placeholder target
+   */
+  async startNewGame(options = {}) {
+    const { mode, hardMode, wordLength, difficulty, fibble } = options;
+    const view = await this.client.createGame({ mode, hardMode, wordLength, difficulty, fibble });
+    
+    this.gameId = view.id;
+    this.gameState = RemoteGameController.toGameState(view);
+    return this.gameState;
+  }
+
+  /**
+   * Submit a guess to the server
+   * @param {string} word - The word to guess
+   * @returns {Promise<GuessResult>} Result of the guess attempt
+   */
+  async submitGuess(word) {
+    if (!this.gameState) {
+      return {
+        success: false,
+        error: 'No game in progress. Start a new game first.',
+        gameStatus: 'in-progress'
+      };
+    }
+    
+    let result;
+    try {
+      result = await this.client.submitGuess(this.gameId, word);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        gameStatus: this.gameState.getGameStatus()
+      };
+    }
+    
+    if (!result.success) {
+      return {
+        success: false,
+        error: result.error,
+        gameStatus: result.gameStatus
+      };
+    }
+    
+    // Mirror the server's view of the game, which reveals the target and the
+    // true feedback of Fibble guesses once the game is over
+    this.gameState = RemoteGameController.toGameState(result.game);
+    
+    return {
+      success: true,
+      guess: this.gameState.getGuesses()[this.gameState.getGuesses().length - 1],
+      gameStatus: this.gameState.getGameStatus()
+    };
+  }
+
+  /**
+   * Get the current game state
+   * Its target word is a placeholder until the game is over
+   * @returns {GameState|null} The current game state, or null if no game started
+   */
+  getGameState() {
+    return this.gameState;
+  }
+
+  /**
+   * Get the server's ID for the current game
+   * @returns {string|null} The game ID, or null if no game started
+   */
+  getGameId() {
+    return this.gameId;
+  }
+
+  /**
+   * Build a local GameState from the server's view of a game
+   * @param {GameView} view - The game as returned by the server
+   * @returns {GameState} Game state with the same settings, guesses and status
+   */
+  static toGameState(view) {
+    const targetWord = view.targetWord || PLACEHOLDER_LETTER.repeat(view.wordLength);
+    return GameState.fromJSON({ ...view, targetWord });
+  }
+}
+
+RemoteGameController.PLACEHOLDER_LETTER = PLACEHOLDER_LETTER;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RemoteGameController;
+}
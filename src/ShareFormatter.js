@@ -0,0 +1,145 @@
+/**
+ * ShareFormatter module for Hard Wordle
+ * Builds the spoiler-free emoji grid players paste into chat
+ */
+
+// Import required modules
+const Random = require('./Random');
+
+const TITLE = 'Hard Wordle';
+
+/**
+ * Emoji for each feedback status
+ */
+const STATUS_EMOJI = {
+  correct: '🟩',
+  present: '🟨',
+  absent: '⬛'
+};
+
+/**
+ * Marker appended to the score of a Hard Mode game
+ */
+const HARD_MODE_MARKER = '*';
+
+/**
+ * ReplaySettings type definition
+ * What a replay link holds: enough to pick the same practice target again
+ * @typedef {Object} ReplaySettings
+ * @property {number} seed - Seed the target was picked with
+ * @property {number} wordLength - Number of letters per word
+ * @property {'easy'|'normal'|'hard'} difficulty - Difficulty tier
+ * @property {boolean} hardMode - Whether Hard Mode rules applied
+ * @property {boolean} fibble - Whether one tile of each row lied
+ */
+
+/**
+ * ShareFormatter class
+ * Provides static methods to turn a finished game into shareable text
+ */
+class ShareFormatter {
+  /**
+   * Build the share text for a game
+   * e.g. "Hard Wordle #42 4/6*" followed by one emoji row per guess.
+   * Practice games say "Practice" in place of the puzzle number, and a loss scores "X".
+   * Fibble games are titled "Hard Wordle Fibble" and share the feedback as it was shown, lies included.
+   *
+   * @param {GameState} gameState - The game to share
+   * @returns {string} The share text
+   */
+  static format(gameState) {
+    if (!gameState) {
+      throw new Error('Game state is required');
+    }
+    
+    const rows = gameState.getGuesses().map(guess => ShareFormatter.formatRow(guess));
+    return `${ShareFormatter.formatHeader(gameState)}\n\n${rows.join('\n')}`;
+  }
+
+  /**
+   * Build the first line of the share text
+   * @param {GameState} gameState - The game to share
+   * @returns {string} Title, puzzle label and score
+   */
+  static formatHeader(gameState) {
+    const label = gameState.getMode() === 'daily'
+      ? `#${gameState.getPuzzleNumber()}`
+      : 'Practice';
+    const attempts = gameState.getGameStatus() === 'won' ? gameState.getGuesses().length : 'X';
+    const marker = gameState.isHardMode() ? HARD_MODE_MARKER : '';
+    
+    const title = gameState.isFibble() ? `${TITLE} Fibble` : TITLE;
+    
+    return `${title} ${label} ${attempts}/${gameState.maxAttempts}${marker}`;
+  }
+
+  /**
+   * Turn one guess into a row of emoji
+   * @param {Guess} guess - The guess to convert
+   * @returns {string} One emoji per letter
+   */
+  static formatRow(guess) {
+    return guess.getFeedback().map(letterFeedback => STATUS_EMOJI[letterFeedback.status]).join('');
+  }
+
+  /**
+   * Build a link that replays a practice game, e.g. "https://example.com/?seed=1234&length=6"
+   * Length and difficulty are left out when they are the defaults
+   * @param {GameState} gameState - The game to replay
+   * @param {string} baseUrl - URL of the game page
+   * @returns {string|null} The link, or null if the game has no seed to replay
+   */
+  static formatReplayUrl(gameState, baseUrl) {
+    if (gameState.getSeed() === null) {
+      return null;
+    }
+    
+    const params = new URLSearchParams({ seed: String(gameState.getSeed()) });
+    if (gameState.getWordLength() !== 5) {
+      params.set('length', String(gameState.getWordLength()));
+    }
+    if (gameState.getDifficulty() !== 'normal') {
+      params.set('difficulty', gameState.getDifficulty());
+    }
+    if (gameState.isHardMode()) {
+      params.set('hard', '1');
+    }
+    if (gameState.isFibble()) {
+      params.set('fibble', '1');
+    }
+    
+    const url = new URL(baseUrl);
+    url.search = params.toString();
+    url.hash = '';
+    return url.toString();
+  }
+
+  /**
+   * Read the replay settings from a link's query string
+   * @param {string} search - Query string, e.g. window.location.search
+   * @returns {ReplaySettings|null} The settings, or null if there is no valid seed
+   */
+  static parseReplayUrl(search) {
+    const params = new URLSearchParams(search);
+    const seed = Random.parseSeed(params.get('seed'));
+    if (seed === null) {
+      return null;
+    }
+    
+    return {
+      seed,
+      wordLength: params.has('length') ? Number(params.get('length')) : 5,
+      difficulty: params.get('difficulty') || 'normal',
+      hardMode: params.get('hard') === '1',
+      fibble: params.get('fibble') === '1'
+    };
+  }
+}
+
+ShareFormatter.STATUS_EMOJI = STATUS_EMOJI;
+ShareFormatter.HARD_MODE_MARKER = HARD_MODE_MARKER;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShareFormatter;
+}
@@ -0,0 +1,299 @@
+/**
+ * Solver module for Hard Wordle
+ * Finds the words that are still possible given the feedback seen so far
+ */
+
+// Import required modules
+const FeedbackGenerator = require('./FeedbackGenerator');
+const HardModeValidator = require('./HardModeValidator');
+
+/**
+ * Write a word's letter indexes (a = 0) into a buffer for fast pattern scoring
+ * @param {string} word - Lowercase word
+ * @param {Uint8Array} buffer - Destination
+ * @param {number} offset - Index of the first letter in the buffer
+ */
+function writeCodes(word, buffer, offset) {
+  for (let i = 0; i < word.length; i++) {
+    buffer[offset + i] = word.charCodeAt(i) - 97;
+  }
+}
+
+/**
+ * Compute a feedback pattern as a base-3 number without allocating
+ * Same two-pass rules as FeedbackGenerator: correct letters first, then
+ * present letters while unmatched copies remain in the target.
+ * @param {Uint8Array} guess - Letter indexes of the guess
+ * @param {Uint8Array} targets - Letter indexes of many targets, back to back
+ * @param {number} offset - Index of the target's first letter in targets
+ * @param {Uint8Array} counts - Scratch space of 26 zeroes, left zeroed on return
+ * @param {Uint8Array} marks - Scratch space at least as long as the word
+ * @returns {number} Pattern code: digits 2 correct, 1 present, 0 absent, first letter most significant
+ */
+function patternCode(guess, targets, offset, counts, marks) {
+  const length = guess.length;
+
+  for (let i = 0; i < length; i++) {
+    const letter = targets[offset + i];
+    if (guess[i] === letter) {
+      marks[i] = 2;
+    } else {
+      marks[i] = 0;
+      counts[letter]++;
+    }
+  }
+
+  let code = 0;
+  for (let i = 0; i < length; i++) {
+    if (marks[i] === 0 && counts[guess[i]] > 0) {
+      marks[i] = 1;
+      counts[guess[i]]--;
+    }
+    code = code * 3 + marks[i];
+  }
+
+  for (let i = 0; i < length; i++) {
+    counts[targets[offset + i]] = 0;
+  }
+
+  return code;
+}
+
+/**
+ * Largest candidate set scored in full
+ * Bigger sets (e.g. every valid word on the hard tier) are estimated from an
+ * evenly spaced sample, which keeps the opening ranking to about a second
+ */
+const SAMPLE_SIZE = 2000;
+
+/**
+ * Rankings for games with no guesses yet, which only depend on the word lists
+ * Keyed by Dictionary, then by length and difficulty
+ */
+const openingCache = new WeakMap();
+
+/**
+ * CandidateOptions type definition
+ * @typedef {Object} CandidateOptions
+ * @property {boolean} [answersOnly] - Only consider words that can be chosen as the target (default: false)
+ */
+
+/**
+ * GuessSuggestion type definition
+ * @typedef {Object} GuessSuggestion
+ * @property {string} word - The word to guess
+ * @property {number} entropy - Expected information from its feedback, in bits
+ * @property {number} expectedRemaining - Expected number of candidates left after guessing it
+ * @property {boolean} isCandidate - Whether the word could itself be the answer
+ */
+
+/**
+ * SuggestOptions type definition
+ * @typedef {Object} SuggestOptions
+ * @property {number} [limit] - Maximum number of suggestions to return (default: 10)
+ * @property {number} [sampleSize] - Score against at most this many evenly spaced
+ *   candidates (default: SAMPLE_SIZE); larger candidate sets are estimated
+ */
+
+/**
+ * Solver class
+ * Provides static methods to filter words against past feedback.
+ * A word is consistent when guessing each past word against it would have
+ * produced exactly the feedback that was shown, using FeedbackGenerator itself
+ * so duplicate letters are treated the same way as in the game.
+ */
+class Solver {
+  /**
+   * Check whether a word could be the target given past guesses
+   * @param {string} word - The word to check
+   * @param {Guess[]} guesses - Guesses with their feedback
+   * @returns {boolean} True if every guess would have produced its feedback against the word
+   */
+  static isConsistent(word, guesses) {
+    return guesses.every(guess =>
+      guess.getWord().length === word.length &&
+      FeedbackGenerator.getPattern(guess.getWord(), word) === FeedbackGenerator.toPattern(guess.getFeedback())
+    );
+  }
+
+  /**
+   * Keep the words consistent with past guesses
+   * @param {string[]} words - Words to filter
+   * @param {Guess[]} guesses - Guesses with their feedback
+   * @returns {string[]} Consistent words, in their original order
+   */
+  static filterCandidates(words, guesses) {
+    // Work out each guess's pattern once rather than once per word
+    const expected = guesses.map(guess => ({
+      word: guess.getWord(),
+      pattern: FeedbackGenerator.toPattern(guess.getFeedback())
+    }));
+    
+    return words.filter(word => expected.every(({ word: guessed, pattern }) =>
+      guessed.length === word.length && FeedbackGenerator.getPattern(guessed, word) === pattern
+    ));
+  }
+
+  /**
+   * Get every dictionary word that could still be the target of a game
+   * @param {Dictionary} dictionary - The Dictionary to search
+   * @param {GameState} gameState - The game whose guesses constrain the target
+   * @param {CandidateOptions} [options] - Which words to consider
+   * @returns {string[]} Words consistent with every guess so far
+   */
+  static getCandidates(dictionary, gameState, options = {}) {
+    const { answersOnly = false } = options;
+    const length = gameState.getWordLength();
+    const words = answersOnly ? dictionary.getAnswers(length) : dictionary.getWords(length);
+    
+    return Solver.filterCandidates(words, gameState.getGuesses());
+  }
+
+  /**
+   * Split candidates into groups that would give the same feedback for a guess
+   * @param {string} word - The guessed word
+   * @param {string[]} candidates - Words that could still be the target
+   * @returns {Map<string, string[]>} Map of feedback pattern to candidates, in first-seen order
+   */
+  static groupByPattern(word, candidates) {
+    const groups = new Map();
+    candidates.forEach(candidate => {
+      const pattern = FeedbackGenerator.getPattern(word, candidate);
+      if (!groups.has(pattern)) {
+        groups.set(pattern, []);
+      }
+      groups.get(pattern).push(candidate);
+    });
+    return groups;
+  }
+
+  /**
+   * Rank possible guesses by the entropy of their feedback over the candidates
+   * A guess that splits the candidates into many equally likely patterns
+   * reveals the most. Ties go to words that could be the answer, then to the
+   * order of the guess list. Large candidate sets are sampled (see SAMPLE_SIZE).
+   * @param {string[]} guessWords - Words that may be guessed
+   * @param {string[]} candidates - Words that could still be the target
+   * @param {SuggestOptions} [options] - How many suggestions to return
+   * @returns {GuessSuggestion[]} Best guesses first
+   */
+  static rankGuesses(guessWords, candidates, options = {}) {
+    const { limit = 10, sampleSize = SAMPLE_SIZE } = options;
+    
+    if (candidates.length === 0) {
+      return [];
+    }
+    
+    const sample = [];
+    if (candidates.length > sampleSize) {
+      const step = candidates.length / sampleSize;
+      for (let i = 0; i < sampleSize; i++) {
+        sample.push(candidates[Math.floor(i * step)]);
+      }
+    } else {
+      sample.push(...candidates);
+    }
+    
+    const length = candidates[0].length;
+    const candidateCodes = new Uint8Array(sample.length * length);
+    sample.forEach((candidate, i) => writeCodes(candidate, candidateCodes, i * length));
+    const guessCodes = new Uint8Array(length);
+    const candidateSet = new Set(candidates);
+    const buckets = new Uint32Array(Math.pow(3, length));
+    const touched = new Uint32Array(sample.length);
+    const counts = new Uint8Array(26);
+    const marks = new Uint8Array(length);
+    const total = sample.length;
+    // Scales the sample's expected group size up to the full candidate set
+    const scale = candidates.length / total;
+    
+    const ranked = [];
+    guessWords.forEach((word, order) => {
+      if (word.length !== length) {
+        return;
+      }
+      
+      writeCodes(word, guessCodes, 0);
+      let patterns = 0;
+      for (let i = 0; i < total; i++) {
+        const code = patternCode(guessCodes, candidateCodes, i * length, counts, marks);
+        if (buckets[code] === 0) {
+          touched[patterns++] = code;
+        }
+        buckets[code]++;
+      }
+      
+      let entropy = 0;
+      let sumOfSquares = 0;
+      for (let i = 0; i < patterns; i++) {
+        const size = buckets[touched[i]];
+        const p = size / total;
+        entropy -= p * Math.log2(p);
+        sumOfSquares += size * size;
+        buckets[touched[i]] = 0;
+      }
+      
+      ranked.push({
+        word,
+        entropy,
+        expectedRemaining: (sumOfSquares / total) * scale,
+        isCandidate: candidateSet.has(word),
+        order
+      });
+    });
+    
+    ranked.sort((a, b) =>
+      (b.entropy - a.entropy) ||
+      (Number(b.isCandidate) - Number(a.isCandidate)) ||
+      (a.order - b.order)
+    );
+    
+    return ranked.slice(0, limit).map(({ order, ...suggestion }) => suggestion);
+  }
+
+  /**
+   * Suggest the next guesses for a game
+   * Every valid word of the game's length is scored against the words that
+   * could still be the target for the game's difficulty. In Hard Mode only
+   * guesses that reuse the revealed hints are suggested. Blocked words are
+   * never suggested.
+   * @param {Dictionary} dictionary - The Dictionary to search
+   * @param {GameState} gameState - The game to suggest a guess for
+   * @param {SuggestOptions} [options] - How many suggestions to return
+   * @returns {GuessSuggestion[]} Best guesses first
+   */
+  static suggestGuesses(dictionary, gameState, options = {}) {
+    const { limit = 10, sampleSize = SAMPLE_SIZE } = options;
+    const length = gameState.getWordLength();
+    const guesses = gameState.getGuesses();
+    const targetOptions = { length, difficulty: gameState.getDifficulty() };
+    let guessWords = dictionary.getWords(length).filter(word => !dictionary.isBlocked(word));
+    
+    // The opening ranking is the slowest and never changes, so keep it
+    if (guesses.length === 0) {
+      if (!openingCache.has(dictionary)) {
+        openingCache.set(dictionary, {});
+      }
+      const cache = openingCache.get(dictionary);
+      const key = `${length}:${targetOptions.difficulty}:${sampleSize}`;
+      if (!cache[key] || cache[key].length < limit) {
+        cache[key] = Solver.rankGuesses(guessWords, dictionary.getTargetWords(targetOptions), { limit, sampleSize });
+      }
+      return cache[key].slice(0, limit).map(suggestion => ({ ...suggestion }));
+    }
+    
+    if (gameState.isHardMode()) {
+      guessWords = guessWords.filter(word => HardModeValidator.validateGuess(word, guesses) === null);
+    }
+    
+    const candidates = Solver.filterCandidates(dictionary.getTargetWords(targetOptions), guesses);
+    return Solver.rankGuesses(guessWords, candidates, { limit, sampleSize });
+  }
+}
+
+Solver.SAMPLE_SIZE = SAMPLE_SIZE;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Solver;
+}
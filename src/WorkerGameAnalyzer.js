@@ -0,0 +1,74 @@
+/**
+ * WorkerGameAnalyzer module for Hard Wordle
+ * Runs GameAnalyzer in a Web Worker (see analysis-worker.js)
+ */
+
+/**
+ * WorkerGameAnalyzer class
+ * Sends the word lists to the worker once, then each game to analyze. The
+ * worker takes one game at a time, so answers come back in request order.
+ */
+class WorkerGameAnalyzer {
+  /**
+   * Create a WorkerGameAnalyzer instance
+   * @param {Worker} worker - Worker running analysis-worker.js
+   * @param {string} packed - The packed dictionary the games are played with (see Dictionary.toPacked)
+   */
+  constructor(worker, packed) {
+    if (!worker || typeof worker.postMessage !== 'function' || typeof worker.addEventListener !== 'function') {
+      throw new Error('A worker is required');
+    }
+    
+    if (typeof packed !== 'string') {
+      throw new Error('Packed dictionary is required');
+    }
+    
+    this.worker = worker;
+    this.nextId = 1;
+    this.pending = new Map();
+    
+    this.worker.addEventListener('message', event => this.receive(event.data));
+    this.worker.postMessage({ type: 'dictionary', packed });
+  }
+
+  /**
+   * Analyze every guess of a game in the worker
+   * @param {GameState} gameState - The game to analyze
+   * @returns {Promise<GuessAnalysis[]>} One entry per guess, in the order they were made
+   */
+  analyze(gameState) {
+    if (!gameState) {
+      return Promise.reject(new Error('Game state is required'));
+    }
+    
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'analyze', id, game: gameState.toJSON() });
+    });
+  }
+
+  /**
+   * Settle the request a worker reply belongs to
+   * Replies to unknown requests are ignored
+   * @param {Object} reply - { id, analysis } or { id, error }
+   */
+  receive(reply) {
+    const request = this.pending.get(reply.id);
+    if (!request) {
+      return;
+    }
+    
+    this.pending.delete(reply.id);
+    if (reply.error) {
+      request.reject(new Error(reply.error));
+    } else {
+      request.resolve(reply.analysis);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkerGameAnalyzer;
+}
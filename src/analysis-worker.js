@@ -0,0 +1,55 @@
+/**
+ * Analysis worker for Hard Wordle
+ * Rates finished games off the main thread, so the page stays responsive
+ * while GameAnalyzer works through the word lists
+ *
+ * Messages it handles (see WorkerGameAnalyzer for the other side):
+ * { type: 'dictionary', packed } loads the packed word lists, and
+ * { type: 'analyze', id, game } answers { id, analysis } or { id, error }
+ */
+
+// Import required modules
+const Dictionary = require('./Dictionary');
+const GameState = require('./GameState');
+const GameAnalyzer = require('./GameAnalyzer');
+
+/**
+ * Handle one message from the page
+ * @param {Object} state - Worker state kept between messages, e.g. { dictionary: null }
+ * @param {Object} message - The message's data
+ * @returns {Object|null} The reply to post, if any
+ */
+function handleMessage(state, message) {
+  if (message.type === 'dictionary') {
+    state.dictionary = Dictionary.fromPacked(message.packed);
+    return null;
+  }
+
+  try {
+    if (!state.dictionary) {
+      throw new Error('Dictionary has not been loaded');
+    }
+    return { id: message.id, analysis: GameAnalyzer.analyze(state.dictionary, GameState.fromJSON(message.game)) };
+  } catch (error) {
+    return { id: message.id, error: error.message };
+  }
+}
+
+// Register the message handler when running as a worker
+if (typeof DedicatedWorkerGlobalScope !== 'undefined' && self instanceof DedicatedWorkerGlobalScope) {
+  const state = { dictionary: null };
+
+  self.addEventListener('message', event => {
+    const reply = handleMessage(state, event.data);
+    if (reply) {
+      self.postMessage(reply);
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    handleMessage
+  };
+}
@@ -1,10 +1,33 @@
 // Hard Wordle - Main Entry Point (Vue 3)
-import { createApp } from 'vue';
+import { createApp, reactive } from 'vue';
 import App from './App.vue';
 
 // Import game modules
 const Dictionary = require('./Dictionary');
 const GameController = require('./GameController');
+const GameStorage = require('./GameStorage');
+const GameStats = require('./GameStats');
+const AnswerHistory = require('./AnswerHistory');
+const MultiBoardController = require('./MultiBoardController');
+const AbsurdleController = require('./AbsurdleController');
+const GameApiClient = require('./GameApiClient');
+const RemoteGameController = require('./RemoteGameController');
+const LocalDefinitionProvider = require('./LocalDefinitionProvider');
+const RemoteDefinitionProvider = require('./RemoteDefinitionProvider');
+const ShareFormatter = require('./ShareFormatter');
+const WorkerGameAnalyzer = require('./WorkerGameAnalyzer');
+
+// Time zone in which the daily puzzle rolls over to the next word
+const DAILY_TIME_ZONE = 'UTC';
+
+// Game server URL, set at build time (e.g. GAME_API_URL=/api npm run build)
+// Leave empty to pick targets in the browser
+const GAME_API_URL = process.env.GAME_API_URL;
+
+// Online dictionary asked for words missing from the bundled definitions,
+// set at build time (e.g. DEFINITIONS_API_URL=https://api.dictionaryapi.dev/api/v2/entries/en)
+// Leave empty so no word ever leaves the browser
+const DEFINITIONS_API_URL = process.env.DEFINITIONS_API_URL;
 
 /**
  * Initialize the Hard Wordle application
@@ -12,37 +35,110 @@ const GameController = require('./GameController');
  */
 async function initializeApp() {
   try {
+    // Play against the game server when one is configured and reachable,
+    // otherwise fall back to choosing the target in the browser
+    let client = null;
+    if (GAME_API_URL) {
+      client = new GameApiClient(GAME_API_URL);
+      if (await client.checkHealth()) {
+        console.log(`Playing against the game server at ${GAME_API_URL}`);
+      } else {
+        console.warn(`Game server at ${GAME_API_URL} is unavailable, playing locally`);
+        client = null;
+      }
+    }
+    const isRemote = client !== null;
+    
     console.log('Hard Wordle - Loading dictionary...');
     
-    // Load word dictionary from words.json
-    const response = await fetch('/words.json');
+    // Load the word dictionary, packed from words.json at build time. Server
+    // games only get the valid guesses, since knowing the answers would give
+    // the daily word away
+    const response = await fetch(isRemote ? '/guesses.packed.txt' : '/words.packed.txt');
     
     if (!response.ok) {
       throw new Error(`Failed to load dictionary: ${response.status} ${response.statusText}`);
     }
     
-    const data = await response.json();
+    const packed = await response.text();
+    
+    // Initialize Dictionary instance (validates the data format)
+    const dictionary = Dictionary.fromPacked(packed);
     
-    // Validate dictionary data
-    if (!data.words || !Array.isArray(data.words)) {
-      throw new Error('Invalid dictionary format: expected "words" array');
+    console.log(`Dictionary loaded: ${dictionary.getAnswerCount()} answers, ${dictionary.size()} valid guesses, ${dictionary.getBlockedWords().length} blocked, lengths ${dictionary.getAvailableLengths().join(', ')}`);
+    
+    // Remember recent practice targets so a word isn't repeated until the
+    // player has been through the rest of the answers
+    let answerHistory = null;
+    try {
+      answerHistory = new AnswerHistory(window.localStorage);
+    } catch (error) {
+      console.warn('localStorage unavailable, practice targets may repeat:', error);
     }
     
-    if (data.words.length === 0) {
-      throw new Error('Dictionary is empty');
+    // Initialize GameController with Dictionary
+    const gameController = isRemote ? new RemoteGameController(client, dictionary) : new GameController(dictionary, {
+      dailyTimeZone: DAILY_TIME_ZONE,
+      answerHistory
+    });
+    
+    // Save the current game to localStorage so a reload can resume it
+    // and record finished games for the stats screen
+    // Server games are not saved, since the saved game would lack its target
+    let gameStorage = null;
+    let gameStats = null;
+    try {
+      gameStorage = isRemote ? null : new GameStorage(window.localStorage);
+      gameStats = new GameStats(window.localStorage);
+    } catch (error) {
+      console.warn('localStorage unavailable, games and stats will not be saved:', error);
     }
     
-    console.log(`Dictionary loaded: ${data.words.length} words`);
+    // Plays one guess against several boards at once
+    // Neither it nor Absurdle is offered in server games, which lack the answers to pick targets from
+    const multiBoardController = isRemote ? null : new MultiBoardController(dictionary);
     
-    // Initialize Dictionary instance
-    const dictionary = new Dictionary(data.words);
+    // Adversarial mode that picks the target as late as possible
+    const absurdleController = isRemote ? null : new AbsurdleController(dictionary);
     
-    // Initialize GameController with Dictionary
-    const gameController = new GameController(dictionary);
+    // Rate finished games in a worker so the page stays responsive. Server
+    // games aren't rated, and without worker support the page rates them itself
+    const gameAnalyzer = isRemote || typeof Worker === 'undefined'
+      ? null
+      : new WorkerGameAnalyzer(new Worker(new URL('./analysis-worker.js', import.meta.url)), packed);
+    
+    // Definitions are bundled separately, one file per word length, and each
+    // is only downloaded after the first game with a target of that length ends
+    const definitionProvider = new LocalDefinitionProvider(async length => {
+      const definitionsResponse = await fetch(`/definitions/${length}.json`);
+      if (!definitionsResponse.ok) {
+        throw new Error(`Failed to load definitions: ${definitionsResponse.status} ${definitionsResponse.statusText}`);
+      }
+      return definitionsResponse.json();
+    }, {
+      fallback: DEFINITIONS_API_URL ? new RemoteDefinitionProvider({ baseUrl: DEFINITIONS_API_URL }) : null
+    });
+    
+    // A replay link (?seed=1234) starts that practice game. Drop the seed from
+    // the address bar so a reload resumes the game instead of restarting it.
+    // The game server picks its own targets, so links only work locally
+    const replay = isRemote ? null : ShareFormatter.parseReplayUrl(window.location.search);
+    if (replay) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
     
     // Create and mount Vue app
+    // Root props are only shallowly reactive, so wrap the controllers to let
+    // the UI track the game state they hold
     const app = createApp(App, {
-      gameController
+      gameController: reactive(gameController),
+      gameStorage,
+      gameStats,
+      multiBoardController: multiBoardController && reactive(multiBoardController),
+      absurdleController: absurdleController && reactive(absurdleController),
+      definitionProvider,
+      gameAnalyzer,
+      replay
     });
     
     app.mount('#app');
@@ -66,6 +162,22 @@ async function initializeApp() {
   }
 }
 
+/**
+ * Register the service worker that caches the game for offline play
+ * Only production builds register it, so the dev server always serves fresh files
+ */
+function registerServiceWorker() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  
+  navigator.serviceWorker.register('/service-worker.js').catch(error => {
+    console.warn('Service worker registration failed, the game will not work offline:', error);
+  });
+}
+
+registerServiceWorker();
+
 // Start the application when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeApp);
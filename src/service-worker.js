@@ -0,0 +1,143 @@
+/**
+ * Service worker for Hard Wordle
+ * Caches the app so it can be installed and played with no network
+ *
+ * The build prepends the precache manifest (see ServiceWorkerPlugin in
+ * webpack.config.js): self.__PRECACHE_MANIFEST = { version, urls }
+ * The version changes whenever a precached file does, so each deploy
+ * installs a fresh cache and the previous one is deleted on activation.
+ */
+
+/**
+ * Prefix of every cache this worker owns
+ */
+const CACHE_PREFIX = 'hard-wordle-';
+
+/**
+ * Paths that always go to the network (the game server API)
+ */
+const NETWORK_ONLY_PATHS = ['/api/'];
+
+/**
+ * Page served for navigations, so the app opens offline at any URL
+ */
+const APP_SHELL_URL = '/index.html';
+
+/**
+ * Get the cache name for a build
+ * @param {string} version - Version from the precache manifest
+ * @returns {string} The cache name
+ */
+function getCacheName(version) {
+  return `${CACHE_PREFIX}${version}`;
+}
+
+/**
+ * Download every file in the manifest into this build's cache
+ * The HTTP cache is bypassed so unhashed files like index.html are fresh
+ * @param {CacheStorage} caches - Cache storage to fill
+ * @param {Object} manifest - Precache manifest ({ version, urls })
+ * @param {string} origin - Origin the URLs are relative to
+ * @returns {Promise<void>}
+ */
+async function precache(caches, manifest, origin) {
+  const cache = await caches.open(getCacheName(manifest.version));
+  await cache.addAll(manifest.urls.map(url => new Request(new URL(url, origin).href, { cache: 'reload' })));
+}
+
+/**
+ * Delete the caches of earlier builds
+ * @param {CacheStorage} caches - Cache storage to clean
+ * @param {string} version - Version of the build to keep
+ * @returns {Promise<string[]>} Names of the deleted caches
+ */
+async function removeOldCaches(caches, version) {
+  const currentName = getCacheName(version);
+  const names = await caches.keys();
+  const staleNames = names.filter(name => name.startsWith(CACHE_PREFIX) && name !== currentName);
+  await Promise.all(staleNames.map(name => caches.delete(name)));
+  return staleNames;
+}
+
+/**
+ * Check whether the worker should answer a request
+ * Only same-origin GET requests outside the API are cached
+ * @param {Request} request - The intercepted request
+ * @param {string} origin - The app's origin
+ * @returns {boolean} True if the worker should respond
+ */
+function shouldHandle(request, origin) {
+  if (request.method !== 'GET') {
+    return false;
+  }
+
+  const url = new URL(request.url);
+  return url.origin === origin && !NETWORK_ONLY_PATHS.some(path => url.pathname.startsWith(path));
+}
+
+/**
+ * Answer a request from the cache, falling back to the network
+ * Files fetched from the network (such as the definitions, which are too
+ * large to precache) are added to the cache for next time. Navigations are
+ * answered with the cached app shell.
+ * @param {Request} request - The intercepted request
+ * @param {Object} context - Worker environment
+ * @param {CacheStorage} context.caches - Cache storage to read and fill
+ * @param {Function} context.fetch - Network fetch
+ * @param {string} context.version - Version of the current build
+ * @param {string} context.origin - The app's origin
+ * @returns {Promise<Response>} The response
+ */
+async function respond(request, context) {
+  const { caches, fetch, version, origin } = context;
+  const cache = await caches.open(getCacheName(version));
+  const isNavigation = request.mode === 'navigate';
+
+  const cached = await cache.match(isNavigation ? new URL(APP_SHELL_URL, origin).href : request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok && !isNavigation) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Register the event handlers when running as a service worker
+if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+  const manifest = self.__PRECACHE_MANIFEST;
+  const origin = self.location.origin;
+
+  self.addEventListener('install', event => {
+    event.waitUntil(precache(self.caches, manifest, origin).then(() => self.skipWaiting()));
+  });
+
+  self.addEventListener('activate', event => {
+    event.waitUntil(removeOldCaches(self.caches, manifest.version).then(() => self.clients.claim()));
+  });
+
+  self.addEventListener('fetch', event => {
+    if (shouldHandle(event.request, origin)) {
+      event.respondWith(respond(event.request, {
+        caches: self.caches,
+        fetch: request => self.fetch(request),
+        version: manifest.version,
+        origin
+      }));
+    }
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CACHE_PREFIX,
+    getCacheName,
+    precache,
+    removeOldCaches,
+    shouldHandle,
+    respond
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Tests for AbsurdleController class
+ * Includes both unit tests and property-based tests
+ */
+
+const AbsurdleController = require('../src/AbsurdleController');
+const Dictionary = require('../src/Dictionary');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const fc = require('fast-check');
+
+describe('AbsurdleController', () => {
+  const words = ['apple', 'bread', 'crane', 'delta', 'eagle', 'flame', 'grape', 'house', 'image', 'juice'];
+  let dictionary;
+  let controller;
+
+  beforeEach(() => {
+    dictionary = new Dictionary(words);
+    controller = new AbsurdleController(dictionary);
+  });
+
+  describe('Unit Tests', () => {
+    test('should throw error if dictionary is not provided', () => {
+      expect(() => new AbsurdleController()).toThrow('Dictionary is required');
+    });
+
+    test('should start with every answer as a candidate', () => {
+      const gameState = controller.startNewGame();
+      
+      expect(controller.getRemainingCount()).toBe(words.length);
+      expect(controller.getCandidates()).toEqual(words);
+      expect(gameState.getRemainingAttempts()).toBe(Infinity);
+      expect(controller.getGameState()).toBe(gameState);
+    });
+
+    test('should throw error when no words have the chosen length', () => {
+      expect(() => controller.startNewGame({ wordLength: 6 })).toThrow('Dictionary has no 6-letter words');
+    });
+
+    test('should require a game before guessing', () => {
+      const result = controller.submitGuess('apple');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No game in progress. Start a new game first.');
+    });
+
+    test('should reject invalid words without changing the candidates', () => {
+      controller.startNewGame();
+      
+      expect(controller.submitGuess('zzzzz').error).toBe('Not a valid word');
+      expect(controller.submitGuess('pear').error).toBe('Word must be exactly 5 letters');
+      expect(controller.getRemainingCount()).toBe(words.length);
+      expect(controller.getGameState().getGuesses()).toHaveLength(0);
+    });
+
+    test('should keep the largest group of candidates', () => {
+      controller.startNewGame();
+      
+      const groups = {};
+      words.forEach(word => {
+        const pattern = FeedbackGenerator.getPattern('crane', word);
+        groups[pattern] = (groups[pattern] || 0) + 1;
+      });
+      const largest = Math.max(...Object.values(groups));
+      
+      const result = controller.submitGuess('crane');
+      
+      expect(result.success).toBe(true);
+      expect(result.remaining).toBe(largest);
+      expect(result.gameStatus).toBe('in-progress');
+      controller.getCandidates().forEach(candidate => {
+        expect(FeedbackGenerator.getPattern('crane', candidate)).toBe(FeedbackGenerator.toPattern(result.guess.getFeedback()));
+      });
+    });
+
+    test('should not concede a win while another candidate is left', () => {
+      controller = new AbsurdleController(new Dictionary(['crane', 'bloom']));
+      controller.startNewGame();
+      
+      const result = controller.submitGuess('crane');
+      
+      expect(result.gameStatus).toBe('in-progress');
+      expect(controller.getCandidates()).toEqual(['bloom']);
+    });
+
+    test('should be won once the guess is the only candidate left', () => {
+      controller = new AbsurdleController(new Dictionary(['crane', 'bloom']));
+      controller.startNewGame();
+      
+      controller.submitGuess('crane');
+      const result = controller.submitGuess('bloom');
+      
+      expect(result.gameStatus).toBe('won');
+      expect(result.remaining).toBe(1);
+      expect(controller.getGameState().getTargetWord()).toBe('bloom');
+      expect(controller.submitGuess('crane').error).toBe('Game is over. Start a new game!');
+    });
+
+    test('should enforce Hard Mode against the feedback given', () => {
+      controller = new AbsurdleController(new Dictionary(['crash', 'crass', 'bloom', 'crane']));
+      controller.startNewGame({ hardMode: true });
+      
+      controller.submitGuess('crane');
+      // CRASH and CRASS both show CRA in place, so those greens must be reused
+      expect(controller.getCandidates()).toEqual(['crash', 'crass']);
+      expect(controller.submitGuess('bloom').error).toBe('1st letter must be C');
+    });
+
+    test('should prefer the group revealing fewer correct letters on a tie', () => {
+      expect(AbsurdleController.compareGroups(['a'], '00100', ['b'], '20000')).toBeLessThan(0);
+      expect(AbsurdleController.compareGroups(['a'], '11000', ['b'], '10000')).toBeGreaterThan(0);
+      expect(AbsurdleController.compareGroups(['a', 'b'], '22000', ['c'], '00000')).toBeLessThan(0);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Absurdle consistency
+     *
+     * For any sequence of guesses, every remaining candidate must give
+     * exactly the feedback already shown for each guess.
+     */
+    test('Property: Absurdle consistency - candidates always match past feedback', () => {
+      fc.assert(
+        fc.property(fc.array(fc.constantFrom(...words), { minLength: 1, maxLength: 8 }), (guesses) => {
+          controller.startNewGame();
+          
+          for (const word of guesses) {
+            if (controller.getGameState().isGameOver()) break;
+            controller.submitGuess(word);
+          }
+          
+          expect(controller.getRemainingCount()).toBeGreaterThan(0);
+          controller.getCandidates().forEach(candidate => {
+            controller.getGameState().getGuesses().forEach(guess => {
+              expect(FeedbackGenerator.getPattern(guess.getWord(), candidate))
+                .toBe(FeedbackGenerator.toPattern(guess.getFeedback()));
+            });
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
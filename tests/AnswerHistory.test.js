@@ -0,0 +1,185 @@
+/**
+ * Tests for AnswerHistory class
+ * Includes both unit tests and property-based tests
+ */
+
+const AnswerHistory = require('../src/AnswerHistory');
+const Dictionary = require('../src/Dictionary');
+const GameController = require('../src/GameController');
+const Random = require('../src/Random');
+const { createMemoryStorage } = require('./testUtils');
+const fc = require('fast-check');
+
+describe('AnswerHistory', () => {
+  let storage;
+  let dictionary;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    dictionary = new Dictionary(['apple', 'bread', 'crane', 'delta', 'bark', 'cord'], ['aalii']);
+  });
+
+  describe('Unit Tests', () => {
+    test('should require a storage backend', () => {
+      expect(() => new AnswerHistory({})).toThrow('Storage must provide getItem, setItem and removeItem');
+    });
+
+    test('should throw error for an invalid window', () => {
+      expect(() => new AnswerHistory(storage, { window: 0 })).toThrow('Window must be a positive integer');
+      expect(() => new AnswerHistory(storage, { window: 2.5 })).toThrow('Window must be a positive integer');
+    });
+
+    test('should use every answer once before repeating any', () => {
+      const history = new AnswerHistory(storage);
+      const picked = [];
+      for (let i = 0; i < 4; i++) {
+        picked.push(history.pickSeed(dictionary, { length: 5 }).word);
+      }
+      
+      expect([...picked].sort()).toEqual(['apple', 'bread', 'crane', 'delta']);
+      expect(history.getRecent({ length: 5 })).toEqual(picked);
+    });
+
+    test('should refill the bag without repeating the last word straight away', () => {
+      const history = new AnswerHistory(storage);
+      for (let i = 0; i < 4; i++) {
+        history.pickSeed(dictionary, { length: 5 });
+      }
+      const last = history.getRecent({ length: 5 })[3];
+      
+      const next = history.pickSeed(dictionary, { length: 5 }).word;
+      
+      expect(next).not.toBe(last);
+      expect(history.getRecent({ length: 5 })).toEqual([next]);
+    });
+
+    test('should let a word repeat once the window has passed', () => {
+      const history = new AnswerHistory(storage, { window: 2 });
+      
+      for (let i = 0; i < 20; i++) {
+        const before = history.getRecent();
+        const word = history.pickSeed(dictionary).word;
+        expect(before).not.toContain(word);
+        expect(history.getRecent().length).toBeLessThanOrEqual(2);
+      }
+    });
+
+    test('should pick a seed that replays to the word it picked', () => {
+      const history = new AnswerHistory(storage);
+      
+      for (let i = 0; i < 6; i++) {
+        const { seed, word } = history.pickSeed(dictionary, { length: 5 });
+        expect(GameController.getWordForSeed(dictionary, seed, { length: 5 })).toBe(word);
+      }
+    });
+
+    test('should pick the same seeds from the same random source', () => {
+      const picks = () => {
+        const history = new AnswerHistory(createMemoryStorage());
+        const random = Random.mulberry32(7);
+        return [1, 2, 3].map(() => history.pickSeed(dictionary, { length: 5 }, random));
+      };
+      
+      expect(picks()).toEqual(picks());
+    });
+
+    test('should keep a separate history for each length and difficulty', () => {
+      const history = new AnswerHistory(storage);
+      
+      const fourLetter = history.pickSeed(dictionary, { length: 4 }).word;
+      
+      expect(['bark', 'cord']).toContain(fourLetter);
+      expect(history.getRecent({ length: 4 })).toEqual([fourLetter]);
+      expect(history.getRecent({ length: 5 })).toEqual([]);
+      expect(history.getRecent()).toEqual([]);
+      expect(history.getRecent({ length: 4, difficulty: 'hard' })).toEqual([]);
+    });
+
+    test('should keep the history across instances sharing a storage', () => {
+      const first = new AnswerHistory(storage).pickSeed(dictionary).word;
+      
+      expect(new AnswerHistory(storage).getRecent()).toEqual([first]);
+      expect(new AnswerHistory(storage, { key: 'other' }).getRecent()).toEqual([]);
+    });
+
+    test('should ignore unreadable history', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage.setItem(AnswerHistory.DEFAULT_KEY, '{"version":99}');
+      
+      const history = new AnswerHistory(storage);
+      
+      expect(history.getRecent()).toEqual([]);
+      expect(dictionary.isAnswer(history.pickSeed(dictionary).word)).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith('Ignoring invalid answer history:', 'unrecognized answer history format');
+      console.warn.mockRestore();
+    });
+
+    test('should still pick a word when storage refuses writes', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+      };
+      
+      expect(dictionary.isAnswer(new AnswerHistory(storage).pickSeed(dictionary).word)).toBe(true);
+      console.error.mockRestore();
+    });
+
+    test('should forget every recent word when cleared', () => {
+      const history = new AnswerHistory(storage);
+      history.pickSeed(dictionary);
+      
+      history.clear();
+      
+      expect(history.getRecent()).toEqual([]);
+    });
+
+    test('should throw error when the pool is empty', () => {
+      expect(() => new AnswerHistory(storage).pickSeed(dictionary, { length: 8 }).word).toThrow('Dictionary has no 8-letter words');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: No-repeat targets
+     *
+     * For any pool and window, every pick comes from the pool. A window
+     * smaller than the pool keeps each word out for that many games;
+     * otherwise picks come in bags that each use every word once, and a
+     * word is never picked twice in a row.
+     */
+    test('Property: No-repeat targets - a word repeats only after the window or the whole pool', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcdefgh'), { minLength: 5, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(wordArb, { minLength: 1, maxLength: 12 }),
+          fc.oneof(fc.constant(Infinity), fc.integer({ min: 1, max: 15 })),
+          fc.integer({ min: 1, max: 40 }),
+          (answers, window, games) => {
+            const history = new AnswerHistory(createMemoryStorage(), { window });
+            const pool = new Dictionary(answers);
+            const picks = [];
+            for (let i = 0; i < games; i++) {
+              picks.push(history.pickSeed(pool).word);
+            }
+            
+            picks.forEach(word => expect(answers).toContain(word));
+            if (window < answers.length) {
+              picks.forEach((word, index) => {
+                expect(picks.slice(Math.max(0, index - window), index)).not.toContain(word);
+              });
+            } else {
+              for (let start = 0; start + answers.length <= picks.length; start += answers.length) {
+                expect([...picks.slice(start, start + answers.length)].sort()).toEqual([...answers].sort());
+              }
+              if (answers.length > 1) {
+                picks.slice(1).forEach((word, index) => expect(word).not.toBe(picks[index]));
+              }
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -4,8 +4,22 @@
  */
 
 const { nextTick } = require('vue');
+const GameState = require('../src/GameState');
+const GameStorage = require('../src/GameStorage');
+const GameStats = require('../src/GameStats');
+const GameAnalyzer = require('../src/GameAnalyzer');
+const Solver = require('../src/Solver');
+const MultiBoardController = require('../src/MultiBoardController');
+const AbsurdleController = require('../src/AbsurdleController');
+const Dictionary = require('../src/Dictionary');
+const RemoteGameController = require('../src/RemoteGameController');
+const LocalDefinitionProvider = require('../src/LocalDefinitionProvider');
+const GameService = require('../server/GameService');
 const {
+  createTestDictionary,
   mountAppWithTestController,
+  createMemoryStorage,
+  createServiceClient,
   waitForUpdates,
   typeWord,
   submitGuess,
@@ -410,6 +424,918 @@ describe('App.vue Integration Tests', () => {
     });
   });
 
+  describe('Daily Mode', () => {
+    test('should start in practice mode without a puzzle number', async () => {
+      expect(gameController.getGameState().getMode()).toBe('practice');
+      expect(wrapper.find('#puzzle-number').exists()).toBe(false);
+      expect(wrapper.find('[data-mode="practice"]').classes()).toContain('selected');
+    });
+
+    test('should show the puzzle number in the header after switching to daily mode', async () => {
+      await wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      
+      const gameState = gameController.getGameState();
+      expect(gameState.getMode()).toBe('daily');
+      expect(wrapper.find('#puzzle-number').text()).toBe(`Daily #${gameState.getPuzzleNumber()}`);
+      expect(wrapper.find('[data-mode="daily"]').classes()).toContain('selected');
+    });
+
+    test('should keep the same daily word when starting a new game', async () => {
+      await wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      const dailyWord = gameController.getGameState().getTargetWord();
+      
+      await wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().getTargetWord()).toBe(dailyWord);
+      expect(gameController.getGameState().getMode()).toBe('daily');
+    });
+
+    test('should return to practice mode', async () => {
+      await wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      await wrapper.find('[data-mode="practice"]').trigger('click');
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().getMode()).toBe('practice');
+      expect(wrapper.find('#puzzle-number').exists()).toBe(false);
+    });
+  });
+
+  describe('Word Length', () => {
+    test('should hide the length selector when the dictionary has one length', async () => {
+      expect(wrapper.find('#word-length-select').exists()).toBe(false);
+    });
+
+    test('should draw the board for the selected word length', async () => {
+      const Dictionary = require('../src/Dictionary');
+      const GameController = require('../src/GameController');
+      const mixedController = new GameController(new Dictionary(['bark', 'cord', 'apple', 'banana', 'cactus']));
+      const mixed = mountAppWithTestController({ gameController: mixedController });
+      await waitForUpdates();
+      
+      expect(mixed.wrapper.findAll('#word-length-select .length-btn').map(b => b.text())).toEqual(['4', '5', '6']);
+      
+      await mixed.wrapper.find('[data-length="6"]').trigger('click');
+      await waitForUpdates();
+      
+      expect(mixedController.getGameState().getWordLength()).toBe(6);
+      const board = getBoardState(mixed.wrapper);
+      expect(board).toHaveLength(6);
+      expect(board[0]).toHaveLength(6);
+      
+      // Typing stops at the word length
+      await typeWord(mixed.wrapper, 'BANANAS');
+      expect(getBoardState(mixed.wrapper)[0].map(tile => tile.letter).join('')).toBe('BANANA');
+      
+      await submitGuess(mixed.wrapper);
+      expect(mixedController.getGameState().getGuesses()).toHaveLength(1);
+      
+      mixed.wrapper.unmount();
+    });
+  });
+
+  describe('Difficulty', () => {
+    test('should show the difficulty of the current game', async () => {
+      expect(gameController.getGameState().getDifficulty()).toBe('normal');
+      expect(wrapper.find('#difficulty-label').text()).toBe('Normal');
+      expect(wrapper.find('[data-difficulty="normal"]').classes()).toContain('selected');
+    });
+
+    test('should start a new game on the selected difficulty', async () => {
+      await typeWord(wrapper, 'APPLE');
+      await submitGuess(wrapper);
+      
+      await wrapper.find('[data-difficulty="hard"]').trigger('click');
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().getDifficulty()).toBe('hard');
+      expect(gameController.getGameState().getGuesses()).toHaveLength(0);
+      expect(wrapper.find('#difficulty-label').text()).toBe('Hard Wordle');
+    });
+  });
+
+  describe('Hard Mode', () => {
+    test('should start a Hard Mode game when toggled before the first guess', async () => {
+      expect(gameController.getGameState().isHardMode()).toBe(false);
+      
+      await wrapper.find('#hard-mode-toggle input').setValue(true);
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().isHardMode()).toBe(true);
+    });
+
+    test('should defer the change until the next game once a guess is made', async () => {
+      await typeWord(wrapper, 'APPLE');
+      await submitGuess(wrapper);
+      if (gameController.getGameState().isGameOver()) return;
+      
+      await wrapper.find('#hard-mode-toggle input').setValue(true);
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().isHardMode()).toBe(false);
+      expect(getDisplayedMessage(wrapper).text).toBe('Hard Mode will be on from your next game');
+      
+      await wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().isHardMode()).toBe(true);
+    });
+
+    test('should show Hard Mode errors from the game controller', async () => {
+      await wrapper.find('#hard-mode-toggle input').setValue(true);
+      await waitForUpdates();
+      jest.spyOn(gameController.getGameState(), 'getTargetWord').mockReturnValue('crane');
+      
+      await typeWord(wrapper, 'DANCE');
+      await submitGuess(wrapper);
+      await typeWord(wrapper, 'APPLE');
+      await submitGuess(wrapper);
+      
+      expect(getDisplayedMessage(wrapper).text).toBe('Guess must contain N');
+    });
+  });
+
+  describe('Fibble', () => {
+    test('should start a Fibble game without Hard Mode when toggled', async () => {
+      await wrapper.find('#hard-mode-toggle input').setValue(true);
+      await waitForUpdates();
+      
+      await wrapper.find('#fibble-toggle input').setValue(true);
+      await waitForUpdates();
+      
+      expect(gameController.getGameState().isFibble()).toBe(true);
+      expect(gameController.getGameState().isHardMode()).toBe(false);
+      expect(wrapper.find('#hard-mode-toggle input').element.checked).toBe(false);
+      expect(wrapper.find('#suggest-btn').exists()).toBe(false);
+    });
+
+    test('should reveal which tile lied in each row once the game is over', async () => {
+      await wrapper.find('#fibble-toggle input').setValue(true);
+      await waitForUpdates();
+      
+      await playGameToLoss(wrapper, gameController);
+      
+      const guesses = gameController.getGameState().getGuesses();
+      const lies = wrapper.findAll('#fibble-reveal .fibble-lie');
+      expect(lies).toHaveLength(6);
+      expect(lies[0].text()).toContain(`Row 1, ${guesses[0].getWord().toUpperCase()}:`);
+      expect(lies[0].text()).toContain(`(letter ${guesses[0].getLieIndex() + 1})`);
+      expect(wrapper.findAll('#game-board .letter-tile.lie')).toHaveLength(6);
+      expect(wrapper.find('#analysis-area').exists()).toBe(false);
+    });
+
+    test('should keep lies hidden while the game is in progress', async () => {
+      await wrapper.find('#fibble-toggle input').setValue(true);
+      await waitForUpdates();
+      const targetWord = gameController.getGameState().getTargetWord();
+      
+      await typeWord(wrapper, targetWord === 'crane' ? 'APPLE' : 'CRANE');
+      await submitGuess(wrapper);
+      
+      expect(wrapper.find('#fibble-reveal').exists()).toBe(false);
+      expect(wrapper.findAll('#game-board .letter-tile.lie')).toHaveLength(0);
+    });
+  });
+
+  describe('Saved Games', () => {
+    let gameStorage;
+
+    const mountWithStorage = async () => {
+      const result = mountAppWithTestController({ props: { gameStorage } });
+      await waitForUpdates();
+      return result;
+    };
+
+    beforeEach(() => {
+      gameStorage = new GameStorage(createMemoryStorage());
+      gameStorage.save(new GameState('crane', 6, { hardMode: true, difficulty: 'easy' }));
+    });
+
+    test('should restore an unfinished game after a reload', async () => {
+      const first = await mountWithStorage();
+      await typeWord(first.wrapper, 'DANCE');
+      await submitGuess(first.wrapper);
+      first.wrapper.unmount();
+      
+      const second = await mountWithStorage();
+      const gameState = second.gameController.getGameState();
+      
+      expect(gameState.getTargetWord()).toBe('crane');
+      expect(gameState.getGuesses().map(g => g.getWord())).toEqual(['dance']);
+      expect(getBoardState(second.wrapper)[0].map(tile => tile.letter).join('')).toBe('DANCE');
+      expect(second.wrapper.find('#hard-mode-toggle input').element.checked).toBe(true);
+      expect(second.wrapper.find('#difficulty-label').text()).toBe('Easy');
+      
+      // Keyboard colouring is rebuilt from the saved feedback
+      const keyboard = getKeyboardState(second.wrapper);
+      expect(keyboard.E).toContain('correct');
+      expect(keyboard.A).toContain('present');
+      expect(keyboard.D).toContain('absent');
+      
+      second.wrapper.unmount();
+    });
+
+    test('should start a new game when the saved game is finished', async () => {
+      const first = await mountWithStorage();
+      await typeWord(first.wrapper, 'CRANE');
+      await submitGuess(first.wrapper);
+      expect(first.gameController.getGameState().getGameStatus()).toBe('won');
+      first.wrapper.unmount();
+      
+      const second = await mountWithStorage();
+      
+      expect(second.gameController.getGameState().getGuesses()).toHaveLength(0);
+      second.wrapper.unmount();
+    });
+
+    test("should start today's puzzle instead of a previous day's daily puzzle", async () => {
+      gameStorage.save(new GameState('crane', 6, { mode: 'daily', puzzleNumber: 1 }));
+      
+      const { wrapper: restored, gameController: restoredController } = await mountWithStorage();
+      
+      expect(restoredController.getGameState().getMode()).toBe('daily');
+      expect(restoredController.getGameState().getPuzzleNumber()).toBe(restoredController.getDailyPuzzleNumber());
+      restored.unmount();
+    });
+
+    test('should reopen a finished daily puzzle instead of replaying it', async () => {
+      const gameStats = new GameStats(createMemoryStorage());
+      const first = mountAppWithTestController({ props: { gameStorage, gameStats } });
+      await waitForUpdates();
+      await first.wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      await playGameToWin(first.wrapper, first.gameController);
+      
+      // Neither New Game, a practice game in between nor a reload starts it again
+      await first.wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      expect(first.gameController.getGameState().isGameOver()).toBe(true);
+      expect(getDisplayedMessage(first.wrapper).text).toMatch(/^You already played today's puzzle/);
+      await first.wrapper.find('[data-mode="practice"]').trigger('click');
+      await waitForUpdates();
+      await first.wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      expect(first.gameController.getGameState().getGuesses()).toHaveLength(1);
+      first.wrapper.unmount();
+      
+      const second = mountAppWithTestController({ props: { gameStorage, gameStats } });
+      await waitForUpdates();
+      const gameState = second.gameController.getGameState();
+      expect(gameState.getMode()).toBe('daily');
+      expect(gameState.getGameStatus()).toBe('won');
+      expect(getBoardState(second.wrapper)[0].every(tile => tile.classes.includes('correct'))).toBe(true);
+      expect(gameStats.getRecords()).toHaveLength(1);
+      second.wrapper.unmount();
+    });
+
+    test('should record a daily puzzle once even if it is finished twice', async () => {
+      const gameStats = new GameStats(createMemoryStorage());
+      for (let i = 0; i < 2; i++) {
+        // Without storage nothing stops the puzzle being played again, so the stats must
+        const { wrapper: dailyWrapper, gameController: dailyController } = mountAppWithTestController({ props: { gameStats } });
+        await waitForUpdates();
+        await dailyWrapper.find('[data-mode="daily"]').trigger('click');
+        await waitForUpdates();
+        await playGameToWin(dailyWrapper, dailyController);
+        dailyWrapper.unmount();
+      }
+      
+      expect(gameStats.getRecords()).toHaveLength(1);
+      expect(gameStats.getSummary().currentStreak).toBe(1);
+    });
+
+    test('should save the new game when starting over', async () => {
+      const { wrapper: restored, gameController: restoredController } = await mountWithStorage();
+      
+      await restored.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(gameStorage.load().getTargetWord()).toBe(restoredController.getGameState().getTargetWord());
+      restored.unmount();
+    });
+  });
+
+  describe('Statistics', () => {
+    let gameStats;
+    let statsWrapper;
+    let statsController;
+
+    beforeEach(async () => {
+      gameStats = new GameStats(createMemoryStorage());
+      const result = mountAppWithTestController({ props: { gameStats } });
+      statsWrapper = result.wrapper;
+      statsController = result.gameController;
+      await waitForUpdates();
+    });
+
+    afterEach(() => {
+      statsWrapper.unmount();
+    });
+
+    test('should hide the stats button without a stats store', async () => {
+      expect(wrapper.find('#stats-btn').exists()).toBe(false);
+      expect(statsWrapper.find('#stats-btn').exists()).toBe(true);
+    });
+
+    test('should record a game when it ends', async () => {
+      await playGameToWin(statsWrapper, statsController);
+      
+      const records = gameStats.getRecords();
+      expect(records).toHaveLength(1);
+      expect(records[0].won).toBe(true);
+      expect(records[0].targetWord).toBe(statsController.getGameState().getTargetWord());
+      expect(records[0].analysis).toHaveLength(records[0].guesses);
+    });
+
+    test('should keep Fibble games out of the stats modal', async () => {
+      await statsWrapper.find('#fibble-toggle input').setValue(true);
+      await waitForUpdates();
+      await playGameToLoss(statsWrapper, statsController);
+      
+      expect(gameStats.getRecords()[0].fibble).toBe(true);
+      await statsWrapper.find('#stats-btn').trigger('click');
+      await waitForUpdates();
+      expect(statsWrapper.find('#stats-modal [data-stat="played"] .stat-value').text()).toBe('0');
+    });
+
+    test('should show totals and guess distribution in the stats modal', async () => {
+      await playGameToWin(statsWrapper, statsController);
+      const guessesTaken = statsController.getGameState().getGuesses().length;
+      
+      expect(statsWrapper.find('#stats-modal').exists()).toBe(false);
+      await statsWrapper.find('#stats-btn').trigger('click');
+      await waitForUpdates();
+      
+      const modal = statsWrapper.find('#stats-modal');
+      expect(modal.find('[data-stat="played"] .stat-value').text()).toBe('1');
+      expect(modal.find('[data-stat="win-percentage"] .stat-value').text()).toBe('100');
+      expect(modal.find('[data-stat="current-streak"] .stat-value').text()).toBe('1');
+      expect(modal.find('[data-stat="max-streak"] .stat-value').text()).toBe('1');
+      
+      const row = modal.find(`.distribution-row[data-guesses="${guessesTaken}"]`);
+      expect(row.classes()).toContain('current');
+      expect(row.find('.distribution-bar').text()).toBe('1');
+      expect(modal.findAll('.distribution-row')).toHaveLength(6);
+      
+      await statsWrapper.find('#stats-close-btn').trigger('click');
+      await waitForUpdates();
+      expect(statsWrapper.find('#stats-modal').exists()).toBe(false);
+    });
+  });
+
+  describe('Post-game Analysis', () => {
+    test('should rate each guess once the game ends', async () => {
+      const targetWord = gameController.getGameState().getTargetWord();
+      const opener = targetWord === 'crane' ? 'APPLE' : 'CRANE';
+      
+      await typeWord(wrapper, opener);
+      await submitGuess(wrapper);
+      expect(wrapper.find('#analysis-area').exists()).toBe(false);
+      
+      await typeWord(wrapper, targetWord);
+      await submitGuess(wrapper);
+      
+      const rows = wrapper.findAll('#analysis-table .analysis-row');
+      expect(rows).toHaveLength(2);
+      expect(rows[0].find('.analysis-word').text()).toBe(opener);
+      expect(rows[0].find('.analysis-candidates').text()).toMatch(/^26 → \d+$/);
+      expect(rows[0].find('.analysis-skill').text()).toMatch(/^\d+%$/);
+      expect(rows[0].find('.analysis-luck').text()).toMatch(/^[+-]\d+\.\d{2}$/);
+      expect(rows[1].find('.analysis-candidates').text()).toMatch(/ → 1$/);
+    });
+
+    test('should show the result before the page starts rating the guesses', async () => {
+      const suggestGuesses = jest.spyOn(Solver, 'suggestGuesses');
+      const targetWord = gameController.getGameState().getTargetWord();
+      
+      await typeWord(wrapper, targetWord);
+      await wrapper.find('[data-key="ENTER"]').trigger('click');
+      
+      expect(getDisplayedMessage(wrapper).text).toContain('Congratulations');
+      expect(suggestGuesses).not.toHaveBeenCalled();
+      
+      await waitForUpdates();
+      expect(suggestGuesses).toHaveBeenCalled();
+      expect(wrapper.find('#analysis-area').exists()).toBe(true);
+      suggestGuesses.mockRestore();
+    });
+
+    test('should rate the game with the given analyzer', async () => {
+      const gameAnalyzer = { analyze: jest.fn(async gameState => GameAnalyzer.analyze(createTestDictionary(), gameState)) };
+      const analyzed = mountAppWithTestController({ props: { gameAnalyzer } });
+      await waitForUpdates();
+      
+      await playGameToWin(analyzed.wrapper, analyzed.gameController);
+      
+      expect(gameAnalyzer.analyze).toHaveBeenCalledWith(analyzed.gameController.getGameState());
+      expect(analyzed.wrapper.findAll('#analysis-table .analysis-row')).toHaveLength(1);
+      analyzed.wrapper.unmount();
+    });
+
+    test('should let a new game start while the analysis is pending', async () => {
+      let finishAnalysis;
+      const gameAnalyzer = { analyze: () => new Promise(resolve => { finishAnalysis = resolve; }) };
+      const gameStats = new GameStats(createMemoryStorage());
+      const pending = mountAppWithTestController({ props: { gameAnalyzer, gameStats } });
+      await waitForUpdates();
+      await playGameToWin(pending.wrapper, pending.gameController);
+      const finished = pending.gameController.getGameState();
+      
+      await pending.wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      expect(pending.gameController.getGameState()).not.toBe(finished);
+      await typeWord(pending.wrapper, pending.gameController.getGameState().getTargetWord() === 'crane' ? 'APPLE' : 'CRANE');
+      await submitGuess(pending.wrapper);
+      expect(pending.gameController.getGameState().getGuesses()).toHaveLength(1);
+      
+      const analysis = GameAnalyzer.analyze(createTestDictionary(), finished);
+      finishAnalysis(analysis);
+      await waitForUpdates();
+      expect(pending.wrapper.find('#analysis-area').exists()).toBe(false);
+      expect(gameStats.getRecords()[0].analysis).toEqual(analysis);
+      pending.wrapper.unmount();
+    });
+
+    test('should clear the analysis for a new game', async () => {
+      await playGameToWin(wrapper, gameController);
+      expect(wrapper.find('#analysis-area').exists()).toBe(true);
+      
+      await wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      expect(wrapper.find('#analysis-area').exists()).toBe(false);
+    });
+  });
+
+  describe('Replay Links', () => {
+    let replayWrapper;
+
+    afterEach(() => {
+      if (replayWrapper) {
+        replayWrapper.unmount();
+        replayWrapper = null;
+      }
+    });
+
+    test('should start the shared game from its seed and settings', async () => {
+      const gameStorage = new GameStorage(createMemoryStorage());
+      gameStorage.save(new GameState('crane', 6));
+      const result = mountAppWithTestController({
+        props: { gameStorage, replay: { seed: 2, wordLength: 5, difficulty: 'easy', hardMode: true } }
+      });
+      replayWrapper = result.wrapper;
+      await waitForUpdates();
+      
+      const gameState = result.gameController.getGameState();
+      expect(gameState.getTargetWord()).toBe('tiger');
+      expect(gameState.getSeed()).toBe(2);
+      expect(gameState.isHardMode()).toBe(true);
+      expect(replayWrapper.find('.difficulty-btn.selected').attributes('data-difficulty')).toBe('easy');
+      
+      // The next game picks a new seed
+      await replayWrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      expect(result.gameController.getGameState().getSeed()).not.toBe(2);
+    });
+
+    test('should link to a replay of a finished practice game', async () => {
+      expect(wrapper.find('#replay-link').exists()).toBe(false);
+      
+      await playGameToWin(wrapper, gameController);
+      
+      const seed = gameController.getGameState().getSeed();
+      expect(wrapper.find('#replay-link').attributes('href')).toBe(`http://localhost/?seed=${seed}`);
+    });
+
+    test('should not link daily games', async () => {
+      await wrapper.find('.mode-btn[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      
+      await playGameToWin(wrapper, gameController);
+      
+      expect(wrapper.find('#share-area').exists()).toBe(true);
+      expect(wrapper.find('#replay-link').exists()).toBe(false);
+    });
+  });
+
+  describe('Definitions', () => {
+    let definitionWrapper;
+    let definitionController;
+
+    /**
+     * Mount the app with a definition provider
+     * @param {Object} definitionProvider - Provider to look the target up with
+     */
+    const mountWithDefinitions = async (definitionProvider) => {
+      const result = mountAppWithTestController({ props: { definitionProvider } });
+      definitionWrapper = result.wrapper;
+      definitionController = result.gameController;
+      await waitForUpdates();
+    };
+
+    afterEach(() => {
+      if (definitionWrapper) {
+        definitionWrapper.unmount();
+        definitionWrapper = null;
+      }
+    });
+
+    test('should not look anything up without a definition provider', async () => {
+      await playGameToWin(wrapper, gameController);
+      
+      expect(wrapper.find('#definition-area').exists()).toBe(false);
+    });
+
+    test('should show every meaning of the target with parts of speech and examples', async () => {
+      const provider = new LocalDefinitionProvider(() => ({ definitions: {} }), {
+        fallback: {
+          getDefinition: async word => ({
+            word,
+            baseForm: null,
+            meanings: [
+              { partOfSpeech: 'noun', definition: 'first meaning', examples: ['an example'] },
+              { partOfSpeech: 'verb', definition: 'second meaning', examples: [] }
+            ],
+            source: 'remote'
+          })
+        }
+      });
+      await mountWithDefinitions(provider);
+      
+      await playGameToWin(definitionWrapper, definitionController);
+      
+      const meanings = definitionWrapper.findAll('#definition-area .definition-meaning');
+      expect(definitionWrapper.find('#definition-area .word-title').text()).toBe(definitionController.getGameState().getTargetWord().toUpperCase());
+      expect(meanings).toHaveLength(2);
+      expect(meanings[0].find('.part-of-speech').text()).toBe('noun');
+      expect(meanings[0].find('.definition-text').text()).toBe('noun - first meaning');
+      expect(meanings[0].find('.definition-example').text()).toBe('"an example"');
+      expect(meanings[1].find('.definition-example').exists()).toBe(false);
+    });
+
+    test('should name the base form of an inflected target', async () => {
+      await mountWithDefinitions({
+        getDefinition: async word => ({ word, baseForm: 'root', meanings: [{ partOfSpeech: 'noun', definition: 'text', examples: [] }], source: 'local' })
+      });
+      
+      await playGameToWin(definitionWrapper, definitionController);
+      
+      expect(definitionWrapper.find('#definition-area .definition-base-form').text()).toBe('form of ROOT');
+    });
+
+    test('should say when the target has no definition', async () => {
+      await mountWithDefinitions(new LocalDefinitionProvider(() => ({ definitions: {} })));
+      
+      await playGameToWin(definitionWrapper, definitionController);
+      
+      expect(definitionWrapper.find('#definition-area .definition-text').text()).toBe('No definition found for this word');
+    });
+
+    test('should say when the definitions could not be loaded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await mountWithDefinitions(new LocalDefinitionProvider(() => Promise.reject(new Error('Failed to load definitions'))));
+      
+      await playGameToWin(definitionWrapper, definitionController);
+      
+      expect(definitionWrapper.find('#definition-area .definition-text').text()).toBe('Definition could not be loaded');
+      console.error.mockRestore();
+    });
+
+    test('should drop a definition that arrives after a new game started', async () => {
+      let resolveLookup;
+      await mountWithDefinitions({
+        getDefinition: word => new Promise(resolve => {
+          resolveLookup = () => resolve({ word, baseForm: null, meanings: [{ partOfSpeech: 'noun', definition: 'late', examples: [] }], source: 'remote' });
+        })
+      });
+      
+      await playGameToWin(definitionWrapper, definitionController);
+      expect(definitionWrapper.find('#definition-area .loading').text()).toBe('Looking up definition...');
+      
+      await definitionWrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      resolveLookup();
+      await waitForUpdates();
+      
+      expect(definitionWrapper.find('#definition-area').exists()).toBe(false);
+    });
+  });
+
+  describe('Share', () => {
+    const originalClipboard = navigator.clipboard;
+
+    afterEach(() => {
+      Object.defineProperty(navigator, 'clipboard', { value: originalClipboard, configurable: true });
+    });
+
+    test('should only offer sharing once the game is over', async () => {
+      expect(wrapper.find('#share-btn').exists()).toBe(false);
+      
+      await playGameToWin(wrapper, gameController);
+      
+      expect(wrapper.find('#share-btn').exists()).toBe(true);
+    });
+
+    test('should copy the emoji grid to the clipboard', async () => {
+      const writeText = jest.fn().mockResolvedValue(undefined);
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      
+      await playGameToWin(wrapper, gameController);
+      await wrapper.find('#share-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(writeText).toHaveBeenCalledWith('Hard Wordle Practice 1/6\n\n🟩🟩🟩🟩🟩');
+      expect(getDisplayedMessage(wrapper).text).toBe('Copied results to clipboard');
+      expect(wrapper.find('#share-text').exists()).toBe(false);
+    });
+
+    test('should fall back to a selectable text box when the clipboard fails', async () => {
+      const writeText = jest.fn().mockRejectedValue(new Error('Permission denied'));
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      
+      await playGameToWin(wrapper, gameController);
+      await wrapper.find('#share-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(wrapper.find('#share-text').element.value).toBe('Hard Wordle Practice 1/6\n\n🟩🟩🟩🟩🟩');
+      
+      // Starting over hides the previous result
+      await wrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      expect(wrapper.find('#share-text').exists()).toBe(false);
+      console.warn.mockRestore();
+    });
+
+    test('should fall back when the Clipboard API is missing', async () => {
+      Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      
+      await playGameToWin(wrapper, gameController);
+      await wrapper.find('#share-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(wrapper.find('#share-text').exists()).toBe(true);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Multi-Board Mode', () => {
+    let multiWrapper;
+    let multiBoardController;
+
+    beforeEach(async () => {
+      multiBoardController = new MultiBoardController(createTestDictionary());
+      const result = mountAppWithTestController({ props: { multiBoardController } });
+      multiWrapper = result.wrapper;
+      await waitForUpdates();
+    });
+
+    afterEach(() => {
+      multiWrapper.unmount();
+    });
+
+    const selectBoards = async (count) => {
+      await multiWrapper.find(`[data-boards="${count}"]`).trigger('click');
+      await waitForUpdates();
+      // Use the component's reactive view of the controller so target changes are tracked
+      return multiWrapper.vm.$props.multiBoardController;
+    };
+
+    test('should only offer board counts when a multi-board controller is provided', async () => {
+      expect(wrapper.find('#board-count-select').exists()).toBe(false);
+      expect(multiWrapper.findAll('.board-count-btn').map(b => b.text())).toEqual(['Single', '2 Boards', '4 Boards', '8 Boards']);
+    });
+
+    test('should render one board per target with the larger attempt limit', async () => {
+      await selectBoards(4);
+      
+      const boards = multiWrapper.findAll('#multi-board .board');
+      expect(boards).toHaveLength(4);
+      expect(boards[0].findAll('.guess-row')).toHaveLength(9);
+      expect(multiWrapper.find('#game-board').exists()).toBe(false);
+      expect(multiWrapper.find('#hard-mode-toggle').exists()).toBe(false);
+      expect(multiWrapper.find('#attempts-remaining').text()).toBe('Attempts: 0/9');
+    });
+
+    test('should type into every unsolved board and freeze solved boards', async () => {
+      const controller = await selectBoards(2);
+      controller.getBoards()[0].targetWord = 'crane';
+      controller.getBoards()[1].targetWord = 'apple';
+      
+      await typeWord(multiWrapper, 'CRANE');
+      await submitGuess(multiWrapper);
+      await typeWord(multiWrapper, 'GRA');
+      
+      const boards = multiWrapper.findAll('#multi-board .board');
+      expect(boards[0].classes()).toContain('solved');
+      expect(boards[0].findAll('.guess-row')[1].text()).toBe('');
+      expect(boards[1].findAll('.guess-row')[1].text().replace(/\s/g, '')).toBe('GRA');
+      expect(multiWrapper.find('#attempts-remaining').text()).toBe('Attempts: 1/7');
+    });
+
+    test('should split key colours by board', async () => {
+      const controller = await selectBoards(2);
+      controller.getBoards()[0].targetWord = 'crane';
+      controller.getBoards()[1].targetWord = 'apple';
+      
+      await typeWord(multiWrapper, 'GRAPE');
+      await submitGuess(multiWrapper);
+      
+      const stripes = multiWrapper.find('[data-key="P"]').findAll('.key-stripe');
+      expect(stripes.map(stripe => stripe.classes()[1])).toEqual(['absent', 'present']);
+      expect(multiWrapper.find('[data-key="Z"] .key-stripes').exists()).toBe(false);
+      expect(multiWrapper.find('[data-key="P"]').text()).toBe('P');
+    });
+
+    test('should announce a win once every board is solved', async () => {
+      const controller = await selectBoards(2);
+      controller.getBoards()[0].targetWord = 'crane';
+      controller.getBoards()[1].targetWord = 'apple';
+      
+      await typeWord(multiWrapper, 'APPLE');
+      await submitGuess(multiWrapper);
+      await typeWord(multiWrapper, 'CRANE');
+      await submitGuess(multiWrapper);
+      
+      expect(getDisplayedMessage(multiWrapper).text).toBe('Congratulations! You solved all 2 boards!');
+      expect(multiWrapper.find('#share-area').exists()).toBe(false);
+    });
+
+    test('should return to a single board for the daily puzzle', async () => {
+      await selectBoards(4);
+      await multiWrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      
+      expect(multiWrapper.find('#multi-board').exists()).toBe(false);
+      expect(multiWrapper.find('[data-boards="1"]').classes()).toContain('selected');
+    });
+  });
+
+  describe('Absurdle Mode', () => {
+    let absurdleWrapper;
+
+    beforeEach(async () => {
+      const absurdleController = new AbsurdleController(new Dictionary(['crane', 'bloom', 'apple']));
+      const result = mountAppWithTestController({ props: { absurdleController } });
+      absurdleWrapper = result.wrapper;
+      await waitForUpdates();
+      await absurdleWrapper.find('[data-mode="absurdle"]').trigger('click');
+      await waitForUpdates();
+    });
+
+    afterEach(() => {
+      absurdleWrapper.unmount();
+    });
+
+    test('should only offer Absurdle when its controller is provided', async () => {
+      expect(wrapper.find('[data-mode="absurdle"]').exists()).toBe(false);
+      expect(absurdleWrapper.find('[data-mode="absurdle"]').classes()).toContain('selected');
+    });
+
+    test('should show the candidates left after each guess', async () => {
+      expect(absurdleWrapper.find('#remaining-candidates').text()).toBe('3 words remaining');
+      expect(absurdleWrapper.find('#attempts-remaining').text()).toBe('Attempts: 0');
+      expect(getBoardState(absurdleWrapper)).toHaveLength(1);
+      
+      await typeWord(absurdleWrapper, 'CRANE');
+      await submitGuess(absurdleWrapper);
+      
+      expect(absurdleWrapper.find('#remaining-candidates').text()).toBe('1 word remaining');
+      expect(absurdleWrapper.find('#attempts-remaining').text()).toBe('Attempts: 1');
+      expect(getBoardState(absurdleWrapper)).toHaveLength(2);
+    });
+
+    test('should announce the word once it is cornered', async () => {
+      await typeWord(absurdleWrapper, 'CRANE');
+      await submitGuess(absurdleWrapper);
+      await typeWord(absurdleWrapper, 'BLOOM');
+      await submitGuess(absurdleWrapper);
+      
+      expect(getDisplayedMessage(absurdleWrapper).text).toBe('You cornered BLOOM in 2 guesses!');
+      expect(getBoardState(absurdleWrapper)).toHaveLength(2);
+      expect(absurdleWrapper.find('#share-area').exists()).toBe(false);
+      expect(absurdleWrapper.find('#analysis-area').exists()).toBe(false);
+    });
+  });
+
+  describe('Suggestions', () => {
+    test('should list the best next guesses on request', async () => {
+      expect(wrapper.find('#suggest-panel').exists()).toBe(false);
+      
+      await wrapper.find('#suggest-btn').trigger('click');
+      await waitForUpdates();
+      
+      const items = wrapper.findAll('#suggest-panel .suggestion');
+      expect(items).toHaveLength(5);
+      expect(items[0].find('.suggestion-bits').text()).toMatch(/^\d+\.\d{2} bits$/);
+      expect(items[0].find('.suggestion-remaining').text()).toMatch(/^~\d+ left$/);
+      // Every test word could be the answer
+      expect(wrapper.findAll('#suggest-panel .suggestion-candidate')).toHaveLength(5);
+      
+      await wrapper.find('#suggest-btn').trigger('click');
+      await waitForUpdates();
+      expect(wrapper.find('#suggest-panel').exists()).toBe(false);
+    });
+
+    test('should type a suggestion when it is clicked', async () => {
+      await wrapper.find('#suggest-btn').trigger('click');
+      await waitForUpdates();
+      
+      const item = wrapper.find('#suggest-panel .suggestion');
+      await item.trigger('click');
+      await waitForUpdates();
+      
+      const row = getBoardState(wrapper)[0];
+      expect(row.map(tile => tile.letter).join('')).toBe(item.attributes('data-word').toUpperCase());
+    });
+
+    test('should refresh after each guess', async () => {
+      const targetWord = gameController.getGameState().getTargetWord();
+      await wrapper.find('#suggest-btn').trigger('click');
+      await waitForUpdates();
+      
+      await typeWord(wrapper, targetWord === 'crane' ? 'APPLE' : 'CRANE');
+      await submitGuess(wrapper);
+      expect(wrapper.find('#suggest-panel').exists()).toBe(false);
+      
+      await wrapper.find('#suggest-btn').trigger('click');
+      await waitForUpdates();
+      expect(wrapper.findAll('#suggest-panel .suggestion').length).toBeGreaterThan(0);
+    });
+
+    test('should not offer suggestions for the daily puzzle or a finished game', async () => {
+      await wrapper.find('[data-mode="daily"]').trigger('click');
+      await waitForUpdates();
+      expect(wrapper.find('#suggest-btn').exists()).toBe(false);
+      
+      await wrapper.find('[data-mode="practice"]').trigger('click');
+      await waitForUpdates();
+      await playGameToWin(wrapper, gameController);
+      expect(wrapper.find('#suggest-btn').exists()).toBe(false);
+    });
+  });
+
+  describe('Server Games', () => {
+    const dictionary = new Dictionary(['apple'], ['crane', 'bread']);
+    let remoteWrapper;
+    let remoteController;
+
+    beforeEach(async () => {
+      remoteController = new RemoteGameController(createServiceClient(new GameService(dictionary)), dictionary.withoutAnswers());
+      const result = mountAppWithTestController({ gameController: remoteController });
+      remoteWrapper = result.wrapper;
+      await waitForUpdates();
+    });
+
+    afterEach(() => {
+      remoteWrapper.unmount();
+    });
+
+    test('should play a game hosted by the server', async () => {
+      expect(remoteController.getGameId()).not.toBeNull();
+      expect(remoteController.getGameState().getTargetWord()).not.toBe('apple');
+      
+      await typeWord(remoteWrapper, 'CRANE');
+      await submitGuess(remoteWrapper);
+      expect(getBoardState(remoteWrapper)[0].map(tile => tile.classes).map(classes => classes.includes('correct'))).toEqual([false, false, false, false, true]);
+      expect(remoteWrapper.find('#attempts-remaining').text()).toBe('Attempts: 1/6');
+      
+      await typeWord(remoteWrapper, 'APPLE');
+      await submitGuess(remoteWrapper);
+      expect(getDisplayedMessage(remoteWrapper).text).toBe('Congratulations! You won! The word was APPLE');
+    });
+
+    test('should not offer suggestions or analysis, which need the answers', async () => {
+      expect(remoteWrapper.find('#suggest-btn').exists()).toBe(false);
+
+      await typeWord(remoteWrapper, 'APPLE');
+      await submitGuess(remoteWrapper);
+      expect(remoteController.getGameState().getGameStatus()).toBe('won');
+      expect(remoteWrapper.find('#analysis-area').exists()).toBe(false);
+    });
+
+    test('should show server errors for rejected guesses', async () => {
+      await typeWord(remoteWrapper, 'ZZZZZ');
+      await submitGuess(remoteWrapper);
+      
+      expect(getDisplayedMessage(remoteWrapper).text).toBe('Not a valid word');
+    });
+
+    test('should show an error when a new game cannot be started', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      remoteController.client.createGame = () => Promise.reject(new Error('Could not reach the game server'));
+      
+      await remoteWrapper.find('#new-game-btn').trigger('click');
+      await waitForUpdates();
+      
+      expect(getDisplayedMessage(remoteWrapper).text).toBe('Could not start a new game: Could not reach the game server');
+      console.error.mockRestore();
+    });
+  });
+
   describe('Game State Display', () => {
     test('should display correct attempts counter throughout game', async () => {
       const testWords = ['APPLE', 'BREAD', 'CRANE'];
@@ -0,0 +1,210 @@
+/**
+ * Tests for BotArena class
+ * Includes both unit tests and property-based tests
+ */
+
+const BotArena = require('../cli/BotArena');
+const Bots = require('../src/Bots');
+const GameController = require('../src/GameController');
+const Random = require('../src/Random');
+const { createTestDictionary } = require('./testUtils');
+const fc = require('fast-check');
+
+/**
+ * Bot that always plays the same guesses, in order
+ */
+function scriptedBot(name, words) {
+  return { name, nextGuess: history => words[history.length] };
+}
+
+describe('BotArena', () => {
+  describe('Unit Tests', () => {
+    describe('parseArgs', () => {
+      test('should default to every reference bot for 100 rounds', () => {
+        expect(BotArena.parseArgs([])).toEqual({
+          bots: ['random', 'frequency', 'entropy'],
+          seed: null,
+          rounds: 100,
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: false,
+          format: 'text',
+          help: false
+        });
+      });
+
+      test('should read every option', () => {
+        expect(BotArena.parseArgs([
+          '--bots', 'entropy,./bot.js', '--seed', '42', '--rounds', '10', '--length', '6',
+          '--difficulty', 'hard', '--hard', '--format', 'json', '--help'
+        ])).toEqual({
+          bots: ['entropy', './bot.js'],
+          seed: 42,
+          rounds: 10,
+          wordLength: 6,
+          difficulty: 'hard',
+          hardMode: true,
+          format: 'json',
+          help: true
+        });
+      });
+
+      test('should reject unknown options and bad values', () => {
+        expect(() => BotArena.parseArgs(['--bots', 'entropy'])).toThrow('--bots needs at least two bots');
+        expect(() => BotArena.parseArgs(['--seed', 'abc'])).toThrow('--seed must be an integer from 0 to 4294967295');
+        expect(() => BotArena.parseArgs(['--rounds', '0'])).toThrow('--rounds must be a positive whole number');
+        expect(() => BotArena.parseArgs(['--format', 'csv'])).toThrow('--format must be one of: text, json');
+        expect(() => BotArena.parseArgs(['--rounds'])).toThrow('--rounds needs a value');
+        expect(() => BotArena.parseArgs(['entropy'])).toThrow('Unknown option entropy');
+      });
+    });
+
+    describe('pickRounds', () => {
+      test('should pick each target the way a practice game with the round seed would', () => {
+        const dictionary = createTestDictionary();
+        
+        const rounds = BotArena.pickRounds(dictionary, 42, 5, { length: 5 });
+        
+        expect(rounds).toHaveLength(5);
+        rounds.forEach(round => {
+          expect(round.word).toBe(GameController.getWordForSeed(dictionary, round.seed, { length: 5 }));
+        });
+        expect(BotArena.pickRounds(dictionary, 42, 5, { length: 5 })).toEqual(rounds);
+        expect(BotArena.pickRounds(dictionary, 43, 5, { length: 5 })).not.toEqual(rounds);
+      });
+    });
+
+    describe('play', () => {
+      test('should play every bot on the same rounds', () => {
+        const result = BotArena.play(
+          [Bots.createEntropyBot(), Bots.createFrequencyBot()],
+          createTestDictionary(),
+          { seed: 7, rounds: 4 }
+        );
+        
+        expect(result).toMatchObject({ seed: 7, wordLength: 5, difficulty: 'normal', hardMode: false });
+        expect(result.rounds).toHaveLength(4);
+        result.rounds.forEach(round => {
+          expect(Object.keys(round.guesses)).toEqual(['entropy', 'frequency']);
+        });
+        expect(result.leaderboard.map(entry => entry.name).sort()).toEqual(['entropy', 'frequency']);
+      });
+
+      test('should record a lost round as null', () => {
+        const loser = scriptedBot('loser', ['apple', 'bread', 'crane', 'dance', 'eagle', 'flame']);
+        const dictionary = createTestDictionary();
+        const target = BotArena.pickRounds(dictionary, 1, 1, { length: 5 })[0].word;
+        const winner = scriptedBot('winner', [target]);
+        
+        const result = BotArena.play([loser, winner], dictionary, { seed: 1, rounds: 1 });
+        
+        expect(result.rounds[0].guesses).toEqual({ loser: target === 'apple' ? 1 : null, winner: 1 });
+        expect(result.leaderboard[0]).toEqual({
+          rank: 1, name: 'winner', score: 1, wins: 1, solved: 1, failed: 0, averageGuesses: 1
+        });
+      });
+
+      test('should reject bots with the same name', () => {
+        expect(() => BotArena.play([Bots.createEntropyBot(), Bots.createEntropyBot()], createTestDictionary(), { seed: 1 }))
+          .toThrow('Bot names must be unique: entropy');
+      });
+
+      test('should throw error when the tier has no targets', () => {
+        expect(() => BotArena.play([Bots.createEntropyBot(), Bots.createRandomBot()], createTestDictionary(), { seed: 1, wordLength: 6 }))
+          .toThrow('Dictionary has no 6-letter words');
+      });
+    });
+
+    describe('rank', () => {
+      const rounds = [
+        { seed: 1, word: 'apple', guesses: { a: 2, b: 3, c: 2 } },
+        { seed: 2, word: 'bread', guesses: { a: 4, b: 3, c: null } },
+        { seed: 3, word: 'crane', guesses: { a: 3, b: 3, c: 1 } }
+      ];
+      const results = {
+        a: [{ solved: true, guesses: 2 }, { solved: true, guesses: 4 }, { solved: true, guesses: 3 }],
+        b: [{ solved: true, guesses: 3 }, { solved: true, guesses: 3 }, { solved: true, guesses: 3 }],
+        c: [{ solved: true, guesses: 2 }, { solved: false, guesses: 6 }, { solved: true, guesses: 1 }]
+      };
+
+      test('should rank by score, counting losses as seven guesses', () => {
+        const leaderboard = BotArena.rank(['a', 'b', 'c'], results, rounds);
+        
+        expect(leaderboard).toEqual([
+          { rank: 1, name: 'b', score: 3, wins: 1, solved: 3, failed: 0, averageGuesses: 3 },
+          { rank: 2, name: 'a', score: 3, wins: 0, solved: 3, failed: 0, averageGuesses: 3 },
+          { rank: 3, name: 'c', score: 10 / 3, wins: 1, solved: 2, failed: 1, averageGuesses: 1.5 }
+        ]);
+      });
+
+      test('should share a rank between bots with the same score and wins', () => {
+        const leaderboard = BotArena.rank(['x', 'y'], { x: results.b, y: results.b }, [
+          { seed: 1, word: 'apple', guesses: { x: 3, y: 3 } }
+        ]);
+        
+        expect(leaderboard.map(entry => [entry.name, entry.rank])).toEqual([['x', 1], ['y', 1]]);
+      });
+    });
+
+    describe('formatLeaderboard', () => {
+      test('should format a heading and one row per bot', () => {
+        const text = BotArena.formatLeaderboard({
+          seed: 42,
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: true,
+          rounds: [{}, {}],
+          leaderboard: [
+            { rank: 1, name: 'entropy', score: 3.5, wins: 1, solved: 2, failed: 0, averageGuesses: 3.5 },
+            { rank: 2, name: 'random', score: 7, wins: 0, solved: 0, failed: 2, averageGuesses: null }
+          ]
+        });
+        
+        expect(text.split('\n')).toEqual([
+          '2 rounds of 5-letter normal words in Hard Mode, seed 42',
+          '',
+          'Rank  Bot      Score  Average  Solved  Failed  Wins',
+          '   1  entropy   3.50     3.50       2       0     1',
+          '   2  random    7.00        -       0       2     0',
+          '',
+          'Score counts a lost round as 7 guesses. A win is a round a bot solved in fewer guesses than every other bot.'
+        ]);
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Seeded arena
+     *
+     * For any seed, playing the arena twice with freshly seeded bots gives the
+     * same rounds and leaderboard, and every bot plays every round.
+     */
+    test('Property: Seeded arena - the same seed replays the same rounds and leaderboard', () => {
+      const dictionary = createTestDictionary();
+      
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: Random.MAX_SEED }),
+          fc.integer({ min: 1, max: 5 }),
+          (seed, rounds) => {
+            const playArena = () => BotArena.play(
+              [Bots.createRandomBot({ random: Random.mulberry32(seed) }), Bots.createFrequencyBot()],
+              dictionary,
+              { seed, rounds }
+            );
+            
+            const first = playArena();
+            
+            expect(playArena()).toEqual(first);
+            expect(first.rounds).toHaveLength(rounds);
+            first.leaderboard.forEach(entry => {
+              expect(entry.solved + entry.failed).toBe(rounds);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for Bots class
+ * Includes both unit tests and property-based tests
+ */
+
+const Bots = require('../src/Bots');
+const Dictionary = require('../src/Dictionary');
+const GameController = require('../src/GameController');
+const GameState = require('../src/GameState');
+const HardModeValidator = require('../src/HardModeValidator');
+const Random = require('../src/Random');
+const Solver = require('../src/Solver');
+const StrategyBenchmark = require('../cli/StrategyBenchmark');
+const { createTestDictionary } = require('./testUtils');
+const fc = require('fast-check');
+
+const SETTINGS = { wordLength: 5, difficulty: 'normal', hardMode: false };
+
+/**
+ * Play guesses in a fresh game and return its Guess objects
+ */
+function playGuesses(dictionary, target, words) {
+  const gameController = new GameController(dictionary);
+  gameController.resumeGame(new GameState(target));
+  words.forEach(word => gameController.submitGuess(word));
+  return gameController.getGameState().getGuesses();
+}
+
+describe('Bots', () => {
+  describe('Unit Tests', () => {
+    describe('random bot', () => {
+      test('should pick from the words that could still be the answer', () => {
+        const dictionary = createTestDictionary();
+        const history = playGuesses(dictionary, 'tiger', ['apple']);
+        const candidates = Solver.filterCandidates(dictionary.getAnswers(5), history);
+        
+        expect(Bots.createRandomBot({ random: () => 0 }).nextGuess(history, dictionary, SETTINGS)).toBe(candidates[0]);
+        expect(Bots.createRandomBot({ random: () => 0.999 }).nextGuess(history, dictionary, SETTINGS))
+          .toBe(candidates[candidates.length - 1]);
+      });
+
+      test('should use Math.random by default', () => {
+        const dictionary = createTestDictionary();
+        
+        expect(dictionary.isAnswer(Bots.createRandomBot().nextGuess([], dictionary, SETTINGS))).toBe(true);
+      });
+    });
+
+    describe('frequency bot', () => {
+      test('should guess the candidate whose distinct letters are most common', () => {
+        const dictionary = new Dictionary(['eerie', 'tears', 'rates', 'stare', 'pzazz']);
+        
+        expect(Bots.createFrequencyBot().nextGuess([], dictionary, SETTINGS)).toBe('tears');
+      });
+
+      test('should break ties with the more common word', () => {
+        const dictionary = new Dictionary(['tears', 'rates', 'stare'], [], {
+          frequencies: { tears: 3, rates: 4.5, stare: 4 }
+        });
+        
+        expect(Bots.createFrequencyBot().nextGuess([], dictionary, SETTINGS)).toBe('rates');
+      });
+    });
+
+    describe('entropy bot', () => {
+      test('should open with the Solver\'s top guess and reuse it', () => {
+        const dictionary = createTestDictionary();
+        const bot = Bots.createEntropyBot();
+        const [best] = Solver.rankGuesses(dictionary.getWords(5), dictionary.getTargetWords({ length: 5 }), { limit: 1 });
+        const rankGuesses = jest.spyOn(Solver, 'rankGuesses');
+        
+        expect(bot.nextGuess([], dictionary, SETTINGS)).toBe(best.word);
+        expect(bot.nextGuess([], dictionary, SETTINGS)).toBe(best.word);
+        expect(rankGuesses).toHaveBeenCalledTimes(1);
+        
+        rankGuesses.mockRestore();
+      });
+
+      test('should guess a candidate once at most two remain', () => {
+        const dictionary = createTestDictionary();
+        const history = playGuesses(dictionary, 'queen', ['uncle']);
+        
+        expect(Bots.createEntropyBot().nextGuess(history, dictionary, SETTINGS)).toBe('queen');
+      });
+
+      test('should solve every target of a small dictionary', () => {
+        const report = StrategyBenchmark.run(Bots.createEntropyBot(), createTestDictionary());
+        
+        expect(report.failed).toBe(0);
+        expect(report.averageGuesses).toBeLessThan(3);
+      });
+
+      test('should only make guesses Hard Mode allows', () => {
+        const dictionary = createTestDictionary();
+        const history = playGuesses(dictionary, 'snake', ['apple']);
+        
+        const guess = Bots.createEntropyBot().nextGuess(history, dictionary, { ...SETTINGS, hardMode: true });
+        
+        expect(HardModeValidator.validateGuess(guess, history)).toBeNull();
+      });
+    });
+
+    describe('create', () => {
+      test('should create each reference bot by name', () => {
+        expect(Bots.NAMES).toEqual(['random', 'frequency', 'entropy']);
+        Bots.NAMES.forEach(name => {
+          expect(Bots.create(name).name).toBe(name);
+        });
+      });
+
+      test('should pass the random source to the random bot', () => {
+        const random = jest.fn(() => 0);
+        
+        Bots.create('random', { random }).nextGuess([], createTestDictionary(), SETTINGS);
+        
+        expect(random).toHaveBeenCalled();
+      });
+
+      test('should throw error for an unknown bot', () => {
+        expect(() => Bots.create('oracle')).toThrow('Unknown bot oracle. Bots: random, frequency, entropy');
+      });
+    });
+
+    describe('targets outside the tier', () => {
+      test('should fall back to every valid word', () => {
+        const dictionary = new Dictionary(['apple', 'bread', 'crane'], ['aalii']);
+        
+        Bots.NAMES.forEach(name => {
+          const result = StrategyBenchmark.playGame(Bots.create(name), dictionary, 'aalii', SETTINGS);
+          expect(result.solved).toBe(true);
+        });
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Bots play by the rules
+     *
+     * For any reference bot, target and seed, every guess is accepted by the
+     * game, including in Hard Mode, and the same seed plays the same game.
+     */
+    test('Property: Bots play by the rules - every bot guess is accepted and seeded bots repeat', () => {
+      const dictionary = createTestDictionary();
+      const words = dictionary.getAnswers(5);
+      
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...Bots.NAMES),
+          fc.constantFrom(...words),
+          fc.integer({ min: 0, max: Random.MAX_SEED }),
+          fc.boolean(),
+          (name, target, seed, hardMode) => {
+            const settings = { ...SETTINGS, hardMode };
+            const first = StrategyBenchmark.playGame(Bots.create(name, { random: Random.mulberry32(seed) }), dictionary, target, settings);
+            const second = StrategyBenchmark.playGame(Bots.create(name, { random: Random.mulberry32(seed) }), dictionary, target, settings);
+            
+            expect(second.history).toEqual(first.history);
+            expect(first.history.every(word => dictionary.isValidWord(word))).toBe(true);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for DailyPuzzle class
+ * Includes both unit tests and property-based tests
+ */
+
+const DailyPuzzle = require('../src/DailyPuzzle');
+const Dictionary = require('../src/Dictionary');
+const fc = require('fast-check');
+
+describe('DailyPuzzle', () => {
+  describe('Unit Tests', () => {
+    describe('getDateKey', () => {
+      test('should format the date in UTC by default', () => {
+        const date = new Date('2025-03-10T12:00:00Z');
+        expect(DailyPuzzle.getDateKey(date)).toBe('2025-03-10');
+      });
+
+      test('should roll over at midnight of the given time zone', () => {
+        // 03:00 UTC is still the previous evening in New York
+        const date = new Date('2025-03-10T03:00:00Z');
+        
+        expect(DailyPuzzle.getDateKey(date, 'UTC')).toBe('2025-03-10');
+        expect(DailyPuzzle.getDateKey(date, 'America/New_York')).toBe('2025-03-09');
+        expect(DailyPuzzle.getDateKey(date, 'Asia/Tokyo')).toBe('2025-03-10');
+      });
+
+      test('should throw error for an invalid time zone', () => {
+        expect(() => DailyPuzzle.getDateKey(new Date(), 'Not/AZone')).toThrow('Invalid time zone: Not/AZone');
+      });
+
+      test('should throw error for an invalid date', () => {
+        expect(() => DailyPuzzle.getDateKey(new Date('nope'))).toThrow('Date must be a valid Date object');
+        expect(() => DailyPuzzle.getDateKey('2025-01-01')).toThrow('Date must be a valid Date object');
+      });
+    });
+
+    describe('getPuzzleNumber', () => {
+      test('should return 1 on the epoch date', () => {
+        const date = new Date(`${DailyPuzzle.DAILY_EPOCH}T08:00:00Z`);
+        expect(DailyPuzzle.getPuzzleNumber(date)).toBe(1);
+      });
+
+      test('should increase by one each day', () => {
+        const day1 = DailyPuzzle.getPuzzleNumber(new Date('2025-06-01T10:00:00Z'));
+        const day2 = DailyPuzzle.getPuzzleNumber(new Date('2025-06-02T10:00:00Z'));
+        
+        expect(day2).toBe(day1 + 1);
+      });
+
+      test('should be the same throughout a day in the given time zone', () => {
+        const morning = DailyPuzzle.getPuzzleNumber(new Date('2025-06-01T05:00:00Z'), 'America/New_York');
+        const evening = DailyPuzzle.getPuzzleNumber(new Date('2025-06-02T03:00:00Z'), 'America/New_York');
+        
+        expect(evening).toBe(morning);
+      });
+    });
+
+    describe('getWordIndex', () => {
+      test('should throw error for a non-integer puzzle number', () => {
+        expect(() => DailyPuzzle.getWordIndex(1.5, 10)).toThrow('Puzzle number must be an integer');
+      });
+
+      test('should throw error for an invalid pool size', () => {
+        expect(() => DailyPuzzle.getWordIndex(1, 0)).toThrow('Pool size must be a positive integer');
+      });
+
+      test('should not walk the pool in order on consecutive days', () => {
+        const indexes = [1, 2, 3, 4, 5].map(n => DailyPuzzle.getWordIndex(n, 1000));
+        const sequential = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1);
+        
+        expect(sequential).toBe(false);
+      });
+    });
+
+    describe('getWordForPuzzle', () => {
+      test('should return the same word for the same puzzle number', () => {
+        const dictionary = new Dictionary(['apple', 'bread', 'crane', 'delta', 'eagle']);
+        
+        expect(DailyPuzzle.getWordForPuzzle(dictionary, 42)).toBe(DailyPuzzle.getWordForPuzzle(dictionary, 42));
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Daily word determinism
+     *
+     * For any date, two dictionaries built from the same word list must
+     * yield the same in-range daily word.
+     */
+    test('Property: Daily word determinism - same date and list always give the same word', () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.stringOf(fc.constantFrom(...'abcdefghijklmnopqrstuvwxyz'), { minLength: 5, maxLength: 5 }),
+            { minLength: 1, maxLength: 50 }
+          ),
+          fc.date({ min: new Date('2025-01-01T00:00:00Z'), max: new Date('2035-01-01T00:00:00Z') }),
+          (words, date) => {
+            const puzzleNumber = DailyPuzzle.getPuzzleNumber(date);
+            const first = DailyPuzzle.getWordForPuzzle(new Dictionary(words), puzzleNumber);
+            const second = DailyPuzzle.getWordForPuzzle(new Dictionary(words), puzzleNumber);
+            
+            expect(first).toBe(second);
+            expect(words).toContain(first);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -96,6 +96,418 @@ describe('Dictionary', () => {
         // With 50 calls and 8 words, we should get at least 2 different words
         expect(results.size).toBeGreaterThan(1);
       });
+
+      test('should draw from the random source given at construction', () => {
+        const dictionary = new Dictionary(['apple', 'bread', 'crane', 'delta'], [], { random: () => 0.5 });
+        
+        expect(dictionary.getRandomWord()).toBe('crane');
+        expect(Dictionary.fromJSON({ answers: ['apple', 'bread'] }, { random: () => 0.99 }).getRandomWord()).toBe('bread');
+      });
+
+      test('should prefer a random source passed for one pick', () => {
+        const dictionary = new Dictionary(['apple', 'bread', 'crane', 'delta'], [], { random: () => 0.5 });
+        
+        expect(dictionary.getRandomWord({ random: () => 0 })).toBe('apple');
+      });
+
+      test('should throw error for a random source that is not a function', () => {
+        expect(() => new Dictionary(['apple'], [], { random: 0.5 })).toThrow('Random source must be a function');
+      });
+    });
+
+    describe('fromJSON', () => {
+      test('should accept the flat "words" array format', () => {
+        const dictionary = Dictionary.fromJSON({ words: ['apple', 'bread'] });
+        
+        expect(dictionary.size()).toBe(2);
+        expect(dictionary.isValidWord('apple')).toBe(true);
+      });
+
+      test('should accept words grouped by length', () => {
+        const dictionary = Dictionary.fromJSON({
+          words: { 4: ['bark', 'cord'], 5: ['apple'], 6: ['banana'] }
+        });
+        
+        expect(dictionary.size()).toBe(4);
+        expect(dictionary.size(4)).toBe(2);
+        expect(dictionary.getAvailableLengths()).toEqual([4, 5, 6]);
+      });
+
+      test('should throw error for an unknown format', () => {
+        expect(() => Dictionary.fromJSON({})).toThrow('Invalid dictionary format');
+        expect(() => Dictionary.fromJSON(null)).toThrow('Invalid dictionary format');
+        expect(() => Dictionary.fromJSON({ words: { 5: 'apple' } })).toThrow('must map to an array');
+      });
+
+      test('should throw error if every group is empty', () => {
+        expect(() => Dictionary.fromJSON({ words: { 5: [] } })).toThrow('Dictionary cannot be empty');
+      });
+
+      test('should accept the split answers and allowed format', () => {
+        const dictionary = Dictionary.fromJSON({
+          answers: { 5: ['apple', 'bread'] },
+          allowed: { 5: ['aalii', 'abaue'], 6: ['abacus'] }
+        });
+        
+        expect(dictionary.getAnswerCount()).toBe(2);
+        expect(dictionary.size()).toBe(5);
+        expect(dictionary.isValidWord('aalii')).toBe(true);
+        expect(dictionary.isAnswer('aalii')).toBe(false);
+      });
+
+      test('should accept answers without an allowed list', () => {
+        const dictionary = Dictionary.fromJSON({ answers: ['apple'] });
+        
+        expect(dictionary.size()).toBe(1);
+        expect(dictionary.isAnswer('apple')).toBe(true);
+      });
+
+      test('should treat every word in the old single-list format as an answer', () => {
+        const dictionary = Dictionary.fromJSON({ words: ['apple', 'aalii'] });
+        
+        expect(dictionary.isAnswer('aalii')).toBe(true);
+        expect(dictionary.getAnswerCount()).toBe(2);
+      });
+
+      test('should throw error for a malformed allowed list', () => {
+        expect(() => Dictionary.fromJSON({ answers: ['apple'], allowed: 'aalii' })).toThrow('expected "allowed" array');
+      });
+    });
+
+    describe('answers and allowed guesses', () => {
+      let dictionary;
+
+      beforeEach(() => {
+        dictionary = new Dictionary(['apple', 'bread'], ['aalii', 'abaue', 'APPLE']);
+      });
+
+      test('should accept both answers and allowed words as guesses', () => {
+        expect(dictionary.isValidWord('apple')).toBe(true);
+        expect(dictionary.isValidWord('aalii')).toBe(true);
+        expect(dictionary.isValidWord('zzzzz')).toBe(false);
+      });
+
+      test('should only pick target words from the answers', () => {
+        for (let i = 0; i < 50; i++) {
+          expect(['apple', 'bread']).toContain(dictionary.getRandomWord());
+        }
+      });
+
+      test('should report which words are answers', () => {
+        expect(dictionary.isAnswer('APPLE')).toBe(true);
+        expect(dictionary.isAnswer('abaue')).toBe(false);
+        expect(dictionary.isAnswer(42)).toBe(false);
+      });
+
+      test('should count answers separately from all valid words', () => {
+        expect(dictionary.getAnswerCount()).toBe(2);
+        expect(dictionary.getAnswers()).toEqual(['apple', 'bread']);
+        expect(dictionary.size()).toBe(4);
+      });
+
+      test('should throw error if allowed words are not an array', () => {
+        expect(() => new Dictionary(['apple'], 'aalii')).toThrow('Allowed words must be an array');
+      });
+    });
+
+    describe('word length', () => {
+      let dictionary;
+
+      beforeEach(() => {
+        dictionary = new Dictionary(['bark', 'apple', 'bread', 'banana', 'cord']);
+      });
+
+      test('should pick random words of the requested length', () => {
+        for (let i = 0; i < 20; i++) {
+          expect(dictionary.getRandomWord({ length: 4 })).toHaveLength(4);
+          expect(dictionary.getRandomWord({ length: 6 })).toBe('banana');
+        }
+      });
+
+      test('should throw error when no words have the requested length', () => {
+        expect(() => dictionary.getRandomWord({ length: 8 })).toThrow('Dictionary has no 8-letter words');
+      });
+
+      test('should count and list words by length', () => {
+        expect(dictionary.size(5)).toBe(2);
+        expect(dictionary.size(7)).toBe(0);
+        expect(dictionary.getWords(4)).toEqual(['bark', 'cord']);
+        expect(dictionary.getAnswerCount(4)).toBe(2);
+      });
+
+      test('should return a copy of the word list', () => {
+        dictionary.getWords(4).push('zzzz');
+        
+        expect(dictionary.size(4)).toBe(2);
+      });
+
+      test('should list target words of a length in source order', () => {
+        expect(dictionary.getTargetWords({ length: 4 })).toEqual(['bark', 'cord']);
+        expect(dictionary.getTargetCount({ length: 4 })).toBe(2);
+      });
+    });
+
+    describe('difficulty tiers', () => {
+      let dictionary;
+
+      beforeEach(() => {
+        dictionary = new Dictionary(
+          ['about', 'water', 'crane', 'zesty'],
+          ['aalii', 'abaue'],
+          { frequencies: { about: 6.5, water: 5.4, CRANE: 4.5, zesty: 2.2, aalii: 1.1 } }
+        );
+      });
+
+      test('should look up frequency scores case-insensitively', () => {
+        expect(dictionary.getFrequency('crane')).toBe(4.5);
+        expect(dictionary.getFrequency('ABOUT')).toBe(6.5);
+      });
+
+      test('should score unknown words as 0', () => {
+        expect(dictionary.getFrequency('abaue')).toBe(0);
+        expect(dictionary.getFrequency(null)).toBe(0);
+      });
+
+      test('should draw easy targets from the more common half of the answers', () => {
+        expect(dictionary.getTargetWords({ difficulty: 'easy' })).toEqual(['about', 'water']);
+        
+        for (let i = 0; i < 20; i++) {
+          expect(['about', 'water']).toContain(dictionary.getRandomWord({ difficulty: 'easy' }));
+        }
+      });
+
+      test('should draw normal targets from every answer', () => {
+        expect(dictionary.getTargetWords({ difficulty: 'normal' })).toEqual(['about', 'water', 'crane', 'zesty']);
+        expect(dictionary.getTargetWords()).toEqual(dictionary.getTargetWords({ difficulty: 'normal' }));
+      });
+
+      test('should draw hard targets from any valid word', () => {
+        expect(dictionary.getTargetCount({ difficulty: 'hard' })).toBe(6);
+        expect(dictionary.getTargetWords({ difficulty: 'hard' })).toContain('aalii');
+      });
+
+      test('should combine difficulty with word length', () => {
+        const mixed = new Dictionary(['bark', 'cord', 'apple'], ['abba'], { frequencies: { cord: 3, bark: 4 } });
+        
+        expect(mixed.getTargetWords({ length: 4, difficulty: 'easy' })).toEqual(['bark']);
+        expect(mixed.getTargetWords({ length: 4, difficulty: 'hard' })).toEqual(['bark', 'cord', 'abba']);
+      });
+
+      test('should keep an easy tier when no frequencies are known', () => {
+        const plain = new Dictionary(['apple', 'bread']);
+        
+        expect(plain.getTargetCount({ difficulty: 'easy' })).toBeGreaterThan(0);
+      });
+
+      test('should throw error for an unknown difficulty', () => {
+        expect(() => dictionary.getRandomWord({ difficulty: 'extreme' })).toThrow('Difficulty must be one of: easy, normal, hard');
+      });
+
+      test('should throw error for malformed frequencies', () => {
+        expect(() => new Dictionary(['apple'], [], { frequencies: [1, 2] })).toThrow('Frequencies must be an object mapping words to scores');
+      });
+
+      test('should read frequencies from words.json data', () => {
+        const fromJson = Dictionary.fromJSON({ answers: ['apple'], frequencies: { apple: 4.37 } });
+        
+        expect(fromJson.getFrequency('apple')).toBe(4.37);
+      });
+    });
+
+    describe('blocklist', () => {
+      let dictionary;
+
+      beforeEach(() => {
+        dictionary = new Dictionary(['apple', 'crane', 'bread'], ['aalii', 'abaue'], { blocked: ['CRANE', 'aalii', 'zebra'] });
+      });
+
+      test('should never pick a blocked word as the target', () => {
+        expect(dictionary.isAnswer('crane')).toBe(false);
+        expect(dictionary.getAnswers()).toEqual(['apple', 'bread']);
+        
+        for (let i = 0; i < 20; i++) {
+          expect(dictionary.getRandomWord()).not.toBe('crane');
+        }
+      });
+
+      test('should leave blocked words out of the hard tier too', () => {
+        expect(dictionary.getTargetWords({ difficulty: 'hard' })).toEqual(['apple', 'bread', 'abaue']);
+      });
+
+      test('should still accept blocked words as guesses', () => {
+        expect(dictionary.isValidWord('crane')).toBe(true);
+        expect(dictionary.isValidWord('aalii')).toBe(true);
+        expect(dictionary.size()).toBe(5);
+      });
+
+      test('should only report blocked words the dictionary contains', () => {
+        expect(dictionary.isBlocked('Crane')).toBe(true);
+        expect(dictionary.isBlocked('zebra')).toBe(false);
+        expect(dictionary.isBlocked('apple')).toBe(false);
+        expect(dictionary.getBlockedWords()).toEqual(['crane', 'aalii']);
+        expect(dictionary.getBlockedWords(6)).toEqual([]);
+      });
+
+      test('should throw error for a malformed blocklist', () => {
+        expect(() => new Dictionary(['apple'], [], { blocked: 'apple' })).toThrow('Blocked words must be an array');
+      });
+
+      test('should keep blocked words through the packed format and file them as allowed in JSON', () => {
+        const unpacked = Dictionary.fromPacked(dictionary.toPacked());
+        
+        expect(dictionary.toPacked()).toContain('blocked 5');
+        expect(unpacked.getAnswers()).toEqual(['apple', 'bread']);
+        expect(unpacked.getBlockedWords()).toEqual(['crane', 'aalii']);
+        expect(unpacked.isValidWord('crane')).toBe(true);
+        expect(dictionary.toJSON()).toEqual({ answers: { 5: ['apple', 'bread'] }, allowed: { 5: ['abaue', 'crane', 'aalii'] } });
+      });
+
+      test('should apply the bundled blocklist to the bundled words', () => {
+        const fs = require('fs');
+        const path = require('path');
+        const data = JSON.parse(fs.readFileSync(path.join(__dirname, '../public/words.json'), 'utf8'));
+        const blocklist = JSON.parse(fs.readFileSync(path.join(__dirname, '../public/blocklist.json'), 'utf8'));
+        const bundled = Dictionary.fromJSON(data, { blocked: blocklist });
+        
+        expect(bundled.getBlockedWords()).toHaveLength(blocklist.length);
+        blocklist.forEach(word => {
+          expect(bundled.isValidWord(word)).toBe(true);
+          expect(bundled.getTargetWords({ length: word.length, difficulty: 'hard' })).not.toContain(word);
+        });
+      });
+    });
+
+    describe('packed format', () => {
+      const dictionary = new Dictionary(['crane', 'apple', 'bark'], ['aalii', 'apply', 'abacus'], {
+        frequencies: { apple: 4.37, crane: 3.1, aalii: 1.29 }
+      });
+
+      test('should front-code each word against the one before it', () => {
+        expect(dictionary.toPacked()).toBe([
+          'hard-wordle-words 1',
+          'answers 4',
+          '0bark',
+          'answers 5',
+          '0crane,310',
+          '0apple,437',
+          'allowed 5',
+          '0aalii,129',
+          '1pply',
+          'allowed 6',
+          '0abacus',
+          ''
+        ].join('\n'));
+      });
+
+      test('should restore the same words, order and frequencies for each length', () => {
+        const unpacked = Dictionary.fromPacked(dictionary.toPacked());
+        
+        expect(unpacked.getAnswers(5)).toEqual(['crane', 'apple']);
+        expect(unpacked.getWords(5)).toEqual(dictionary.getWords(5));
+        expect(unpacked.getWords(6)).toEqual(dictionary.getWords(6));
+        expect(unpacked.getAnswers()).toEqual(['bark', 'crane', 'apple']);
+        expect(unpacked.isAnswer('apply')).toBe(false);
+        expect(unpacked.getFrequency('apple')).toBe(4.37);
+        expect(unpacked.getFrequency('apply')).toBe(0);
+      });
+
+      test('should accept Windows line endings', () => {
+        const unpacked = Dictionary.fromPacked(dictionary.toPacked().replace(/\n/g, '\r\n'));
+        
+        expect(unpacked.getWords().sort()).toEqual(dictionary.getWords().sort());
+      });
+
+      test('should reject text that is not a packed dictionary', () => {
+        expect(() => Dictionary.fromPacked(null)).toThrow('Invalid packed dictionary: expected a string');
+        expect(() => Dictionary.fromPacked('{"answers": []}')).toThrow('expected the header "hard-wordle-words 1"');
+        expect(() => Dictionary.fromPacked('hard-wordle-words 1\n0apple')).toThrow('unexpected "0apple" on line 2');
+        expect(() => Dictionary.fromPacked('hard-wordle-words 1\nanswers 5\n0apple\n6s')).toThrow('unexpected "6s" on line 4');
+        expect(() => Dictionary.fromPacked('hard-wordle-words 1\nanswers 5\n0apples')).toThrow('unexpected "0apples"');
+      });
+
+      test('should refuse to pack words with other characters', () => {
+        expect(() => new Dictionary(["can't"]).toPacked()).toThrow('Cannot pack "can\'t"');
+      });
+
+      test('should pack the bundled dictionary without losing anything', () => {
+        const fs = require('fs');
+        const path = require('path');
+        const source = fs.readFileSync(path.join(__dirname, '../public/words.json'), 'utf8');
+        const original = Dictionary.fromJSON(JSON.parse(source));
+        
+        const packed = original.toPacked();
+        const unpacked = Dictionary.fromPacked(packed);
+        
+        expect(packed.length).toBeLessThan(source.length / 2);
+        expect(unpacked.getWords()).toEqual(original.getWords());
+        expect(unpacked.getAnswers()).toEqual(original.getAnswers());
+        expect(unpacked.getTargetWords({ length: 5, difficulty: 'easy' })).toEqual(original.getTargetWords({ length: 5, difficulty: 'easy' }));
+      });
+    });
+
+    describe('withoutAnswers', () => {
+      const dictionary = new Dictionary(['crane', 'apple'], ['aalii', 'abacus'], { frequencies: { crane: 3.1 }, blocked: ['aalii'] });
+
+      test('should keep every valid word and nothing else', () => {
+        const guesses = dictionary.withoutAnswers();
+        
+        expect(guesses.getWords().sort()).toEqual(dictionary.getWords().sort());
+        expect(guesses.isValidWord('abacus')).toBe(true);
+        expect(guesses.isValidWord('bread')).toBe(false);
+      });
+
+      test('should not reveal the answers, their order or their frequencies', () => {
+        const guesses = dictionary.withoutAnswers();
+        
+        expect(guesses.getAnswers(5)).toEqual(['aalii', 'apple', 'crane']);
+        expect(guesses.getBlockedWords()).toEqual([]);
+        expect(guesses.getFrequency('crane')).toBe(0);
+        expect(guesses.toPacked()).not.toContain('allowed');
+      });
+    });
+
+    describe('toJSON', () => {
+      test('should group words by length, once each, in lowercase', () => {
+        const dictionary = new Dictionary(['Crane', 'bark', 'crane'], ['aalii', 'CRANE', 'abacus'], { frequencies: { crane: 3.1 } });
+        
+        expect(dictionary.toJSON()).toEqual({
+          answers: { 4: ['bark'], 5: ['crane'] },
+          allowed: { 5: ['aalii'], 6: ['abacus'] },
+          frequencies: { crane: 3.1 }
+        });
+      });
+
+      test('should leave out frequencies when there are none', () => {
+        expect(new Dictionary(['apple']).toJSON()).toEqual({ answers: { 5: ['apple'] }, allowed: {} });
+      });
+
+      test('should reproduce the bundled words.json', () => {
+        const fs = require('fs');
+        const path = require('path');
+        const source = fs.readFileSync(path.join(__dirname, '../public/words.json'), 'utf8');
+        
+        expect(JSON.stringify(Dictionary.fromJSON(JSON.parse(source)).toJSON(), null, 2)).toBe(source);
+      });
+    });
+
+    describe('getWordsWithPrefix', () => {
+      const dictionary = new Dictionary(['crane', 'crank', 'apple'], ['cramp', 'crab', 'crabs', 'zebra']);
+
+      test('should return matching words in alphabetical order', () => {
+        expect(dictionary.getWordsWithPrefix('cra')).toEqual(['crab', 'crabs', 'cramp', 'crane', 'crank']);
+      });
+
+      test('should filter by length and ignore case', () => {
+        expect(dictionary.getWordsWithPrefix('CRA', 5)).toEqual(['crabs', 'cramp', 'crane', 'crank']);
+        expect(dictionary.getWordsWithPrefix('cra', 8)).toEqual([]);
+      });
+
+      test('should return every word for an empty prefix and none for unknown prefixes', () => {
+        expect(dictionary.getWordsWithPrefix('')).toHaveLength(7);
+        expect(dictionary.getWordsWithPrefix('crz')).toEqual([]);
+        expect(dictionary.getWordsWithPrefix('zz')).toEqual([]);
+        expect(dictionary.getWordsWithPrefix(null)).toEqual([]);
+      });
     });
 
     describe('size', () => {
@@ -243,24 +655,95 @@ describe('Dictionary', () => {
       }
       
       const wordsData = JSON.parse(fs.readFileSync(wordsPath, 'utf8'));
-      const words = wordsData.words || wordsData;
-      
-      const dictionary = new Dictionary(words);
+      const dictionary = Dictionary.fromJSON(wordsData);
       
-      // The dictionary must contain at least 5000 words
-      expect(dictionary.size()).toBeGreaterThanOrEqual(5000);
+      // The dictionary must contain at least 5000 5-letter words
+      expect(dictionary.size(5)).toBeGreaterThanOrEqual(5000);
       
-      // Additionally verify that all words are 5 letters long
+      // Additionally verify that every word sits in the group for its length
+      const fiveLetterWords = dictionary.getWords(5);
       fc.assert(
         fc.property(
-          fc.integer({ min: 0, max: dictionary.size() - 1 }),
+          fc.integer({ min: 0, max: fiveLetterWords.length - 1 }),
           (index) => {
-            const word = dictionary.wordArray[index];
+            const word = fiveLetterWords[index];
             expect(word).toHaveLength(5);
           }
         ),
         { numRuns: 100 }
       );
     });
+
+    /**
+     * Feature: hard-wordle, Property: Packed round trip
+     *
+     * For any answers, allowed guesses and frequencies, unpacking a packed
+     * dictionary gives back the same words of each length in the same order
+     * with the same scores, and prefix queries agree with a plain filter.
+     */
+    test('Property: Packed round trip - packing preserves words, order and frequencies', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcdefgh'), { minLength: 4, maxLength: 6 });
+      
+      fc.assert(
+        fc.property(
+          fc.array(wordArb, { minLength: 1, maxLength: 30 }),
+          fc.array(wordArb, { maxLength: 30 }),
+          fc.dictionary(wordArb, fc.integer({ min: 1, max: 800 }).map(score => score / 100)),
+          fc.stringOf(fc.constantFrom(...'abcdefgh'), { maxLength: 3 }),
+          (answers, allowed, frequencies, prefix) => {
+            const dictionary = new Dictionary(answers, allowed, { frequencies });
+            const unpacked = Dictionary.fromPacked(dictionary.toPacked());
+            
+            expect(unpacked.getAvailableLengths()).toEqual(dictionary.getAvailableLengths());
+            [4, 5, 6].forEach(length => {
+              expect(unpacked.getAnswers(length)).toEqual(dictionary.getAnswers(length));
+              expect(unpacked.getWords(length)).toEqual(dictionary.getWords(length));
+            });
+            unpacked.getWords().forEach(word => {
+              expect(unpacked.getFrequency(word)).toBe(dictionary.getFrequency(word));
+            });
+            expect(unpacked.getWordsWithPrefix(prefix)).toEqual(dictionary.getWords().filter(word => word.startsWith(prefix)).sort());
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * Feature: hard-wordle, Property: Blocked words are never targets
+     *
+     * For any answers, allowed guesses and blocklist, no blocked word is in
+     * any difficulty's target pool, every dictionary word stays a valid guess,
+     * and the same holds after a packed round trip.
+     */
+    test('Property: Blocked words are never targets - blocked words stay guessable but never become the target', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcde'), { minLength: 4, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(
+          fc.array(wordArb, { minLength: 1, maxLength: 30 }),
+          fc.array(wordArb, { maxLength: 30 }),
+          fc.array(wordArb, { maxLength: 10 }),
+          (answers, allowed, blocked) => {
+            const dictionary = new Dictionary(answers, allowed, { blocked });
+            const blockedSet = new Set(blocked);
+            
+            [dictionary, Dictionary.fromPacked(dictionary.toPacked())].forEach(loaded => {
+              [...answers, ...allowed].forEach(word => {
+                expect(loaded.isValidWord(word)).toBe(true);
+                expect(loaded.isBlocked(word)).toBe(blockedSet.has(word));
+              });
+              ['easy', 'normal', 'hard'].forEach(difficulty => {
+                loaded.getAvailableLengths().forEach(length => {
+                  const targets = loaded.getTargetWords({ length, difficulty });
+                  expect(targets.filter(word => blockedSet.has(word))).toEqual([]);
+                });
+              });
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
   });
 });
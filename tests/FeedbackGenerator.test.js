@@ -101,6 +101,20 @@ describe('FeedbackGenerator', () => {
     });
   });
 
+  describe('getPattern', () => {
+    test('should encode correct, present and absent as 2, 1 and 0', () => {
+      expect(FeedbackGenerator.getPattern('crane', 'react')).toBe('11201');
+      expect(FeedbackGenerator.getPattern('apple', 'apple')).toBe('22222');
+      expect(FeedbackGenerator.getPattern('zzzzz', 'apple')).toBe('00000');
+    });
+
+    test('should match toPattern of the generated feedback', () => {
+      const feedback = FeedbackGenerator.generateFeedback('speed', 'erase');
+      
+      expect(FeedbackGenerator.toPattern(feedback)).toBe(FeedbackGenerator.getPattern('speed', 'erase'));
+    });
+  });
+
   describe('Property-Based Tests', () => {
     /**
      * Feature: hard-wordle, Property 9: Feedback correctness
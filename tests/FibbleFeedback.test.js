@@ -0,0 +1,114 @@
+/**
+ * Tests for FibbleFeedback class
+ * Includes both unit tests and property-based tests
+ */
+
+const FibbleFeedback = require('../src/FibbleFeedback');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const GameState = require('../src/GameState');
+const Random = require('../src/Random');
+const fc = require('fast-check');
+
+/**
+ * Count the tiles whose status differs between two feedback arrays
+ */
+function countDifferences(a, b) {
+  return a.filter((letterFeedback, index) => letterFeedback.status !== b[index].status).length;
+}
+
+describe('FibbleFeedback', () => {
+  describe('Unit Tests', () => {
+    describe('decorate', () => {
+      test('should show the true feedback with exactly one tile changed', () => {
+        const generateFeedback = FibbleFeedback.decorate(FeedbackGenerator.generateFeedback, 42);
+        
+        const { feedback, trueFeedback } = generateFeedback('crane', 'apple', 0);
+        
+        expect(trueFeedback).toEqual(FeedbackGenerator.generateFeedback('crane', 'apple'));
+        expect(feedback.map(letterFeedback => letterFeedback.letter).join('')).toBe('crane');
+        expect(countDifferences(feedback, trueFeedback)).toBe(1);
+      });
+
+      test('should not lie about the row that solves the game', () => {
+        const generateFeedback = FibbleFeedback.decorate(FeedbackGenerator.generateFeedback, 42);
+        
+        const { feedback, trueFeedback } = generateFeedback('apple', 'apple', 3);
+        
+        expect(feedback).toBe(trueFeedback);
+      });
+
+      test('should call the wrapped generator with the guess and target', () => {
+        const generate = jest.fn(FeedbackGenerator.generateFeedback);
+        
+        FibbleFeedback.decorate(generate, 1)('crane', 'apple', 0);
+        
+        expect(generate).toHaveBeenCalledWith('crane', 'apple');
+      });
+    });
+
+    describe('lie', () => {
+      test('should lie the same way for the same seed and row', () => {
+        const feedback = FeedbackGenerator.generateFeedback('crane', 'apple');
+        
+        expect(FibbleFeedback.lie(feedback, 7, 2)).toEqual(FibbleFeedback.lie(feedback, 7, 2));
+      });
+
+      test('should not change the feedback it is given', () => {
+        const feedback = FeedbackGenerator.generateFeedback('crane', 'apple');
+        const copy = JSON.parse(JSON.stringify(feedback));
+        
+        FibbleFeedback.lie(feedback, 7, 0);
+        
+        expect(feedback).toEqual(copy);
+      });
+
+      test('should throw error for an invalid row', () => {
+        const feedback = FeedbackGenerator.generateFeedback('crane', 'apple');
+        
+        expect(() => FibbleFeedback.lie(feedback, 7, -1)).toThrow('Row must be a non-negative integer');
+      });
+    });
+
+    describe('getSeed', () => {
+      test('should use the puzzle number for daily games', () => {
+        expect(FibbleFeedback.getSeed(new GameState('apple', 6, { mode: 'daily', puzzleNumber: 12, fibble: true }))).toBe(12);
+      });
+
+      test('should use the target seed for practice games', () => {
+        expect(FibbleFeedback.getSeed(new GameState('apple', 6, { seed: 1234, fibble: true }))).toBe(1234);
+        expect(FibbleFeedback.getSeed(new GameState('apple', 6, { fibble: true }))).toBe(0);
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const words = ['apple', 'bread', 'crane', 'dance', 'eagle', 'queen', 'tiger', 'llama'];
+
+    /**
+     * Feature: hard-wordle, Property: One lie per row
+     *
+     * For any guess, target, seed and row, the shown feedback differs from
+     * the true feedback in exactly one tile, unless the guess is the target,
+     * and the same seed and row always tell the same lie.
+     */
+    test('Property: One lie per row - exactly one tile lies, the same way every time', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...words),
+          fc.constantFrom(...words),
+          fc.integer({ min: 0, max: Random.MAX_SEED }),
+          fc.integer({ min: 0, max: 9 }),
+          (guess, target, seed, row) => {
+            const generateFeedback = FibbleFeedback.decorate(FeedbackGenerator.generateFeedback, seed);
+            
+            const { feedback, trueFeedback } = generateFeedback(guess, target, row);
+            
+            expect(countDifferences(feedback, trueFeedback)).toBe(guess === target ? 0 : 1);
+            expect(generateFeedback(guess, target, row)).toEqual({ feedback, trueFeedback });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
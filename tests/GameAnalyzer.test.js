@@ -0,0 +1,154 @@
+/**
+ * Tests for GameAnalyzer class
+ * Includes both unit tests and property-based tests
+ */
+
+const GameAnalyzer = require('../src/GameAnalyzer');
+const Dictionary = require('../src/Dictionary');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const HardModeValidator = require('../src/HardModeValidator');
+const Solver = require('../src/Solver');
+const fc = require('fast-check');
+
+/**
+ * Play a game with the given guesses
+ * @param {string} target - Target word
+ * @param {string[]} words - Guesses to make, in order
+ * @param {Object} [options] - GameState options
+ */
+function playGame(target, words, options = {}) {
+  const gameState = new GameState(target, 6, options);
+  words.forEach(word => gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target))));
+  return gameState;
+}
+
+describe('GameAnalyzer', () => {
+  const answers = ['crash', 'crass', 'brass', 'grass'];
+  const dictionary = new Dictionary(answers, ['bloom', 'dumpy'], {});
+
+  describe('Unit Tests', () => {
+    test('should require a game state', () => {
+      expect(() => GameAnalyzer.analyze(dictionary, null)).toThrow('Game state is required');
+    });
+
+    test('should rate a weak guess that was also unlucky', () => {
+      const [bloom] = GameAnalyzer.analyze(dictionary, playGame('crass', ['bloom', 'crass']));
+      
+      // BLOOM only singles out BRASS, and the feedback kept the group of three
+      expect(bloom.word).toBe('bloom');
+      expect(bloom.candidatesBefore).toBe(4);
+      expect(bloom.candidatesAfter).toBe(3);
+      expect(bloom.bitsGained).toBeCloseTo(Math.log2(4 / 3));
+      expect(bloom.expectedBits).toBeCloseTo(-(3 / 4) * Math.log2(3 / 4) - (1 / 4) * Math.log2(1 / 4));
+      // Each answer splits the four words 1/1/2
+      expect(answers).toContain(bloom.bestWord);
+      expect(bloom.bestBits).toBeCloseTo(1.5);
+      expect(bloom.skill).toBe(54);
+      expect(bloom.luck).toBeCloseTo(bloom.bitsGained - bloom.expectedBits);
+      expect(bloom.luck).toBeLessThan(0);
+    });
+
+    test('should rate the best possible guess at full skill', () => {
+      const [, crass] = GameAnalyzer.analyze(dictionary, playGame('crass', ['bloom', 'crass']));
+      
+      // CRASH, CRASS and GRASS were left, and guessing any of them tells all three apart
+      expect(crass).toEqual({
+        word: 'crass',
+        candidatesBefore: 3,
+        candidatesAfter: 1,
+        bitsGained: Math.log2(3),
+        expectedBits: Math.log2(3),
+        bestWord: 'crash',
+        bestBits: Math.log2(3),
+        skill: 100,
+        luck: 0
+      });
+    });
+
+    test('should analyze an unfinished game up to its last guess', () => {
+      expect(GameAnalyzer.analyze(dictionary, playGame('crass', []))).toEqual([]);
+      expect(GameAnalyzer.analyze(dictionary, playGame('crass', ['dumpy']))).toHaveLength(1);
+    });
+
+    test('should cope with a target missing from the word lists', () => {
+      const [bloom, dumpy] = GameAnalyzer.analyze(dictionary, playGame('dumpy', ['bloom', 'dumpy']));
+      
+      expect(bloom.candidatesAfter).toBe(0);
+      expect(bloom.bitsGained).toBe(2);
+      expect(dumpy).toMatchObject({ candidatesBefore: 0, bitsGained: 0, bestWord: null, skill: 100, luck: 0 });
+    });
+
+    describe('analyzeGradually', () => {
+      test('should give the same analysis as analyze', async () => {
+        const gameState = playGame('crass', ['bloom', 'dumpy', 'crass']);
+        
+        await expect(GameAnalyzer.analyzeGradually(dictionary, gameState)).resolves.toEqual(GameAnalyzer.analyze(dictionary, gameState));
+      });
+
+      test('should not rate a guess before it has yielded', async () => {
+        const suggestGuesses = jest.spyOn(Solver, 'suggestGuesses');
+        
+        const analysis = GameAnalyzer.analyzeGradually(dictionary, playGame('crass', ['bloom', 'crass']));
+        expect(suggestGuesses).not.toHaveBeenCalled();
+        
+        await analysis;
+        expect(suggestGuesses).toHaveBeenCalledTimes(2);
+        suggestGuesses.mockRestore();
+      });
+
+      test('should require a game state', async () => {
+        await expect(GameAnalyzer.analyzeGradually(dictionary, null)).rejects.toThrow('Game state is required');
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const words = [...answers, 'bloom', 'dumpy'];
+
+    /**
+     * Feature: hard-wordle, Property: Analysis consistency
+     *
+     * For any game, candidates only shrink, the target always stays a candidate,
+     * skill never exceeds the best guess, and the bits gained add up to the
+     * total narrowing of the candidates.
+     */
+    test('Property: Analysis consistency - guesses narrow the candidates and skill is bounded', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...answers),
+          fc.array(fc.constantFrom(...words), { minLength: 1, maxLength: 5 }),
+          fc.boolean(),
+          (target, guessWords, hardMode) => {
+            const gameState = new GameState(target, 6, { hardMode });
+            guessWords.forEach(word => {
+              // Skip guesses the game would have rejected
+              if (hardMode && HardModeValidator.validateGuess(word, gameState.getGuesses())) {
+                return;
+              }
+              if (!gameState.isGameOver()) {
+                gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target)));
+              }
+            });
+            
+            const analysis = GameAnalyzer.analyze(dictionary, gameState);
+            
+            expect(analysis).toHaveLength(gameState.getGuesses().length);
+            analysis.forEach(entry => {
+              expect(entry.candidatesAfter).toBeGreaterThanOrEqual(1);
+              expect(entry.candidatesAfter).toBeLessThanOrEqual(entry.candidatesBefore);
+              expect(entry.skill).toBeGreaterThanOrEqual(0);
+              expect(entry.skill).toBeLessThanOrEqual(100);
+            });
+            
+            const totalBits = analysis.reduce((sum, entry) => sum + entry.bitsGained, 0);
+            const finalCount = analysis[analysis.length - 1].candidatesAfter;
+            expect(totalBits).toBeCloseTo(Math.log2(answers.length / finalCount), 9);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
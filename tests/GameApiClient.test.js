@@ -0,0 +1,86 @@
+/**
+ * Unit tests for GameApiClient class
+ */
+
+const GameApiClient = require('../src/GameApiClient');
+
+/**
+ * Build a fetch stand-in that records requests and answers with a fixed response
+ * @param {number} status - HTTP status to answer with
+ * @param {Object} body - JSON body to answer with
+ */
+function createFetch(status, body) {
+  const fetchImpl = jest.fn().mockResolvedValue({
+    status,
+    json: () => Promise.resolve(body)
+  });
+  return fetchImpl;
+}
+
+describe('GameApiClient', () => {
+  test('should require a base URL and a fetch implementation', () => {
+    expect(() => new GameApiClient('', jest.fn())).toThrow('API base URL is required');
+    expect(() => new GameApiClient('/api', 'fetch')).toThrow('A fetch implementation is required');
+  });
+
+  test('should post new game settings as JSON', async () => {
+    const fetchImpl = createFetch(201, { id: 'abc', targetWord: null });
+    const client = new GameApiClient('/api/', fetchImpl);
+    
+    const game = await client.createGame({ hardMode: true });
+    
+    expect(game).toEqual({ id: 'abc', targetWord: null });
+    expect(fetchImpl).toHaveBeenCalledWith('/api/games', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hardMode: true })
+    });
+  });
+
+  test('should fetch a game by its encoded ID', async () => {
+    const fetchImpl = createFetch(200, { id: 'a/b' });
+    const client = new GameApiClient('/api', fetchImpl);
+    
+    await client.getGame('a/b');
+    
+    expect(fetchImpl.mock.calls[0][0]).toBe('/api/games/a%2Fb');
+    expect(fetchImpl.mock.calls[0][1].method).toBe('GET');
+  });
+
+  test('should resolve a rejected guess instead of throwing', async () => {
+    const client = new GameApiClient('/api', createFetch(422, { success: false, error: 'Not a valid word', gameStatus: 'in-progress' }));
+    
+    await expect(client.submitGuess('abc', 'zzzzz')).resolves.toEqual({
+      success: false,
+      error: 'Not a valid word',
+      gameStatus: 'in-progress'
+    });
+  });
+
+  test('should throw the server error with its status', async () => {
+    const client = new GameApiClient('/api', createFetch(404, { error: 'Game not found' }));
+    
+    await expect(client.getGame('missing')).rejects.toMatchObject({ message: 'Game not found', status: 404 });
+  });
+
+  test('should report an unreachable server with status 0', async () => {
+    const client = new GameApiClient('/api', jest.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    
+    await expect(client.createGame()).rejects.toMatchObject({ message: 'Could not reach the game server', status: 0 });
+    await expect(client.checkHealth()).resolves.toBe(false);
+  });
+
+  test('should report a response that is not JSON', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ status: 502, json: () => Promise.reject(new SyntaxError('Unexpected token')) });
+    const client = new GameApiClient('/api', fetchImpl);
+    
+    await expect(client.getGame('abc')).rejects.toMatchObject({ status: 502 });
+    await expect(client.checkHealth()).resolves.toBe(false);
+  });
+
+  test('should pass the health check when the server answers', async () => {
+    const client = new GameApiClient('/api', createFetch(200, { status: 'ok' }));
+    
+    await expect(client.checkHealth()).resolves.toBe(true);
+  });
+});
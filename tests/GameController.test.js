@@ -4,6 +4,12 @@
 
 const GameController = require('../src/GameController');
 const Dictionary = require('../src/Dictionary');
+const GameState = require('../src/GameState');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const FibbleFeedback = require('../src/FibbleFeedback');
+const AnswerHistory = require('../src/AnswerHistory');
+const Random = require('../src/Random');
+const { createMemoryStorage } = require('./testUtils');
 
 describe('GameController', () => {
   let dictionary;
@@ -25,6 +31,10 @@ describe('GameController', () => {
     test('should throw error if dictionary is not provided', () => {
       expect(() => new GameController()).toThrow('Dictionary is required');
     });
+
+    test('should throw error for an invalid daily time zone', () => {
+      expect(() => new GameController(dictionary, { dailyTimeZone: 'Not/AZone' })).toThrow('Invalid time zone: Not/AZone');
+    });
   });
 
   describe('startNewGame', () => {
@@ -39,6 +49,18 @@ describe('GameController', () => {
       expect(gameState.getGameStatus()).toBe('in-progress');
     });
 
+    test('should only choose answers as the target word', () => {
+      const splitController = new GameController(new Dictionary(['apple'], ['aalii', 'abaue', 'bread']));
+      
+      for (let i = 0; i < 20; i++) {
+        expect(splitController.startNewGame().getTargetWord()).toBe('apple');
+        expect(splitController.startNewGame({ mode: 'daily' }).getTargetWord()).toBe('apple');
+      }
+      
+      // Allowed words are still accepted as guesses
+      expect(splitController.submitGuess('aalii').success).toBe(true);
+    });
+
     test('should reset game state when starting a new game', () => {
       // Start first game and make a guess
       gameController.startNewGame();
@@ -53,6 +75,287 @@ describe('GameController', () => {
     });
   });
 
+  describe('seeds', () => {
+    test('should record the seed of every practice game', () => {
+      const gameState = gameController.startNewGame();
+      
+      expect(Random.isSeed(gameState.getSeed())).toBe(true);
+      expect(GameController.getWordForSeed(dictionary, gameState.getSeed(), { length: 5 })).toBe(gameState.getTargetWord());
+    });
+
+    test('should replay the same target from the same seed', () => {
+      const first = gameController.startNewGame({ seed: 1234, hardMode: true });
+      const replay = new GameController(dictionary).startNewGame({ seed: 1234 });
+      
+      expect(replay.getTargetWord()).toBe(first.getTargetWord());
+      expect(replay.getSeed()).toBe(1234);
+    });
+
+    test('should play the same games from the same random source', () => {
+      const play = () => {
+        const controller = new GameController(dictionary, { random: Random.mulberry32(42) });
+        return [1, 2, 3, 4].map(() => controller.startNewGame().getTargetWord());
+      };
+      
+      expect(play()).toEqual(play());
+    });
+
+    test('should leave daily games without a seed', () => {
+      expect(gameController.startNewGame({ mode: 'daily' }).getSeed()).toBeNull();
+    });
+
+    test('should use the seed over the answer history', () => {
+      const answerHistory = new AnswerHistory(createMemoryStorage());
+      const historyController = new GameController(dictionary, { answerHistory });
+      
+      const gameState = historyController.startNewGame({ seed: 1 });
+      
+      expect(gameState.getTargetWord()).toBe('delta');
+      expect(answerHistory.getRecent({ length: 5 })).toEqual([]);
+    });
+
+    test('should throw error for an invalid seed or random source', () => {
+      expect(() => gameController.startNewGame({ seed: -5 })).toThrow('Seed must be an integer from 0 to 4294967295');
+      expect(() => new GameController(dictionary, { random: 'dice' })).toThrow('Random source must be a function');
+    });
+  });
+
+  describe('answer history', () => {
+    test('should not repeat a practice target until every answer has been used', () => {
+      const historyController = new GameController(dictionary, { answerHistory: new AnswerHistory(createMemoryStorage()) });
+      
+      const targets = [];
+      for (let i = 0; i < 5; i++) {
+        targets.push(historyController.startNewGame().getTargetWord());
+      }
+      
+      expect(targets.sort()).toEqual(['apple', 'bread', 'crane', 'delta', 'eagle']);
+    });
+
+    test('should leave daily targets to the date', () => {
+      const answerHistory = new AnswerHistory(createMemoryStorage());
+      const historyController = new GameController(dictionary, { answerHistory });
+      const date = new Date('2024-03-01T12:00:00Z');
+      
+      const daily = historyController.startNewGame({ mode: 'daily', date }).getTargetWord();
+      
+      expect(gameController.startNewGame({ mode: 'daily', date }).getTargetWord()).toBe(daily);
+      expect(answerHistory.getRecent()).toEqual([]);
+    });
+  });
+
+  describe('startNewGame in daily mode', () => {
+    test('should default to practice mode without a puzzle number', () => {
+      const gameState = gameController.startNewGame();
+      
+      expect(gameState.getMode()).toBe('practice');
+      expect(gameState.getPuzzleNumber()).toBeNull();
+    });
+
+    test('should record the mode and puzzle number for daily games', () => {
+      const date = new Date('2025-01-05T12:00:00Z');
+      const gameState = gameController.startNewGame({ mode: 'daily', date });
+      
+      expect(gameState.getMode()).toBe('daily');
+      expect(gameState.getPuzzleNumber()).toBe(5);
+    });
+
+    test('should pick the same target word for everyone on the same day', () => {
+      const date = new Date('2025-07-04T09:30:00Z');
+      const otherController = new GameController(new Dictionary(['apple', 'bread', 'crane', 'delta', 'eagle']));
+      
+      const first = gameController.startNewGame({ mode: 'daily', date }).getTargetWord();
+      const second = otherController.startNewGame({ mode: 'daily', date: new Date('2025-07-04T22:00:00Z') }).getTargetWord();
+      
+      expect(second).toBe(first);
+    });
+
+    test('should use the configured time zone for rollover', () => {
+      const date = new Date('2025-07-05T02:00:00Z');
+      const utcController = new GameController(dictionary);
+      const nyController = new GameController(dictionary, { dailyTimeZone: 'America/New_York' });
+      
+      const utcPuzzle = utcController.startNewGame({ mode: 'daily', date }).getPuzzleNumber();
+      const nyPuzzle = nyController.startNewGame({ mode: 'daily', date }).getPuzzleNumber();
+      
+      expect(nyPuzzle).toBe(utcPuzzle - 1);
+    });
+
+    test('should reject an unknown mode', () => {
+      expect(() => gameController.startNewGame({ mode: 'weekly' })).toThrow('Mode must be "practice" or "daily"');
+    });
+  });
+
+  describe('difficulty', () => {
+    let tieredController;
+
+    beforeEach(() => {
+      tieredController = new GameController(new Dictionary(
+        ['about', 'water', 'crane', 'zesty'],
+        ['aalii'],
+        { frequencies: { about: 6.5, water: 5.4, crane: 4.5, zesty: 2.2 } }
+      ));
+    });
+
+    test('should default to normal difficulty', () => {
+      expect(tieredController.startNewGame().getDifficulty()).toBe('normal');
+    });
+
+    test('should draw the target from the chosen tier', () => {
+      for (let i = 0; i < 20; i++) {
+        const gameState = tieredController.startNewGame({ difficulty: 'easy' });
+        
+        expect(gameState.getDifficulty()).toBe('easy');
+        expect(['about', 'water']).toContain(gameState.getTargetWord());
+      }
+    });
+
+    test('should apply difficulty to the daily puzzle', () => {
+      const gameState = tieredController.startNewGame({ mode: 'daily', difficulty: 'easy' });
+      
+      expect(['about', 'water']).toContain(gameState.getTargetWord());
+    });
+
+    test('should allow any valid word as the target on hard', () => {
+      const targets = new Set();
+      for (let i = 0; i < 200; i++) {
+        targets.add(tieredController.startNewGame({ difficulty: 'hard' }).getTargetWord());
+      }
+      
+      expect(targets.has('aalii')).toBe(true);
+    });
+  });
+
+  describe('word length', () => {
+    let mixedController;
+
+    beforeEach(() => {
+      mixedController = new GameController(new Dictionary(['bark', 'cord', 'apple', 'banana', 'cactus']));
+    });
+
+    test('should pick a target of the requested length', () => {
+      const gameState = mixedController.startNewGame({ wordLength: 6 });
+      
+      expect(gameState.getWordLength()).toBe(6);
+      expect(gameState.getTargetWord()).toHaveLength(6);
+    });
+
+    test('should pick a daily target of the requested length', () => {
+      const gameState = mixedController.startNewGame({ mode: 'daily', wordLength: 4 });
+      
+      expect(['bark', 'cord']).toContain(gameState.getTargetWord());
+    });
+
+    test('should validate guesses against the game word length', () => {
+      mixedController.startNewGame({ wordLength: 4 });
+      
+      expect(mixedController.submitGuess('apple').error).toBe('Word must be exactly 4 letters');
+      expect(mixedController.submitGuess('bark').success).toBe(true);
+    });
+
+    test('should throw error when the dictionary has no words of that length', () => {
+      expect(() => mixedController.startNewGame({ wordLength: 8 })).toThrow('Dictionary has no 8-letter words');
+    });
+  });
+
+  describe('submitGuess in Hard Mode', () => {
+    let hardController;
+
+    beforeEach(() => {
+      // Single-word answer pool so the target is known
+      hardController = new GameController(new Dictionary(['crate', 'crane', 'trace', 'tweak', 'xylyl']));
+      jest.spyOn(hardController.dictionary, 'getRandomWord').mockReturnValue('crate');
+    });
+
+    test('should be off by default', () => {
+      const gameState = hardController.startNewGame();
+      
+      expect(gameState.isHardMode()).toBe(false);
+      hardController.submitGuess('crane');
+      expect(hardController.submitGuess('xylyl').success).toBe(true);
+    });
+
+    test('should record Hard Mode on the game state', () => {
+      const gameState = hardController.startNewGame({ hardMode: true });
+      
+      expect(gameState.isHardMode()).toBe(true);
+    });
+
+    test('should reject a guess that moves a green letter', () => {
+      hardController.startNewGame({ hardMode: true });
+      hardController.submitGuess('crane');
+      
+      const result = hardController.submitGuess('trace');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('1st letter must be C');
+      expect(result.gameStatus).toBe('in-progress');
+      expect(hardController.getGameState().getGuesses()).toHaveLength(1);
+    });
+
+    test('should reject a guess that drops a yellow letter', () => {
+      hardController.startNewGame({ hardMode: true });
+      hardController.submitGuess('tweak');
+      
+      const result = hardController.submitGuess('xylyl');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Guess must contain T');
+    });
+
+    test('should accept a guess that reuses every hint', () => {
+      hardController.startNewGame({ hardMode: true });
+      hardController.submitGuess('crane');
+      
+      const result = hardController.submitGuess('crate');
+      
+      expect(result.success).toBe(true);
+      expect(result.gameStatus).toBe('won');
+    });
+
+    test('should check dictionary membership before Hard Mode rules', () => {
+      hardController.startNewGame({ hardMode: true });
+      hardController.submitGuess('crane');
+      
+      expect(hardController.submitGuess('zzzzz').error).toBe('Not a valid word');
+    });
+  });
+
+  describe('submitGuess in Fibble games', () => {
+    test('should show one lying tile per row and keep the truth', () => {
+      const gameState = gameController.startNewGame({ seed: 1234, fibble: true });
+      const guessWord = gameState.getTargetWord() === 'crane' ? 'apple' : 'crane';
+      
+      const { guess } = gameController.submitGuess(guessWord);
+      
+      expect(gameState.isFibble()).toBe(true);
+      expect(guess.getTrueFeedback()).toEqual(FeedbackGenerator.generateFeedback(guessWord, gameState.getTargetWord()));
+      expect(guess.getFeedback()).toEqual(FibbleFeedback.lie(guess.getTrueFeedback(), 1234, 0));
+      expect(guess.hasLie()).toBe(true);
+    });
+
+    test('should tell the truth about the winning guess', () => {
+      const gameState = gameController.startNewGame({ fibble: true });
+      
+      const result = gameController.submitGuess(gameState.getTargetWord());
+      
+      expect(result.gameStatus).toBe('won');
+      expect(result.guess.hasLie()).toBe(false);
+    });
+
+    test('should lie the same way to every player of a daily puzzle', () => {
+      const date = new Date('2024-03-01T12:00:00Z');
+      const play = () => {
+        const controller = new GameController(dictionary);
+        const gameState = controller.startNewGame({ mode: 'daily', date, fibble: true });
+        return ['apple', 'bread', 'crane'].filter(word => word !== gameState.getTargetWord())
+          .map(word => controller.submitGuess(word).guess.getFeedback());
+      };
+      
+      expect(play()).toEqual(play());
+    });
+  });
+
   describe('submitGuess', () => {
     beforeEach(() => {
       gameController.startNewGame();
@@ -99,8 +402,8 @@ describe('GameController', () => {
     });
 
     test('should normalize case when submitting guess', () => {
-      // Start a new game to ensure clean state
-      gameController.startNewGame();
+      // Seed 1 picks DELTA, so neither guess ends the game
+      gameController.startNewGame({ seed: 1 });
       
       const result1 = gameController.submitGuess('APPLE');
       expect(result1.success).toBe(true);
@@ -176,6 +479,31 @@ describe('GameController', () => {
     });
   });
 
+  describe('resumeGame', () => {
+    test('should continue a saved game from where it left off', () => {
+      const saved = new GameState('crane');
+      
+      expect(gameController.resumeGame(saved)).toBe(saved);
+      
+      const result = gameController.submitGuess('crane');
+      expect(result.success).toBe(true);
+      expect(result.gameStatus).toBe('won');
+    });
+
+    test('should throw error for anything other than a GameState', () => {
+      expect(() => gameController.resumeGame({ targetWord: 'crane' })).toThrow('Can only resume a GameState');
+    });
+  });
+
+  describe('getDailyPuzzleNumber', () => {
+    test('should use the controller time zone', () => {
+      const date = new Date('2025-03-10T03:00:00Z');
+      const newYorkController = new GameController(dictionary, { dailyTimeZone: 'America/New_York' });
+      
+      expect(newYorkController.getDailyPuzzleNumber(date)).toBe(gameController.getDailyPuzzleNumber(date) - 1);
+    });
+  });
+
   describe('Property-Based Tests', () => {
     const fc = require('fast-check');
 
@@ -593,5 +921,41 @@ describe('GameController', () => {
         { numRuns: 100 }
       );
     });
+
+    /**
+     * Feature: hard-wordle, Property: Seed replay
+     *
+     * For any word list, settings and seed, a practice game started from the
+     * seed a game recorded has the same target, whatever the controller's
+     * random source or answer history.
+     */
+    test('Property: Seed replay - a recorded seed picks the same target again', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcdefgh'), { minLength: 4, maxLength: 6 });
+      
+      fc.assert(
+        fc.property(
+          fc.array(wordArb, { minLength: 1, maxLength: 30 }),
+          fc.constantFrom(4, 5, 6),
+          fc.constantFrom('easy', 'normal', 'hard'),
+          fc.integer({ min: 0, max: Random.MAX_SEED }),
+          fc.boolean(),
+          (words, wordLength, difficulty, randomSeed, withHistory) => {
+            const testDict = new Dictionary(words);
+            fc.pre(testDict.getTargetCount({ length: wordLength, difficulty }) > 0);
+            
+            const controller = new GameController(testDict, {
+              random: Random.mulberry32(randomSeed),
+              answerHistory: withHistory ? new AnswerHistory(createMemoryStorage()) : null
+            });
+            const original = controller.startNewGame({ wordLength, difficulty });
+            const replay = new GameController(testDict).startNewGame({ wordLength, difficulty, seed: original.getSeed() });
+            
+            expect(replay.getTargetWord()).toBe(original.getTargetWord());
+            expect(replay.getSeed()).toBe(original.getSeed());
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
   });
 });
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Integration tests for the game server
+ * Runs the real HTTP server on a free port and talks to it with fetch
+ */
+
+const GameServer = require('../server/GameServer');
+const GameService = require('../server/GameService');
+const GameApiClient = require('../src/GameApiClient');
+const RemoteGameController = require('../src/RemoteGameController');
+const Dictionary = require('../src/Dictionary');
+
+describe('GameServer Integration Tests', () => {
+  let server;
+  let baseUrl;
+  const dictionary = new Dictionary(['apple'], ['crane', 'bread']);
+
+  beforeAll(async () => {
+    server = new GameServer(new GameService(dictionary));
+    const port = await server.listen(0, '127.0.0.1');
+    baseUrl = `http://127.0.0.1:${port}/api`;
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  const post = (path, body, headers = { 'Content-Type': 'application/json' }) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  test('should answer the health check', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ status: 'ok' });
+  });
+
+  test('should play a game over HTTP without revealing the target early', async () => {
+    const created = await post('/games', { wordLength: 5 });
+    expect(created.status).toBe(201);
+    const game = await created.json();
+    expect(game.targetWord).toBeNull();
+    
+    const missResponse = await post(`/games/${game.id}/guesses`, { word: 'crane' });
+    expect(missResponse.status).toBe(200);
+    const miss = await missResponse.json();
+    expect(miss.guess.feedback.map(entry => entry.status)).toEqual(['absent', 'absent', 'present', 'absent', 'correct']);
+    expect(JSON.stringify(miss)).not.toContain('apple');
+    
+    const state = await (await fetch(`${baseUrl}/games/${game.id}`)).json();
+    expect(state.guesses).toHaveLength(1);
+    
+    const hit = await (await post(`/games/${game.id}/guesses`, { word: 'apple' })).json();
+    expect(hit.gameStatus).toBe('won');
+    expect(hit.game.targetWord).toBe('apple');
+  });
+
+  test('should reject an invalid guess with 422', async () => {
+    const game = await (await post('/games', {})).json();
+    
+    const response = await post(`/games/${game.id}/guesses`, { word: 'zzzzz' });
+    expect(response.status).toBe(422);
+    expect(await response.json()).toMatchObject({ success: false, error: 'Not a valid word' });
+  });
+
+  test('should report bad requests', async () => {
+    const badSettings = await post('/games', { wordLength: 12 });
+    expect(badSettings.status).toBe(400);
+    expect((await badSettings.json()).error).toBe('Dictionary has no 12-letter words');
+    
+    const badJson = await post('/games', '{not json');
+    expect(badJson.status).toBe(400);
+    expect(await badJson.json()).toEqual({ error: 'Request body must be a JSON object' });
+    
+    const tooLarge = await post('/games', JSON.stringify({ padding: 'x'.repeat(GameServer.MAX_BODY_SIZE) }));
+    expect(tooLarge.status).toBe(413);
+  });
+
+  test('should return 404 for unknown games and routes', async () => {
+    expect((await fetch(`${baseUrl}/games/missing`)).status).toBe(404);
+    expect((await post('/games/missing/guesses', { word: 'apple' })).status).toBe(404);
+    expect((await fetch(`${baseUrl}/nothing`)).status).toBe(404);
+  });
+
+  test('should return 405 with the allowed methods for the wrong method', async () => {
+    const response = await fetch(`${baseUrl}/games`);
+    
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST');
+  });
+
+  test('should work end to end through GameApiClient and RemoteGameController', async () => {
+    const controller = new RemoteGameController(new GameApiClient(baseUrl), dictionary);
+    
+    const gameState = await controller.startNewGame();
+    expect(gameState.getTargetWord()).not.toBe('apple');
+    
+    const result = await controller.submitGuess('apple');
+    expect(result.success).toBe(true);
+    expect(controller.getGameState().getGameStatus()).toBe('won');
+    expect(controller.getGameState().getTargetWord()).toBe('apple');
+  });
+});
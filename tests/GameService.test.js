@@ -0,0 +1,147 @@
+/**
+ * Tests for GameService class
+ * Includes both unit tests and property-based tests
+ */
+
+const GameService = require('../server/GameService');
+const Dictionary = require('../src/Dictionary');
+const fc = require('fast-check');
+
+describe('GameService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GameService(new Dictionary(['apple'], ['crane', 'bread']));
+  });
+
+  describe('Unit Tests', () => {
+    test('should require a dictionary and a sensible game limit', () => {
+      expect(() => new GameService(null)).toThrow('Dictionary is required');
+      expect(() => new GameService(new Dictionary(['apple']), { maxGames: 0 })).toThrow('Max games must be a positive integer');
+    });
+
+    test('should create a game without revealing its target', () => {
+      const game = service.createGame({ hardMode: true });
+      
+      expect(typeof game.id).toBe('string');
+      expect(game.id).not.toContain('apple');
+      expect(game.targetWord).toBeNull();
+      expect(game.seed).toBeNull();
+      expect(JSON.stringify(game)).not.toContain('apple');
+      expect(game).toMatchObject({ mode: 'practice', hardMode: true, wordLength: 5, gameStatus: 'in-progress', guesses: [] });
+    });
+
+    test('should hand out a different ID for every game', () => {
+      const ids = new Set([service.createGame().id, service.createGame().id, service.createGame().id]);
+      
+      expect(ids.size).toBe(3);
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => service.createGame({ wordLength: 12 })).toThrow('Dictionary has no 12-letter words');
+      expect(() => service.createGame({ mode: 'absurdle' })).toThrow('Mode must be');
+      expect(() => service.createGame({ hardMode: 'yes' })).toThrow('hardMode must be a boolean');
+    });
+
+    test('should ignore a client-chosen date for the daily puzzle', () => {
+      const game = service.createGame({ mode: 'daily', date: new Date('2020-01-01T00:00:00Z') });
+      
+      expect(game.puzzleNumber).toBe(new GameService(new Dictionary(['apple'])).createGame({ mode: 'daily' }).puzzleNumber);
+    });
+
+    test('should apply guesses with feedback and reveal the target when the game ends', () => {
+      const { id } = service.createGame();
+      
+      const miss = service.submitGuess(id, 'CRANE');
+      expect(miss.success).toBe(true);
+      expect(miss.guess.word).toBe('crane');
+      expect(miss.guess.feedback[2]).toEqual({ letter: 'a', status: 'present' });
+      expect(miss.game.targetWord).toBeNull();
+      
+      const hit = service.submitGuess(id, 'apple');
+      expect(hit.gameStatus).toBe('won');
+      expect(hit.game.targetWord).toBe('apple');
+      expect(hit.game.seed).toBeNull();
+      expect(service.getGame(id).guesses).toHaveLength(2);
+    });
+
+    test('should only reveal which tile lied once a Fibble game ends', () => {
+      const { id, fibble } = service.createGame({ fibble: true });
+      
+      const miss = service.submitGuess(id, 'crane');
+      expect(fibble).toBe(true);
+      expect(miss.guess).not.toHaveProperty('trueFeedback');
+      expect(service.getGame(id).guesses[0]).not.toHaveProperty('trueFeedback');
+      
+      const hit = service.submitGuess(id, 'apple');
+      expect(hit.game.guesses[0].trueFeedback.map(entry => entry.status)).toEqual(['absent', 'absent', 'present', 'absent', 'correct']);
+      expect(hit.guess.trueFeedback).toEqual(hit.guess.feedback);
+      expect(() => service.createGame({ fibble: 'yes' })).toThrow('fibble must be a boolean');
+    });
+
+    test('should report rejected guesses without changing the game', () => {
+      const { id } = service.createGame();
+      
+      expect(service.submitGuess(id, 'zzzzz')).toMatchObject({ success: false, error: 'Not a valid word', gameStatus: 'in-progress' });
+      expect(service.submitGuess(id, 42)).toMatchObject({ success: false, error: 'Please enter a word' });
+      expect(service.getGame(id).guesses).toEqual([]);
+    });
+
+    test('should return null for unknown games', () => {
+      expect(service.getGame('missing')).toBeNull();
+      expect(service.submitGuess('missing', 'apple')).toBeNull();
+    });
+
+    test('should drop the least recently used game beyond the limit', () => {
+      let next = 0;
+      const limited = new GameService(new Dictionary(['apple']), { maxGames: 2, generateId: () => `game-${next++}` });
+      limited.createGame();
+      limited.createGame();
+      
+      // Using game-0 makes game-1 the oldest
+      limited.getGame('game-0');
+      limited.createGame();
+      
+      expect(limited.getGameCount()).toBe(2);
+      expect(limited.getGame('game-0')).not.toBeNull();
+      expect(limited.getGame('game-1')).toBeNull();
+      expect(limited.getGame('game-2')).not.toBeNull();
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const answers = ['apple', 'bread', 'crane', 'dance', 'eagle'];
+
+    /**
+     * Feature: hard-wordle, Property: Hidden target
+     *
+     * For any sequence of guesses, the target is absent from every view of
+     * the game until the game is over, and present once it is.
+     */
+    test('Property: Hidden target - the target only appears once the game is over', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.constantFrom(...answers), { minLength: 1, maxLength: 8 }),
+          (guesses) => {
+            const gameService = new GameService(new Dictionary(answers));
+            const { id } = gameService.createGame();
+            const target = gameService.games.get(id).getGameState().getTargetWord();
+            
+            guesses.forEach(word => {
+              const result = gameService.submitGuess(id, word);
+              const view = result.game;
+              
+              if (view.gameStatus === 'in-progress') {
+                expect(view.targetWord).toBeNull();
+                expect(JSON.stringify(result)).not.toContain(target);
+              } else {
+                expect(answers).toContain(view.targetWord);
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -40,6 +40,19 @@ describe('GameState', () => {
       expect(() => new GameState('elephant')).toThrow('Target word must be exactly 5 letters');
     });
 
+    test('should accept other word lengths when configured', () => {
+      const gameState = new GameState('elephant', 6, { wordLength: 8 });
+      
+      expect(gameState.getWordLength()).toBe(8);
+      expect(new GameState('apple').getWordLength()).toBe(5);
+      expect(() => new GameState('elephant', 6, { wordLength: 7 })).toThrow('Target word must be exactly 7 letters');
+    });
+
+    test('should throw error if word length is out of range', () => {
+      expect(() => new GameState('cat', 6, { wordLength: 3 })).toThrow('Word length must be between 4 and 8');
+      expect(() => new GameState('elephants', 6, { wordLength: 9 })).toThrow('Word length must be between 4 and 8');
+    });
+
     test('should throw error if maxAttempts is not a positive number', () => {
       expect(() => new GameState('apple', 0)).toThrow('Max attempts must be a positive number');
       expect(() => new GameState('apple', -1)).toThrow('Max attempts must be a positive number');
@@ -47,6 +60,35 @@ describe('GameState', () => {
     });
   });
 
+  describe('mode and puzzle number', () => {
+    test('should default to practice mode with no puzzle number', () => {
+      const gameState = new GameState('apple');
+      
+      expect(gameState.getMode()).toBe('practice');
+      expect(gameState.getPuzzleNumber()).toBeNull();
+    });
+
+    test('should store the daily mode and puzzle number', () => {
+      const gameState = new GameState('apple', 6, { mode: 'daily', puzzleNumber: 12 });
+      
+      expect(gameState.getMode()).toBe('daily');
+      expect(gameState.getPuzzleNumber()).toBe(12);
+    });
+
+    test('should default to normal difficulty', () => {
+      expect(new GameState('apple').getDifficulty()).toBe('normal');
+      expect(new GameState('apple', 6, { difficulty: 'hard' }).getDifficulty()).toBe('hard');
+    });
+
+    test('should throw error for an unknown difficulty', () => {
+      expect(() => new GameState('apple', 6, { difficulty: 'extreme' })).toThrow('Difficulty must be one of: easy, normal, hard');
+    });
+
+    test('should throw error for an unknown mode', () => {
+      expect(() => new GameState('apple', 6, { mode: 'weekly' })).toThrow('Mode must be "practice" or "daily"');
+    });
+  });
+
   describe('addGuess', () => {
     test('should add a guess to the game state', () => {
       const gameState = new GameState('apple');
@@ -186,6 +228,183 @@ describe('GameState', () => {
     });
   });
 
+  describe('timing', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should record the start time and report duration once the game ends', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const gameState = new GameState('apple');
+      
+      expect(gameState.startedAt).toBe(1000);
+      expect(gameState.getDuration()).toBeNull();
+      
+      Date.now.mockReturnValue(46000);
+      gameState.addGuess(new Guess('apple', FeedbackGenerator.generateFeedback('apple', 'apple')));
+      
+      expect(gameState.completedAt).toBe(46000);
+      expect(gameState.getDuration()).toBe(45000);
+    });
+
+    test('should report no duration when the start time is unknown', () => {
+      const gameState = new GameState('apple', 1, { startedAt: null });
+      gameState.addGuess(new Guess('crane', FeedbackGenerator.generateFeedback('crane', 'apple')));
+      
+      expect(gameState.isGameOver()).toBe(true);
+      expect(gameState.getDuration()).toBeNull();
+    });
+
+    test('should throw error for an invalid start time', () => {
+      expect(() => new GameState('apple', 6, { startedAt: 'now' })).toThrow('Start time must be a timestamp or null');
+    });
+
+    test('should not combine Fibble with Hard Mode', () => {
+      expect(new GameState('apple').isFibble()).toBe(false);
+      expect(new GameState('apple', 6, { fibble: true }).isFibble()).toBe(true);
+      expect(() => new GameState('apple', 6, { fibble: true, hardMode: true })).toThrow('Hard Mode cannot be combined with Fibble');
+    });
+});
+
+  describe('serialization', () => {
+    const makeGuess = (word, target) => new Guess(word, FeedbackGenerator.generateFeedback(word, target));
+
+    test('should serialize settings, status and guesses', () => {
+      const gameState = new GameState('apple', 6, { mode: 'daily', puzzleNumber: 7, hardMode: true, difficulty: 'easy' });
+      gameState.addGuess(makeGuess('crane', 'apple'));
+      
+      const data = JSON.parse(JSON.stringify(gameState));
+      
+      expect(data).toEqual({
+        version: GameState.SCHEMA_VERSION,
+        targetWord: 'apple',
+        maxAttempts: 6,
+        mode: 'daily',
+        puzzleNumber: 7,
+        hardMode: true,
+        wordLength: 5,
+        difficulty: 'easy',
+        gameStatus: 'in-progress',
+        guesses: [makeGuess('crane', 'apple').toJSON()],
+        startedAt: gameState.startedAt,
+        completedAt: null,
+        seed: null,
+        fibble: false
+      });
+    });
+
+    test('should keep the seed the target was picked with', () => {
+      const restored = GameState.fromJSON(new GameState('apple', 6, { seed: 1234 }).toJSON());
+      
+      expect(restored.getSeed()).toBe(1234);
+    });
+
+    test('should restore an equivalent game', () => {
+      const gameState = new GameState('banana', 6, { wordLength: 6, difficulty: 'hard' });
+      gameState.addGuess(makeGuess('cactus', 'banana'));
+      gameState.addGuess(makeGuess('banana', 'banana'));
+      
+      const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState)));
+      
+      expect(restored).toBeInstanceOf(GameState);
+      expect(restored.getGameStatus()).toBe('won');
+      expect(restored.getWordLength()).toBe(6);
+      expect(restored.getDifficulty()).toBe('hard');
+      expect(restored.getGuesses().map(g => g.getWord())).toEqual(['cactus', 'banana']);
+      expect(restored.getGuesses()[0]).toBeInstanceOf(Guess);
+    });
+
+    test('should keep the original timestamps', () => {
+      const gameState = new GameState('apple', 6, { startedAt: 1000 });
+      gameState.addGuess(makeGuess('apple', 'apple'));
+      gameState.completedAt = 61000;
+      
+      const restored = GameState.fromJSON(gameState.toJSON());
+      
+      expect(restored.startedAt).toBe(1000);
+      expect(restored.completedAt).toBe(61000);
+      expect(restored.getDuration()).toBe(60000);
+    });
+
+    test('should accept saves written before timestamps were recorded', () => {
+      const data = new GameState('apple').toJSON();
+      delete data.startedAt;
+      delete data.completedAt;
+      
+      const restored = GameState.fromJSON(data);
+      
+      expect(restored.startedAt).toBeNull();
+      expect(restored.completedAt).toBeNull();
+    });
+
+    test('should accept saves written before seeds were recorded', () => {
+      const data = new GameState('apple', 6, { seed: 1234 }).toJSON();
+      delete data.seed;
+      
+      expect(GameState.fromJSON(data).getSeed()).toBeNull();
+    });
+
+    test('should keep Fibble games and the true feedback of their guesses', () => {
+      const gameState = new GameState('apple', 6, { fibble: true });
+      gameState.addGuess(new Guess('crane', [
+        { letter: 'c', status: 'absent' },
+        { letter: 'r', status: 'absent' },
+        { letter: 'a', status: 'correct' },
+        { letter: 'n', status: 'absent' },
+        { letter: 'e', status: 'correct' }
+      ], FeedbackGenerator.generateFeedback('crane', 'apple')));
+      
+      const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState)));
+      
+      expect(restored.isFibble()).toBe(true);
+      expect(restored.getGuesses()[0].getLieIndex()).toBe(2);
+    });
+
+    test('should accept saves written before Fibble was added', () => {
+      const data = new GameState('apple').toJSON();
+      delete data.fibble;
+      
+      expect(GameState.fromJSON(data).isFibble()).toBe(false);
+    });
+
+    test('should reject data from an unsupported schema version', () => {
+      const data = new GameState('apple').toJSON();
+      data.version = 99;
+      
+      expect(() => GameState.fromJSON(data)).toThrow('unsupported version 99');
+    });
+
+    test('should reject non-object data', () => {
+      expect(() => GameState.fromJSON('apple')).toThrow('Invalid game data: expected an object');
+    });
+
+    test('should reject invalid settings', () => {
+      const data = new GameState('apple').toJSON();
+      
+      expect(() => GameState.fromJSON({ ...data, guesses: 'none' })).toThrow('guesses must be an array');
+      expect(() => GameState.fromJSON({ ...data, puzzleNumber: 'seven' })).toThrow('puzzle number must be an integer or null');
+      expect(() => GameState.fromJSON({ ...data, hardMode: 'yes' })).toThrow('hardMode must be a boolean');
+      expect(() => GameState.fromJSON({ ...data, fibble: 1 })).toThrow('fibble must be a boolean');
+      expect(() => GameState.fromJSON({ ...data, targetWord: 'pear' })).toThrow('Target word must be exactly 5 letters');
+      expect(() => GameState.fromJSON({ ...data, mode: 'weekly' })).toThrow('Mode must be "practice" or "daily"');
+      expect(() => GameState.fromJSON({ ...data, seed: -1 })).toThrow('Seed must be an integer from 0 to 4294967295 or null');
+    });
+
+    test('should reject a guess of the wrong length', () => {
+      const data = new GameState('apple').toJSON();
+      data.guesses = [makeGuess('cactus', 'banana').toJSON()];
+      
+      expect(() => GameState.fromJSON(data)).toThrow('guess length does not match word length');
+    });
+
+    test('should reject a saved status that disagrees with the guesses', () => {
+      const data = new GameState('apple').toJSON();
+      data.guesses = [makeGuess('apple', 'apple').toJSON()];
+      
+      expect(() => GameState.fromJSON(data)).toThrow('game status does not match guesses');
+    });
+  });
+
   describe('Property-Based Tests', () => {
     /**
      * Feature: hard-wordle, Property 2: Initial state consistency
@@ -429,5 +648,38 @@ describe('GameState', () => {
         { numRuns: 100 }
       );
     });
+
+    /**
+     * Feature: hard-wordle, Property: Serialization round trip
+     *
+     * For any game, restoring its serialized form must give the same
+     * serialized form back.
+     */
+    test('Property: Serialization round trip - fromJSON(toJSON(state)) preserves the game', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcde'), { minLength: 5, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(
+          wordArb,
+          fc.array(wordArb, { minLength: 0, maxLength: 8 }),
+          fc.integer({ min: 1, max: 8 }),
+          fc.boolean(),
+          (targetWord, words, maxAttempts, hardMode) => {
+            const gameState = new GameState(targetWord, maxAttempts, { hardMode });
+            
+            for (const word of words) {
+              if (gameState.isGameOver()) break;
+              gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, targetWord)));
+            }
+            
+            const data = JSON.parse(JSON.stringify(gameState));
+            const restored = GameState.fromJSON(data);
+            
+            expect(restored.toJSON()).toEqual(data);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
   });
 });
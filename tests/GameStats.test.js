@@ -0,0 +1,204 @@
+/**
+ * Tests for GameStats class
+ * Includes both unit tests and property-based tests
+ */
+
+const GameStats = require('../src/GameStats');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const { createMemoryStorage } = require('./testUtils');
+const fc = require('fast-check');
+
+/**
+ * Play a finished game
+ * @param {string} target - Target word
+ * @param {string[]} words - Guesses to make, in order
+ * @param {Object} [options] - GameState options
+ */
+function playGame(target, words, options = {}) {
+  const gameState = new GameState(target, 6, options);
+  words.forEach(word => gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target))));
+  return gameState;
+}
+
+const win = (guesses) => ({ won: true, guesses, maxAttempts: 6, duration: null });
+const loss = () => ({ won: false, guesses: 6, maxAttempts: 6, duration: null });
+
+describe('GameStats', () => {
+  let storage;
+  let gameStats;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    gameStats = new GameStats(storage);
+  });
+
+  describe('Unit Tests', () => {
+    test('should require a storage backend', () => {
+      expect(() => new GameStats({})).toThrow('Storage must provide getItem, setItem and removeItem');
+    });
+
+    test('should start with an empty summary', () => {
+      expect(gameStats.getSummary()).toEqual({
+        played: 0,
+        wins: 0,
+        winPercentage: 0,
+        currentStreak: 0,
+        maxStreak: 0,
+        distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 },
+        averageDuration: null
+      });
+    });
+
+    test('should record the details of a finished game', () => {
+      const gameState = playGame('apple', ['crane', 'apple'], { mode: 'daily', puzzleNumber: 12, difficulty: 'easy', startedAt: 1000 });
+      gameState.completedAt = 31000;
+      
+      const record = gameStats.recordGame(gameState);
+      
+      expect(record).toEqual({
+        mode: 'daily',
+        puzzleNumber: 12,
+        targetWord: 'apple',
+        wordLength: 5,
+        difficulty: 'easy',
+        hardMode: false,
+        fibble: false,
+        guesses: 2,
+        maxAttempts: 6,
+        won: true,
+        duration: 30000,
+        completedAt: 31000,
+        analysis: null
+      });
+      expect(gameStats.getRecords()).toEqual([record]);
+    });
+
+    test('should keep the analysis with the record', () => {
+      const analysis = [{ word: 'apple', candidatesBefore: 3, candidatesAfter: 1, bitsGained: 1.58 }];
+      
+      gameStats.recordGame(playGame('apple', ['apple']), analysis);
+      
+      expect(gameStats.getRecords()[0].analysis).toEqual(analysis);
+    });
+
+    test('should record each daily puzzle once', () => {
+      const first = gameStats.recordGame(playGame('apple', ['crane', 'apple'], { mode: 'daily', puzzleNumber: 12 }));
+      const replay = gameStats.recordGame(playGame('apple', ['apple'], { mode: 'daily', puzzleNumber: 12 }));
+      gameStats.recordGame(playGame('apple', ['apple'], { mode: 'daily', puzzleNumber: 13 }));
+      
+      expect(replay).toEqual(first);
+      expect(gameStats.getRecords().map(record => record.puzzleNumber)).toEqual([12, 13]);
+      expect(gameStats.getSummary().distribution[1]).toBe(1);
+    });
+
+    test('should record every practice game', () => {
+      gameStats.recordGame(playGame('apple', ['apple']));
+      gameStats.recordGame(playGame('apple', ['apple']));
+      
+      expect(gameStats.getSummary().played).toBe(2);
+    });
+
+    test('should record Fibble games but leave them out of the summary', () => {
+      gameStats.recordGame(playGame('apple', ['apple']));
+      gameStats.recordGame(playGame('apple', ['crane', 'bread', 'eagle', 'delta', 'flame', 'grape'], { fibble: true }));
+      
+      expect(gameStats.getRecords().map(record => record.fibble)).toEqual([false, true]);
+      const summary = gameStats.getSummary();
+      expect(summary.played).toBe(1);
+      expect(summary.currentStreak).toBe(1);
+    });
+
+    test('should refuse to record an unfinished game', () => {
+      expect(() => gameStats.recordGame(new GameState('apple'))).toThrow('Only finished games can be recorded');
+    });
+
+    test('should keep the history across instances sharing storage', () => {
+      gameStats.recordGame(playGame('apple', ['apple']));
+      
+      expect(new GameStats(storage).getSummary().played).toBe(1);
+    });
+
+    test('should count a loss and reset the current streak', () => {
+      gameStats.recordGame(playGame('apple', ['apple']));
+      gameStats.recordGame(playGame('apple', ['crane', 'bread', 'eagle', 'delta', 'flame', 'grape']));
+      
+      const summary = gameStats.getSummary();
+      expect(summary.played).toBe(2);
+      expect(summary.wins).toBe(1);
+      expect(summary.winPercentage).toBe(50);
+      expect(summary.currentStreak).toBe(0);
+      expect(summary.maxStreak).toBe(1);
+    });
+
+    test('should ignore unreadable history', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage.setItem(GameStats.DEFAULT_KEY, '[1, 2');
+      
+      expect(gameStats.getRecords()).toEqual([]);
+      warn.mockRestore();
+    });
+
+    test('should clear the history', () => {
+      gameStats.recordGame(playGame('apple', ['apple']));
+      gameStats.clear();
+      
+      expect(gameStats.getSummary().played).toBe(0);
+    });
+  });
+
+  describe('summarize', () => {
+    test('should track current and longest win streaks', () => {
+      const summary = GameStats.summarize([win(3), win(4), loss(), win(2), win(5), win(3), loss(), win(1)]);
+      
+      expect(summary.currentStreak).toBe(1);
+      expect(summary.maxStreak).toBe(3);
+    });
+
+    test('should build a histogram of guesses needed to win', () => {
+      const summary = GameStats.summarize([win(3), win(3), win(6), loss()]);
+      
+      expect(summary.distribution).toEqual({ 1: 0, 2: 0, 3: 2, 4: 0, 5: 0, 6: 1 });
+    });
+
+    test('should round the win percentage', () => {
+      expect(GameStats.summarize([win(1), win(1), loss()]).winPercentage).toBe(67);
+    });
+
+    test('should average durations of timed games only', () => {
+      const summary = GameStats.summarize([{ ...win(2), duration: 10000 }, { ...loss(), duration: 20000 }, win(3)]);
+      
+      expect(summary.averageDuration).toBe(15000);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Stats consistency
+     *
+     * For any history, the distribution must account for every win, and
+     * the current streak can never exceed the longest streak.
+     */
+    test('Property: Stats consistency - totals, streaks and distribution agree', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.option(fc.integer({ min: 1, max: 6 }), { nil: null }), { maxLength: 50 }),
+          (results) => {
+            const records = results.map(guesses => (guesses === null ? loss() : win(guesses)));
+            const summary = GameStats.summarize(records);
+            const distributed = Object.values(summary.distribution).reduce((sum, count) => sum + count, 0);
+            
+            expect(summary.played).toBe(records.length);
+            expect(distributed).toBe(summary.wins);
+            expect(summary.currentStreak).toBeLessThanOrEqual(summary.maxStreak);
+            expect(summary.maxStreak).toBeLessThanOrEqual(summary.wins);
+            expect(summary.winPercentage).toBeGreaterThanOrEqual(0);
+            expect(summary.winPercentage).toBeLessThanOrEqual(100);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for GameStorage class
+ */
+
+const GameStorage = require('../src/GameStorage');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const { createMemoryStorage } = require('./testUtils');
+
+describe('GameStorage', () => {
+  let storage;
+  let gameStorage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    gameStorage = new GameStorage(storage);
+  });
+
+  test('should require a storage backend', () => {
+    expect(() => new GameStorage(null)).toThrow('Storage must provide getItem, setItem and removeItem');
+    expect(() => new GameStorage({ getItem: () => null })).toThrow('Storage must provide getItem, setItem and removeItem');
+  });
+
+  test('should return null when nothing is saved', () => {
+    expect(gameStorage.load()).toBeNull();
+  });
+
+  test('should save and load a game', () => {
+    const gameState = new GameState('apple', 6, { hardMode: true });
+    gameState.addGuess(new Guess('crane', FeedbackGenerator.generateFeedback('crane', 'apple')));
+    
+    expect(gameStorage.save(gameState)).toBe(true);
+    
+    const loaded = gameStorage.load();
+    expect(loaded).toBeInstanceOf(GameState);
+    expect(loaded.getTargetWord()).toBe('apple');
+    expect(loaded.isHardMode()).toBe(true);
+    expect(loaded.getGuesses().map(g => g.getWord())).toEqual(['crane']);
+  });
+
+  test('should use the default key unless given another', () => {
+    gameStorage.save(new GameState('apple'));
+    expect(storage.getItem(GameStorage.DEFAULT_KEY)).not.toBeNull();
+    
+    const custom = new GameStorage(storage, 'other');
+    custom.save(new GameState('bread'));
+    expect(JSON.parse(storage.getItem('other')).targetWord).toBe('bread');
+  });
+
+  test('should keep the latest daily game when practice games replace it', () => {
+    expect(gameStorage.loadDaily()).toBeNull();
+    
+    gameStorage.save(new GameState('apple', 6, { mode: 'daily', puzzleNumber: 3 }));
+    gameStorage.save(new GameState('bread'));
+    
+    expect(gameStorage.load().getTargetWord()).toBe('bread');
+    expect(gameStorage.loadDaily().getPuzzleNumber()).toBe(3);
+    expect(storage.getItem(`${GameStorage.DEFAULT_KEY}.daily`)).not.toBeNull();
+  });
+
+  test('should clear the saved game', () => {
+    gameStorage.save(new GameState('apple'));
+    gameStorage.clear();
+    
+    expect(gameStorage.load()).toBeNull();
+  });
+
+  test('should discard a save that is not valid JSON', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem(GameStorage.DEFAULT_KEY, '{not json');
+    
+    expect(gameStorage.load()).toBeNull();
+    expect(storage.getItem(GameStorage.DEFAULT_KEY)).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('should discard a save that fails validation', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const data = new GameState('apple').toJSON();
+    data.version = 0;
+    storage.setItem(GameStorage.DEFAULT_KEY, JSON.stringify(data));
+    
+    expect(gameStorage.load()).toBeNull();
+    expect(storage.getItem(GameStorage.DEFAULT_KEY)).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('should report failure when storage refuses the write', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    storage.setItem = () => { throw new Error('QuotaExceededError'); };
+    
+    expect(gameStorage.save(new GameState('apple'))).toBe(false);
+    error.mockRestore();
+  });
+});
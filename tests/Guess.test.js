@@ -60,4 +60,100 @@ describe('Guess', () => {
       new Guess('crane', feedback);
     }).toThrow('Feedback array length must match word length');
   });
+
+  describe('true feedback', () => {
+    const feedback = [
+      { letter: 'c', status: 'correct' },
+      { letter: 'r', status: 'present' },
+      { letter: 'a', status: 'absent' },
+      { letter: 'n', status: 'absent' },
+      { letter: 'e', status: 'correct' }
+    ];
+    const lying = feedback.map((f, i) => (i === 3 ? { letter: 'n', status: 'present' } : f));
+
+    test('should treat the shown feedback as the truth by default', () => {
+      const guess = new Guess('crane', feedback);
+      
+      expect(guess.getTrueFeedback()).toBe(feedback);
+      expect(guess.hasLie()).toBe(false);
+      expect(guess.getLieIndex()).toBeNull();
+    });
+
+    test('should find the tile whose shown feedback lies', () => {
+      const guess = new Guess('crane', lying, feedback);
+      
+      expect(guess.getFeedback()).toBe(lying);
+      expect(guess.getTrueFeedback()).toBe(feedback);
+      expect(guess.hasLie()).toBe(true);
+      expect(guess.getLieIndex()).toBe(3);
+    });
+
+    test('should throw error if true feedback length does not match word length', () => {
+      expect(() => new Guess('crane', feedback, feedback.slice(1))).toThrow('True feedback must be an array with one entry per letter');
+    });
+
+    test('should round-trip through JSON', () => {
+      const data = JSON.parse(JSON.stringify(new Guess('crane', lying, feedback)));
+      
+      expect(data).toEqual({ word: 'crane', feedback: lying, trueFeedback: feedback });
+      expect(Guess.fromJSON(data).getLieIndex()).toBe(3);
+    });
+
+    test('should reject invalid true feedback', () => {
+      const unknown = feedback.map((f, i) => (i === 1 ? { letter: 'r', status: 'green' } : f));
+      
+      expect(() => Guess.fromJSON({ word: 'crane', feedback, trueFeedback: 'none' })).toThrow('true feedback must have one entry per letter');
+      expect(() => Guess.fromJSON({ word: 'crane', feedback, trueFeedback: unknown })).toThrow('bad feedback for letter 2');
+    });
+  });
+
+  describe('serialization', () => {
+    const feedback = [
+      { letter: 'c', status: 'correct' },
+      { letter: 'r', status: 'present' },
+      { letter: 'a', status: 'absent' },
+      { letter: 'n', status: 'absent' },
+      { letter: 'e', status: 'correct' }
+    ];
+
+    test('should serialize to a plain object', () => {
+      const guess = new Guess('crane', feedback);
+      
+      expect(guess.toJSON()).toEqual({ word: 'crane', feedback });
+      expect(JSON.parse(JSON.stringify(guess))).toEqual({ word: 'crane', feedback });
+    });
+
+    test('should round-trip through JSON', () => {
+      const guess = new Guess('crane', feedback);
+      const restored = Guess.fromJSON(JSON.parse(JSON.stringify(guess)));
+      
+      expect(restored).toBeInstanceOf(Guess);
+      expect(restored.getWord()).toBe('crane');
+      expect(restored.getFeedback()).toEqual(feedback);
+    });
+
+    test('should reject data that is not an object', () => {
+      expect(() => Guess.fromJSON(null)).toThrow('Invalid guess data: expected an object');
+    });
+
+    test('should reject a word with non-letter characters', () => {
+      expect(() => Guess.fromJSON({ word: 'cr4ne', feedback })).toThrow('word must contain only letters');
+    });
+
+    test('should reject feedback of the wrong length', () => {
+      expect(() => Guess.fromJSON({ word: 'crane', feedback: feedback.slice(1) })).toThrow('feedback must have one entry per letter');
+    });
+
+    test('should reject feedback that does not match the word', () => {
+      const mismatched = feedback.map((f, i) => (i === 2 ? { letter: 'x', status: 'absent' } : f));
+      
+      expect(() => Guess.fromJSON({ word: 'crane', feedback: mismatched })).toThrow('bad feedback for letter 3');
+    });
+
+    test('should reject an unknown status', () => {
+      const unknown = feedback.map((f, i) => (i === 0 ? { letter: 'c', status: 'green' } : f));
+      
+      expect(() => Guess.fromJSON({ word: 'crane', feedback: unknown })).toThrow('bad feedback for letter 1');
+    });
+  });
 });
@@ -0,0 +1,148 @@
+/**
+ * Tests for HardModeValidator class
+ * Includes both unit tests and property-based tests
+ */
+
+const HardModeValidator = require('../src/HardModeValidator');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const Guess = require('../src/Guess');
+const fc = require('fast-check');
+
+/**
+ * Build a Guess with real feedback against a target
+ */
+function makeGuess(word, target) {
+  return new Guess(word, FeedbackGenerator.generateFeedback(word, target));
+}
+
+describe('HardModeValidator', () => {
+  describe('Unit Tests', () => {
+    describe('validateGuess', () => {
+      test('should allow any guess when there are no previous guesses', () => {
+        expect(HardModeValidator.validateGuess('zzzzz', [])).toBeNull();
+      });
+
+      test('should require green letters to stay in position', () => {
+        // O and R are green in the 2nd and 3rd positions
+        const previous = [makeGuess('boric', 'lorry')];
+        
+        expect(HardModeValidator.validateGuess('mater', previous)).toBe('2nd letter must be O');
+        expect(HardModeValidator.validateGuess('sorts', previous)).toBeNull();
+      });
+
+      test('should report the first missing green position', () => {
+        const previous = [makeGuess('crane', 'crate')];
+        
+        expect(HardModeValidator.validateGuess('xxxxx', previous)).toBe('1st letter must be C');
+        expect(HardModeValidator.validateGuess('cxxxx', previous)).toBe('2nd letter must be R');
+        expect(HardModeValidator.validateGuess('crxxx', previous)).toBe('3rd letter must be A');
+        expect(HardModeValidator.validateGuess('craxx', previous)).toBe('5th letter must be E');
+        expect(HardModeValidator.validateGuess('craxe', previous)).toBeNull();
+      });
+
+      test('should require yellow letters to be used', () => {
+        // R and E are both present in the wrong position
+        const previous = [makeGuess('crane', 'elder')];
+        
+        expect(HardModeValidator.validateGuess('tolls', previous)).toBe('Guess must contain R');
+        expect(HardModeValidator.validateGuess('rolls', previous)).toBe('Guess must contain E');
+        expect(HardModeValidator.validateGuess('roles', previous)).toBeNull();
+      });
+
+      test('should allow a yellow letter in the position where it was yellow', () => {
+        const previous = [makeGuess('crane', 'elder')];
+        
+        expect(HardModeValidator.validateGuess('rxxxe', previous)).toBeNull();
+      });
+
+      test('should require a letter as many times as it was revealed', () => {
+        // Two of the E's in "geese" are revealed against "elder" (one green, one yellow)
+        const previous = [makeGuess('geese', 'elder')];
+        const feedback = previous[0].getFeedback().map(f => f.status);
+        expect(feedback.filter(s => s !== 'absent')).toHaveLength(2);
+        
+        expect(HardModeValidator.validateGuess('xxxex', previous)).toBe("Guess must contain 2 E's");
+        expect(HardModeValidator.validateGuess('exxex', previous)).toBeNull();
+      });
+
+      test('should not require a duplicate that feedback marked absent', () => {
+        // Only one E in "apple", so the other E's in "eerie" are absent
+        const previous = [makeGuess('eerie', 'apple')];
+        
+        expect(HardModeValidator.validateGuess('xxxxe', previous)).toBeNull();
+      });
+
+      test('should combine hints across several previous guesses', () => {
+        const previous = [
+          makeGuess('crane', 'stale'),
+          makeGuess('moist', 'stale')
+        ];
+        
+        expect(HardModeValidator.validateGuess('xxaxe', previous)).toBe('Guess must contain S');
+        expect(HardModeValidator.validateGuess('sxaxe', previous)).toBe('Guess must contain T');
+        expect(HardModeValidator.validateGuess('staxe', previous)).toBeNull();
+      });
+
+      test('should be case insensitive', () => {
+        const previous = [makeGuess('crane', 'crate')];
+        
+        expect(HardModeValidator.validateGuess('CRATE', previous)).toBeNull();
+      });
+
+      test('should throw error for invalid input', () => {
+        expect(() => HardModeValidator.validateGuess(12345, [])).toThrow('Guess word must be a string');
+        expect(() => HardModeValidator.validateGuess('apple', null)).toThrow('Previous guesses must be an array');
+      });
+    });
+
+    describe('ordinal', () => {
+      test('should format positions as English ordinals', () => {
+        expect([1, 2, 3, 4, 5, 11, 12, 13, 21, 22].map(HardModeValidator.ordinal))
+          .toEqual(['1st', '2nd', '3rd', '4th', '5th', '11th', '12th', '13th', '21st', '22nd']);
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Hard Mode never rejects the answer
+     *
+     * For any target and any previous guesses scored against it, the target
+     * itself must satisfy every Hard Mode constraint.
+     */
+    test('Property: Hard Mode never rejects the answer - target always satisfies revealed hints', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcde'), { minLength: 5, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(
+          wordArb,
+          fc.array(wordArb, { minLength: 0, maxLength: 6 }),
+          (target, words) => {
+            const previous = words.map(word => makeGuess(word, target));
+            
+            expect(HardModeValidator.validateGuess(target, previous)).toBeNull();
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
+    /**
+     * Feature: hard-wordle, Property: Hard Mode accepts repeated guesses
+     *
+     * Re-submitting a previous guess must satisfy the hints from that guess.
+     */
+    test('Property: Hard Mode accepts repeated guesses - a guess satisfies its own hints', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcde'), { minLength: 5, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(wordArb, wordArb, (target, word) => {
+          const previous = [makeGuess(word, target)];
+          
+          expect(HardModeValidator.validateGuess(word, previous)).toBeNull();
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Tests for LocalDefinitionProvider class
+ * Includes both unit tests and property-based tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LocalDefinitionProvider = require('../src/LocalDefinitionProvider');
+const Dictionary = require('../src/Dictionary');
+const fc = require('fast-check');
+
+const definitionsData = {
+  source: 'Test definitions',
+  definitions: {
+    '5': {
+      apple: {
+        meanings: [
+          { partOfSpeech: 'noun', definition: 'fruit with red or yellow or green skin', examples: ['an apple a day'] },
+          { partOfSpeech: 'noun', definition: 'native Eurasian tree' }
+        ]
+      }
+    },
+    '6': {
+      apples: { baseForm: 'apple', meanings: [{ partOfSpeech: 'noun', definition: 'fruit with red or yellow or green skin' }] }
+    }
+  }
+};
+
+describe('LocalDefinitionProvider', () => {
+  describe('Unit Tests', () => {
+    test('should require a loader function', () => {
+      expect(() => new LocalDefinitionProvider(definitionsData)).toThrow('A definitions loader is required');
+    });
+
+    test('should not load the definitions until a word is looked up', async () => {
+      const loadData = jest.fn().mockResolvedValue(definitionsData);
+      const provider = new LocalDefinitionProvider(loadData);
+      
+      expect(loadData).not.toHaveBeenCalled();
+      
+      await provider.getDefinition('apple');
+      await provider.getDefinition('crane');
+      
+      expect(loadData).toHaveBeenCalledTimes(1);
+    });
+
+    test('should load the definitions of each word length separately', async () => {
+      const loadData = jest.fn().mockResolvedValue(definitionsData);
+      const provider = new LocalDefinitionProvider(loadData);
+      
+      await provider.getDefinition('apple');
+      await provider.getDefinition('apples');
+      await provider.getDefinition('crane');
+      
+      expect(loadData.mock.calls).toEqual([[5], [6]]);
+    });
+
+    test('should return every meaning with its part of speech and examples', async () => {
+      const provider = new LocalDefinitionProvider(() => definitionsData);
+      
+      await expect(provider.getDefinition('APPLE')).resolves.toEqual({
+        word: 'apple',
+        baseForm: null,
+        meanings: [
+          { partOfSpeech: 'noun', definition: 'fruit with red or yellow or green skin', examples: ['an apple a day'] },
+          { partOfSpeech: 'noun', definition: 'native Eurasian tree', examples: [] }
+        ],
+        source: 'local'
+      });
+    });
+
+    test('should report the base form of an inflected word', async () => {
+      const provider = new LocalDefinitionProvider(() => definitionsData);
+      
+      const definition = await provider.getDefinition('apples');
+      
+      expect(definition.baseForm).toBe('apple');
+    });
+
+    test('should return null for words without a definition', async () => {
+      const provider = new LocalDefinitionProvider(() => definitionsData);
+      
+      await expect(provider.getDefinition('crane')).resolves.toBeNull();
+      await expect(provider.getDefinition('abcdefghijklmnop')).resolves.toBeNull();
+      await expect(provider.getDefinition('toString')).resolves.toBeNull();
+    });
+
+    test('should reject when the definitions cannot be loaded, and retry next time', async () => {
+      const loadData = jest.fn()
+        .mockRejectedValueOnce(new Error('Failed to load definitions'))
+        .mockResolvedValueOnce(definitionsData);
+      const provider = new LocalDefinitionProvider(loadData);
+      
+      await expect(provider.getDefinition('apple')).rejects.toThrow('Failed to load definitions');
+      await expect(provider.getDefinition('apple')).resolves.toMatchObject({ word: 'apple' });
+      expect(loadData).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject definitions in the wrong format', async () => {
+      const provider = new LocalDefinitionProvider(() => ({ '5': {} }));
+      
+      await expect(provider.getDefinition('apple')).rejects.toThrow('Invalid definitions format');
+    });
+
+    test('should ask the fallback provider for missing words', async () => {
+      const remoteDefinition = { word: 'crane', baseForm: null, meanings: [], source: 'remote' };
+      const fallback = { getDefinition: jest.fn().mockResolvedValue(remoteDefinition) };
+      const provider = new LocalDefinitionProvider(() => definitionsData, { fallback });
+      
+      await expect(provider.getDefinition('Crane')).resolves.toBe(remoteDefinition);
+      await provider.getDefinition('apple');
+      
+      expect(fallback.getDefinition).toHaveBeenCalledTimes(1);
+      expect(fallback.getDefinition).toHaveBeenCalledWith('crane');
+    });
+
+    test('should ask the fallback provider when the definitions cannot be loaded', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const fallback = { getDefinition: jest.fn().mockResolvedValue(null) };
+      const provider = new LocalDefinitionProvider(() => Promise.reject(new Error('offline')), { fallback });
+      
+      await expect(provider.getDefinition('apple')).resolves.toBeNull();
+      expect(fallback.getDefinition).toHaveBeenCalledWith('apple');
+      
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Bundled definitions', () => {
+    const directory = path.join(__dirname, '../public/definitions');
+    const bundled = {};
+    fs.readdirSync(directory).forEach(file => {
+      bundled[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+    });
+    const wordsData = JSON.parse(fs.readFileSync(path.join(__dirname, '../public/words.json'), 'utf8'));
+    const dictionary = Dictionary.fromJSON(wordsData);
+    const entries = Object.entries(bundled).flatMap(([length, data]) =>
+      Object.entries(data.definitions[length]).map(([word, entry]) => ({ length: Number(length), word, entry }))
+    );
+
+    test('should have one file for each word length, crediting the source', () => {
+      expect(Object.keys(bundled).map(Number).sort((a, b) => a - b)).toEqual(dictionary.getAvailableLengths());
+      Object.entries(bundled).forEach(([length, data]) => {
+        expect(data.source).toContain('WordNet');
+        expect(Object.keys(data.definitions)).toEqual([length]);
+      });
+    });
+
+    test('should define the common answers', async () => {
+      const provider = new LocalDefinitionProvider(length => bundled[length]);
+      
+      await expect(provider.getDefinition('apple')).resolves.toMatchObject({ word: 'apple', source: 'local' });
+      await expect(provider.getDefinition('crane')).resolves.toMatchObject({ word: 'crane', source: 'local' });
+    });
+
+    test('should define irregular forms through their base word', async () => {
+      const provider = new LocalDefinitionProvider(length => bundled[length]);
+      
+      const knew = await provider.getDefinition('knew');
+      expect(knew.baseForm).toBe('know');
+      expect(knew.meanings.every(meaning => meaning.partOfSpeech === 'verb')).toBe(true);
+      await expect(provider.getDefinition('geese')).resolves.toMatchObject({ baseForm: 'goose' });
+      await expect(provider.getDefinition('children')).resolves.toMatchObject({ baseForm: 'child' });
+    });
+
+    /**
+     * Feature: hard-wordle, Property: Bundled definitions
+     *
+     * Every bundled entry is filed under its own length, belongs to the word
+     * list, and has at least one meaning with a part of speech and a definition.
+     */
+    test('Property: Bundled definitions - every entry is a valid word with meanings', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...entries),
+          ({ length, word, entry }) => {
+            expect(word).toHaveLength(length);
+            expect(dictionary.isValidWord(word)).toBe(true);
+            expect(entry.meanings.length).toBeGreaterThan(0);
+            entry.meanings.forEach(meaning => {
+              expect(meaning.partOfSpeech).toEqual(expect.any(String));
+              expect(meaning.definition.length).toBeGreaterThan(0);
+            });
+          }
+        ),
+        { numRuns: 500 }
+      );
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for MultiBoardController class
+ * Includes both unit tests and property-based tests
+ */
+
+const MultiBoardController = require('../src/MultiBoardController');
+const Dictionary = require('../src/Dictionary');
+const fc = require('fast-check');
+
+describe('MultiBoardController', () => {
+  const words = ['apple', 'bread', 'crane', 'delta', 'eagle', 'flame', 'grape', 'house', 'image', 'juice'];
+  let dictionary;
+  let controller;
+
+  beforeEach(() => {
+    dictionary = new Dictionary(words);
+    controller = new MultiBoardController(dictionary);
+  });
+
+  /**
+   * Fix the targets of the current game, in board order
+   */
+  const setTargets = (targets) => {
+    controller.getBoards().forEach((board, index) => {
+      board.targetWord = targets[index];
+    });
+  };
+
+  describe('Unit Tests', () => {
+    test('should throw error if dictionary is not provided', () => {
+      expect(() => new MultiBoardController()).toThrow('Dictionary is required');
+    });
+
+    test('should give one extra attempt per additional board', () => {
+      expect(MultiBoardController.getMaxAttempts(2)).toBe(7);
+      expect(MultiBoardController.getMaxAttempts(4)).toBe(9);
+      expect(MultiBoardController.getMaxAttempts(8)).toBe(13);
+    });
+
+    test('should start a game with distinct targets', () => {
+      const boards = controller.startNewGame({ boards: 8 });
+      const targets = boards.map(board => board.getTargetWord());
+      
+      expect(boards).toHaveLength(8);
+      expect(new Set(targets).size).toBe(8);
+      targets.forEach(target => expect(words).toContain(target));
+      boards.forEach(board => expect(board.maxAttempts).toBe(13));
+    });
+
+    test('should reject unsupported board counts', () => {
+      expect(() => controller.startNewGame({ boards: 3 })).toThrow('Board count must be one of: 2, 4, 8');
+    });
+
+    test('should reject a dictionary with too few targets', () => {
+      const small = new MultiBoardController(new Dictionary(['apple', 'bread', 'crane']));
+      
+      expect(() => small.startNewGame({ boards: 4 })).toThrow('Dictionary needs at least 4 5-letter words for 4 boards');
+    });
+
+    test('should require a game before guessing', () => {
+      const result = controller.submitGuess('apple');
+      
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No game in progress. Start a new game first.');
+    });
+
+    test('should reject invalid words without using an attempt', () => {
+      controller.startNewGame({ boards: 2 });
+      
+      expect(controller.submitGuess('zzzzz').error).toBe('Not a valid word');
+      expect(controller.submitGuess('pear').error).toBe('Word must be exactly 5 letters');
+      expect(controller.getAttemptsUsed()).toBe(0);
+    });
+
+    test('should apply a guess to every board', () => {
+      controller.startNewGame({ boards: 2 });
+      setTargets(['crane', 'apple']);
+      
+      const result = controller.submitGuess('GRAPE');
+      
+      expect(result.success).toBe(true);
+      expect(result.gameStatus).toBe('in-progress');
+      expect(result.guesses.map(guess => guess.getWord())).toEqual(['grape', 'grape']);
+      expect(controller.getAttemptsUsed()).toBe(1);
+    });
+
+    test('should stop updating a board once it is solved', () => {
+      controller.startNewGame({ boards: 2 });
+      setTargets(['crane', 'apple']);
+      
+      controller.submitGuess('crane');
+      const result = controller.submitGuess('grape');
+      
+      expect(result.guesses[0]).toBeNull();
+      expect(controller.getBoards()[0].getGuesses()).toHaveLength(1);
+      expect(controller.getBoards()[1].getGuesses()).toHaveLength(2);
+      expect(controller.getSolvedCount()).toBe(1);
+      expect(controller.getAttemptsUsed()).toBe(2);
+    });
+
+    test('should be won once every board is solved', () => {
+      controller.startNewGame({ boards: 2 });
+      setTargets(['crane', 'apple']);
+      
+      controller.submitGuess('apple');
+      const result = controller.submitGuess('crane');
+      
+      expect(result.gameStatus).toBe('won');
+      expect(controller.isGameOver()).toBe(true);
+      expect(controller.submitGuess('bread').error).toBe('Game is over. Start a new game!');
+    });
+
+    test('should be lost when attempts run out with a board unsolved', () => {
+      controller.startNewGame({ boards: 2 });
+      setTargets(['crane', 'apple']);
+      
+      controller.submitGuess('crane');
+      let result;
+      for (let i = 1; i < 7; i++) {
+        result = controller.submitGuess('bread');
+      }
+      
+      expect(result.gameStatus).toBe('lost');
+      expect(controller.getBoards()[0].getGameStatus()).toBe('won');
+    });
+
+    test('should report per-board keyboard status', () => {
+      controller.startNewGame({ boards: 2 });
+      setTargets(['crane', 'apple']);
+      
+      controller.submitGuess('grape');
+      controller.submitGuess('eagle');
+      
+      const status = controller.getKeyboardStatus();
+      expect(status.g).toEqual(['absent', 'absent']);
+      expect(status.p).toEqual(['absent', 'present']);
+      // 'a' was correct on the first board in GRAPE, then only present in EAGLE
+      expect(status.a).toEqual(['correct', 'present']);
+      expect(status.z).toBeUndefined();
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Multi-board guesses
+     *
+     * For any sequence of valid guesses, every unsolved board receives each
+     * guess, and no board ever has more guesses than the game allows.
+     */
+    test('Property: Multi-board guesses - unsolved boards share every guess', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(2, 4, 8),
+          fc.array(fc.constantFrom(...words), { minLength: 1, maxLength: 15 }),
+          (boards, guesses) => {
+            controller.startNewGame({ boards });
+            
+            for (const word of guesses) {
+              if (controller.isGameOver()) break;
+              controller.submitGuess(word);
+            }
+            
+            const attempts = controller.getAttemptsUsed();
+            expect(attempts).toBeLessThanOrEqual(controller.getMaxAttempts());
+            controller.getBoards().forEach(board => {
+              if (!board.isGameOver() || board.getGameStatus() === 'lost') {
+                expect(board.getGuesses()).toHaveLength(attempts);
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
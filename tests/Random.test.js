@@ -0,0 +1,87 @@
+/**
+ * Tests for Random class
+ * Includes both unit tests and property-based tests
+ */
+
+const Random = require('../src/Random');
+const fc = require('fast-check');
+
+describe('Random', () => {
+  describe('Unit Tests', () => {
+    describe('mulberry32', () => {
+      test('should match the reference mulberry32 sequence', () => {
+        const random = Random.mulberry32(1);
+        
+        expect(random()).toBe(0.6270739405881613);
+        expect(random()).toBe(0.002735721180215478);
+      });
+
+      test('should give different sequences for different seeds', () => {
+        expect(Random.mulberry32(1)()).not.toBe(Random.mulberry32(2)());
+      });
+
+      test('should throw error for an invalid seed', () => {
+        expect(() => Random.mulberry32(-1)).toThrow('Seed must be an integer from 0 to 4294967295');
+        expect(() => Random.mulberry32(1.5)).toThrow('Seed must be an integer from 0 to 4294967295');
+        expect(() => Random.mulberry32('1')).toThrow('Seed must be an integer from 0 to 4294967295');
+      });
+    });
+
+    describe('createSeed', () => {
+      test('should scale the random source to a 32-bit seed', () => {
+        expect(Random.createSeed(() => 0)).toBe(0);
+        expect(Random.createSeed(() => 0.5)).toBe(2147483648);
+        expect(Random.createSeed(() => 0.9999999999)).toBe(Random.MAX_SEED);
+      });
+
+      test('should use Math.random by default', () => {
+        expect(Random.isSeed(Random.createSeed())).toBe(true);
+      });
+    });
+
+    describe('parseSeed', () => {
+      test('should read decimal seeds', () => {
+        expect(Random.parseSeed('1234')).toBe(1234);
+        expect(Random.parseSeed('0')).toBe(0);
+        expect(Random.parseSeed('4294967295')).toBe(Random.MAX_SEED);
+      });
+
+      test('should reject anything else', () => {
+        expect(Random.parseSeed('4294967296')).toBeNull();
+        expect(Random.parseSeed('-1')).toBeNull();
+        expect(Random.parseSeed('12ab')).toBeNull();
+        expect(Random.parseSeed('')).toBeNull();
+        expect(Random.parseSeed(null)).toBeNull();
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Seeded sequences
+     *
+     * For any seed, two sources made from it produce the same numbers, and
+     * every number is in [0, 1).
+     */
+    test('Property: Seeded sequences - the same seed always gives the same numbers in [0, 1)', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: Random.MAX_SEED }),
+          (seed) => {
+            const first = Random.mulberry32(seed);
+            const second = Random.mulberry32(seed);
+            
+            for (let i = 0; i < 20; i++) {
+              const value = first();
+              expect(second()).toBe(value);
+              expect(value).toBeGreaterThanOrEqual(0);
+              expect(value).toBeLessThan(1);
+            }
+            expect(Random.parseSeed(String(seed))).toBe(seed);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
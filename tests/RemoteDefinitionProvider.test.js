@@ -0,0 +1,119 @@
+/**
+ * Unit tests for RemoteDefinitionProvider class
+ */
+
+const RemoteDefinitionProvider = require('../src/RemoteDefinitionProvider');
+
+const appleResponse = [
+  {
+    word: 'apple',
+    meanings: [
+      {
+        partOfSpeech: 'noun',
+        definitions: [
+          { definition: 'A common, round fruit.', example: 'She ate an apple.' },
+          { definition: 'The apple tree.' }
+        ]
+      },
+      {
+        partOfSpeech: 'verb',
+        definitions: [
+          { definition: 'To gather apples.' },
+          { definition: 'A fourth meaning that is dropped.' }
+        ]
+      }
+    ]
+  }
+];
+
+/**
+ * Build a fetch stand-in that answers with a fixed response
+ * @param {number} status - HTTP status to answer with
+ * @param {*} body - JSON body to answer with
+ */
+function createFetch(status, body) {
+  return jest.fn().mockResolvedValue({
+    status,
+    ok: status >= 200 && status < 300,
+    json: () => Promise.resolve(body)
+  });
+}
+
+describe('RemoteDefinitionProvider', () => {
+  test('should require a fetch implementation', () => {
+    expect(() => new RemoteDefinitionProvider({ fetchImpl: 'fetch' })).toThrow('A fetch implementation is required');
+  });
+
+  test('should request the encoded word from the configured service', async () => {
+    const fetchImpl = createFetch(200, appleResponse);
+    const provider = new RemoteDefinitionProvider({ baseUrl: 'https://dictionary.example/en/', fetchImpl });
+    
+    await provider.getDefinition('APPLE');
+    
+    expect(fetchImpl).toHaveBeenCalledWith('https://dictionary.example/en/apple');
+  });
+
+  test('should default to dictionaryapi.dev', async () => {
+    const fetchImpl = createFetch(200, appleResponse);
+    const provider = new RemoteDefinitionProvider({ fetchImpl });
+    
+    await provider.getDefinition('apple');
+    
+    expect(fetchImpl).toHaveBeenCalledWith(`${RemoteDefinitionProvider.DEFAULT_BASE_URL}/apple`);
+  });
+
+  test('should keep the first meanings with their parts of speech and examples', async () => {
+    const provider = new RemoteDefinitionProvider({ fetchImpl: createFetch(200, appleResponse) });
+    
+    await expect(provider.getDefinition('apple')).resolves.toEqual({
+      word: 'apple',
+      baseForm: null,
+      meanings: [
+        { partOfSpeech: 'noun', definition: 'A common, round fruit.', examples: ['She ate an apple.'] },
+        { partOfSpeech: 'noun', definition: 'The apple tree.', examples: [] },
+        { partOfSpeech: 'verb', definition: 'To gather apples.', examples: [] }
+      ],
+      source: 'remote'
+    });
+  });
+
+  test('should cache definitions per word', async () => {
+    const fetchImpl = createFetch(200, appleResponse);
+    const provider = new RemoteDefinitionProvider({ fetchImpl });
+    
+    const first = await provider.getDefinition('apple');
+    const second = await provider.getDefinition('Apple');
+    
+    expect(second).toBe(first);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cache words the service does not know as null', async () => {
+    const fetchImpl = createFetch(404, { title: 'No Definitions Found' });
+    const provider = new RemoteDefinitionProvider({ fetchImpl });
+    
+    await expect(provider.getDefinition('zzzzz')).resolves.toBeNull();
+    await expect(provider.getDefinition('zzzzz')).resolves.toBeNull();
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject on server errors without caching them', async () => {
+    const fetchImpl = createFetch(503, {});
+    const provider = new RemoteDefinitionProvider({ fetchImpl });
+    
+    await expect(provider.getDefinition('apple')).rejects.toThrow('Dictionary service error (503)');
+    await expect(provider.getDefinition('apple')).rejects.toThrow('Dictionary service error (503)');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject when the service cannot be reached', async () => {
+    const provider = new RemoteDefinitionProvider({ fetchImpl: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')) });
+    
+    await expect(provider.getDefinition('apple')).rejects.toThrow('Could not reach the dictionary service');
+  });
+
+  test('should treat responses without meanings as no definition', () => {
+    expect(RemoteDefinitionProvider.parseResponse('apple', { title: 'No Definitions Found' })).toBeNull();
+    expect(RemoteDefinitionProvider.parseResponse('apple', [{ meanings: [] }])).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for RemoteGameController class
+ * Includes both unit tests and property-based tests
+ */
+
+const RemoteGameController = require('../src/RemoteGameController');
+const GameController = require('../src/GameController');
+const GameService = require('../server/GameService');
+const Dictionary = require('../src/Dictionary');
+const { createServiceClient } = require('./testUtils');
+const fc = require('fast-check');
+
+describe('RemoteGameController', () => {
+  const dictionary = new Dictionary(['apple'], ['crane', 'bread']);
+  let controller;
+
+  beforeEach(() => {
+    controller = new RemoteGameController(createServiceClient(new GameService(dictionary)), dictionary);
+  });
+
+  describe('Unit Tests', () => {
+    test('should require a client and a dictionary', () => {
+      expect(() => new RemoteGameController(null, dictionary)).toThrow('Game API client is required');
+      expect(() => new RemoteGameController({}, null)).toThrow('Dictionary is required');
+    });
+
+    test('should start a game on the server with a placeholder target', async () => {
+      const gameState = await controller.startNewGame({ hardMode: true, date: new Date(0) });
+      
+      expect(controller.getGameId()).toEqual(expect.any(String));
+      expect(controller.getGameState()).toBe(gameState);
+      expect(gameState.getTargetWord()).toBe('?????');
+      expect(gameState.isHardMode()).toBe(true);
+      expect(gameState.getGameStatus()).toBe('in-progress');
+    });
+
+    test('should add accepted guesses with the server feedback', async () => {
+      await controller.startNewGame();
+      
+      const result = await controller.submitGuess('crane');
+      
+      expect(result.success).toBe(true);
+      expect(result.guess.getFeedback().map(entry => entry.status)).toEqual(['absent', 'absent', 'present', 'absent', 'correct']);
+      expect(controller.getGameState().getGuesses()).toHaveLength(1);
+      expect(controller.getGameState().getTargetWord()).toBe('?????');
+    });
+
+    test('should learn the target when the game is won', async () => {
+      await controller.startNewGame();
+      
+      const result = await controller.submitGuess('APPLE');
+      
+      expect(result.gameStatus).toBe('won');
+      expect(controller.getGameState().getTargetWord()).toBe('apple');
+      expect(controller.getGameState().isGameOver()).toBe(true);
+    });
+
+    test('should learn the target when the game is lost', async () => {
+      await controller.startNewGame();
+      
+      let result;
+      for (let i = 0; i < 6; i++) {
+        result = await controller.submitGuess(i % 2 === 0 ? 'crane' : 'bread');
+      }
+      
+      expect(result.gameStatus).toBe('lost');
+      expect(controller.getGameState().getGameStatus()).toBe('lost');
+      expect(controller.getGameState().getTargetWord()).toBe('apple');
+    });
+
+    test('should learn which tiles lied when a Fibble game ends', async () => {
+      await controller.startNewGame({ fibble: true });
+      
+      await controller.submitGuess('crane');
+      expect(controller.getGameState().isFibble()).toBe(true);
+      expect(controller.getGameState().getGuesses()[0].hasLie()).toBe(false);
+      
+      await controller.submitGuess('apple');
+      const [guess] = controller.getGameState().getGuesses();
+      expect(guess.hasLie()).toBe(true);
+      expect(guess.getTrueFeedback().map(entry => entry.status)).toEqual(['absent', 'absent', 'present', 'absent', 'correct']);
+    });
+
+    test('should mirror the server\'s view of the game after each guess', async () => {
+      const client = createServiceClient(new GameService(dictionary));
+      const mirrored = new RemoteGameController(client, dictionary.withoutAnswers());
+      await mirrored.startNewGame({ fibble: true });
+      
+      await mirrored.submitGuess('crane');
+      const result = await mirrored.submitGuess('bread');
+      
+      const view = await client.getGame(mirrored.getGameId());
+      expect(mirrored.getGameState().toJSON()).toEqual(RemoteGameController.toGameState(view).toJSON());
+      expect(result.guess).toBe(mirrored.getGameState().getGuesses()[1]);
+    });
+
+    test('should pass on rejected guesses', async () => {
+      await controller.startNewGame();
+      
+      await expect(controller.submitGuess('zzzzz')).resolves.toEqual({
+        success: false,
+        error: 'Not a valid word',
+        gameStatus: 'in-progress'
+      });
+      expect(controller.getGameState().getGuesses()).toEqual([]);
+    });
+
+    test('should turn network failures into a rejected guess', async () => {
+      const client = { createGame: createServiceClient(new GameService(dictionary)).createGame };
+      client.submitGuess = () => Promise.reject(new Error('Could not reach the game server'));
+      const offline = new RemoteGameController(client, dictionary);
+      await offline.startNewGame();
+      
+      await expect(offline.submitGuess('apple')).resolves.toEqual({
+        success: false,
+        error: 'Could not reach the game server',
+        gameStatus: 'in-progress'
+      });
+    });
+
+    test('should refuse guesses before a game is started', async () => {
+      await expect(controller.submitGuess('apple')).resolves.toMatchObject({ success: false, error: 'No game in progress. Start a new game first.' });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const answers = ['apple', 'bread', 'crane', 'dance', 'eagle'];
+
+    /**
+     * Feature: hard-wordle, Property: Remote parity
+     *
+     * For any target and guesses, a remote game reports the same feedback and
+     * status after every guess as a local GameController with the same target.
+     */
+    test('Property: Remote parity - remote games match local games guess for guess', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.constantFrom(...answers),
+          fc.array(fc.constantFrom(...answers, 'zzzzz'), { minLength: 1, maxLength: 8 }),
+          async (target, guesses) => {
+            const targetDictionary = new Dictionary([target], answers);
+            const remote = new RemoteGameController(createServiceClient(new GameService(targetDictionary)), targetDictionary);
+            const local = new GameController(targetDictionary);
+            await remote.startNewGame();
+            local.startNewGame();
+            
+            for (const word of guesses) {
+              const remoteResult = await remote.submitGuess(word);
+              const localResult = local.submitGuess(word);
+              
+              expect(remoteResult.success).toBe(localResult.success);
+              expect(remoteResult.error).toBe(localResult.error);
+              expect(remoteResult.gameStatus).toBe(localResult.gameStatus);
+              expect(JSON.stringify(remote.getGameState().getGuesses())).toBe(JSON.stringify(local.getGameState().getGuesses()));
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for ShareFormatter class
+ * Includes both unit tests and property-based tests
+ */
+
+const ShareFormatter = require('../src/ShareFormatter');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const fc = require('fast-check');
+
+/**
+ * Play a game with the given guesses
+ * @param {string} target - Target word
+ * @param {string[]} words - Guesses to make, in order
+ * @param {Object} [options] - GameState options
+ */
+function playGame(target, words, options = {}) {
+  const gameState = new GameState(target, 6, options);
+  words.forEach(word => gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target))));
+  return gameState;
+}
+
+describe('ShareFormatter', () => {
+  describe('Unit Tests', () => {
+    test('should build the grid for a won daily game', () => {
+      const gameState = playGame('crane', ['dance', 'crane'], { mode: 'daily', puzzleNumber: 42 });
+      
+      expect(ShareFormatter.format(gameState)).toBe(
+        'Hard Wordle #42 2/6\n' +
+        '\n' +
+        '⬛🟨🟨🟨🟩\n' +
+        '🟩🟩🟩🟩🟩'
+      );
+    });
+
+    test('should label practice games and score a loss as X', () => {
+      const gameState = playGame('crane', ['apple', 'bread', 'delta', 'eagle', 'flame', 'grape']);
+      
+      expect(ShareFormatter.formatHeader(gameState)).toBe('Hard Wordle Practice X/6');
+    });
+
+    test('should mark Hard Mode games', () => {
+      const gameState = playGame('crane', ['crane'], { mode: 'daily', puzzleNumber: 7, hardMode: true });
+      
+      expect(ShareFormatter.formatHeader(gameState)).toBe('Hard Wordle #7 1/6*');
+    });
+
+    test('should title Fibble games', () => {
+      const gameState = playGame('crane', ['crane'], { mode: 'daily', puzzleNumber: 7, fibble: true });
+      
+      expect(ShareFormatter.formatHeader(gameState)).toBe('Hard Wordle Fibble #7 1/6');
+    });
+
+    test("should use the game's maximum attempts", () => {
+      const gameState = new GameState('crane', 8);
+      gameState.addGuess(new Guess('crane', FeedbackGenerator.generateFeedback('crane', 'crane')));
+      
+      expect(ShareFormatter.formatHeader(gameState)).toBe('Hard Wordle Practice 1/8');
+    });
+
+    test('should never reveal the letters guessed', () => {
+      const gameState = playGame('crane', ['dance', 'crane']);
+      
+      expect(ShareFormatter.format(gameState)).not.toMatch(/dance|crane/i);
+    });
+
+    test('should throw error without a game state', () => {
+      expect(() => ShareFormatter.format(null)).toThrow('Game state is required');
+    });
+
+    describe('replay links', () => {
+      test('should link to the seed, leaving out default settings', () => {
+        const gameState = new GameState('crane', 6, { seed: 1234 });
+        
+        expect(ShareFormatter.formatReplayUrl(gameState, 'https://wordle.example/?seed=9#top')).toBe('https://wordle.example/?seed=1234');
+      });
+
+      test('should keep the length, difficulty and Hard Mode of the game', () => {
+        const gameState = new GameState('banana', 6, { seed: 7, wordLength: 6, difficulty: 'hard', hardMode: true });
+        const url = ShareFormatter.formatReplayUrl(gameState, 'https://wordle.example/play');
+        
+        expect(url).toBe('https://wordle.example/play?seed=7&length=6&difficulty=hard&hard=1');
+        expect(ShareFormatter.parseReplayUrl(new URL(url).search)).toEqual({ seed: 7, wordLength: 6, difficulty: 'hard', hardMode: true, fibble: false });
+      });
+
+      test('should keep Fibble games Fibble', () => {
+        const url = ShareFormatter.formatReplayUrl(new GameState('crane', 6, { seed: 7, fibble: true }), 'https://wordle.example/');
+        
+        expect(url).toBe('https://wordle.example/?seed=7&fibble=1');
+        expect(ShareFormatter.parseReplayUrl(new URL(url).search).fibble).toBe(true);
+      });
+
+      test('should not link games without a seed', () => {
+        expect(ShareFormatter.formatReplayUrl(new GameState('crane', 6, { mode: 'daily', puzzleNumber: 3 }), 'https://wordle.example/')).toBeNull();
+      });
+
+      test('should read defaults and ignore links without a valid seed', () => {
+        expect(ShareFormatter.parseReplayUrl('?seed=1234')).toEqual({ seed: 1234, wordLength: 5, difficulty: 'normal', hardMode: false, fibble: false });
+        expect(ShareFormatter.parseReplayUrl('?seed=abc')).toBeNull();
+        expect(ShareFormatter.parseReplayUrl('')).toBeNull();
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Share grid mirrors feedback
+     *
+     * For any game, the share text must have one emoji row per guess,
+     * matching each letter's feedback status.
+     */
+    test('Property: Share grid mirrors feedback - one emoji per letter of every guess', () => {
+      const wordArb = fc.stringOf(fc.constantFrom(...'abcdef'), { minLength: 5, maxLength: 5 });
+      
+      fc.assert(
+        fc.property(wordArb, fc.array(wordArb, { minLength: 1, maxLength: 6 }), (target, words) => {
+          const gameState = new GameState(target);
+          for (const word of words) {
+            if (gameState.isGameOver()) break;
+            gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target)));
+          }
+          
+          const lines = ShareFormatter.format(gameState).split('\n');
+          const rows = lines.slice(2);
+          
+          expect(rows).toHaveLength(gameState.getGuesses().length);
+          rows.forEach((row, index) => {
+            const expected = gameState.getGuesses()[index].getFeedback()
+              .map(f => ShareFormatter.STATUS_EMOJI[f.status]).join('');
+            expect(row).toBe(expected);
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Tests for Solver class
+ * Includes both unit tests and property-based tests
+ */
+
+const Solver = require('../src/Solver');
+const Dictionary = require('../src/Dictionary');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const fc = require('fast-check');
+
+/**
+ * Build a guess with the feedback it gets against a target
+ */
+const makeGuess = (word, target) => new Guess(word, FeedbackGenerator.generateFeedback(word, target));
+
+describe('Solver', () => {
+  describe('Unit Tests', () => {
+    describe('filterCandidates', () => {
+      test('should return every word when there are no guesses', () => {
+        expect(Solver.filterCandidates(['apple', 'crane'], [])).toEqual(['apple', 'crane']);
+      });
+
+      test('should keep only words that reproduce every pattern', () => {
+        const words = ['apple', 'ample', 'angle', 'crane', 'eagle'];
+        const guesses = [makeGuess('addle', 'apple')];
+        
+        // ADDLE against APPLE: A and LE correct, both Ds absent
+        expect(Solver.filterCandidates(words, guesses)).toEqual(['apple', 'ample', 'angle']);
+      });
+
+      test('should treat a repeated guess letter marked absent as an upper bound', () => {
+        // SPEED against ABIDE: the first E is present, the second absent, so the target has exactly one E
+        const guesses = [makeGuess('speed', 'abide')];
+        
+        expect(Solver.isConsistent('abide', guesses)).toBe(true);
+        expect(Solver.isConsistent('eerie', guesses)).toBe(false);
+      });
+
+      test('should require a repeated letter twice when both copies are revealed', () => {
+        // LLAMA against HALLO: both Ls are present, so the target needs at least two
+        const guesses = [makeGuess('llama', 'hallo')];
+        
+        expect(Solver.isConsistent('hallo', guesses)).toBe(true);
+        expect(Solver.isConsistent('hello', guesses)).toBe(false);
+      });
+
+      test('should reject words of a different length', () => {
+        expect(Solver.filterCandidates(['apple', 'apples'], [makeGuess('apple', 'apple')])).toEqual(['apple']);
+      });
+    });
+
+    describe('getCandidates', () => {
+      const dictionary = new Dictionary(['apple', 'ample', 'crane'], ['addle', 'alive'], {});
+
+      test('should search every valid word of the game length by default', () => {
+        const gameState = new GameState('apple');
+        gameState.addGuess(makeGuess('crane', 'apple'));
+        
+        expect(Solver.getCandidates(dictionary, gameState)).toEqual(['apple', 'ample', 'addle', 'alive']);
+      });
+
+      test('should restrict to answers when asked', () => {
+        const gameState = new GameState('apple');
+        gameState.addGuess(makeGuess('crane', 'apple'));
+        
+        expect(Solver.getCandidates(dictionary, gameState, { answersOnly: true })).toEqual(['apple', 'ample']);
+      });
+    });
+
+    describe('groupByPattern', () => {
+      test('should group candidates by the feedback they would give', () => {
+        const groups = Solver.groupByPattern('crane', ['crash', 'crass', 'bloom']);
+        
+        expect([...groups.keys()]).toEqual(['22200', '00000']);
+        expect(groups.get('22200')).toEqual(['crash', 'crass']);
+      });
+    });
+
+    describe('rankGuesses', () => {
+      test('should score guesses by the entropy of their feedback', () => {
+        const [crane] = Solver.rankGuesses(['crane'], ['crash', 'crass', 'bloom', 'blame']);
+        
+        // CRANE splits the four words into groups of 2, 1 and 1
+        expect(crane.word).toBe('crane');
+        expect(crane.entropy).toBeCloseTo(1.5);
+        expect(crane.expectedRemaining).toBeCloseTo(1.5);
+        expect(crane.isCandidate).toBe(false);
+      });
+
+      test('should put the most informative guess first', () => {
+        const candidates = ['crash', 'crass', 'brass', 'grass'];
+        const ranked = Solver.rankGuesses(['crash', 'dumpy', 'bloom'], candidates);
+        
+        // CRASH splits them 1/1/2, BLOOM only singles out BRASS, DUMPY shares no letters
+        expect(ranked.map(suggestion => suggestion.word)).toEqual(['crash', 'bloom', 'dumpy']);
+        expect(ranked[2].entropy).toBe(0);
+        expect(ranked[2].expectedRemaining).toBe(4);
+      });
+
+      test('should prefer a guess that could be the answer when entropy ties', () => {
+        const ranked = Solver.rankGuesses(['bloom', 'apple'], ['apple']);
+        
+        expect(ranked[0]).toEqual({ word: 'apple', entropy: 0, expectedRemaining: 1, isCandidate: true });
+      });
+
+      test('should respect the limit and skip words of another length', () => {
+        const ranked = Solver.rankGuesses(['crane', 'bloom', 'tea', 'apple'], ['crane', 'bloom', 'apple'], { limit: 2 });
+        
+        expect(ranked).toHaveLength(2);
+        expect(ranked.map(suggestion => suggestion.word)).not.toContain('tea');
+      });
+
+      test('should return nothing when no candidates are left', () => {
+        expect(Solver.rankGuesses(['crane'], [])).toEqual([]);
+      });
+
+      test('should estimate from a sample and scale to the full candidate set', () => {
+        const candidates = ['crash', 'crass', 'brass', 'grass', 'bloom', 'blame'];
+        const [full] = Solver.rankGuesses(['bloom'], candidates);
+        const [sampled] = Solver.rankGuesses(['bloom'], candidates, { sampleSize: 3 });
+        
+        // The evenly spaced sample is crash, brass, bloom, which BLOOM tells apart
+        expect(sampled.entropy).toBeCloseTo(Math.log2(3));
+        expect(sampled.expectedRemaining).toBeCloseTo(2);
+        // In full, CRASH, CRASS and GRASS share a pattern and the others are singled out
+        expect(full.expectedRemaining).toBeCloseTo((9 + 1 + 1 + 1) / 6);
+      });
+    });
+
+    describe('suggestGuesses', () => {
+      const dictionary = new Dictionary(['crash', 'crass', 'brass'], ['cubic', 'bloom'], {});
+
+      test('should score every valid word against the remaining answers', () => {
+        const gameState = new GameState('crash');
+        gameState.addGuess(makeGuess('bloom', 'crash'));
+        
+        const suggestions = Solver.suggestGuesses(dictionary, gameState);
+        // CRASH and CRASS are left; guessing either one, or BRASS, tells them apart
+        expect(suggestions.map(suggestion => suggestion.word)).toEqual(['crash', 'crass', 'brass', 'cubic', 'bloom']);
+        expect(suggestions.map(suggestion => suggestion.isCandidate)).toEqual([true, true, false, false, false]);
+      });
+
+      test('should only suggest guesses that follow Hard Mode rules', () => {
+        const gameState = new GameState('crash', 6, { hardMode: true });
+        gameState.addGuess(makeGuess('crass', 'crash'));
+        
+        // BRASS drops the revealed C, and CUBIC and BLOOM the revealed R
+        const words = Solver.suggestGuesses(dictionary, gameState).map(suggestion => suggestion.word);
+        expect(words).toEqual(['crash', 'crass']);
+      });
+
+      test('should never suggest a blocked word', () => {
+        const blocking = new Dictionary(['crash', 'crass', 'brass'], ['cubic', 'bloom'], { blocked: ['crass', 'cubic'] });
+        const gameState = new GameState('crash');
+        
+        const words = Solver.suggestGuesses(blocking, gameState).map(suggestion => suggestion.word);
+        expect(words).not.toContain('crass');
+        expect(words).not.toContain('cubic');
+        expect(words).toHaveLength(3);
+      });
+
+      test('should return copies of the cached opening ranking', () => {
+        const gameState = new GameState('crash');
+        const first = Solver.suggestGuesses(dictionary, gameState, { limit: 2 });
+        first[0].word = 'zzzzz';
+        
+        const second = Solver.suggestGuesses(dictionary, gameState, { limit: 3 });
+        expect(second).toHaveLength(3);
+        expect(second[0].word).not.toBe('zzzzz');
+        expect(Solver.suggestGuesses(dictionary, gameState, { limit: 1 })).toEqual(second.slice(0, 1));
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const wordArb = fc.stringOf(fc.constantFrom(...'abcde'), { minLength: 5, maxLength: 5 });
+
+    /**
+     * Feature: hard-wordle, Property: Solver soundness
+     *
+     * For any target and guesses, the target is always a candidate, and
+     * a word is a candidate exactly when it reproduces every feedback.
+     */
+    test('Property: Solver soundness - candidates are exactly the words matching all feedback', () => {
+      fc.assert(
+        fc.property(
+          wordArb,
+          fc.array(wordArb, { minLength: 1, maxLength: 4 }),
+          fc.array(wordArb, { minLength: 1, maxLength: 30 }),
+          (target, guessWords, words) => {
+            const guesses = guessWords.map(word => makeGuess(word, target));
+            const candidates = Solver.filterCandidates([target, ...words], guesses);
+            
+            expect(candidates).toContain(target);
+            [target, ...words].forEach(word => {
+              const matches = guessWords.every((guessed, i) =>
+                JSON.stringify(FeedbackGenerator.generateFeedback(guessed, word)) === JSON.stringify(guesses[i].getFeedback())
+              );
+              expect(candidates.includes(word)).toBe(matches);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * Feature: hard-wordle, Property: Suggestion scores
+     *
+     * For any guesses and candidates, each suggestion's entropy and expected
+     * remaining count match the groups FeedbackGenerator would produce.
+     */
+    test('Property: Suggestion scores - entropy and expected remaining match the feedback groups', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(wordArb, { minLength: 1, maxLength: 8 }),
+          fc.uniqueArray(wordArb, { minLength: 1, maxLength: 30 }),
+          (guessWords, candidates) => {
+            const ranked = Solver.rankGuesses(guessWords, candidates, { limit: guessWords.length });
+            
+            expect(ranked).toHaveLength(guessWords.length);
+            ranked.forEach(({ word, entropy, expectedRemaining, isCandidate }) => {
+              const sizes = [...Solver.groupByPattern(word, candidates).values()].map(group => group.length);
+              const expectedEntropy = sizes.reduce((sum, size) => {
+                const p = size / candidates.length;
+                return sum - p * Math.log2(p);
+              }, 0);
+              
+              expect(entropy).toBeCloseTo(expectedEntropy, 9);
+              expect(expectedRemaining).toBeCloseTo(sizes.reduce((sum, size) => sum + size * size, 0) / candidates.length, 9);
+              expect(isCandidate).toBe(candidates.includes(word));
+            });
+            for (let i = 1; i < ranked.length; i++) {
+              expect(ranked[i - 1].entropy).toBeGreaterThanOrEqual(ranked[i].entropy - 1e-12);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for StrategyBenchmark class
+ * Includes both unit tests and property-based tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyBenchmark = require('../cli/StrategyBenchmark');
+const Dictionary = require('../src/Dictionary');
+const Solver = require('../src/Solver');
+const { createTestDictionary } = require('./testUtils');
+const fc = require('fast-check');
+
+const SETTINGS = { wordLength: 5, difficulty: 'normal', hardMode: false };
+
+/**
+ * Strategy that always guesses the first word that could still be the answer
+ */
+const firstCandidate = {
+  name: 'first-candidate',
+  nextGuess(history, dictionary, settings) {
+    return Solver.filterCandidates(dictionary.getAnswers(settings.wordLength), history)[0];
+  }
+};
+
+describe('StrategyBenchmark', () => {
+  describe('Unit Tests', () => {
+    describe('parseArgs', () => {
+      test('should default to the entropy bot on 5-letter normal targets as JSON', () => {
+        expect(StrategyBenchmark.parseArgs([])).toEqual({
+          strategy: 'entropy',
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: false,
+          format: 'json',
+          worst: 10,
+          help: false
+        });
+      });
+
+      test('should read every option', () => {
+        expect(StrategyBenchmark.parseArgs([
+          '--strategy', './bot.js', '--length', '6', '--difficulty', 'easy', '--hard', '--format', 'csv', '--worst', '3', '-h'
+        ])).toEqual({
+          strategy: './bot.js',
+          wordLength: 6,
+          difficulty: 'easy',
+          hardMode: true,
+          format: 'csv',
+          worst: 3,
+          help: true
+        });
+      });
+
+      test('should reject unknown options and bad values', () => {
+        expect(() => StrategyBenchmark.parseArgs(['crane'])).toThrow('Unknown option crane');
+        expect(() => StrategyBenchmark.parseArgs(['--strategy'])).toThrow('--strategy needs a value');
+        expect(() => StrategyBenchmark.parseArgs(['--format', 'xml'])).toThrow('--format must be one of: json, csv');
+        expect(() => StrategyBenchmark.parseArgs(['--worst', '-1'])).toThrow('--worst must be a whole number');
+        expect(() => StrategyBenchmark.parseArgs(['--difficulty', 'extreme'])).toThrow('--difficulty must be one of: easy, normal, hard');
+      });
+    });
+
+    describe('playGame', () => {
+      test('should play until the strategy finds the target', () => {
+        const result = StrategyBenchmark.playGame(firstCandidate, createTestDictionary(), 'crane', SETTINGS);
+        
+        expect(result).toEqual({ word: 'crane', solved: true, guesses: 2, history: ['apple', 'crane'] });
+      });
+
+      test('should record a loss when the strategy runs out of guesses', () => {
+        const dictionary = new Dictionary(['bills', 'fills', 'gills', 'hills', 'kills', 'mills', 'pills', 'tills']);
+        
+        const result = StrategyBenchmark.playGame(firstCandidate, dictionary, 'tills', SETTINGS);
+        
+        expect(result.solved).toBe(false);
+        expect(result.guesses).toBe(6);
+      });
+
+      test('should stop when the strategy makes a guess the game rejects', () => {
+        const strategy = { name: 'typo', nextGuess: () => 'zzzzz' };
+        
+        expect(() => StrategyBenchmark.playGame(strategy, createTestDictionary(), 'crane', SETTINGS))
+          .toThrow('Strategy typo guessed "zzzzz" against "crane": Not a valid word');
+      });
+
+      test('should give the strategy the guesses so far and the game settings', () => {
+        const nextGuess = jest.fn(() => 'crane');
+        
+        StrategyBenchmark.playGame({ name: 'spy', nextGuess }, createTestDictionary(), 'crane', { ...SETTINGS, hardMode: true });
+        
+        expect(nextGuess).toHaveBeenCalledWith([], expect.any(Dictionary), { wordLength: 5, difficulty: 'normal', hardMode: true });
+      });
+    });
+
+    describe('run and summarize', () => {
+      test('should play every target of the tier', () => {
+        const dictionary = createTestDictionary();
+        const onProgress = jest.fn();
+        
+        const report = StrategyBenchmark.run(firstCandidate, dictionary, { onProgress });
+        
+        expect(report.games).toBe(dictionary.getTargetCount({ length: 5 }));
+        expect(onProgress).toHaveBeenLastCalledWith(report.games, report.games);
+      });
+
+      test('should report averages, failures, the distribution and the worst words', () => {
+        const results = [
+          { word: 'apple', solved: true, guesses: 1, history: ['apple'] },
+          { word: 'bread', solved: true, guesses: 3, history: [] },
+          { word: 'crane', solved: false, guesses: 6, history: [] },
+          { word: 'delta', solved: true, guesses: 5, history: [] }
+        ];
+        
+        const report = StrategyBenchmark.summarize('bot', SETTINGS, results, 2);
+        
+        expect(report).toEqual({
+          strategy: 'bot',
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: false,
+          games: 4,
+          solved: 3,
+          failed: 1,
+          failureRate: 0.25,
+          averageGuesses: 3,
+          distribution: { 1: 1, 2: 0, 3: 1, 4: 0, 5: 1, 6: 0 },
+          worst: [results[2], results[3]]
+        });
+      });
+
+      test('should report no average when nothing was solved', () => {
+        const report = StrategyBenchmark.summarize('bot', SETTINGS, [{ word: 'crane', solved: false, guesses: 6, history: [] }]);
+        
+        expect(report.averageGuesses).toBeNull();
+        expect(report.failureRate).toBe(1);
+      });
+
+      test('should play only the targets given', () => {
+        const report = StrategyBenchmark.run(firstCandidate, createTestDictionary(), { targets: ['crane', 'tiger'], worst: 1 });
+        
+        expect(report.games).toBe(2);
+        expect(report.worst.map(result => result.word)).toEqual(['tiger']);
+      });
+
+      test('should throw error when the tier has no targets', () => {
+        expect(() => StrategyBenchmark.run(firstCandidate, createTestDictionary(), { wordLength: 6 }))
+          .toThrow('Dictionary has no 6-letter words');
+      });
+    });
+
+    describe('formatCSV', () => {
+      test('should write a header and one row', () => {
+        const report = StrategyBenchmark.summarize('my, "bot"', SETTINGS, [
+          { word: 'crane', solved: true, guesses: 2, history: [] },
+          { word: 'apple', solved: false, guesses: 6, history: [] }
+        ]);
+        
+        expect(StrategyBenchmark.formatCSV(report).split('\n')).toEqual([
+          'strategy,wordLength,difficulty,hardMode,games,solved,failed,failureRate,averageGuesses,' +
+            'guesses1,guesses2,guesses3,guesses4,guesses5,guesses6,worst',
+          '"my, ""bot""",5,normal,false,2,1,1,0.5,2,0,1,0,0,0,0,apple crane'
+        ]);
+      });
+    });
+
+    describe('loadStrategy', () => {
+      const directory = path.join(os.tmpdir(), `hard-wordle-strategies-${process.pid}`);
+
+      beforeAll(() => {
+        fs.mkdirSync(directory, { recursive: true });
+      });
+
+      afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+      });
+
+      test('should create reference bots by name', () => {
+        expect(StrategyBenchmark.loadStrategy('entropy').name).toBe('entropy');
+        expect(StrategyBenchmark.loadStrategy('random', { random: () => 0 }).nextGuess([], createTestDictionary(), SETTINGS))
+          .toBe('apple');
+      });
+
+      test('should load a strategy module, named after its file if it has no name', () => {
+        const file = path.join(directory, 'my-bot.js');
+        fs.writeFileSync(file, "module.exports = { guess: 'crane', nextGuess() { return this.guess; } };");
+        
+        const strategy = StrategyBenchmark.loadStrategy(file);
+        
+        expect(strategy.name).toBe('my-bot');
+        expect(strategy.nextGuess([], createTestDictionary(), SETTINGS)).toBe('crane');
+      });
+
+      test('should reject modules that are not strategies', () => {
+        const file = path.join(directory, 'not-a-bot.js');
+        fs.writeFileSync(file, 'module.exports = {};');
+        
+        expect(() => StrategyBenchmark.loadStrategy(file)).toThrow(`${file} must export an object with a nextGuess function`);
+      });
+
+      test('should reject names that are neither bots nor files', () => {
+        expect(() => StrategyBenchmark.loadStrategy('oracle'))
+          .toThrow('oracle is neither a bot (random, frequency, entropy) nor a strategy module');
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Benchmark totals
+     *
+     * For any set of targets, every target is played once, wins and losses
+     * add up to the games played, the distribution adds up to the wins and
+     * the worst words are the losses and longest wins.
+     */
+    test('Property: Benchmark totals - every target is counted once in the report', () => {
+      const dictionary = createTestDictionary();
+      const words = dictionary.getAnswers(5);
+      
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(fc.constantFrom(...words), { minLength: 1 }),
+          fc.integer({ min: 0, max: 30 }),
+          (targets, worst) => {
+            const report = StrategyBenchmark.run(firstCandidate, dictionary, { targets, worst });
+            
+            expect(report.games).toBe(targets.length);
+            expect(report.solved + report.failed).toBe(report.games);
+            expect(Object.values(report.distribution).reduce((sum, count) => sum + count, 0)).toBe(report.solved);
+            expect(report.worst).toHaveLength(Math.min(worst, targets.length));
+            report.worst.slice(1).forEach((result, index) => {
+              const previous = report.worst[index];
+              expect(Number(previous.solved) <= Number(result.solved)).toBe(true);
+              if (previous.solved === result.solved) {
+                expect(previous.guesses).toBeGreaterThanOrEqual(result.guesses);
+              }
+            });
+            if (report.averageGuesses !== null) {
+              expect(report.averageGuesses).toBeGreaterThanOrEqual(1);
+              expect(report.averageGuesses).toBeLessThanOrEqual(6);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for TerminalGame class
+ * Includes both unit tests and property-based tests
+ */
+
+const TerminalGame = require('../cli/TerminalGame');
+const GameController = require('../src/GameController');
+const { createTestDictionary } = require('./testUtils');
+const fc = require('fast-check');
+
+/**
+ * Remove ANSI escape sequences
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Start a practice game whose target is QUEEN
+ */
+function startQueenGame(options = {}) {
+  const gameController = new GameController(createTestDictionary());
+  gameController.startNewGame({ seed: 1, ...options });
+  return gameController;
+}
+
+describe('TerminalGame', () => {
+  describe('Unit Tests', () => {
+    describe('parseArgs', () => {
+      test('should default to a normal 5-letter practice game', () => {
+        expect(TerminalGame.parseArgs([])).toEqual({
+          mode: 'practice',
+          seed: null,
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: false,
+          json: false,
+          color: null,
+          help: false,
+          guesses: []
+        });
+      });
+
+      test('should read every option and collect guesses', () => {
+        const options = TerminalGame.parseArgs([
+          '--seed', '1234', '--length', '6', '--difficulty', 'hard', '--hard', '--json', '--no-color', 'planet', 'silver'
+        ]);
+        
+        expect(options).toMatchObject({
+          mode: 'practice',
+          seed: 1234,
+          wordLength: 6,
+          difficulty: 'hard',
+          hardMode: true,
+          json: true,
+          color: false,
+          guesses: ['planet', 'silver']
+        });
+      });
+
+      test('should read daily, color and help flags', () => {
+        expect(TerminalGame.parseArgs(['--daily', '--color', '-h'])).toMatchObject({ mode: 'daily', color: true, help: true });
+        expect(TerminalGame.parseArgs(['--help']).help).toBe(true);
+      });
+
+      test('should reject unknown options and bad values', () => {
+        expect(() => TerminalGame.parseArgs(['--bogus'])).toThrow('Unknown option --bogus');
+        expect(() => TerminalGame.parseArgs(['--seed'])).toThrow('--seed needs a value');
+        expect(() => TerminalGame.parseArgs(['--seed', '-1'])).toThrow('--seed must be an integer from 0 to 4294967295');
+        expect(() => TerminalGame.parseArgs(['--length', 'five'])).toThrow('--length must be a whole number');
+        expect(() => TerminalGame.parseArgs(['--difficulty', 'extreme'])).toThrow('--difficulty must be one of: easy, normal, hard');
+      });
+
+      test('should reject a seed for the daily puzzle', () => {
+        expect(() => TerminalGame.parseArgs(['--daily', '--seed', '1'])).toThrow('--seed only applies to practice games');
+      });
+    });
+
+    describe('renderBoard', () => {
+      test('should mark tiles with brackets when color is off', () => {
+        const gameController = startQueenGame();
+        gameController.submitGuess('uncle');
+        
+        const rows = TerminalGame.renderBoard(gameController.getGameState(), { color: false }).split('\n');
+        
+        expect(rows).toHaveLength(6);
+        expect(rows[0]).toBe('(U) (N) -C- -L- (E)');
+        expect(rows[1]).toBe(' .   .   .   .   . ');
+      });
+
+      test('should color tiles with ANSI backgrounds by default', () => {
+        const gameController = startQueenGame();
+        gameController.submitGuess('queen');
+        
+        const board = TerminalGame.renderBoard(gameController.getGameState());
+        
+        expect(board).toContain('\x1b[1;97;42m Q \x1b[0m');
+        expect(board).not.toContain('[Q]');
+      });
+    });
+
+    describe('keyboard', () => {
+      test('should keep the best status for each letter', () => {
+        const gameController = startQueenGame();
+        gameController.submitGuess('uncle');
+        gameController.submitGuess('queen');
+        
+        const status = TerminalGame.getKeyboardStatus(gameController.getGameState().getGuesses());
+        
+        expect(status.u).toBe('correct');
+        expect(status.n).toBe('correct');
+        expect(status.c).toBe('absent');
+        expect(status.z).toBeUndefined();
+      });
+
+      test('should draw three rows with guessed letters marked', () => {
+        const gameController = startQueenGame();
+        gameController.submitGuess('uncle');
+        
+        const rows = TerminalGame.renderKeyboard(gameController.getGameState().getGuesses(), { color: false }).split('\n');
+        
+        expect(rows).toHaveLength(3);
+        expect(rows[0]).toBe(' Q  W (E) R  T  Y (U) I  O  P ');
+        expect(rows[2]).toBe('     Z  X -C- V  B (N) M ');
+      });
+    });
+
+    describe('render', () => {
+      test('should show the title, board and keyboard', () => {
+        const gameController = startQueenGame({ hardMode: true });
+        
+        const screen = TerminalGame.render(gameController.getGameState(), { color: false });
+        
+        expect(screen.split('\n')[0]).toBe('Hard Wordle - Practice, seed 1 (5 letters, normal, Hard Mode)');
+        expect(screen).not.toContain('Solved');
+      });
+
+      test('should show the result and replay seed once the game is won', () => {
+        const gameController = startQueenGame();
+        gameController.submitGuess('queen');
+        
+        const screen = TerminalGame.render(gameController.getGameState(), { color: false });
+        
+        expect(screen.endsWith('Solved in 1/6: QUEEN\nReplay with --seed 1')).toBe(true);
+      });
+
+      test('should reveal the word when the game is lost', () => {
+        const gameController = startQueenGame();
+        ['apple', 'bread', 'crane', 'dance', 'eagle', 'flame'].forEach(word => gameController.submitGuess(word));
+        
+        expect(TerminalGame.formatResult(gameController.getGameState()))
+          .toBe('Out of guesses. The word was QUEEN\nReplay with --seed 1');
+      });
+
+      test('should title daily games by puzzle number without a replay seed', () => {
+        const gameController = new GameController(createTestDictionary());
+        gameController.startNewGame({ mode: 'daily', date: new Date('2024-01-02T12:00:00Z') });
+        const gameState = gameController.getGameState();
+        gameController.submitGuess(gameState.getTargetWord());
+        
+        expect(TerminalGame.formatTitle(gameState)).toBe(`Hard Wordle - Daily #${gameState.getPuzzleNumber()} (5 letters, normal)`);
+        expect(TerminalGame.formatResult(gameState)).not.toContain('--seed');
+      });
+    });
+
+    describe('formatError', () => {
+      test('should color errors red unless color is off', () => {
+        expect(TerminalGame.formatError('Not a valid word')).toBe('\x1b[31mNot a valid word\x1b[0m');
+        expect(TerminalGame.formatError('Not a valid word', { color: false })).toBe('Not a valid word');
+      });
+    });
+
+    describe('playGuesses and toJSON', () => {
+      test('should play guesses and report the rejected ones', () => {
+        const gameController = startQueenGame();
+        
+        const rejected = TerminalGame.playGuesses(gameController, ['uncle', 'zzzzz', 'queen', 'tiger']);
+        
+        expect(rejected).toEqual([
+          { word: 'zzzzz', error: expect.any(String) },
+          { word: 'tiger', error: expect.any(String) }
+        ]);
+        expect(gameController.getGameState().getGuesses().map(guess => guess.getWord())).toEqual(['uncle', 'queen']);
+      });
+
+      test('should withhold the target until the game is over', () => {
+        const gameController = startQueenGame();
+        TerminalGame.playGuesses(gameController, ['uncle']);
+        
+        const summary = TerminalGame.toJSON(gameController.getGameState());
+        
+        expect(summary).toEqual({
+          mode: 'practice',
+          puzzleNumber: null,
+          seed: 1,
+          wordLength: 5,
+          difficulty: 'normal',
+          hardMode: false,
+          gameStatus: 'in-progress',
+          remainingAttempts: 5,
+          guesses: [{ word: 'uncle', feedback: ['present', 'present', 'absent', 'absent', 'present'] }],
+          rejected: [],
+          targetWord: null
+        });
+        
+        TerminalGame.playGuesses(gameController, ['queen']);
+        expect(TerminalGame.toJSON(gameController.getGameState()).targetWord).toBe('queen');
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Terminal board
+     *
+     * For any guesses, the board has one row per attempt, and with colors
+     * stripped each guessed row reads as the guess's letters.
+     */
+    test('Property: Terminal board - every attempt is a row and every guess reads back from it', () => {
+      const words = createTestDictionary().getTargetWords();
+      
+      fc.assert(
+        fc.property(
+          fc.array(fc.constantFrom(...words), { maxLength: 6 }),
+          fc.boolean(),
+          (guesses, color) => {
+            const gameController = startQueenGame();
+            TerminalGame.playGuesses(gameController, guesses);
+            const gameState = gameController.getGameState();
+            
+            const rows = stripAnsi(TerminalGame.renderBoard(gameState, { color })).split('\n');
+            
+            expect(rows).toHaveLength(gameState.maxAttempts);
+            gameState.getGuesses().forEach((guess, index) => {
+              expect(rows[index].replace(/[^A-Z]/g, '')).toBe(guess.getWord().toUpperCase());
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for WordListTool class
+ * Includes both unit tests and property-based tests
+ */
+
+const WordListTool = require('../cli/WordListTool');
+const Dictionary = require('../src/Dictionary');
+const fc = require('fast-check');
+
+describe('WordListTool', () => {
+  describe('Unit Tests', () => {
+    describe('validate', () => {
+      test('should find no problems in a clean list', () => {
+        expect(WordListTool.validate({ answers: { 5: ['apple', 'crane'] }, allowed: { 5: ['aalii'] } })).toEqual([]);
+      });
+
+      test('should report words with characters other than a-z', () => {
+        const problems = WordListTool.validate({ answers: { 5: ['apple', 'ap-le', 'café!'] } });
+        
+        expect(problems.map(problem => problem.type)).toEqual(['characters', 'characters']);
+        expect(problems[0].message).toBe('answers[5]: "ap-le" contains characters other than a-z');
+      });
+
+      test('should report words filed under the wrong length', () => {
+        const problems = WordListTool.validate({ answers: { 5: ['apple', 'bread', 'apples'] } });
+        
+        expect(problems).toEqual([{
+          type: 'length',
+          list: 'answers',
+          length: 5,
+          word: 'apples',
+          message: 'answers[5]: "apples" has 6 letters'
+        }]);
+      });
+
+      test('should report duplicates after lowercasing, within and across lists', () => {
+        const problems = WordListTool.validate({
+          answers: { 5: ['apple', 'Apple'] },
+          allowed: { 5: ['CRANE', 'apple'] },
+          frequencies: {}
+        });
+        
+        expect(problems.map(problem => problem.message)).toEqual([
+          'answers[5]: "Apple" duplicates "apple" in answers[5]',
+          'allowed[5]: "apple" duplicates "apple" in answers[5]'
+        ]);
+      });
+
+      test('should check flat lists without a length', () => {
+        const problems = WordListTool.validate({ words: ['apple', 'apples', 'APPLE'] });
+        
+        expect(problems.map(problem => problem.message)).toEqual(['words: "APPLE" duplicates "apple" in words']);
+      });
+
+      test('should report data Dictionary cannot load', () => {
+        expect(WordListTool.validate({ answers: 'apple' })[0]).toMatchObject({
+          type: 'format',
+          message: 'Invalid dictionary format: expected "answers" array or object grouped by length'
+        });
+        expect(WordListTool.validate({ answers: { 5: [] } })[0].message).toBe('Dictionary cannot be empty');
+      });
+    });
+
+    describe('dedupe', () => {
+      test('should lowercase words and keep the first of each duplicate', () => {
+        const { data, removed } = WordListTool.dedupe({
+          answers: { 5: ['Crane', 'apple', 'crane'] },
+          allowed: { 5: ['apple', 'aalii'], 6: ['abacus'] },
+          frequencies: { crane: 3.1 }
+        });
+        
+        expect(data).toEqual({
+          answers: { 5: ['crane', 'apple'] },
+          allowed: { 5: ['aalii'], 6: ['abacus'] },
+          frequencies: { crane: 3.1 }
+        });
+        expect(removed.map(problem => problem.word)).toEqual(['crane', 'apple']);
+      });
+
+      test('should move misfiled words to their own length', () => {
+        const { data } = WordListTool.dedupe({ answers: { 5: ['apple', 'apples'] } });
+        
+        expect(data.answers).toEqual({ 5: ['apple'], 6: ['apples'] });
+      });
+    });
+
+    describe('sort', () => {
+      test('should sort every list and keep the other fields', () => {
+        const { data, changed } = WordListTool.sort({
+          answers: { 5: ['crane', 'apple'] },
+          allowed: ['zebra', 'aalii'],
+          frequencies: { apple: 4.37 }
+        });
+        
+        expect(changed).toBe(true);
+        expect(data).toEqual({
+          answers: { 5: ['apple', 'crane'] },
+          allowed: ['aalii', 'zebra'],
+          frequencies: { apple: 4.37 }
+        });
+      });
+
+      test('should report when nothing moved', () => {
+        const original = { answers: { 5: ['apple', 'crane'] } };
+        
+        expect(WordListTool.sort(original)).toEqual({ data: original, changed: false });
+      });
+    });
+
+    describe('diff', () => {
+      test('should list words added to and removed from each list', () => {
+        const diff = WordListTool.diff(
+          { answers: { 5: ['apple', 'crane'] }, allowed: { 5: ['aalii', 'bread'] } },
+          { answers: { 5: ['apple', 'bread', 'eagle'] }, allowed: { 5: ['aalii'], 6: ['abacus'] } }
+        );
+        
+        expect(diff).toEqual({
+          answers: { added: ['bread', 'eagle'], removed: ['crane'] },
+          allowed: { added: ['abacus'], removed: ['bread'] }
+        });
+        expect(WordListTool.formatDiff(diff)).toBe([
+          '- answers: crane',
+          '+ answers: bread',
+          '+ answers: eagle',
+          '- allowed: bread',
+          '+ allowed: abacus'
+        ].join('\n'));
+      });
+
+      test('should say when the lists are the same', () => {
+        const data = { answers: ['apple'] };
+        
+        expect(WordListTool.formatDiff(WordListTool.diff(data, data))).toBe('No differences');
+      });
+    });
+
+    describe('blocked', () => {
+      test('should list blocked entries and blocklist words not in the list', () => {
+        const result = WordListTool.blocked(
+          { answers: { 5: ['apple', 'Crane'] }, allowed: { 5: ['aalii'], 6: ['abacus'] } },
+          ['crane', 'abacus', 'zebra']
+        );
+        
+        expect(result).toEqual({
+          blocked: [
+            { word: 'crane', list: 'answers', length: 5 },
+            { word: 'abacus', list: 'allowed', length: 6 }
+          ],
+          missing: ['zebra']
+        });
+      });
+    });
+
+    describe('stats', () => {
+      const stats = WordListTool.stats({ answers: { 4: ['bark'], 5: ['apple', 'bread'] }, allowed: { 5: ['aalii'] } });
+
+      test('should count answers and allowed words per length', () => {
+        expect(stats.lengths).toEqual([
+          { length: 4, answers: 1, allowed: 0, blocked: 0 },
+          { length: 5, answers: 2, allowed: 1, blocked: 0 }
+        ]);
+      });
+
+      test('should count blocked words apart from answers and allowed words', () => {
+        const blockedStats = WordListTool.stats({ answers: { 5: ['apple', 'bread'] }, allowed: { 5: ['aalii'] } }, ['bread', 'aalii']);
+        
+        expect(blockedStats.lengths).toEqual([{ length: 5, answers: 1, allowed: 0, blocked: 2 }]);
+        expect(WordListTool.formatStats(blockedStats)).toContain('Total: 3 words');
+      });
+
+      test('should count letters over every word and share of answers containing them', () => {
+        expect(stats.letters[0]).toEqual({ letter: 'a', count: 5, share: 1 });
+        expect(stats.letters).toHaveLength(26);
+        expect(stats.answerLetters.find(entry => entry.letter === 'p')).toEqual({ letter: 'p', count: 2, share: 1 / 3 });
+        expect(stats.answerLetters.find(entry => entry.letter === 'z')).toEqual({ letter: 'z', count: 0, share: 0 });
+      });
+
+      test('should format the counts and letters as tables', () => {
+        const text = WordListTool.formatStats(stats);
+        
+        expect(text).toContain('     5        2        1        0');
+        expect(text).toContain('Total: 4 words');
+        expect(text).toContain('     a      5      100.0%');
+      });
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    const wordArb = fc.stringOf(fc.constantFrom(...'abcdeABCDE'), { minLength: 4, maxLength: 5 });
+
+    /**
+     * Feature: hard-wordle, Property: Dedupe cleans lists
+     *
+     * For any lists of words, deduping leaves nothing for validate to report,
+     * removes exactly the duplicates validate found, and keeps the same words
+     * in the Dictionary.
+     */
+    test('Property: Dedupe cleans lists - deduped data validates clean and loads the same words', () => {
+      fc.assert(
+        fc.property(
+          fc.array(wordArb, { minLength: 1, maxLength: 20 }),
+          fc.array(wordArb, { maxLength: 20 }),
+          (answers, allowed) => {
+            const data = { answers, allowed };
+            const { data: deduped, removed } = WordListTool.dedupe(data);
+            const before = Dictionary.fromJSON(data);
+            const after = Dictionary.fromJSON(deduped);
+            
+            expect(WordListTool.validate(deduped)).toEqual([]);
+            expect(removed).toEqual(WordListTool.validate(data).filter(problem => problem.type === 'duplicate'));
+            expect(after.getWords().sort()).toEqual(before.getWords().sort());
+            expect(after.getAnswers().sort()).toEqual(before.getAnswers().sort());
+            expect(answers.length + allowed.length - removed.length).toBe(after.size());
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for WorkerGameAnalyzer class
+ * Includes both unit tests and property-based tests
+ */
+
+const WorkerGameAnalyzer = require('../src/WorkerGameAnalyzer');
+const { handleMessage } = require('../src/analysis-worker');
+const Dictionary = require('../src/Dictionary');
+const GameAnalyzer = require('../src/GameAnalyzer');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const fc = require('fast-check');
+
+/**
+ * Play a game with the given guesses
+ * @param {string} target - Target word
+ * @param {string[]} words - Guesses to make, in order
+ */
+function playGame(target, words) {
+  const gameState = new GameState(target, 6);
+  words.forEach(word => gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target))));
+  return gameState;
+}
+
+/**
+ * Create a stand-in for a Worker running analysis-worker.js
+ * Messages are copied and answered asynchronously, like the real thing
+ */
+function createFakeWorker() {
+  const listeners = [];
+  const state = { dictionary: null };
+  const worker = {
+    messages: [],
+    addEventListener: (type, listener) => listeners.push(listener),
+    postMessage: message => {
+      const data = JSON.parse(JSON.stringify(message));
+      worker.messages.push(data);
+      setTimeout(() => {
+        const reply = handleMessage(state, data);
+        if (reply) {
+          listeners.forEach(listener => listener({ data: JSON.parse(JSON.stringify(reply)) }));
+        }
+      }, 0);
+    },
+    reply: data => listeners.forEach(listener => listener({ data }))
+  };
+  return worker;
+}
+
+describe('WorkerGameAnalyzer', () => {
+  const answers = ['crash', 'crass', 'brass', 'grass'];
+  const dictionary = new Dictionary(answers, ['bloom', 'dumpy']);
+
+  describe('Unit Tests', () => {
+    test('should require a worker and a packed dictionary', () => {
+      expect(() => new WorkerGameAnalyzer(null, '')).toThrow('A worker is required');
+      expect(() => new WorkerGameAnalyzer(createFakeWorker(), null)).toThrow('Packed dictionary is required');
+    });
+
+    test('should send the dictionary to the worker once', () => {
+      const worker = createFakeWorker();
+      
+      new WorkerGameAnalyzer(worker, dictionary.toPacked());
+      
+      expect(worker.messages).toEqual([{ type: 'dictionary', packed: dictionary.toPacked() }]);
+    });
+
+    test('should resolve with the worker\'s analysis', async () => {
+      const analyzer = new WorkerGameAnalyzer(createFakeWorker(), dictionary.toPacked());
+      const gameState = playGame('crass', ['bloom', 'crass']);
+      
+      await expect(analyzer.analyze(gameState)).resolves.toEqual(GameAnalyzer.analyze(dictionary, gameState));
+    });
+
+    test('should match each reply to its request', async () => {
+      const analyzer = new WorkerGameAnalyzer(createFakeWorker(), dictionary.toPacked());
+      const first = playGame('crass', ['bloom', 'crass']);
+      const second = playGame('brass', ['dumpy', 'brass']);
+      
+      const results = await Promise.all([analyzer.analyze(first), analyzer.analyze(second)]);
+      
+      expect(results.map(analysis => analysis[0].word)).toEqual(['bloom', 'dumpy']);
+    });
+
+    test('should reject when the worker reports an error', async () => {
+      const worker = createFakeWorker();
+      const analyzer = new WorkerGameAnalyzer(worker, dictionary.toPacked());
+      worker.postMessage = () => {};
+      
+      const analysis = analyzer.analyze(playGame('crass', ['crass']));
+      worker.reply({ id: 1, error: 'Dictionary has not been loaded' });
+      
+      await expect(analysis).rejects.toThrow('Dictionary has not been loaded');
+    });
+
+    test('should ignore replies to unknown requests', () => {
+      const worker = createFakeWorker();
+      const analyzer = new WorkerGameAnalyzer(worker, dictionary.toPacked());
+      
+      expect(() => worker.reply({ id: 42, analysis: [] })).not.toThrow();
+      expect(analyzer.pending.size).toBe(0);
+    });
+
+    test('should reject a missing game state', async () => {
+      const analyzer = new WorkerGameAnalyzer(createFakeWorker(), dictionary.toPacked());
+      
+      await expect(analyzer.analyze(null)).rejects.toThrow('Game state is required');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Worker round trip
+     *
+     * For any batch of games analyzed at once, each promise resolves with the
+     * analysis of its own game.
+     */
+    test('Property: Worker round trip - every game gets its own analysis', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.array(fc.constantFrom(...answers), { minLength: 1, maxLength: 4 }),
+          async targets => {
+            const analyzer = new WorkerGameAnalyzer(createFakeWorker(), dictionary.toPacked());
+            const games = targets.map(target => playGame(target, target === 'bloom' ? [target] : ['bloom', target]));
+            
+            const results = await Promise.all(games.map(gameState => analyzer.analyze(gameState)));
+            
+            results.forEach((analysis, index) => {
+              expect(analysis).toEqual(GameAnalyzer.analyze(dictionary, games[index]));
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the analysis worker's message handling
+ * Includes both unit tests and property-based tests
+ */
+
+const { handleMessage } = require('../src/analysis-worker');
+const Dictionary = require('../src/Dictionary');
+const GameAnalyzer = require('../src/GameAnalyzer');
+const GameState = require('../src/GameState');
+const Guess = require('../src/Guess');
+const FeedbackGenerator = require('../src/FeedbackGenerator');
+const fc = require('fast-check');
+
+/**
+ * Play a game with the given guesses
+ * @param {string} target - Target word
+ * @param {string[]} words - Guesses to make, in order
+ */
+function playGame(target, words) {
+  const gameState = new GameState(target, 6);
+  words.forEach(word => gameState.addGuess(new Guess(word, FeedbackGenerator.generateFeedback(word, target))));
+  return gameState;
+}
+
+describe('analysis worker', () => {
+  const answers = ['crash', 'crass', 'brass', 'grass'];
+  const dictionary = new Dictionary(answers, ['bloom', 'dumpy']);
+
+  describe('Unit Tests', () => {
+    test('should load the dictionary without replying', () => {
+      const state = { dictionary: null };
+      
+      expect(handleMessage(state, { type: 'dictionary', packed: dictionary.toPacked() })).toBeNull();
+      expect(state.dictionary.getAnswers()).toEqual(dictionary.getAnswers());
+    });
+
+    test('should reply with the analysis of a game', () => {
+      const state = { dictionary: null };
+      handleMessage(state, { type: 'dictionary', packed: dictionary.toPacked() });
+      const gameState = playGame('crass', ['bloom', 'crass']);
+      
+      expect(handleMessage(state, { type: 'analyze', id: 3, game: gameState.toJSON() })).toEqual({
+        id: 3,
+        analysis: GameAnalyzer.analyze(dictionary, gameState)
+      });
+    });
+
+    test('should reply with an error before the dictionary is loaded', () => {
+      const gameState = playGame('crass', ['crass']);
+      
+      expect(handleMessage({ dictionary: null }, { type: 'analyze', id: 1, game: gameState.toJSON() })).toEqual({
+        id: 1,
+        error: 'Dictionary has not been loaded'
+      });
+    });
+
+    test('should reply with an error for an unreadable game', () => {
+      const reply = handleMessage({ dictionary }, { type: 'analyze', id: 2, game: null });
+      
+      expect(reply.id).toBe(2);
+      expect(reply.error).toEqual(expect.any(String));
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Worker parity
+     *
+     * For any target and guesses, the worker's analysis of the serialized
+     * game matches analyzing the game on the page.
+     */
+    test('Property: Worker parity - the worker rates games like GameAnalyzer', () => {
+      const state = { dictionary: null };
+      handleMessage(state, { type: 'dictionary', packed: dictionary.toPacked() });
+      
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...answers),
+          fc.array(fc.constantFrom('bloom', 'dumpy', 'brass'), { maxLength: 5 }),
+          (target, words) => {
+            // Only the last guess is the target, so the game never ends early
+            const gameState = playGame(target, [...words.filter(word => word !== target), target]);
+            
+            const reply = handleMessage(state, { type: 'analyze', id: 1, game: gameState.toJSON() });
+            
+            expect(reply.analysis).toEqual(GameAnalyzer.analyze(dictionary, gameState));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
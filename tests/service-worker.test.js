@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the service worker's caching
+ * Includes both unit tests and property-based tests
+ */
+
+const {
+  CACHE_PREFIX,
+  getCacheName,
+  precache,
+  removeOldCaches,
+  shouldHandle,
+  respond
+} = require('../src/service-worker');
+const fs = require('fs');
+const path = require('path');
+const fc = require('fast-check');
+
+const ORIGIN = 'https://wordle.example';
+
+/**
+ * Create an in-memory stand-in for the worker's CacheStorage
+ * Entries are keyed by URL, like the real Cache API
+ */
+function createCacheStorage() {
+  const stores = new Map();
+  const keyOf = request => (typeof request === 'string' ? request : request.url);
+
+  return {
+    stores,
+    open: async name => {
+      if (!stores.has(name)) {
+        const entries = new Map();
+        stores.set(name, {
+          entries,
+          match: async request => entries.get(keyOf(request)),
+          put: async (request, response) => {
+            entries.set(keyOf(request), response);
+          },
+          addAll: async requests => {
+            for (const request of requests) {
+              entries.set(keyOf(request), new Response(`cached ${keyOf(request)}`));
+            }
+          }
+        });
+      }
+      return stores.get(name);
+    },
+    keys: async () => [...stores.keys()],
+    delete: async name => stores.delete(name)
+  };
+}
+
+/**
+ * Build a GET request for a path on the app's origin
+ * @param {string} path - Path to request
+ * @param {Object} [init] - Request settings
+ */
+function appRequest(path, init) {
+  return new Request(`${ORIGIN}${path}`, init);
+}
+
+describe('service worker', () => {
+  const manifest = { version: 'abc123', urls: ['/index.html', '/bundle.1f2e.js', '/words.json'] };
+
+  describe('Unit Tests', () => {
+    test('should precache every manifest URL, bypassing the HTTP cache', async () => {
+      const caches = createCacheStorage();
+      const addAll = jest.fn();
+      caches.open = jest.fn().mockResolvedValue({ addAll });
+      
+      await precache(caches, manifest, ORIGIN);
+      
+      expect(caches.open).toHaveBeenCalledWith('hard-wordle-abc123');
+      const requests = addAll.mock.calls[0][0];
+      expect(requests.map(request => request.url)).toEqual([
+        `${ORIGIN}/index.html`,
+        `${ORIGIN}/bundle.1f2e.js`,
+        `${ORIGIN}/words.json`
+      ]);
+      expect(requests.every(request => request.cache === 'reload')).toBe(true);
+    });
+
+    test('should delete the caches of earlier builds only', async () => {
+      const caches = createCacheStorage();
+      await caches.open(getCacheName('old'));
+      await caches.open(getCacheName('abc123'));
+      await caches.open('another-app');
+      
+      await expect(removeOldCaches(caches, 'abc123')).resolves.toEqual(['hard-wordle-old']);
+      expect([...caches.stores.keys()]).toEqual(['hard-wordle-abc123', 'another-app']);
+    });
+
+    test('should only handle same-origin GET requests outside the API', () => {
+      expect(shouldHandle(appRequest('/words.json'), ORIGIN)).toBe(true);
+      expect(shouldHandle(appRequest('/'), ORIGIN)).toBe(true);
+      expect(shouldHandle(appRequest('/api/games', { method: 'POST' }), ORIGIN)).toBe(false);
+      expect(shouldHandle(appRequest('/api/games/abc'), ORIGIN)).toBe(false);
+      expect(shouldHandle(new Request('https://api.dictionaryapi.dev/api/v2/entries/en/apple'), ORIGIN)).toBe(false);
+    });
+
+    test('should answer precached files without the network', async () => {
+      const caches = createCacheStorage();
+      const fetch = jest.fn();
+      await precache(caches, manifest, ORIGIN);
+      
+      const response = await respond(appRequest('/words.json'), { caches, fetch, version: 'abc123', origin: ORIGIN });
+      
+      expect(await response.text()).toBe(`cached ${ORIGIN}/words.json`);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should answer navigations with the cached app shell', async () => {
+      const caches = createCacheStorage();
+      const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      await precache(caches, manifest, ORIGIN);
+      const navigation = { url: `${ORIGIN}/?mode=daily`, method: 'GET', mode: 'navigate' };
+      
+      const response = await respond(navigation, { caches, fetch, version: 'abc123', origin: ORIGIN });
+      
+      expect(await response.text()).toBe(`cached ${ORIGIN}/index.html`);
+    });
+
+    test('should cache files fetched from the network for next time', async () => {
+      const caches = createCacheStorage();
+      const fetch = jest.fn().mockResolvedValue(new Response('{"definitions":{}}'));
+      const context = { caches, fetch, version: 'abc123', origin: ORIGIN };
+      
+      await respond(appRequest('/definitions.json'), context);
+      const second = await respond(appRequest('/definitions.json'), context);
+      
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(await second.text()).toBe('{"definitions":{}}');
+    });
+
+    test('should not cache failed responses', async () => {
+      const caches = createCacheStorage();
+      const fetch = jest.fn().mockResolvedValue(new Response('Not found', { status: 404 }));
+      const context = { caches, fetch, version: 'abc123', origin: ORIGIN };
+      
+      const response = await respond(appRequest('/missing.json'), context);
+      
+      expect(response.status).toBe(404);
+      expect((await caches.open(getCacheName('abc123'))).entries.size).toBe(0);
+    });
+
+    test('should fail offline for files that were never cached', async () => {
+      const caches = createCacheStorage();
+      const fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+      
+      await expect(respond(appRequest('/definitions.json'), { caches, fetch, version: 'abc123', origin: ORIGIN })).rejects.toThrow('Failed to fetch');
+    });
+
+    test('should have nginx revalidate every unhashed file the worker caches', () => {
+      const config = fs.readFileSync(path.join(__dirname, '../nginx.conf'), 'utf8');
+      const [, pattern] = /location ~\* (\S*index\\\.html\S*) \{/.exec(config);
+      const noCache = new RegExp(pattern, 'i');
+      const definitions = fs.readdirSync(path.join(__dirname, '../public/definitions')).map(file => `/definitions/${file}`);
+      
+      ['/index.html', '/manifest.webmanifest', '/words.packed.txt', '/guesses.packed.txt', ...definitions].forEach(url => {
+        expect(url).toMatch(noCache);
+      });
+      expect('/bundle.1f2e.js').not.toMatch(noCache);
+    });
+});
+
+  describe('Property-Based Tests', () => {
+    /**
+     * Feature: hard-wordle, Property: Cache versioning
+     *
+     * For any set of existing caches and any current version, activation
+     * leaves exactly the current build's cache among this app's caches and
+     * never touches caches it doesn't own.
+     */
+    test('Property: Cache versioning - only the current build cache survives', async () => {
+      const versionArb = fc.hexaString({ minLength: 1, maxLength: 16 });
+      
+      await fc.assert(
+        fc.asyncProperty(
+          fc.uniqueArray(versionArb, { maxLength: 5 }),
+          fc.uniqueArray(fc.string({ maxLength: 12 }).filter(name => !name.startsWith(CACHE_PREFIX)), { maxLength: 3 }),
+          versionArb,
+          async (oldVersions, otherNames, version) => {
+            const caches = createCacheStorage();
+            for (const name of [...oldVersions.map(getCacheName), ...otherNames, getCacheName(version)]) {
+              await caches.open(name);
+            }
+            
+            await removeOldCaches(caches, version);
+            
+            const remaining = await caches.keys();
+            expect(remaining.filter(name => name.startsWith(CACHE_PREFIX))).toEqual([getCacheName(version)]);
+            expect(remaining.filter(name => !name.startsWith(CACHE_PREFIX)).sort()).toEqual([...otherNames].sort());
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
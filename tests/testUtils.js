@@ -9,6 +9,7 @@ const { nextTick } = require('vue');
 // Import business logic modules
 const Dictionary = require('../src/Dictionary');
 const GameController = require('../src/GameController');
+const Random = require('../src/Random');
 
 // Import Vue component
 const App = require('../src/App.vue').default;
@@ -27,27 +28,36 @@ function createTestDictionary() {
   return new Dictionary(testWords);
 }
 
+/**
+ * Seed for the test game controller's random source
+ * Its games pick SNAKE, WATER, YOUTH, JUICE, DANCE, RIVER, ... in that order,
+ * so the first games never end early on the words tests like to guess
+ */
+const TEST_SEED = 1;
+
 /**
  * Create a game controller with test dictionary
+ * Targets are seeded, so every test run plays the same games
  */
 function createTestGameController() {
   const dictionary = createTestDictionary();
-  return new GameController(dictionary);
+  return new GameController(dictionary, { random: Random.mulberry32(TEST_SEED) });
 }
 
 /**
  * Mount App component with test game controller
+ * Pass options.gameController to mount with a custom controller
  */
 function mountAppWithTestController(options = {}) {
-  const gameController = createTestGameController();
+  const { gameController = createTestGameController(), ...restOptions } = options;
   
   const defaultProps = {
     gameController
   };
   
   const mountOptions = {
-    props: { ...defaultProps, ...options.props },
-    ...options
+    ...restOptions,
+    props: { ...defaultProps, ...restOptions.props }
   };
   
   return {
@@ -56,6 +66,33 @@ function mountAppWithTestController(options = {}) {
   };
 }
 
+/**
+ * Create an in-memory stand-in for window.localStorage
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+/**
+ * Create a stand-in for GameApiClient that calls a GameService directly
+ * Responses go through JSON, as they would over HTTP
+ */
+function createServiceClient(service) {
+  const roundTrip = value => JSON.parse(JSON.stringify(value));
+  return {
+    checkHealth: async () => true,
+    createGame: async options => roundTrip(service.createGame(options)),
+    getGame: async id => roundTrip(service.getGame(id)),
+    submitGuess: async (id, word) => roundTrip(service.submitGuess(id, word))
+  };
+}
+
 /**
  * Wait for Vue's nextTick and any additional async operations
  */
@@ -184,6 +221,8 @@ module.exports = {
   createTestDictionary,
   createTestGameController,
   mountAppWithTestController,
+  createMemoryStorage,
+  createServiceClient,
   waitForUpdates,
   typeWord,
   submitGuess,
@@ -1,13 +1,81 @@
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const { VueLoaderPlugin } = require('vue-loader');
+const Dictionary = require('./src/Dictionary');
+
+/**
+ * Read the word list the game is played with
+ * @param {Buffer|string} content - Contents of words.json
+ * @returns {Dictionary} The dictionary, with the blocklist applied
+ */
+function readDictionary(content) {
+  return Dictionary.fromJSON(JSON.parse(content.toString()), {
+    blocked: JSON.parse(fs.readFileSync(path.resolve(__dirname, 'public/blocklist.json'), 'utf8'))
+  });
+}
+
+/**
+ * Emits the service worker with the list of files to precache
+ * The cache version is a hash of those files, so any build that changes the
+ * bundle (named by its contenthash), the dictionary or index.html gets a new cache
+ */
+class ServiceWorkerPlugin {
+  /**
+   * @param {Object} options - Plugin settings
+   * @param {string} options.source - Path of the service worker script
+   * @param {string} [options.filename] - Name of the emitted worker (default: 'service-worker.js')
+   * @param {RegExp[]} [options.exclude] - Assets left out of the precache
+   */
+  constructor({ source, filename = 'service-worker.js', exclude = [] }) {
+    this.source = source;
+    this.filename = filename;
+    this.exclude = exclude;
+  }
+
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+
+    compiler.hooks.thisCompilation.tap('ServiceWorkerPlugin', compilation => {
+      compilation.fileDependencies.add(this.source);
+
+      // Runs after every other plugin has emitted and minimized its assets
+      compilation.hooks.processAssets.tap({
+        name: 'ServiceWorkerPlugin',
+        stage: Compilation.PROCESS_ASSETS_STAGE_SUMMARIZE
+      }, assets => {
+        const names = Object.keys(assets)
+          .filter(name => name !== this.filename && !this.exclude.some(pattern => pattern.test(name)))
+          .sort();
+
+        const hash = crypto.createHash('sha256');
+        names.forEach(name => {
+          hash.update(name);
+          hash.update(assets[name].source());
+        });
+
+        const manifest = {
+          version: hash.digest('hex').slice(0, 16),
+          urls: names.map(name => `/${name}`)
+        };
+        const script = fs.readFileSync(this.source, 'utf8');
+
+        compilation.emitAsset(this.filename, new sources.RawSource(`self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n${script}`));
+      });
+    });
+  }
+}
 
 module.exports = {
   entry: './src/main.js',
   output: {
     path: path.resolve(__dirname, 'dist'),
     filename: 'bundle.[contenthash].js',
+    // Chunks such as the analysis worker are cached for a year too, so name them by content
+    chunkFilename: '[name].[contenthash].js',
     clean: true
   },
   module: {
@@ -31,13 +99,59 @@ module.exports = {
   },
   plugins: [
     new VueLoaderPlugin(),
+    new webpack.DefinePlugin({
+      // URL of the game server API; empty to play without a server
+      'process.env.GAME_API_URL': JSON.stringify(process.env.GAME_API_URL || ''),
+      // Online dictionary for words missing from the bundled definitions; empty to stay offline
+      'process.env.DEFINITIONS_API_URL': JSON.stringify(process.env.DEFINITIONS_API_URL || '')
+    }),
     new HtmlWebpackPlugin({
       template: './public/index.html',
       filename: 'index.html'
     }),
     new CopyWebpackPlugin({
       patterns: [
-        { from: 'public/words.json', to: 'words.json' }
+        // The browser loads the dictionary in the compact packed format,
+        // with the blocklist applied
+        {
+          from: 'public/words.json',
+          to: 'words.packed.txt',
+          transform: content => readDictionary(content).toPacked()
+        },
+        // Games hosted by the server only need to check guesses, so they load
+        // the valid words without learning which ones can be the target
+        {
+          from: 'public/words.json',
+          to: 'guesses.packed.txt',
+          transform: content => Dictionary.fromJSON(JSON.parse(content.toString())).withoutAnswers().toPacked()
+        },
+        // Only targets are ever looked up, so each word length's definitions
+        // ship without the words that can't be the answer
+        {
+          from: 'public/definitions',
+          to: 'definitions',
+          transform: (content, absoluteFrom) => {
+            const length = path.basename(absoluteFrom, '.json');
+            const answers = readDictionary(fs.readFileSync(path.resolve(__dirname, 'public/words.json'))).getAnswers(Number(length));
+            const data = JSON.parse(content.toString());
+            const group = data.definitions[length] || {};
+            const definitions = { [length]: Object.fromEntries(answers.filter(word => group[word]).map(word => [word, group[word]])) };
+            return JSON.stringify({ ...data, definitions });
+          }
+        },
+        { from: 'public/manifest.webmanifest', to: 'manifest.webmanifest' },
+        { from: 'public/icons', to: 'icons' }
+      ]
+    }),
+    // Precache everything but the definitions, which are cached on first use,
+    // and the word list the build doesn't play with
+    new ServiceWorkerPlugin({
+      source: path.resolve(__dirname, 'src/service-worker.js'),
+      exclude: [
+        /^definitions\//,
+        /\.LICENSE\.txt$/,
+        // Only the word list this build plays with, so server builds never download the answers
+        process.env.GAME_API_URL ? /^words\.packed\.txt$/ : /^guesses\.packed\.txt$/
       ]
     })
   ],
@@ -53,6 +167,10 @@ module.exports = {
     },
     compress: true,
     port: 3000,
-    hot: true
+    hot: true,
+    // Forward API calls to the game server (npm run server)
+    proxy: {
+      '/api': 'http://localhost:3001'
+    }
   }
 };